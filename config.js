@@ -0,0 +1,154 @@
+#!/usr/bin/env node
+
+const fs = require('fs');
+const path = require('path');
+const { getGatewayName } = require('./lib/log');
+const {
+  DEFAULT_CONFIG_FILES,
+  importLegacy,
+  stringifyConfig,
+  findConfigFile,
+  loadMonitorConfig
+} = require('./lib/config');
+const { validateProcessSetup, formatValidationReport } = require('./lib/validate');
+
+const USAGE = `Usage:
+  node config.js import [--out FILE] [--format yaml|json] [--dir DIR] [--map FILE] [--no-env] [FILES...]
+  node config.js check [FILE]
+  node config.js validate [--dir DIR] [--map FILE] [--strict] [--verbose] [FILES...]
+
+import  Converts process-ids*.txt, mapped-processes.txt, process-map.json and the current
+        env vars (except secrets) into one config file, printed or written to --out
+check   Validates a config file (default MONITOR_CONFIG or ${DEFAULT_CONFIG_FILES.join(', ')})
+        and prints what the monitors would run with
+validate  Checks process IDs, duplicates, gateway mappings and URLs across process-ids*.txt,
+        mapped-processes.txt, process-map.json and the config file; exits 1 on errors
+        (and on warnings with --strict)`;
+
+const FLAGS = {
+  '--out': 'out',
+  '--format': 'format',
+  '--dir': 'dir',
+  '--map': 'processMapFile'
+};
+
+function parseArgs(argv) {
+  const [command, ...rest] = argv;
+  const options = { command, positional: [], env: true, strict: false, verbose: false };
+  
+  for (let i = 0; i < rest.length; i++) {
+    if (rest[i] === '--no-env') {
+      options.env = false;
+    } else if (rest[i] === '--strict') {
+      options.strict = true;
+    } else if (rest[i] === '--verbose') {
+      options.verbose = true;
+    } else if (FLAGS[rest[i]]) {
+      if (rest[i + 1] === undefined) {
+        throw new Error(`Missing value for ${rest[i]}`);
+      }
+      options[FLAGS[rest[i]]] = rest[++i];
+    } else if (rest[i].startsWith('--')) {
+      throw new Error(`Unknown option: ${rest[i]}`);
+    } else {
+      options.positional.push(rest[i]);
+    }
+  }
+  
+  return options;
+}
+
+function countBy(items, key) {
+  return items.reduce((counts, item) => {
+    const value = key(item);
+    counts[value] = (counts[value] || 0) + 1;
+    return counts;
+  }, {});
+}
+
+function describeSettings(settings) {
+  const lines = [`Config: ${settings.file}`, `Processes: ${settings.processes.length}`];
+  
+  Object.entries(countBy(settings.processes, p => (p.gateway ? getGatewayName(p.gateway) : '(default gateway)')))
+    .sort((a, b) => b[1] - a[1])
+    .forEach(([gateway, count]) => lines.push(`  ${gateway}: ${count}`));
+  
+  const owned = settings.processes.filter(p => p.owner).length;
+  const labelled = settings.processes.filter(p => p.labels && p.labels.length > 0).length;
+  const custom = settings.processes.filter(p => p.threshold !== undefined || p.thresholds).length;
+  const thresholds = { ...settings.monitor.thresholds, ...(settings.monitor.threshold !== undefined && { warning: settings.monitor.threshold }) };
+  lines.push(`With owner: ${owned}, with labels: ${labelled}, with own thresholds: ${custom}`);
+  lines.push(`Thresholds: ${Object.keys(thresholds).length > 0 ? Object.entries(thresholds).map(([level, slots]) => `${level} ${slots}`).join(', ') : 'monitor defaults'}`);
+  lines.push(`Gateway thresholds: ${Object.keys(settings.monitor.gatewayThresholds || {}).join(', ') || 'none'}`);
+  lines.push(`Fail on severity: ${settings.monitor.failOnSeverity || 'off'}`);
+  lines.push(`Slack: ${settings.slack.webhookUrl || process.env.SLACK_WEBHOOK_URL ? 'configured' : 'not configured'}`);
+  lines.push(`PagerDuty: ${settings.pagerduty.enabled ? `enabled (${settings.pagerduty.aggregation} incidents)` : 'disabled'}`);
+  lines.push(`Alert rules: ${Object.entries(settings.alerting.rules).map(([type, rule]) => `${type} ${rule.runs}`).join(', ')}`);
+  lines.push(`Silences in config: ${(settings.monitor.silences || []).length}`);
+  lines.push(`Env overrides: ${settings.applied.length > 0 ? settings.applied.join(', ') : 'none'}`);
+  
+  return lines.join('\n');
+}
+
+function run(argv = process.argv.slice(2)) {
+  const options = parseArgs(argv);
+  
+  switch (options.command) {
+    case 'import': {
+      const format = options.format || (options.out && path.extname(options.out) === '.json' ? 'json' : 'yaml');
+      const config = importLegacy({
+        dir: options.dir,
+        processMapFile: options.processMapFile,
+        processIdFiles: options.positional.length > 0 ? options.positional : undefined,
+        env: options.env ? process.env : {}
+      });
+      const output = stringifyConfig(config, format);
+      
+      if (!options.out) {
+        process.stdout.write(output);
+        return 0;
+      }
+      if (fs.existsSync(options.out)) {
+        throw new Error(`${options.out} already exists; remove it first to re-import`);
+      }
+      fs.writeFileSync(options.out, output, 'utf8');
+      console.log(`Wrote ${config.processes.length} processes to ${options.out}`);
+      return 0;
+    }
+    case 'check': {
+      const file = options.positional[0] || findConfigFile();
+      if (!file) {
+        throw new Error(`No config file found (set MONITOR_CONFIG or create one of ${DEFAULT_CONFIG_FILES.join(', ')})`);
+      }
+      console.log(describeSettings(loadMonitorConfig(file)));
+      return 0;
+    }
+    case 'validate': {
+      const report = validateProcessSetup({
+        dir: options.dir,
+        processMapFile: options.processMapFile,
+        processIdFiles: options.positional.length > 0 ? options.positional : undefined,
+        configFile: findConfigFile()
+      });
+      console.log(formatValidationReport(report, { verbose: options.verbose }));
+      return report.errors.length > 0 || (options.strict && report.warnings.length > 0) ? 1 : 0;
+    }
+    default:
+      console.log(USAGE);
+      return options.command ? 1 : 0;
+  }
+}
+
+if (require.main === module) {
+  try {
+    process.exit(run());
+  } catch (error) {
+    console.error(`Error: ${error.message}`);
+    process.exit(1);
+  }
+}
+
+module.exports = {
+  parseArgs,
+  run
+};
@@ -0,0 +1,215 @@
+const { loadState, saveState } = require('./state');
+
+const DEFAULT_STATE_FILE = './.alert-state.json';
+const DEFAULT_RUNS = 1;
+const DEFAULT_FLAP_WINDOW = 10;
+const DEFAULT_FLAP_THRESHOLD = 4;
+const ALERT_TYPES = {
+  mismatches: 'mismatch',
+  stalls: 'stalled',
+  errors: 'error',
+  divergences: 'divergence'
+};
+
+function parseRuns(value) {
+  const runs = parseInt(value || String(DEFAULT_RUNS), 10);
+  return Number.isNaN(runs) || runs < 1 ? DEFAULT_RUNS : runs;
+}
+
+// defaults.stateFile lets each CLI keep its own file when ALERT_STATE_FILE is not set
+function getAlertConfigFromEnv(defaults = {}) {
+  return {
+    rules: {
+      mismatch: { runs: parseRuns(process.env.ALERT_MISMATCH_RUNS) },
+      error: { runs: parseRuns(process.env.ALERT_ERROR_RUNS) },
+      stalled: { runs: parseRuns(process.env.ALERT_STALL_RUNS) },
+      divergence: { runs: parseRuns(process.env.ALERT_DIVERGENCE_RUNS) }
+    },
+    flap: {
+      enabled: process.env.FLAP_DETECTION !== 'false',
+      window: parseInt(process.env.FLAP_WINDOW || String(DEFAULT_FLAP_WINDOW), 10),
+      threshold: parseInt(process.env.FLAP_THRESHOLD || String(DEFAULT_FLAP_THRESHOLD), 10)
+    },
+    stateFile: process.env.ALERT_STATE_FILE || defaults.stateFile || DEFAULT_STATE_FILE
+  };
+}
+
+function getAlertLag(alert) {
+  if (alert.spread !== undefined) {
+    return alert.spread;
+  }
+  return alert.error ? null : Math.abs(parseInt(alert.stateNonce) - parseInt(alert.suRouterNonce));
+}
+
+function stateKey(processId, scope) {
+  return scope ? `${scope}:${processId}` : processId;
+}
+
+// Number of ok/problem changes in a run history, oldest first
+function countTransitions(history) {
+  return history.reduce((changes, problem, i) => (i > 0 && problem !== history[i - 1] ? changes + 1 : changes), 0);
+}
+
+// Per process and alert type: ok -> pending -> firing -> resolved -> ok. A type only fires once
+// it has been seen on `runs` consecutive checks, and a process whose checks keep flipping
+// between ok and problem is flapping and does not notify until it settles.
+function createAlertTracker(options = {}) {
+  const rules = {};
+  Object.values(ALERT_TYPES).forEach(type => {
+    rules[type] = { runs: DEFAULT_RUNS, ...(options.rules && options.rules[type]) };
+  });
+  const flap = {
+    enabled: true,
+    window: DEFAULT_FLAP_WINDOW,
+    threshold: DEFAULT_FLAP_THRESHOLD,
+    ...options.flap
+  };
+  const stateFile = options.stateFile === undefined ? null : options.stateFile;
+  const states = stateFile ? loadState(stateFile) : {};
+  
+  return {
+    rules,
+    flap,
+    states,
+    
+    // `alerts` are this run's selected alerts and `checked` the process IDs it checked;
+    // processes that were not checked keep their state untouched. A `scope` keeps another
+    // kind of run (consensus) apart, so neither resolves nor flaps the other's alerts
+    evaluate(alerts, checked, now = new Date().toISOString(), scope = null) {
+      const keyFor = processId => stateKey(processId, scope);
+      const active = new Map();
+      const notify = {};
+      const firing = {};
+      Object.keys(alerts).forEach(kind => {
+        notify[kind] = [];
+        firing[kind] = [];
+        alerts[kind].forEach(alert => active.set(`${alert.processId}:${ALERT_TYPES[kind]}`, { kind, alert }));
+      });
+      
+      const pending = [];
+      const flapping = [];
+      const resolved = [];
+      const fired = [];
+      
+      [...new Set(checked)].forEach(processId => {
+        const entry = states[keyFor(processId)] || { history: [], flapping: false, alerts: {} };
+        const types = Object.values(ALERT_TYPES).filter(type => active.has(`${processId}:${type}`));
+        const failed = active.has(`${processId}:error`);
+        
+        entry.history = [...entry.history, types.length > 0 ? 1 : 0].slice(-flap.window);
+        const wasFlapping = entry.flapping;
+        entry.flapping = flap.enabled && countTransitions(entry.history) >= flap.threshold;
+        if (entry.flapping && !wasFlapping) {
+          entry.flappingSince = now;
+        } else if (!entry.flapping) {
+          delete entry.flappingSince;
+        }
+        
+        new Set([...types, ...Object.keys(entry.alerts)]).forEach(type => {
+          const current = active.get(`${processId}:${type}`);
+          const state = entry.alerts[type];
+          
+          if (!current) {
+            // A failed check says nothing about the lag, so mismatch and stall counts carry over
+            if (failed && type !== 'error') {
+              return;
+            }
+            if (state.status === 'firing') {
+              entry.alerts[type] = { ...state, status: 'resolved', resolvedAt: now };
+              resolved.push({ processId, type, flapping: entry.flapping, ...entry.alerts[type] });
+            } else {
+              delete entry.alerts[type];
+            }
+            return;
+          }
+          
+          const lag = getAlertLag(current.alert);
+          const previous = state && state.status !== 'resolved' ? state : null;
+          const count = previous ? previous.count + 1 : 1;
+          const next = {
+            status: count >= rules[type].runs ? 'firing' : 'pending',
+            count,
+            since: previous ? previous.since : now,
+            firingSince: previous && previous.firingSince ? previous.firingSince : null,
+            lastLag: lag,
+            peakLag: previous && previous.peakLag !== null && lag !== null ? Math.max(previous.peakLag, lag) : lag
+          };
+          // A resolved alert forgets when it was last sent, so a regression notifies straight away
+          if (previous && previous.lastNotifiedAt) {
+            next.lastNotifiedAt = previous.lastNotifiedAt;
+          }
+          if (next.status === 'firing' && !next.firingSince) {
+            next.firingSince = now;
+            fired.push({ processId, type, ...next });
+          }
+          entry.alerts[type] = next;
+          
+          if (next.status === 'pending') {
+            pending.push({ processId, type, count, runs: rules[type].runs });
+            return;
+          }
+          
+          firing[current.kind].push(current.alert);
+          if (entry.flapping) {
+            flapping.push({ processId, type, transitions: countTransitions(entry.history) });
+          } else {
+            notify[current.kind].push(current.alert);
+          }
+        });
+        
+        if (Object.keys(entry.alerts).length === 0 && !entry.history.includes(1)) {
+          delete states[keyFor(processId)];
+        } else {
+          states[keyFor(processId)] = entry;
+        }
+      });
+      
+      return { alerts: notify, firing, pending, flapping, fired, resolved };
+    },
+    
+    // When each alert was last sent, as `${kind}:${processId}` -> ms, for repeat suppression.
+    // Kept in the state file so one-shot runs suppress repeats the same way watch mode does
+    notifiedAt(alerts, scope = null) {
+      const times = {};
+      Object.keys(alerts).forEach(kind => {
+        alerts[kind].forEach(alert => {
+          const entry = states[stateKey(alert.processId, scope)];
+          const state = entry && entry.alerts[ALERT_TYPES[kind]];
+          if (state && state.status === 'firing' && state.lastNotifiedAt) {
+            times[`${kind}:${alert.processId}`] = Date.parse(state.lastNotifiedAt);
+          }
+        });
+      });
+      return times;
+    },
+    
+    markNotified(alerts, now = new Date().toISOString(), scope = null) {
+      Object.keys(alerts).forEach(kind => {
+        alerts[kind].forEach(alert => {
+          const entry = states[stateKey(alert.processId, scope)];
+          const state = entry && entry.alerts[ALERT_TYPES[kind]];
+          if (state) {
+            state.lastNotifiedAt = now;
+          }
+        });
+      });
+    },
+    
+    save() {
+      if (stateFile) {
+        saveState(stateFile, states);
+      }
+    }
+  };
+}
+
+module.exports = {
+  DEFAULT_STATE_FILE,
+  DEFAULT_RUNS,
+  DEFAULT_FLAP_WINDOW,
+  DEFAULT_FLAP_THRESHOLD,
+  ALERT_TYPES,
+  getAlertConfigFromEnv,
+  countTransitions,
+  createAlertTracker
+};
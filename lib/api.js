@@ -0,0 +1,193 @@
+const http = require('http');
+const { getGatewayName, getSchedulerName, logError, logInfo } = require('./log');
+const { summarizeResults } = require('./engine');
+const { renderDashboard } = require('./dashboard');
+
+const DASHBOARD_REFRESH = 60;
+
+// POST /check makes outbound requests on demand, so the API stays on localhost unless told otherwise
+const DEFAULT_HOST = '127.0.0.1';
+
+function getApiConfigFromEnv() {
+  const port = parseInt(process.env.STATUS_API_PORT || '', 10);
+  return {
+    port: Number.isNaN(port) ? null : port,
+    host: process.env.STATUS_API_HOST || DEFAULT_HOST
+  };
+}
+
+function getProcessStatus(result) {
+  if (!result) {
+    return 'unchecked';
+  }
+  if (result.error) {
+    return 'error';
+  }
+  return result.match ? 'in-sync' : 'behind';
+}
+
+function describeProcess(entry, result) {
+  return {
+    processId: entry.processId,
+    status: getProcessStatus(result),
+    inSync: Boolean(result && !result.error && result.match),
+    stateNonce: result ? result.stateNonce : null,
+    suRouterNonce: result ? result.suRouterNonce : null,
+    diff: result ? result.diff : null,
+    severity: result ? result.severity || null : null,
+    gateway: entry.gateway,
+    gatewayName: getGatewayName(entry.gateway),
+    stateGateway: result ? result.stateGateway || null : null,
+    scheduler: result ? result.scheduler || null : entry.scheduler || null,
+    schedulerName: result && result.scheduler ? getSchedulerName(result.scheduler) : null,
+    error: result ? result.error : null,
+    silenced: Boolean(result && result.silenced),
+    lastCheckedAt: result ? result.checkedAt : null,
+    labels: entry.labels || [],
+    owner: entry.owner || null,
+    thresholds: entry.thresholds
+  };
+}
+
+function describeStatus(monitor, daemon) {
+  const results = monitor.processes.map(p => monitor.state.lastResults[p.processId]).filter(Boolean);
+  return {
+    processes: monitor.processes.length,
+    checked: results.length,
+    runs: monitor.state.runs,
+    lastRunAt: monitor.state.lastRunAt,
+    ...(daemon && {
+      watch: {
+        running: daemon.running,
+        runs: daemon.runs,
+        failures: daemon.failures,
+        lastError: daemon.lastError,
+        nextRunAt: daemon.nextRunAt
+      }
+    }),
+    summary: summarizeResults(results)
+  };
+}
+
+// A malformed escape can't name a known process, so it falls through to a 404
+function decodePathParam(value) {
+  try {
+    return decodeURIComponent(value);
+  } catch (error) {
+    return value;
+  }
+}
+
+function sendJson(res, status, body) {
+  const payload = JSON.stringify(body, null, 2);
+  res.writeHead(status, {
+    'Content-Type': 'application/json; charset=utf-8',
+    'Content-Length': Buffer.byteLength(payload)
+  });
+  res.end(payload);
+}
+
+// Routes as [method, pattern, handler]; a path that matches with another method gets a 405
+function createRoutes(monitor, options) {
+  const inFlight = new Map();
+  const lookup = processId => monitor.processes.find(p => p.processId === processId);
+  
+  return [
+    ['GET', /^\/status$/, () => [200, describeStatus(monitor, options.daemon)]],
+    ['GET', /^\/processes$/, () => [200, {
+      processes: monitor.processes.map(p => describeProcess(p, monitor.state.lastResults[p.processId]))
+    }]],
+    ['GET', /^\/processes\/([^/]+)$/, processId => {
+      const entry = lookup(processId);
+      return entry
+        ? [200, describeProcess(entry, monitor.state.lastResults[processId])]
+        : [404, { error: `Unknown process: ${processId}` }];
+    }],
+    ['POST', /^\/check\/([^/]+)$/, async processId => {
+      const entry = lookup(processId);
+      if (!entry) {
+        return [404, { error: `Unknown process: ${processId}` }];
+      }
+      
+      // Concurrent requests for the same process share one check
+      if (!inFlight.has(processId)) {
+        inFlight.set(processId, monitor.refreshProcess(processId).finally(() => inFlight.delete(processId)));
+      }
+      const result = await inFlight.get(processId);
+      // The check itself worked but a gateway or scheduler did not answer
+      return [result.error ? 502 : 200, describeProcess(entry, result)];
+    }],
+    ['GET', /^\/dashboard$/, () => [200, renderDashboard({
+      title: options.dashboard && options.dashboard.title,
+      processes: monitor.processes,
+      lastResults: monitor.state.lastResults,
+      history: monitor.history,
+      refresh: DASHBOARD_REFRESH
+    }), 'text/html; charset=utf-8']],
+    ...(monitor.metrics
+      ? [['GET', /^\/metrics$/, () => [200, monitor.metrics.render(), 'text/plain; version=0.0.4; charset=utf-8']]]
+      : [])
+  ];
+}
+
+function createApiServer(monitor, options = {}) {
+  const routes = createRoutes(monitor, options);
+  
+  return http.createServer(async (req, res) => {
+    const { pathname } = new URL(req.url, 'http://localhost');
+    const matching = routes
+      .map(([method, pattern, handler]) => ({ method, handler, match: pattern.exec(pathname.replace(/\/+$/, '') || '/') }))
+      .filter(route => route.match);
+    const route = matching.find(r => r.method === req.method);
+    
+    if (!route) {
+      if (matching.length > 0) {
+        res.setHeader('Allow', [...new Set(matching.map(r => r.method))].join(', '));
+        sendJson(res, 405, { error: `Method ${req.method} not allowed on ${pathname}` });
+      } else {
+        sendJson(res, 404, { error: `Not found: ${pathname}` });
+      }
+      return;
+    }
+    
+    try {
+      const [status, body, contentType] = await route.handler(...route.match.slice(1).map(decodePathParam));
+      if (contentType) {
+        res.writeHead(status, { 'Content-Type': contentType });
+        res.end(body);
+        return;
+      }
+      sendJson(res, status, body);
+    } catch (error) {
+      logError(null, `Status API ${req.method} ${pathname} failed: ${error.message}`);
+      sendJson(res, 500, { error: error.message });
+    }
+  });
+}
+
+// Resolves with the listening server, or null when no port is configured
+function startApiServer(monitor, options = {}) {
+  if (options.port === null || options.port === undefined) {
+    return Promise.resolve(null);
+  }
+  
+  const server = createApiServer(monitor, options);
+  const host = options.host || DEFAULT_HOST;
+  return new Promise((resolve, reject) => {
+    server.once('error', error => reject(new Error(`Failed to start status API on ${host}:${options.port}: ${error.message}`)));
+    server.listen(options.port, host, () => {
+      server.removeAllListeners('error');
+      server.on('error', error => logError(null, `Status API error: ${error.message}`));
+      logInfo(null, `Serving status API on http://${host}:${server.address().port}/status`);
+      resolve(server);
+    });
+  });
+}
+
+module.exports = {
+  getApiConfigFromEnv,
+  describeProcess,
+  describeStatus,
+  createApiServer,
+  startApiServer
+};
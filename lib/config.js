@@ -0,0 +1,416 @@
+const fs = require('fs');
+const path = require('path');
+const schema = require('../config.schema.json');
+const { parseYaml, stringifyYaml } = require('./yaml');
+const { loadConfig, loadProcessMap, mapEntryToProcess } = require('./engine');
+const { getAlertConfigFromEnv } = require('./alert-state');
+const { getHistoryConfigFromEnv } = require('./history');
+const { getWatchConfigFromEnv } = require('./daemon');
+const { getMetricsConfigFromEnv } = require('./metrics');
+const { getApiConfigFromEnv } = require('./api');
+const { getDashboardConfigFromEnv } = require('./dashboard');
+const { getReportConfigFromEnv } = require('./report');
+const { getJUnitConfigFromEnv } = require('./junit');
+const { getMarkdownConfigFromEnv } = require('./markdown');
+const pagerduty = require('./pagerduty');
+const { getThresholdConfigFromEnv, toThresholds } = require('./thresholds');
+const { defineSource, registerSource } = require('./sources');
+
+const CONFIG_VERSION = 1;
+const DEFAULT_CONFIG_FILES = ['./monitor.config.yaml', './monitor.config.yml', './monitor.config.json'];
+const SECRET_ENV = ['SLACK_WEBHOOK_URL', 'PAGERDUTY_ROUTING_KEY'];
+
+// Env vars win over the file, so one config can serve cron, CI and local runs
+const ENV_OVERRIDES = [
+  ['THRESHOLD_WARNING', 'thresholds.warning', 'integer'],
+  ['THRESHOLD_ERROR', 'thresholds.error', 'integer'],
+  ['THRESHOLD_CRITICAL', 'thresholds.critical', 'integer'],
+  ['FAIL_ON_SEVERITY', 'failOnSeverity', 'string'],
+  ['REQUEST_TIMEOUT', 'requestTimeout', 'integer'],
+  ['CONCURRENCY', 'concurrency', 'integer'],
+  ['GATEWAY_CONCURRENCY', 'gatewayConcurrency', 'integer'],
+  ['STATE_SOURCE', 'sources.state.adapter', 'string'],
+  ['STATE_URL', 'sources.state.url', 'string'],
+  ['STATE_FALLBACK_URLS', 'sources.state.fallbacks', 'list'],
+  ['SU_ROUTER_SOURCE', 'sources.suRouter.adapter', 'string'],
+  ['SU_ROUTER_URL', 'sources.suRouter.url', 'string'],
+  ['SCHEDULER_DISCOVERY', 'discovery.enabled', 'boolean'],
+  ['SCHEDULER_CACHE_FILE', 'discovery.cacheFile', 'string'],
+  ['SCHEDULER_CACHE_TTL', 'discovery.ttl', 'integer'],
+  ['STALL_DETECTION', 'stall.enabled', 'boolean'],
+  ['STALL_RUNS', 'stall.runs', 'integer'],
+  ['STALL_FROZEN_RUNS', 'stall.frozenRuns', 'integer'],
+  ['STALL_MIN_GROWTH', 'stall.minGrowth', 'integer'],
+  ['STALL_SEVERITY', 'stall.severity', 'string'],
+  ['HISTORY_BACKEND', 'history.backend', 'string'],
+  ['HISTORY_FILE', 'history.file', 'string'],
+  ['HISTORY_RETENTION_DAYS', 'history.retentionDays', 'number'],
+  ['HISTORY_MAX_RECORDS_PER_PROCESS', 'history.maxRecordsPerProcess', 'integer'],
+  ['ALERT_REPEAT_INTERVAL', 'alerting.repeatInterval', 'integer'],
+  ['ALERT_STATE_FILE', 'alerting.stateFile', 'string'],
+  ['ALERT_MISMATCH_RUNS', 'alerting.rules.mismatch.runs', 'integer'],
+  ['ALERT_ERROR_RUNS', 'alerting.rules.error.runs', 'integer'],
+  ['ALERT_STALL_RUNS', 'alerting.rules.stalled.runs', 'integer'],
+  ['ALERT_DIVERGENCE_RUNS', 'alerting.rules.divergence.runs', 'integer'],
+  ['FLAP_DETECTION', 'alerting.flap.enabled', 'boolean'],
+  ['FLAP_WINDOW', 'alerting.flap.window', 'integer'],
+  ['FLAP_THRESHOLD', 'alerting.flap.threshold', 'integer'],
+  ['SLACK_WEBHOOK_URL', 'notifiers.slack.webhookUrl', 'string'],
+  ['PAGERDUTY_ENABLED', 'notifiers.pagerduty.enabled', 'boolean'],
+  ['PAGERDUTY_ROUTING_KEY', 'notifiers.pagerduty.routingKey', 'string'],
+  ['PAGERDUTY_SEVERITY_THRESHOLD', 'notifiers.pagerduty.minSeverity', 'string'],
+  ['PAGERDUTY_AUTO_RESOLVE', 'notifiers.pagerduty.autoResolve', 'boolean'],
+  ['PAGERDUTY_AUTO_ACKNOWLEDGE', 'notifiers.pagerduty.autoAcknowledge', 'boolean'],
+  ['PAGERDUTY_AGGREGATION', 'notifiers.pagerduty.aggregation', 'string'],
+  ['PAGERDUTY_STATE_FILE', 'notifiers.pagerduty.stateFile', 'string'],
+  ['SILENCES_FILE', 'silencesFile', 'string'],
+  ['WATCH_INTERVAL', 'watch.interval', 'integer'],
+  ['WATCH_SHUTDOWN_TIMEOUT', 'watch.shutdownTimeout', 'integer'],
+  ['METRICS_PORT', 'metrics.port', 'integer'],
+  ['METRICS_HOST', 'metrics.host', 'string'],
+  ['METRICS_TEXTFILE', 'metrics.textfile', 'string'],
+  ['STATUS_API_PORT', 'statusApi.port', 'integer'],
+  ['STATUS_API_HOST', 'statusApi.host', 'string'],
+  ['DASHBOARD_FILE', 'dashboard.file', 'string'],
+  ['DASHBOARD_TITLE', 'dashboard.title', 'string'],
+  ['REPORT_FILE', 'report.file', 'string'],
+  ['JUNIT_FILE', 'junit.file', 'string'],
+  ['MARKDOWN_REPORT_FILE', 'markdown.file', 'string'],
+  ['MARKDOWN_REPORT_APPEND', 'markdown.append', 'boolean']
+];
+
+function isPlainObject(value) {
+  return value !== null && typeof value === 'object' && !Array.isArray(value);
+}
+
+function typeOf(value) {
+  if (value === null) return 'null';
+  if (Array.isArray(value)) return 'array';
+  if (typeof value === 'number' && Number.isInteger(value)) return 'integer';
+  return typeof value;
+}
+
+function resolveRef(ref) {
+  return ref.replace(/^#\//, '').split('/').reduce((node, key) => node[key], schema);
+}
+
+function schemaAt(keyPath) {
+  return keyPath.split('.').reduce((node, key) => {
+    const resolved = node && node.$ref ? resolveRef(node.$ref) : node;
+    return resolved && resolved.properties ? resolved.properties[key] : undefined;
+  }, schema);
+}
+
+// Covers the JSON Schema keywords config.schema.json uses; returns "path: message" strings
+function validateConfig(value, node = schema, at = 'config') {
+  if (node.$ref) {
+    return validateConfig(value, { ...resolveRef(node.$ref), ...node, $ref: undefined }, at);
+  }
+  
+  const actual = typeOf(value);
+  if (node.const !== undefined && value !== node.const) {
+    return [`${at}: must be ${JSON.stringify(node.const)}`];
+  }
+  if (node.type && node.type !== actual && !(node.type === 'number' && actual === 'integer')) {
+    return [`${at}: must be ${/^[aeiou]/.test(node.type) ? 'an' : 'a'} ${node.type}, got ${actual}`];
+  }
+  if (node.enum && !node.enum.includes(value)) {
+    return [`${at}: must be one of ${node.enum.join(', ')}`];
+  }
+  
+  const errors = [];
+  if (typeof value === 'number' && node.minimum !== undefined && value < node.minimum) {
+    errors.push(`${at}: must be at least ${node.minimum}`);
+  }
+  if (typeof value === 'string') {
+    if (node.minLength !== undefined && value.length < node.minLength) {
+      errors.push(`${at}: must not be empty`);
+    }
+    if (node.pattern && !new RegExp(node.pattern).test(value)) {
+      errors.push(`${at}: must match ${node.pattern}`);
+    }
+  }
+  if (actual === 'array' && node.items) {
+    value.forEach((item, i) => errors.push(...validateConfig(item, node.items, `${at}[${i}]`)));
+  }
+  if (actual === 'object') {
+    (node.required || []).filter(key => value[key] === undefined).forEach(key => {
+      errors.push(`${at}.${key}: is required`);
+    });
+    Object.keys(value).forEach(key => {
+      if (node.properties && node.properties[key]) {
+        errors.push(...validateConfig(value[key], node.properties[key], `${at}.${key}`));
+      } else if (node.additionalProperties === false) {
+        errors.push(`${at}.${key}: unknown key`);
+      } else if (isPlainObject(node.additionalProperties)) {
+        errors.push(...validateConfig(value[key], node.additionalProperties, `${at}.${key}`));
+      }
+    });
+  }
+  
+  return errors;
+}
+
+function parseConfig(text, format = 'yaml') {
+  return format === 'json' ? JSON.parse(text) : parseYaml(text);
+}
+
+function getFormat(file) {
+  return path.extname(file).toLowerCase() === '.json' ? 'json' : 'yaml';
+}
+
+function loadConfigFile(file) {
+  let config;
+  try {
+    config = parseConfig(fs.readFileSync(file, 'utf8'), getFormat(file));
+  } catch (error) {
+    throw new Error(`Failed to load config from ${file}: ${error.message}`);
+  }
+  
+  const errors = validateConfig(config);
+  if (errors.length > 0) {
+    throw new Error(`Invalid config in ${file}:\n  - ${errors.join('\n  - ')}`);
+  }
+  
+  const ids = config.processes.map(p => p.id);
+  const duplicates = [...new Set(ids.filter((id, i) => ids.indexOf(id) !== i))];
+  if (duplicates.length > 0) {
+    throw new Error(`Invalid config in ${file}: duplicate process IDs: ${duplicates.join(', ')}`);
+  }
+  
+  // The schema cannot tell whether a validate pattern compiles, so each definition is built once here
+  const sourceErrors = Object.entries(getSourceDefinitions(config)).map(([name, spec]) => {
+    try {
+      defineSource({ name, ...spec });
+      return null;
+    } catch (error) {
+      return `config.sources.adapters.${name}: ${error.message}`;
+    }
+  }).filter(Boolean);
+  if (sourceErrors.length > 0) {
+    throw new Error(`Invalid config in ${file}:\n  - ${sourceErrors.join('\n  - ')}`);
+  }
+  
+  return config;
+}
+
+function getSourceDefinitions(config) {
+  return (config.sources && config.sources.adapters) || {};
+}
+
+// Adapters defined in the file join the built-in ones, so STATE_SOURCE and SU_ROUTER_SOURCE can name them too;
+// a name already in use is replaced
+function registerConfigSources(config) {
+  return Object.entries(getSourceDefinitions(config)).map(([name, spec]) => registerSource({ name, ...spec }).name);
+}
+
+function findConfigFile(env = process.env) {
+  if (env.MONITOR_CONFIG) {
+    return env.MONITOR_CONFIG;
+  }
+  return DEFAULT_CONFIG_FILES.find(file => fs.existsSync(file)) || null;
+}
+
+function setPath(object, keyPath, value) {
+  const keys = keyPath.split('.');
+  const last = keys.pop();
+  const parent = keys.reduce((node, key) => {
+    if (!isPlainObject(node[key])) {
+      node[key] = {};
+    }
+    return node[key];
+  }, object);
+  parent[last] = value;
+}
+
+function parseEnvValue(value, type) {
+  switch (type) {
+    case 'integer': {
+      const parsed = parseInt(value, 10);
+      return Number.isNaN(parsed) ? undefined : parsed;
+    }
+    case 'number': {
+      const parsed = parseFloat(value);
+      return Number.isNaN(parsed) ? undefined : parsed;
+    }
+    case 'boolean':
+      return value === 'true' ? true : value === 'false' ? false : undefined;
+    case 'list':
+      return value.split(',').map(item => item.trim()).filter(Boolean);
+    default:
+      return value;
+  }
+}
+
+// Values that don't parse or fail the schema are skipped, so a bad env var falls back to the file or the default
+function readEnvOverrides(env) {
+  return ENV_OVERRIDES
+    .filter(([name]) => env[name] !== undefined && env[name] !== '')
+    .map(([name, keyPath, type]) => ({ name, keyPath, value: parseEnvValue(env[name], type) }))
+    .filter(({ keyPath, value }) => value !== undefined && validateConfig(value, schemaAt(keyPath)).length === 0);
+}
+
+function applyEnvOverrides(config, env = process.env) {
+  const merged = JSON.parse(JSON.stringify(config));
+  const overrides = readEnvOverrides(env);
+  overrides.forEach(({ keyPath, value }) => setPath(merged, keyPath, value));
+  return { config: merged, applied: overrides.map(({ name }) => name) };
+}
+
+function compact(object) {
+  return Object.fromEntries(Object.entries(object).filter(([, value]) => value !== undefined));
+}
+
+function deepMerge(base, overrides = {}) {
+  const merged = { ...base };
+  Object.entries(overrides).forEach(([key, value]) => {
+    merged[key] = isPlainObject(value) && isPlainObject(base[key]) ? deepMerge(base[key], value) : value;
+  });
+  return merged;
+}
+
+function toProcesses(processes) {
+  return processes.map(p => compact({
+    processId: p.id,
+    gateway: p.gateway,
+    scheduler: p.scheduler,
+    labels: p.labels,
+    owner: p.owner,
+    threshold: p.threshold,
+    thresholds: p.thresholds
+  }));
+}
+
+// The slot verification monitor takes processes as a process map keyed by ID
+function toProcessMap(processes) {
+  return Object.fromEntries(processes.map(({ processId, ...entry }) => [processId, entry]));
+}
+
+// Turns a validated config into the options each module takes; keys left out keep their env defaults.
+// `defaults` are a CLI's own fallbacks below the env: { alerting: { stateFile }, pagerduty: { stateFile } }
+function resolveSettings(config = {}, defaults = {}) {
+  const alerting = config.alerting || {};
+  const notifiers = config.notifiers || {};
+  const historyDefaults = getHistoryConfigFromEnv();
+  // A backend chosen in the file picks its own default file unless one is given
+  const history = config.history && config.history.backend && !config.history.file
+    ? { ...historyDefaults, file: undefined, ...config.history }
+    : { ...historyDefaults, ...config.history };
+  // The same layering as the monitor's global levels, for converting a legacy PagerDuty slot count
+  const globalThresholds = { ...toThresholds(config.thresholds), ...toThresholds(config.threshold), ...getThresholdConfigFromEnv().thresholds };
+  
+  return {
+    processes: config.processes ? toProcesses(config.processes) : null,
+    monitor: compact({
+      threshold: config.threshold,
+      thresholds: config.thresholds,
+      gatewayThresholds: config.gateways
+        ? Object.fromEntries(Object.entries(config.gateways).filter(([, g]) => g.thresholds).map(([name, g]) => [name, g.thresholds]))
+        : undefined,
+      failOnSeverity: config.failOnSeverity,
+      requestTimeout: config.requestTimeout,
+      concurrency: config.concurrency,
+      gatewayConcurrency: config.gatewayConcurrency,
+      sources: config.sources,
+      discovery: config.discovery,
+      stall: config.stall,
+      alertRepeatInterval: alerting.repeatInterval,
+      silences: config.silences,
+      silencesFile: config.silencesFile
+    }),
+    alerting: deepMerge(getAlertConfigFromEnv(defaults.alerting), compact({ rules: alerting.rules, flap: alerting.flap, stateFile: alerting.stateFile })),
+    history,
+    watch: { ...getWatchConfigFromEnv(), ...config.watch },
+    metrics: { ...getMetricsConfigFromEnv(), ...config.metrics },
+    statusApi: { ...getApiConfigFromEnv(), ...config.statusApi },
+    dashboard: { ...getDashboardConfigFromEnv(), ...config.dashboard },
+    report: { ...getReportConfigFromEnv(), ...config.report },
+    junit: { ...getJUnitConfigFromEnv(), ...config.junit },
+    markdown: { ...getMarkdownConfigFromEnv(), ...config.markdown },
+    slack: notifiers.slack || {},
+    pagerduty: { ...pagerduty.getConfigFromEnv({ ...defaults.pagerduty, thresholds: globalThresholds }), ...notifiers.pagerduty }
+  };
+}
+
+// Without a config file the settings come from env vars alone and processes stay null,
+// leaving the monitors on their legacy process lists
+function loadMonitorConfig(file = findConfigFile(), env = process.env, defaults = {}) {
+  if (!file) {
+    return { file: null, applied: [], ...resolveSettings(applyEnvOverrides({}, env).config, defaults) };
+  }
+  
+  const { config, applied } = applyEnvOverrides(loadConfigFile(file), env);
+  registerConfigSources(config);
+  return { file, applied, ...resolveSettings(config, defaults) };
+}
+
+function gatewayFromFileName(file) {
+  // process-ids.push-5.txt lists processes on https://push-5.forward.computer
+  const match = /^process-ids\.([\w-]+)\.txt$/.exec(path.basename(file));
+  return match && match[1] !== 'example' ? `https://${match[1]}.forward.computer` : undefined;
+}
+
+function findLegacyFiles(dir = '.') {
+  return fs.readdirSync(dir)
+    .filter(file => (/^process-ids(\.[\w-]+)?\.txt$/.test(file) && file !== 'process-ids.example.txt') || file === 'mapped-processes.txt')
+    .sort()
+    .map(file => path.join(dir, file));
+}
+
+// Builds a config from process-ids*.txt, mapped-processes.txt, process-map.json and the current env
+function importLegacy(options = {}) {
+  const dir = options.dir || '.';
+  const processIdFiles = options.processIdFiles || findLegacyFiles(dir);
+  const processMapFile = options.processMapFile !== undefined ? options.processMapFile : path.join(dir, 'process-map.json');
+  const env = options.env || {};
+  const processMap = processMapFile && fs.existsSync(processMapFile) ? loadProcessMap(processMapFile) : {};
+  
+  const processes = new Map();
+  const add = (processId, entry) => {
+    const existing = processes.get(processId) || { id: processId };
+    processes.set(processId, compact({
+      ...existing,
+      gateway: existing.gateway || entry.gateway,
+      scheduler: existing.scheduler || entry.scheduler,
+      labels: existing.labels || entry.labels
+    }));
+  };
+  
+  Object.keys(processMap).forEach(processId => add(processId, mapEntryToProcess(processId, processMap[processId])));
+  processIdFiles.forEach(file => {
+    const gateway = gatewayFromFileName(file);
+    loadConfig(file).forEach(processId => add(processId, { gateway }));
+  });
+  
+  // Secrets stay in the environment rather than in a file that gets committed
+  const config = { version: CONFIG_VERSION };
+  readEnvOverrides(env)
+    .filter(({ name }) => !SECRET_ENV.includes(name))
+    .forEach(({ keyPath, value }) => setPath(config, keyPath, value));
+  config.processes = [...processes.values()];
+  
+  return config;
+}
+
+function stringifyConfig(config, format = 'yaml') {
+  return format === 'json' ? JSON.stringify(config, null, 2) + '\n' : stringifyYaml(config);
+}
+
+module.exports = {
+  CONFIG_VERSION,
+  DEFAULT_CONFIG_FILES,
+  ENV_OVERRIDES,
+  SECRET_ENV,
+  validateConfig,
+  parseConfig,
+  loadConfigFile,
+  findConfigFile,
+  applyEnvOverrides,
+  resolveSettings,
+  loadMonitorConfig,
+  toProcessMap,
+  findLegacyFiles,
+  gatewayFromFileName,
+  importLegacy,
+  stringifyConfig
+};
@@ -0,0 +1,205 @@
+const { getTimestamp, truncateProcessId, getGatewayName } = require('./log');
+
+const DEFAULT_TOLERANCE = 25;
+
+function median(values) {
+  if (values.length === 0) {
+    return null;
+  }
+  
+  const sorted = [...values].sort((a, b) => a - b);
+  const middle = Math.floor(sorted.length / 2);
+  return sorted.length % 2 === 0
+    ? Math.round((sorted[middle - 1] + sorted[middle]) / 2)
+    : sorted[middle];
+}
+
+// observations: [{ gateway, nonce, error }] for one process, one per gateway
+function analyzeConsensus(observations, tolerance = DEFAULT_TOLERANCE) {
+  const answered = observations.filter(o => !o.error);
+  const slots = answered.map(o => parseInt(o.nonce, 10));
+  
+  if (answered.length < 2) {
+    return {
+      min: slots.length ? slots[0] : null,
+      max: slots.length ? slots[0] : null,
+      median: slots.length ? slots[0] : null,
+      spread: null,
+      outliers: [],
+      agreed: false
+    };
+  }
+  
+  // With three or more gateways the overall median is robust to a single lagging
+  // gateway; with only two there is no majority, so each is compared to the other
+  const outliers = [];
+  const overallMedian = median(slots);
+  answered.forEach((observation, index) => {
+    const peerMedian = answered.length === 2 ? slots[1 - index] : overallMedian;
+    const delta = slots[index] - peerMedian;
+    
+    if (Math.abs(delta) > tolerance) {
+      outliers.push({
+        gateway: observation.gateway,
+        nonce: observation.nonce,
+        peerMedian,
+        delta
+      });
+    }
+  });
+  
+  const min = Math.min(...slots);
+  const max = Math.max(...slots);
+  
+  return {
+    min,
+    max,
+    median: overallMedian,
+    spread: max - min,
+    outliers,
+    agreed: outliers.length === 0
+  };
+}
+
+function describeOutlier(outlier) {
+  const direction = outlier.delta < 0 ? 'behind' : 'ahead of';
+  return `${getGatewayName(outlier.gateway)} is ${Math.abs(outlier.delta)} slots ${direction} its peers`;
+}
+
+function selectConsensusAlerts(results) {
+  const divergences = results
+    .filter(r => !r.error && r.outliers.length > 0)
+    .map(r => ({
+      processId: r.processId,
+      min: r.min,
+      max: r.max,
+      median: r.median,
+      spread: r.spread,
+      outliers: r.outliers,
+      descriptions: r.outliers.map(describeOutlier),
+      timestamp: getTimestamp()
+    }));
+  
+  const errors = results
+    .filter(r => r.error)
+    .map(r => ({
+      processId: r.processId,
+      error: r.error,
+      timestamp: getTimestamp()
+    }));
+  
+  return { divergences, errors };
+}
+
+function generateConsensusSummary(results, options = {}) {
+  const total = results.length;
+  const agreed = results.filter(r => !r.error && r.agreed).length;
+  const divergent = results.filter(r => !r.error && !r.agreed).length;
+  const errors = results.filter(r => r.error).length;
+  
+  console.log(`\n=== ${options.title || 'CONSENSUS SUMMARY'} ===`);
+  console.log(`Total Processes: ${total}`);
+  console.log(`In Consensus: ${agreed} ✓`);
+  console.log(`Divergent: ${divergent} ✗`);
+  console.log(`Errors: ${errors} ⚠`);
+  
+  // Per-gateway view: how often each gateway answered and how often it was the outlier
+  const gatewayStats = {};
+  results.forEach(r => {
+    (r.gateways || []).forEach(o => {
+      const gateway = getGatewayName(o.gateway);
+      if (!gatewayStats[gateway]) {
+        gatewayStats[gateway] = { total: 0, errors: 0, outliers: 0 };
+      }
+      gatewayStats[gateway].total++;
+      if (o.error) gatewayStats[gateway].errors++;
+    });
+    (r.outliers || []).forEach(o => {
+      gatewayStats[getGatewayName(o.gateway)].outliers++;
+    });
+  });
+  
+  console.log('\n=== GATEWAY CONSENSUS ===');
+  Object.entries(gatewayStats).forEach(([gateway, stats]) => {
+    console.log(`${gateway}: ${stats.total} queries, ${stats.errors} errors, outlier for ${stats.outliers} processes`);
+  });
+  
+  results.filter(r => !r.error && !r.agreed).forEach(r => {
+    console.log(`\n[${truncateProcessId(r.processId)}] spread ${r.spread} (min ${r.min}, median ${r.median}, max ${r.max})`);
+    r.outliers.forEach(o => console.log(`  ${describeOutlier(o)}`));
+  });
+  
+  return options.failOnErrors && errors > 0 ? 1 : 0;
+}
+
+function buildConsensusSlackMessage(divergences, errors, options = {}) {
+  const footer = options.footer || 'AO Network Nonce Monitor';
+  
+  let text = '🚨 AO Network Gateway Consensus Alert';
+  if (options.context) {
+    text += ` - ${options.context}`;
+  }
+  
+  const summaryParts = [];
+  if (divergences.length > 0) {
+    summaryParts.push(`${divergences.length} processes with diverging gateways`);
+  }
+  if (errors.length > 0) {
+    summaryParts.push(`${errors.length} check errors`);
+  }
+  if (summaryParts.length > 0) {
+    text += `\n${summaryParts.join(', ')}`;
+  }
+  
+  const attachments = divergences.slice(0, 8).map(divergence => {
+    const worst = Math.max(...divergence.outliers.map(o => Math.abs(o.delta)));
+    
+    return {
+      color: worst >= 100 ? 'danger' : 'warning',
+      fields: [
+        { title: 'Process ID', value: truncateProcessId(divergence.processId), short: true },
+        { title: 'Spread', value: `${divergence.spread} slots (median ${divergence.median})`, short: true },
+        { title: 'Outliers', value: divergence.descriptions.join('\n'), short: false }
+      ]
+    };
+  });
+  
+  if (divergences.length > 8) {
+    attachments.push({
+      color: 'warning',
+      text: `... and ${divergences.length - 8} more divergent processes`
+    });
+  }
+  
+  if (errors.length > 0) {
+    attachments.push({
+      color: 'warning',
+      text: errors.slice(0, 3).map(e => `• [${truncateProcessId(e.processId)}]: ${e.error.substring(0, 100)}`).join('\n') +
+        (errors.length > 3 ? `\n... and ${errors.length - 3} more errors` : '')
+    });
+  }
+  
+  attachments.push({
+    color: 'good',
+    fields: [{ title: 'Timestamp', value: getTimestamp(), short: false }],
+    footer,
+    ts: Math.floor(Date.now() / 1000)
+  });
+  
+  return {
+    text,
+    attachments,
+    footer,
+    ts: Math.floor(Date.now() / 1000)
+  };
+}
+
+module.exports = {
+  DEFAULT_TOLERANCE,
+  median,
+  analyzeConsensus,
+  describeOutlier,
+  selectConsensusAlerts,
+  generateConsensusSummary,
+  buildConsensusSlackMessage
+};
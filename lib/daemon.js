@@ -0,0 +1,165 @@
+const { logError, logInfo } = require('./log');
+
+const DEFAULT_INTERVAL = 300000; // 5 minutes, same cadence as the cron setup
+const DEFAULT_SHUTDOWN_TIMEOUT = 60000;
+
+function formatDuration(ms) {
+  if (ms < 1000) {
+    return `${ms}ms`;
+  }
+  if (ms < 60000) {
+    return `${Math.round(ms / 1000)}s`;
+  }
+  return `${Math.round(ms / 60000)}m`;
+}
+
+// Runs `task` every `interval` ms inside one process; a run is never started while another is in flight
+function createDaemon(task, options = {}) {
+  const interval = options.interval || DEFAULT_INTERVAL;
+  const name = options.name || 'monitor';
+  const status = {
+    running: false,
+    stopping: false,
+    runs: 0,
+    failures: 0,
+    skipped: 0,
+    lastStartedAt: null,
+    lastFinishedAt: null,
+    lastError: null,
+    nextRunAt: null
+  };
+  let timer = null;
+  let inFlight = null;
+  let stopped = null;
+  
+  function schedule(delay) {
+    if (status.stopping) {
+      return;
+    }
+    status.nextRunAt = new Date(Date.now() + delay).toISOString();
+    timer = setTimeout(tick, delay);
+  }
+  
+  async function runOnce() {
+    if (inFlight) {
+      status.skipped++;
+      logInfo(null, `Previous ${name} run still in progress, skipping this one`);
+      return null;
+    }
+    
+    const startedAt = Date.now();
+    status.running = true;
+    status.lastStartedAt = new Date(startedAt).toISOString();
+    
+    inFlight = (async () => {
+      try {
+        const result = await task(status);
+        status.lastError = null;
+        return result;
+      } catch (error) {
+        status.failures++;
+        status.lastError = error.message;
+        logError(null, `${name} run failed: ${error.message}`);
+        return null;
+      } finally {
+        status.runs++;
+        status.running = false;
+        status.lastFinishedAt = new Date().toISOString();
+        inFlight = null;
+      }
+    })();
+    
+    return inFlight;
+  }
+  
+  async function tick() {
+    timer = null;
+    const startedAt = Date.now();
+    await runOnce();
+    
+    // Keep a fixed cadence; a run that overran the interval is followed immediately by the next one
+    const elapsed = Date.now() - startedAt;
+    schedule(Math.max(0, interval - elapsed));
+  }
+  
+  return {
+    status,
+    runOnce,
+    
+    start() {
+      logInfo(null, `Starting ${name} in watch mode, interval ${formatDuration(interval)}`);
+      stopped = null;
+      status.stopping = false;
+      schedule(0);
+    },
+    
+    // Resolves once the in-flight run (if any) has finished
+    stop() {
+      if (stopped) {
+        return stopped;
+      }
+      
+      status.stopping = true;
+      status.nextRunAt = null;
+      if (timer) {
+        clearTimeout(timer);
+        timer = null;
+      }
+      
+      stopped = (inFlight || Promise.resolve()).then(() => {
+        logInfo(null, `${name} stopped after ${status.runs} runs`);
+      });
+      return stopped;
+    }
+  };
+}
+
+// Starts the daemon and stops it cleanly on SIGTERM/SIGINT; a second signal exits immediately
+function runDaemon(task, options = {}) {
+  const daemon = createDaemon(task, options);
+  const shutdownTimeout = options.shutdownTimeout || DEFAULT_SHUTDOWN_TIMEOUT;
+  const signals = ['SIGTERM', 'SIGINT'];
+  
+  const done = new Promise(resolve => {
+    function onSignal(signal) {
+      if (daemon.status.stopping) {
+        logError(null, `Received ${signal} again, exiting without waiting for the current run`);
+        process.exit(1);
+      }
+      
+      logInfo(null, `Received ${signal}, finishing current run before shutting down`);
+      const forceExit = setTimeout(() => {
+        logError(null, `Current run did not finish within ${formatDuration(shutdownTimeout)}, exiting`);
+        process.exit(1);
+      }, shutdownTimeout);
+      forceExit.unref();
+      
+      daemon.stop().then(() => {
+        clearTimeout(forceExit);
+        signals.forEach(s => process.removeListener(s, onSignal));
+        resolve(daemon.status);
+      });
+    }
+    
+    signals.forEach(signal => process.on(signal, onSignal));
+  });
+  
+  daemon.start();
+  return { daemon, done };
+}
+
+function getWatchConfigFromEnv(argv = process.argv) {
+  return {
+    enabled: process.env.WATCH_MODE === 'true' || argv.includes('--watch'),
+    interval: parseInt(process.env.WATCH_INTERVAL || String(DEFAULT_INTERVAL), 10),
+    shutdownTimeout: parseInt(process.env.WATCH_SHUTDOWN_TIMEOUT || String(DEFAULT_SHUTDOWN_TIMEOUT), 10)
+  };
+}
+
+module.exports = {
+  DEFAULT_INTERVAL,
+  createDaemon,
+  runDaemon,
+  getWatchConfigFromEnv,
+  formatDuration
+};
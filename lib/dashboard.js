@@ -0,0 +1,248 @@
+const fs = require('fs');
+const { getGatewayName, getSchedulerName, truncateProcessId, logError } = require('./log');
+const { SEVERITY_COLORS } = require('./slack');
+const { summarizeResults } = require('./engine');
+
+const DEFAULT_TITLE = 'AO Network Nonce Monitor';
+const SPARKLINE_POINTS = 30;
+// Slack's own attachment colors, so a row looks like the alert it would send
+const SLACK_HEX = {
+  good: '#2eb886',
+  warning: '#daa038',
+  danger: '#a30200'
+};
+const UNCHECKED_COLOR = '#9e9e9e';
+const STATUS_RANK = { unchecked: 0, 'in-sync': 1, behind: 2, warning: 3, error: 4, critical: 5, failed: 6 };
+
+function getDashboardConfigFromEnv() {
+  return {
+    file: process.env.DASHBOARD_FILE || null,
+    title: process.env.DASHBOARD_TITLE || DEFAULT_TITLE
+  };
+}
+
+function escapeHtml(value) {
+  return String(value === null || value === undefined ? '' : value)
+    .replace(/&/g, '&amp;')
+    .replace(/</g, '&lt;')
+    .replace(/>/g, '&gt;')
+    .replace(/"/g, '&quot;');
+}
+
+// Same color choice as the Slack attachments: errors are warnings, mismatches go by severity
+function describeRow(result) {
+  if (!result) {
+    return { status: 'unchecked', label: 'Unchecked', color: UNCHECKED_COLOR };
+  }
+  if (result.error) {
+    return { status: 'failed', label: 'Check error', color: SLACK_HEX.warning };
+  }
+  if (result.match) {
+    return { status: 'in-sync', label: 'In sync', color: SLACK_HEX.good };
+  }
+  const severity = result.severity || null;
+  return {
+    status: severity || 'behind',
+    label: severity ? `Behind (${severity})` : 'Behind',
+    color: SLACK_HEX[SEVERITY_COLORS[severity] || 'good']
+  };
+}
+
+function renderSparkline(records, color) {
+  const diffs = (records || []).filter(r => !r.error && r.diff !== null).map(r => r.diff);
+  if (diffs.length < 2) {
+    return '';
+  }
+  
+  const width = 120;
+  const height = 24;
+  const highest = Math.max(...diffs);
+  const max = Math.max(highest, 1);
+  const points = diffs.map((diff, i) => {
+    const x = (i / (diffs.length - 1)) * width;
+    const y = height - 2 - (diff / max) * (height - 4);
+    return `${x.toFixed(1)},${y.toFixed(1)}`;
+  }).join(' ');
+  
+  return `<svg class="spark" width="${width}" height="${height}" viewBox="0 0 ${width} ${height}" role="img">` +
+    `<title>Lag over the last ${diffs.length} checks: ${Math.min(...diffs)} to ${highest} slots</title>` +
+    `<polyline fill="none" stroke="${color}" stroke-width="1.5" points="${points}"/></svg>`;
+}
+
+function cell(content, sortValue, className = '') {
+  const value = sortValue === undefined ? content : sortValue;
+  return `<td${className ? ` class="${className}"` : ''} data-value="${escapeHtml(value)}">${content === '' ? '—' : content}</td>`;
+}
+
+function renderProcessRow(entry, result, sparkline) {
+  const row = describeRow(result);
+  const r = result || {};
+  const checkedAt = r.checkedAt ? Date.parse(r.checkedAt) : '';
+  const cells = [
+    `<td class="status" style="border-left-color:${row.color}" data-value="${STATUS_RANK[row.status]}">${escapeHtml(row.label)}</td>`,
+    cell(`<span title="${escapeHtml(entry.processId)}">${escapeHtml(truncateProcessId(entry.processId))}</span>`, entry.processId, 'mono'),
+    cell(escapeHtml(getGatewayName(entry.gateway)), getGatewayName(entry.gateway)),
+    cell(escapeHtml(r.stateNonce), r.stateNonce, 'num'),
+    cell(escapeHtml(r.suRouterNonce), r.suRouterNonce, 'num'),
+    cell(escapeHtml(r.error ? '' : r.diff), r.error ? '' : r.diff, 'num'),
+    cell(escapeHtml(r.scheduler ? getSchedulerName(r.scheduler) : ''), r.scheduler ? getSchedulerName(r.scheduler) : ''),
+    cell(r.checkedAt ? `<time datetime="${escapeHtml(r.checkedAt)}">${escapeHtml(r.checkedAt.replace('T', ' ').replace(/\.\d+Z$/, 'Z'))}</time>` : '', checkedAt),
+    cell(escapeHtml(r.error || ''), r.error || '', 'error')
+  ];
+  if (sparkline !== undefined) {
+    cells.push(cell(sparkline, ''));
+  }
+  return `<tr>${cells.join('')}</tr>`;
+}
+
+function renderGatewayRows(summary) {
+  return Object.entries(summary.gateways).map(([gateway, stats]) => {
+    const color = stats.errors === 0 ? SLACK_HEX.good : stats.errors === stats.total ? SLACK_HEX.danger : SLACK_HEX.warning;
+    return `<tr><td class="status" style="border-left-color:${color}" data-value="${escapeHtml(gateway)}">${escapeHtml(gateway)}</td>` +
+      `${cell(stats.total, stats.total, 'num')}${cell(stats.errors, stats.errors, 'num')}` +
+      `${cell(`${stats.successRate.toFixed(1)}%`, stats.successRate, 'num')}${cell(`${stats.averageDuration}ms`, stats.averageDuration, 'num')}</tr>`;
+  }).join('\n');
+}
+
+const STYLES = `
+body { font-family: -apple-system, BlinkMacSystemFont, "Segoe UI", Roboto, sans-serif; margin: 24px; color: #1d1c1d; background: #f8f8f8; }
+h1 { font-size: 22px; margin: 0 0 4px; }
+h2 { font-size: 16px; margin: 28px 0 8px; }
+.meta { color: #616061; font-size: 13px; margin: 0 0 16px; }
+.cards { display: flex; flex-wrap: wrap; gap: 12px; }
+.card { background: #fff; border-radius: 6px; border-left: 6px solid #ddd; padding: 10px 16px; min-width: 110px; }
+.card b { display: block; font-size: 22px; }
+.card span { color: #616061; font-size: 12px; }
+table { border-collapse: collapse; background: #fff; font-size: 13px; width: 100%; }
+th, td { padding: 6px 10px; border-bottom: 1px solid #eee; text-align: left; white-space: nowrap; }
+th { cursor: pointer; user-select: none; background: #f1f1f1; position: sticky; top: 0; }
+th[data-order="asc"]::after { content: " ▲"; }
+th[data-order="desc"]::after { content: " ▼"; }
+td.status { border-left: 6px solid transparent; }
+td.num { text-align: right; font-variant-numeric: tabular-nums; }
+td.mono { font-family: SFMono-Regular, Menlo, monospace; }
+td.error { color: #a30200; white-space: normal; max-width: 360px; }
+.spark { vertical-align: middle; }
+`;
+
+// Sorts by each cell's data-value; numeric columns compare as numbers with blanks last
+const SORT_SCRIPT = `
+document.querySelectorAll('table.sortable th').forEach(function (th, index) {
+  th.addEventListener('click', function () {
+    var table = th.closest('table');
+    var numeric = th.dataset.type === 'number';
+    var ascending = th.dataset.order !== 'asc';
+    table.querySelectorAll('th').forEach(function (other) { delete other.dataset.order; });
+    th.dataset.order = ascending ? 'asc' : 'desc';
+    var rows = Array.prototype.slice.call(table.tBodies[0].rows);
+    rows.sort(function (a, b) {
+      var x = a.cells[index].dataset.value;
+      var y = b.cells[index].dataset.value;
+      if (x === '' || y === '') { return x === y ? 0 : x === '' ? 1 : -1; }
+      var order = numeric ? parseFloat(x) - parseFloat(y) : x.localeCompare(y);
+      return ascending ? order : -order;
+    });
+    rows.forEach(function (row) { table.tBodies[0].appendChild(row); });
+  });
+});
+`;
+
+function renderHeader(columns) {
+  return `<tr>${columns.map(([label, type]) => `<th data-type="${type}">${escapeHtml(label)}</th>`).join('')}</tr>`;
+}
+
+// One self-contained page: inline styles, script and SVG, so it can be opened from disk or served as is
+function renderDashboard(options = {}) {
+  const title = options.title || DEFAULT_TITLE;
+  const processes = options.processes || [];
+  const lastResults = options.lastResults || {};
+  const generatedAt = options.generatedAt || new Date().toISOString();
+  const results = processes.map(p => lastResults[p.processId]).filter(Boolean);
+  const summary = summarizeResults(results);
+  
+  let recent = null;
+  if (options.history) {
+    try {
+      recent = options.history.recentByProcess(SPARKLINE_POINTS);
+    } catch (error) {
+      logError(null, `Failed to read check history for the dashboard: ${error.message}`);
+    }
+  }
+  
+  const columns = [
+    ['Status', 'number'], ['Process', 'text'], ['Gateway', 'text'], ['State nonce', 'number'], ['SU nonce', 'number'],
+    ['Diff', 'number'], ['Scheduler', 'text'], ['Last checked', 'number'], ['Error', 'text'],
+    ...(recent ? [[`Lag (last ${SPARKLINE_POINTS})`, 'text']] : [])
+  ];
+  const rows = processes.map(entry => {
+    const result = lastResults[entry.processId];
+    const sparkline = recent ? renderSparkline(recent[entry.processId], describeRow(result).color) : undefined;
+    return renderProcessRow(entry, result, sparkline);
+  });
+  const unchecked = processes.length - results.length;
+  const cards = [
+    ['Processes', processes.length, '#ddd'],
+    ['In sync', summary.matches, SLACK_HEX.good],
+    ['Behind', summary.mismatches, summary.bySeverity.critical > 0 ? SLACK_HEX.danger : SLACK_HEX.warning],
+    ['Check errors', summary.errors, SLACK_HEX.warning],
+    ...(unchecked > 0 ? [['Unchecked', unchecked, UNCHECKED_COLOR]] : []),
+    ['Success rate', `${summary.successRate.toFixed(1)}%`, '#ddd'],
+    ['Avg response', `${summary.averageDuration}ms`, '#ddd']
+  ];
+  
+  return `<!DOCTYPE html>
+<html lang="en">
+<head>
+<meta charset="utf-8">
+<meta name="viewport" content="width=device-width, initial-scale=1">
+${options.refresh ? `<meta http-equiv="refresh" content="${options.refresh}">\n` : ''}<title>${escapeHtml(title)}</title>
+<style>${STYLES}</style>
+</head>
+<body>
+<h1>${escapeHtml(title)}</h1>
+<p class="meta">Generated ${escapeHtml(generatedAt)}${options.refresh ? ` · refreshes every ${options.refresh}s` : ''}</p>
+<div class="cards">
+${cards.map(([label, value, color]) => `<div class="card" style="border-left-color:${color}"><b>${escapeHtml(value)}</b><span>${escapeHtml(label)}</span></div>`).join('\n')}
+</div>
+<h2>Processes</h2>
+<table class="sortable" id="processes">
+<thead>${renderHeader(columns)}</thead>
+<tbody>
+${rows.join('\n')}
+</tbody>
+</table>
+<h2>Gateways</h2>
+<table class="sortable" id="gateways">
+<thead>${renderHeader([['Gateway', 'text'], ['Processes', 'number'], ['Errors', 'number'], ['Success rate', 'number'], ['Avg response', 'number']])}</thead>
+<tbody>
+${renderGatewayRows(summary)}
+</tbody>
+</table>
+<script>${SORT_SCRIPT}</script>
+</body>
+</html>
+`;
+}
+
+// Writes the dashboard after every run; the temp file and rename keep a browser or web server from reading half a page
+function createDashboardReporter(options = {}) {
+  return {
+    name: 'dashboard',
+    report(run) {
+      if (!options.file) {
+        return;
+      }
+      const html = renderDashboard({ ...run, title: options.title });
+      const tempFile = `${options.file}.${process.pid}.tmp`;
+      fs.writeFileSync(tempFile, html, 'utf8');
+      fs.renameSync(tempFile, options.file);
+    }
+  };
+}
+
+module.exports = {
+  DEFAULT_TITLE,
+  getDashboardConfigFromEnv,
+  renderDashboard,
+  createDashboardReporter
+};
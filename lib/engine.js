@@ -0,0 +1,1007 @@
+const fs = require('fs');
+const { getTimestamp, getGatewayName, getSchedulerName, formatGatewayLabel, logError, logInfo, logResult } = require('./log');
+const { getSource, fetchNonce } = require('./sources');
+const { mapWithConcurrency } = require('./pool');
+const { createSchedulerResolver } = require('./scheduler');
+const slotBoundary = require('./slot-boundary');
+const { detectStall, getStallConfigFromEnv } = require('./stall');
+const { computeProgress, formatProgress } = require('./progress');
+const { ALERT_TYPES, createAlertTracker, getAlertConfigFromEnv } = require('./alert-state');
+const { DEFAULT_SILENCES_FILE, loadSilences, isActive, findSilence, applySilences } = require('./silence');
+const { DEFAULT_THRESHOLDS, getThresholdConfigFromEnv, toThresholds, resolveThresholds, classifyLag, compareSeverity } = require('./thresholds');
+const consensus = require('./consensus');
+
+const DEFAULT_THRESHOLD = DEFAULT_THRESHOLDS.warning;
+
+function parseList(value) {
+  return (value || '')
+    .split(',')
+    .map(item => item.trim())
+    .filter(Boolean);
+}
+
+function getConfigFromEnv(defaults = {}) {
+  return {
+    requestTimeout: parseInt(process.env.REQUEST_TIMEOUT || String(defaults.requestTimeout || 10000), 10),
+    sources: {
+      state: {
+        adapter: process.env.STATE_SOURCE || 'hyperbeam-state',
+        url: process.env.STATE_URL || undefined,
+        fallbacks: parseList(process.env.STATE_FALLBACK_URLS)
+      },
+      suRouter: {
+        adapter: process.env.SU_ROUTER_SOURCE || 'su-router',
+        url: process.env.SU_ROUTER_URL || undefined
+      }
+    },
+    discovery: {
+      enabled: process.env.SCHEDULER_DISCOVERY === 'true',
+      cacheFile: process.env.SCHEDULER_CACHE_FILE || undefined,
+      ttl: parseInt(process.env.SCHEDULER_CACHE_TTL || '3600000', 10)
+    },
+    slotBoundary: {
+      enabled: process.env.SLOT_BOUNDARY_MODE === 'true' || process.argv.includes('--slot-boundary'),
+      interval: parseInt(process.env.SLOT_INTERVAL || String(slotBoundary.DEFAULT_SLOT_INTERVAL), 10),
+      tolerance: parseInt(process.env.SLOT_TOLERANCE || String(slotBoundary.DEFAULT_SLOT_TOLERANCE), 10),
+      stateFile: process.env.SLOT_STATE_FILE || slotBoundary.DEFAULT_STATE_FILE,
+      force: process.env.SLOT_FORCE_RUN === 'true'
+    },
+    stall: getStallConfigFromEnv(),
+    alertRepeatInterval: parseInt(process.env.ALERT_REPEAT_INTERVAL || '3600000', 10),
+    silencesFile: process.env.SILENCES_FILE || DEFAULT_SILENCES_FILE,
+    ...getThresholdConfigFromEnv(),
+    concurrency: parseInt(process.env.CONCURRENCY || String(defaults.concurrency || 10), 10),
+    gatewayConcurrency: parseInt(process.env.GATEWAY_CONCURRENCY || String(defaults.gatewayConcurrency || 5), 10),
+    retry: {
+      maxRetries: parseInt(process.env.SU_ROUTER_MAX_RETRIES || '5', 10),
+      baseDelay: parseInt(process.env.SU_ROUTER_BASE_DELAY || '1000', 10),
+      maxDelay: parseInt(process.env.SU_ROUTER_MAX_DELAY || '30000', 10)
+    }
+  };
+}
+
+function isValidProcessId(id) {
+  return typeof id === 'string' && id.trim().length > 0;
+}
+
+function loadConfig(filePath) {
+  try {
+    const content = fs.readFileSync(filePath, 'utf8');
+    const lines = content.split('\n');
+    const processIds = [];
+    
+    for (let i = 0; i < lines.length; i++) {
+      const line = lines[i].trim();
+      
+      if (line === '' || line.startsWith('#')) {
+        continue;
+      }
+      
+      if (isValidProcessId(line)) {
+        processIds.push(line);
+      } else {
+        console.warn(`[${getTimestamp()}] WARNING: Invalid process ID on line ${i + 1}: "${line}"`);
+      }
+    }
+    
+    if (processIds.length === 0) {
+      throw new Error('No valid process IDs found in config file');
+    }
+    
+    return processIds;
+  } catch (error) {
+    if (error.code === 'ENOENT') {
+      throw new Error(`Config file not found: ${filePath}`);
+    }
+    throw error;
+  }
+}
+
+// Process map values are either a gateway URL or an object with gateway and scheduler URLs
+function mapEntryToProcess(processId, value) {
+  if (value && typeof value === 'object') {
+    const entry = { processId, gateway: value.gateway, scheduler: value.scheduler };
+    ['labels', 'owner', 'threshold', 'thresholds'].filter(key => value[key] !== undefined).forEach(key => {
+      entry[key] = value[key];
+    });
+    return entry;
+  }
+  return { processId, gateway: value };
+}
+
+function loadProcessMap(filePath = 'process-map.json') {
+  try {
+    const processMapContent = fs.readFileSync(filePath, 'utf8');
+    return JSON.parse(processMapContent);
+  } catch (error) {
+    throw new Error(`Failed to load ${filePath}: ${error.message}`);
+  }
+}
+
+async function fetchStateNonce(processId, options = {}) {
+  return fetchNonce(getSource(options.adapter || 'hyperbeam-state'), processId, options);
+}
+
+async function fetchSURouterNonce(processId, options = {}) {
+  return fetchNonce(getSource(options.adapter || 'su-router'), processId, options);
+}
+
+// Resolves the adapter for a source slot; switching adapters drops an inherited base URL
+function resolveSourceSettings(base = {}, overrides = {}) {
+  const adapterChanged = overrides.adapter && overrides.adapter !== base.adapter;
+  const merged = { ...base, ...(adapterChanged ? { url: undefined } : {}), ...overrides };
+  const adapter = getSource(merged.adapter);
+  
+  return { ...merged, adapter, url: merged.url || adapter.baseUrl };
+}
+
+// Tries the process's own gateway first, then each configured fallback in order
+async function fetchStateNonceWithFallback(processId, gateway, options = {}) {
+  const gateways = [gateway, ...(options.fallbacks || []).filter(url => url !== gateway)];
+  const failures = [];
+  
+  for (let i = 0; i < gateways.length; i++) {
+    try {
+      const nonce = await fetchStateNonce(processId, { ...options, url: gateways[i] });
+      return { nonce, gateway: gateways[i] };
+    } catch (error) {
+      failures.push({ gateway: gateways[i], error });
+      
+      if (i + 1 < gateways.length) {
+        logInfo(processId, `State fetch via ${getGatewayName(gateways[i])} failed, trying ${getGatewayName(gateways[i + 1])}: ${error.message}`);
+      }
+    }
+  }
+  
+  if (failures.length === 1) {
+    throw failures[0].error;
+  }
+  
+  const details = failures.map(f => `${getGatewayName(f.gateway)}: ${f.error.message}`).join('; ');
+  throw new Error(`All ${failures.length} state gateways failed (${details})`);
+}
+
+function normalizeProcesses(processes, defaultGateway) {
+  return processes.map(entry => {
+    if (typeof entry === 'string') {
+      return { processId: entry, gateway: defaultGateway };
+    }
+    return { ...entry, gateway: entry.gateway || defaultGateway };
+  });
+}
+
+// Per-process scheduler wins, then discovery through the router, then the global scheduler URL
+async function resolveScheduler(entry, options = {}) {
+  const sources = options.sources || {};
+  const fallback = sources.suRouter && sources.suRouter.url;
+  
+  if (entry.scheduler) {
+    return entry.scheduler;
+  }
+  
+  if (options.discovery) {
+    try {
+      return await options.discovery.resolve(entry.processId);
+    } catch (error) {
+      logInfo(entry.processId, `${error.message}, falling back to ${getSchedulerName(fallback)}`);
+    }
+  }
+  
+  return fallback;
+}
+
+async function checkProcess(entry, options = {}) {
+  const { processId, gateway } = entry;
+  const sources = options.sources || {};
+  const startTime = Date.now();
+  let scheduler = entry.scheduler || (sources.suRouter && sources.suRouter.url);
+  const durations = { state: null, suRouter: null };
+  let retries = 0;
+  const onRequest = request => {
+    retries += request.retries || 0;
+    if (options.metrics) {
+      options.metrics.observeRequest(request);
+    }
+  };
+  const timed = (key, promise) => promise.finally(() => {
+    durations[key] = Date.now() - startTime;
+  });
+  
+  try {
+    scheduler = await resolveScheduler(entry, options);
+    
+    const [state, suRouterNonce] = await Promise.all([
+      timed('state', fetchStateNonceWithFallback(processId, gateway || (sources.state && sources.state.url), {
+        ...sources.state,
+        timeout: options.requestTimeout,
+        onRequest
+      })),
+      timed('suRouter', fetchSURouterNonce(processId, { ...sources.suRouter, url: scheduler, timeout: options.requestTimeout, retry: options.retry, onRequest }))
+    ]);
+    
+    const stateNonce = state.nonce;
+    const match = String(stateNonce) === String(suRouterNonce);
+    const diff = Math.abs(parseInt(stateNonce) - parseInt(suRouterNonce));
+    
+    return {
+      processId,
+      stateNonce,
+      suRouterNonce,
+      match,
+      diff,
+      severity: classifyLag(diff, entry.thresholds || DEFAULT_THRESHOLDS),
+      gateway,
+      stateGateway: state.gateway,
+      scheduler,
+      duration: Date.now() - startTime,
+      stateDuration: durations.state,
+      suRouterDuration: durations.suRouter,
+      retries,
+      error: null
+    };
+  } catch (error) {
+    return {
+      processId,
+      stateNonce: null,
+      suRouterNonce: null,
+      match: false,
+      diff: null,
+      severity: null,
+      gateway,
+      stateGateway: null,
+      scheduler,
+      duration: Date.now() - startTime,
+      stateDuration: durations.state,
+      suRouterDuration: durations.suRouter,
+      retries,
+      error: error.message
+    };
+  }
+}
+
+// Queries the state slot for one process on every gateway in the consensus set
+async function checkConsensus(entry, options = {}) {
+  const { processId } = entry;
+  const sources = options.sources || {};
+  const settings = options.consensus || {};
+  const startTime = Date.now();
+  const scheduler = await resolveScheduler(entry, options);
+  const onRequest = options.metrics ? options.metrics.observeRequest : undefined;
+  
+  const [observations, suRouter] = await Promise.all([
+    Promise.all((settings.gateways || []).map(async gateway => {
+      try {
+        const nonce = await fetchStateNonce(processId, { ...sources.state, url: gateway, timeout: options.requestTimeout, onRequest });
+        return { gateway, nonce, error: null };
+      } catch (error) {
+        return { gateway, nonce: null, error: error.message };
+      }
+    })),
+    fetchSURouterNonce(processId, { ...sources.suRouter, url: scheduler, timeout: options.requestTimeout, retry: options.retry, onRequest })
+      .then(nonce => ({ nonce, error: null }))
+      .catch(error => ({ nonce: null, error: error.message }))
+  ]);
+  
+  const analysis = consensus.analyzeConsensus(observations, settings.tolerance);
+  const answered = observations.filter(o => !o.error).length;
+  
+  return {
+    processId,
+    gateways: observations,
+    ...analysis,
+    suRouterNonce: suRouter.nonce,
+    scheduler,
+    duration: Date.now() - startTime,
+    error: answered < 2
+      ? `Consensus needs at least 2 answering gateways, got ${answered} (${observations.filter(o => o.error).map(o => `${getGatewayName(o.gateway)}: ${o.error}`).join('; ')})`
+      : null
+  };
+}
+
+async function checkAllConsensus(processes, options = {}) {
+  const gateways = (options.consensus && options.consensus.gateways) || [];
+  
+  logInfo(null, `Checking consensus for ${processes.length} processes across ${gateways.length} gateways (${gateways.map(getGatewayName).join(', ')})`);
+  
+  return mapWithConcurrency(processes, entry => checkConsensus(entry, options), {
+    concurrency: options.concurrency || 1,
+    onResult: result => {
+      if (result.error) {
+        logError(result.processId, result.error);
+      } else {
+        const status = result.agreed ? '✓' : '✗';
+        const slots = result.gateways.map(o => `${getGatewayName(o.gateway)}=${o.error ? 'error' : o.nonce}`).join(', ');
+        logInfo(result.processId, `${status} Consensus spread ${result.spread} (median ${result.median}): ${slots}`);
+      }
+    }
+  });
+}
+
+function logCheckResult(result) {
+  if (result.error) {
+    logError(result.processId, result.error);
+  } else {
+    logResult(result.processId, result.stateNonce, result.suRouterNonce, formatGatewayLabel(result.gateway, result.stateGateway), getSchedulerName(result.scheduler), result.severity);
+  }
+}
+
+async function checkAllProcesses(processes, options = {}) {
+  const concurrency = options.concurrency || 1;
+  const gatewayConcurrency = options.gatewayConcurrency || concurrency;
+  const progressInterval = options.progressInterval || 10;
+  let errorCount = 0;
+  
+  if (processes.length > 1) {
+    logInfo(null, `Checking ${processes.length} processes (concurrency ${concurrency}, per-gateway ${gatewayConcurrency})`);
+  }
+  
+  return mapWithConcurrency(processes, entry => checkProcess(entry, options), {
+    concurrency,
+    keyConcurrency: gatewayConcurrency,
+    keyOf: entry => entry.gateway,
+    onResult: (result, completed, total) => {
+      logCheckResult(result);
+      
+      if (result.error) {
+        errorCount++;
+      }
+      
+      if (total > 1 && (completed % progressInterval === 0 || completed === total)) {
+        logInfo(null, `Progress: ${completed}/${total} processed, ${errorCount} errors so far`);
+      }
+    }
+  });
+}
+
+// Reads each process's current slot and keeps the ones with a boundary still to verify
+async function findDueProcesses(processes, tracker, options = {}) {
+  const sources = options.sources || {};
+  const { interval, tolerance } = tracker.settings;
+  const counts = {};
+  
+  const statuses = await mapWithConcurrency(processes, async entry => {
+    try {
+      const state = await fetchStateNonceWithFallback(entry.processId, entry.gateway || (sources.state && sources.state.url), {
+        ...sources.state,
+        timeout: options.requestTimeout,
+        onRequest: options.metrics ? options.metrics.observeRequest : undefined
+      });
+      
+      const status = options.force
+        ? { ...slotBoundary.getBoundaryStatus(state.nonce, undefined, { interval, tolerance: interval }), due: true, reason: 'forced' }
+        : tracker.evaluate(entry.processId, state.nonce);
+      return status;
+    } catch (error) {
+      // Let the full check surface the failure
+      return { slot: null, boundary: null, due: true, reason: 'slot-unavailable', skipped: 0 };
+    }
+  }, {
+    concurrency: options.concurrency || 1,
+    keyConcurrency: options.gatewayConcurrency,
+    keyOf: entry => entry.gateway
+  });
+  
+  const due = [];
+  statuses.forEach((status, i) => {
+    counts[status.reason] = (counts[status.reason] || 0) + 1;
+    
+    if (status.reason === 'missed-window') {
+      logInfo(processes[i].processId, `Slot ${status.slot} is past boundary ${status.boundary} that was never verified, verifying late`);
+    }
+    if (status.skipped > 0) {
+      logInfo(processes[i].processId, `${status.skipped} boundaries passed between runs and could not be verified`);
+    }
+    if (status.due) {
+      due.push({ ...processes[i], slot: status.slot, boundary: status.boundary });
+    }
+  });
+  
+  const breakdown = Object.entries(counts).map(([reason, count]) => `${count} ${reason}`).join(', ');
+  logInfo(null, `Slot boundaries (every ${interval}, tolerance ${tolerance}): ${due.length}/${processes.length} due (${breakdown})`);
+  
+  return due;
+}
+
+// The numbers behind the printed summary, for callers that want them as data
+function summarizeResults(results) {
+  const total = results.length;
+  const errors = results.filter(r => r.error).length;
+  
+  const gateways = {};
+  results.forEach(r => {
+    const gateway = getGatewayName(r.gateway);
+    if (!gateways[gateway]) {
+      gateways[gateway] = { total: 0, errors: 0, totalDuration: 0 };
+    }
+    gateways[gateway].total++;
+    if (r.error) gateways[gateway].errors++;
+    gateways[gateway].totalDuration += r.duration;
+  });
+  
+  const schedulers = {};
+  results.filter(r => r.scheduler).forEach(r => {
+    const scheduler = getSchedulerName(r.scheduler);
+    schedulers[scheduler] = (schedulers[scheduler] || 0) + 1;
+  });
+  
+  return {
+    total,
+    matches: results.filter(r => r.match && !r.error).length,
+    mismatches: results.filter(r => !r.match && !r.error).length,
+    errors,
+    bySeverity: Object.fromEntries(['critical', 'error', 'warning'].map(severity => [severity, results.filter(r => r.severity === severity).length])),
+    silenced: results.filter(r => r.silenced).length,
+    averageDuration: total > 0 ? Math.round(results.reduce((sum, r) => sum + r.duration, 0) / total) : 0,
+    successRate: total > 0 ? Number(((total - errors) / total * 100).toFixed(1)) : 0,
+    gateways: Object.fromEntries(Object.entries(gateways).map(([gateway, stats]) => [gateway, {
+      total: stats.total,
+      errors: stats.errors,
+      successRate: Number(((stats.total - stats.errors) / stats.total * 100).toFixed(1)),
+      averageDuration: Math.round(stats.totalDuration / stats.total)
+    }])),
+    schedulers
+  };
+}
+
+function generateSummary(results, options = {}) {
+  const summary = summarizeResults(results);
+  const { total, matches, mismatches, errors } = summary;
+  
+  console.log(`\n=== ${options.title || 'SUMMARY'} ===`);
+  console.log(`Total Processes: ${total}`);
+  console.log(`Matches: ${matches} ✓`);
+  console.log(`Mismatches: ${mismatches} ✗`);
+  const bySeverity = Object.entries(summary.bySeverity).filter(([, count]) => count > 0);
+  if (bySeverity.length > 0) {
+    console.log(`  By severity: ${bySeverity.map(([severity, count]) => `${count} ${severity}`).join(', ')}`);
+  }
+  console.log(`Errors: ${errors} ⚠`);
+  if (options.silenced && options.silenced.length > 0) {
+    console.log(`Silenced: ${options.silenced.length} 🔇`);
+  }
+  console.log(`Average Response Time: ${summary.averageDuration}ms`);
+  console.log(`Success Rate: ${summary.successRate.toFixed(1)}%`);
+  
+  (options.contextLines || []).forEach(line => console.log(line));
+  
+  if (errors > 0 && !options.failOnErrors) {
+    console.log('\nℹ️  Note: All processes were checked despite individual errors');
+    console.log('   Review individual process logs above for specific error details');
+  }
+  
+  // Gateway performance summary
+  console.log('\n=== GATEWAY PERFORMANCE ===');
+  Object.entries(summary.gateways).forEach(([gateway, stats]) => {
+    console.log(`${gateway}: ${stats.total} requests, ${stats.successRate.toFixed(1)}% success, ${stats.averageDuration}ms avg`);
+  });
+  
+  // Only worth a section once processes are spread over more than one scheduler
+  if (Object.keys(summary.schedulers).length > 1) {
+    console.log('\n=== SCHEDULERS ===');
+    Object.entries(summary.schedulers).forEach(([scheduler, count]) => {
+      console.log(`${scheduler}: ${count} processes`);
+    });
+  }
+  
+  const lagging = results.filter(r => !r.error && !r.match && r.progress);
+  if (lagging.length > 0) {
+    console.log('\n=== CATCH-UP ===');
+    lagging.forEach(r => console.log(`${r.processId}: ${r.diff} behind, ${formatProgress(r.progress)}`));
+  }
+  
+  const stalled = results.filter(r => r.stall);
+  if (stalled.length > 0) {
+    console.log('\n=== STALLED PROCESSES ===');
+    stalled.forEach(r => console.log(`${r.processId}: ${r.stall.description} [${r.stall.severity}]`));
+  }
+  
+  if (options.silenced && options.silenced.length > 0) {
+    console.log('\n=== SILENCED ===');
+    options.silenced.forEach(({ processId, type, silence }) => {
+      console.log(`${processId}: ${type} silenced until ${silence.end} - ${silence.reason}${silence.id ? ` (${silence.id})` : ''}`);
+    });
+  }
+  
+  const fallbacks = results.filter(r => r.stateGateway && r.stateGateway !== r.gateway);
+  if (fallbacks.length > 0) {
+    console.log(`\nFallback gateways answered for ${fallbacks.length} process(es):`);
+    fallbacks.forEach(r => console.log(`  ${r.processId}: ${formatGatewayLabel(r.gateway, r.stateGateway)}`));
+  }
+  
+  // One-shot cron runs fail on errors; workflow runs return 0 so reports still get generated.
+  // failOnSeverity also fails the run once an unsilenced process lags to that level or worse.
+  const severe = options.failOnSeverity
+    ? results.filter(r => r.severity && !r.silenced && compareSeverity(r.severity, options.failOnSeverity) >= 0).length
+    : 0;
+  if (severe > 0) {
+    console.log(`\n${severe} process(es) at ${options.failOnSeverity} or worse`);
+  }
+  return (options.failOnErrors && errors > 0) || severe > 0 ? 1 : 0;
+}
+
+// threshold is a number or a function of the process ID, for per-process thresholds
+function selectAlerts(results, threshold = DEFAULT_THRESHOLD) {
+  const mismatches = results
+    .filter(r => {
+      if (r.error || r.match) return false;
+      const diff = Math.abs(parseInt(r.stateNonce) - parseInt(r.suRouterNonce));
+      return diff >= (typeof threshold === 'function' ? threshold(r.processId) : threshold);
+    })
+    .map(r => ({
+      processId: r.processId,
+      stateNonce: r.stateNonce,
+      suRouterNonce: r.suRouterNonce,
+      diff: r.diff,
+      gateway: r.gateway,
+      stateGateway: r.stateGateway,
+      scheduler: r.scheduler,
+      boundary: r.boundary,
+      progress: r.progress || null,
+      severity: r.severity || 'warning',
+      timestamp: getTimestamp()
+    }));
+  
+  const errors = results
+    .filter(r => r.error)
+    .map(r => ({
+      processId: r.processId,
+      error: r.error,
+      gateway: r.gateway,
+      scheduler: r.scheduler,
+      timestamp: getTimestamp()
+    }));
+  
+  const stalls = results
+    .filter(r => r.stall)
+    .map(r => ({
+      processId: r.processId,
+      stateNonce: r.stateNonce,
+      suRouterNonce: r.suRouterNonce,
+      diff: r.diff,
+      gateway: r.gateway,
+      stateGateway: r.stateGateway,
+      scheduler: r.scheduler,
+      reason: r.stall.reason,
+      runs: r.stall.runs,
+      since: r.stall.since,
+      severity: r.stall.severity,
+      description: r.stall.description,
+      timestamp: getTimestamp()
+    }));
+  
+  return { mismatches, errors, stalls };
+}
+
+// Drops alerts already sent for the same process within the repeat interval; `alerted` maps
+// `${kind}:${processId}` to when that alert was last sent
+function suppressRepeatAlerts(alerts, alerted, repeatInterval, now = Date.now(), checked = null) {
+  const fresh = {};
+  const active = new Set();
+  let suppressed = 0;
+  
+  Object.entries(alerts).forEach(([kind, list]) => {
+    fresh[kind] = list.filter(alert => {
+      const key = `${kind}:${alert.processId}`;
+      active.add(key);
+      
+      if (repeatInterval > 0 && alerted[key] !== undefined && now - alerted[key] < repeatInterval) {
+        suppressed++;
+        return false;
+      }
+      alerted[key] = now;
+      return true;
+    });
+  });
+  
+  // A process that recovered alerts again straight away if it regresses; unchecked processes keep their history
+  Object.keys(alerted).forEach(key => {
+    const processId = key.slice(key.indexOf(':') + 1);
+    if (!active.has(key) && (!checked || checked.has(processId))) {
+      delete alerted[key];
+    }
+  });
+  
+  return { alerts: fresh, suppressed };
+}
+
+function hasAlerts(alerts) {
+  return Object.values(alerts).some(list => list.length > 0);
+}
+
+async function sendNotifications(notifiers, alerts, context) {
+  for (const notifier of notifiers) {
+    try {
+      await notifier.notify(alerts, context);
+    } catch (error) {
+      logError(null, `Notifier ${notifier.name || 'unknown'} failed: ${error.message}`);
+    }
+  }
+}
+
+// Notifiers that track their own incidents get every run's results, alerting or not
+async function reconcileNotifiers(notifiers, results, alerts, context) {
+  for (const notifier of notifiers) {
+    if (typeof notifier.reconcile !== 'function') {
+      continue;
+    }
+    
+    try {
+      await notifier.reconcile(results, alerts, context);
+    } catch (error) {
+      logError(null, `Notifier ${notifier.name || 'unknown'} failed to reconcile: ${error.message}`);
+    }
+  }
+}
+
+// Reporters get every run, alerting or not, once the monitor's state reflects it
+async function sendReports(reporters, run) {
+  for (const reporter of reporters) {
+    try {
+      await reporter.report(run);
+    } catch (error) {
+      logError(null, `Reporter ${reporter.name || 'unknown'} failed: ${error.message}`);
+    }
+  }
+}
+
+function createMonitor(options = {}) {
+  const envConfig = getConfigFromEnv();
+  const sources = {
+    state: resolveSourceSettings(envConfig.sources.state, options.sources && options.sources.state),
+    suRouter: resolveSourceSettings(envConfig.sources.suRouter, options.sources && options.sources.suRouter)
+  };
+  const discovery = { ...envConfig.discovery, ...options.discovery };
+  const boundaries = { ...envConfig.slotBoundary, ...options.slotBoundary };
+  const tracker = boundaries.enabled ? slotBoundary.createBoundaryTracker(boundaries) : null;
+  const settings = {
+    sources,
+    discovery: discovery.enabled
+      ? createSchedulerResolver({
+        routerUrl: sources.suRouter.url,
+        cacheFile: discovery.cacheFile,
+        ttl: discovery.ttl,
+        timeout: options.requestTimeout || envConfig.requestTimeout,
+        retry: { ...envConfig.retry, ...options.retry }
+      })
+      : null,
+    requestTimeout: options.requestTimeout || envConfig.requestTimeout,
+    retry: { ...envConfig.retry, ...options.retry },
+    concurrency: options.concurrency || envConfig.concurrency,
+    gatewayConcurrency: options.gatewayConcurrency || envConfig.gatewayConcurrency,
+    metrics: options.metrics || null,
+    consensus: {
+      gateways: (options.consensus && options.consensus.gateways) || [],
+      tolerance: options.consensus && options.consensus.tolerance !== undefined
+        ? options.consensus.tolerance
+        : consensus.DEFAULT_TOLERANCE
+    }
+  };
+  // threshold is the legacy single alert level; env levels win so they can override a config file
+  const thresholdSettings = {
+    global: { ...toThresholds(options.thresholds), ...toThresholds(options.threshold), ...envConfig.thresholds },
+    gateways: options.gatewayThresholds || {}
+  };
+  const processes = normalizeProcesses(options.processes || [], sources.state.url)
+    .map(entry => ({ ...entry, thresholds: resolveThresholds(entry, thresholdSettings) }));
+  const notifiers = options.notifiers || [];
+  const reporters = options.reporters || [];
+  const failOnSeverity = options.failOnSeverity !== undefined ? options.failOnSeverity : envConfig.failOnSeverity;
+  const context = options.context || {};
+  const history = options.history || null;
+  const metrics = settings.metrics;
+  const stallSettings = { ...envConfig.stall, ...options.stall };
+  // Progress needs the previous observation even when stall detection is off
+  const observationWindow = Math.max(2, stallSettings.enabled ? Math.max(stallSettings.runs || 0, stallSettings.frozenRuns || 0) : 0);
+  const alertRepeatInterval = options.alertRepeatInterval !== undefined
+    ? options.alertRepeatInterval
+    : envConfig.alertRepeatInterval;
+  // The CLI wrappers pass a file-backed tracker; without one alert state lives in memory only
+  const alertState = options.alertState || createAlertTracker({ ...getAlertConfigFromEnv(), ...options.alerting, stateFile: null });
+  
+  const processesById = new Map(processes.map(p => [p.processId, p]));
+  const lookupProcess = processId => processesById.get(processId);
+  const thresholdsFor = processId => {
+    const entry = lookupProcess(processId);
+    return entry ? entry.thresholds : resolveThresholds({}, thresholdSettings);
+  };
+  const silencesFile = options.silencesFile !== undefined ? options.silencesFile : envConfig.silencesFile;
+  
+  // Lives as long as the monitor, so watch mode carries it from one run to the next
+  const state = {
+    runs: 0,
+    lastRunAt: null,
+    lastResults: {},
+    observations: {}
+  };
+  
+  function evaluateAlerts(alerts, results, scope) {
+    const evaluation = alertState.evaluate(alerts, results.map(r => r.processId), new Date().toISOString(), scope);
+    
+    evaluation.pending.forEach(p => {
+      logInfo(p.processId, `Alert pending: ${p.type} on ${p.count}/${p.runs} consecutive checks`);
+    });
+    evaluation.flapping.forEach(f => {
+      logInfo(f.processId, `Flapping (${f.transitions} state changes in the last ${alertState.flap.window} checks), ${f.type} alert suppressed`);
+    });
+    evaluation.resolved.forEach(r => {
+      logInfo(r.processId, `Alert resolved: ${r.type}`);
+    });
+    
+    return evaluation;
+  }
+  
+  // Read on every run so a silence added from the CLI applies to a running watch-mode monitor
+  function loadActiveSilences(now = new Date()) {
+    const silences = [...(options.silences || [])];
+    if (silencesFile) {
+      try {
+        silences.push(...loadSilences(silencesFile));
+      } catch (error) {
+        logError(null, `${error.message}; alerting without file silences`);
+      }
+    }
+    return silences.filter(silence => isActive(silence, now));
+  }
+  
+  function markSilenced(alerts, results, silences) {
+    const { silenced } = applySilences(alerts, silences, lookupProcess);
+    const ids = new Set(silenced.map(s => s.processId));
+    results.forEach(r => {
+      r.silenced = ids.has(r.processId);
+    });
+    return silenced;
+  }
+  
+  // Silenced alerts still go through the state machine, so a silence neither resets nor resolves them
+  async function notifyFresh(alerts, results, silences = [], scope = null) {
+    const evaluation = evaluateAlerts(alerts, results, scope);
+    const audible = applySilences(evaluation.alerts, silences, lookupProcess).alerts;
+    const checked = new Set(results.map(r => r.processId));
+    const now = new Date();
+    const alerted = alertState.notifiedAt(audible, scope);
+    const { alerts: fresh, suppressed } = suppressRepeatAlerts(audible, alerted, alertRepeatInterval, now.getTime(), checked);
+    alertState.markNotified(fresh, now.toISOString(), scope);
+    alertState.save();
+    
+    if (suppressed > 0) {
+      logInfo(null, `Suppressed ${suppressed} repeat alert(s) already sent within the last ${Math.round(alertRepeatInterval / 60000)}m`);
+    }
+    // Flapping processes resolve and fire over and over; announcing each recovery would be noise.
+    // Only the types this run evaluates can recover, so a consensus run never announces a mismatch as over
+    const evaluated = new Set(Object.keys(alerts).map(kind => ALERT_TYPES[kind]));
+    const recovered = evaluation.resolved.filter(r => {
+      if (!evaluated.has(r.type)) {
+        return false;
+      }
+      const entry = lookupProcess(r.processId) || {};
+      return !r.flapping && !findSilence(silences, { ...entry, processId: r.processId }, r.type);
+    });
+    // Only firing alerts notify; notifiers tracking incidents still see flapping ones so they stay open
+    if (hasAlerts(fresh) || recovered.length > 0) {
+      await sendNotifications(notifiers, { ...fresh, recovered }, { ...context, previousResults: state.lastResults });
+    }
+    await reconcileNotifiers(notifiers, results, evaluation.firing, context);
+    
+    return { ...evaluation, notified: fresh, suppressed, recovered };
+  }
+  
+  // Compares each successful check with the previous ones for stalls and catch-up progress;
+  // cron runs seed the window from history
+  function analyzeObservations(results) {
+    const unseen = results.filter(r => !state.observations[r.processId]);
+    if (history && unseen.length > 0) {
+      try {
+        const recent = history.recentByProcess(observationWindow - 1);
+        unseen.forEach(r => {
+          state.observations[r.processId] = (recent[r.processId] || []).filter(o => !o.error);
+        });
+      } catch (error) {
+        logError(null, `Failed to read previous observations from check history: ${error.message}`);
+      }
+    }
+    
+    results.forEach(r => {
+      if (r.error) {
+        return;
+      }
+      
+      const observations = state.observations[r.processId] || [];
+      const current = { timestamp: getTimestamp(), stateNonce: r.stateNonce, suRouterNonce: r.suRouterNonce };
+      r.progress = computeProgress(observations[observations.length - 1], current);
+      observations.push(current);
+      state.observations[r.processId] = observations.slice(-observationWindow);
+      
+      r.stall = stallSettings.enabled ? detectStall(state.observations[r.processId], stallSettings) : null;
+      if (r.stall) {
+        logInfo(r.processId, `STALLED: ${r.stall.description}`);
+      }
+    });
+  }
+  
+  function recordHistory(results) {
+    if (!history || results.length === 0) {
+      return;
+    }
+    
+    // History is best effort; a full disk must not stop alerting
+    try {
+      history.record(results);
+      const removed = history.maintain();
+      if (removed > 0) {
+        logInfo(null, `Compacted check history, removed ${removed} records`);
+      }
+    } catch (error) {
+      logError(null, `Failed to record check history: ${error.message}`);
+    }
+  }
+  
+  // Consensus runs pass null: their results carry no single state nonce, so only the request series change
+  function recordMetrics(results) {
+    if (!metrics) {
+      return;
+    }
+    
+    if (results) {
+      metrics.recordRun(results);
+    }
+    try {
+      metrics.save();
+    } catch (error) {
+      logError(null, `Failed to write metrics textfile: ${error.message}`);
+    }
+  }
+  
+  function recordRun(results) {
+    state.runs++;
+    state.lastRunAt = getTimestamp();
+    results.forEach(r => {
+      state.lastResults[r.processId] = { ...r, checkedAt: state.lastRunAt };
+    });
+  }
+  
+  // decisions holds the run's selected alerts, their state transitions and what was silenced
+  function report(results, exitCode, startedAt, decisions = {}) {
+    return sendReports(reporters, {
+      results,
+      exitCode,
+      alerts: decisions.alerts || { mismatches: [], errors: [], stalls: [] },
+      alertStates: decisions.alertStates || null,
+      silenced: decisions.silenced || [],
+      runNumber: state.runs,
+      startedAt,
+      summary: summarizeResults(results),
+      processes,
+      lastResults: state.lastResults,
+      history,
+      context,
+      generatedAt: state.lastRunAt
+    });
+  }
+  
+  return {
+    processes,
+    settings,
+    state,
+    history,
+    alertState,
+    metrics,
+    reporters,
+    
+    checkProcess(processIdOrEntry) {
+      const [entry] = normalizeProcesses([processIdOrEntry], sources.state.url);
+      return checkProcess(entry, settings);
+    },
+    
+    checkAllProcesses() {
+      return checkAllProcesses(processes, settings);
+    },
+    
+    // An on-demand check outside the schedule: it becomes the process's latest result, but does not alert or reach history
+    async refreshProcess(processId) {
+      const entry = lookupProcess(processId);
+      if (!entry) {
+        return null;
+      }
+      
+      const result = await checkProcess(entry, settings);
+      state.lastResults[processId] = { ...result, checkedAt: getTimestamp() };
+      return state.lastResults[processId];
+    },
+    
+    checkConsensus(processIdOrEntry) {
+      const [entry] = normalizeProcesses([processIdOrEntry], sources.state.url);
+      return checkConsensus(entry, settings);
+    },
+    
+    generateSummary(results) {
+      return generateSummary(results, options.summary);
+    },
+    
+    async notify(alerts) {
+      await sendNotifications(notifiers, alerts, context);
+    },
+    
+    async run() {
+      const startedAt = getTimestamp();
+      let targets = processes;
+      if (tracker) {
+        targets = await findDueProcesses(processes, tracker, { ...settings, force: boundaries.force });
+        if (targets.length === 0) {
+          logInfo(null, 'No process is at an unverified slot boundary, nothing to check');
+          recordMetrics([]);
+          recordRun([]);
+          await report([], 0, startedAt);
+          return { results: [], alerts: { mismatches: [], errors: [], stalls: [] }, exitCode: 0 };
+        }
+      }
+      
+      const results = await checkAllProcesses(targets, settings);
+      if (tracker) {
+        results.forEach((r, i) => {
+          r.slot = targets[i].slot;
+          r.boundary = targets[i].boundary;
+          if (!r.error && r.boundary !== null) {
+            tracker.markVerified(r.processId, r.boundary, r.stateNonce);
+          }
+        });
+        tracker.save();
+      }
+      
+      analyzeObservations(results);
+      recordHistory(results);
+      
+      const alerts = selectAlerts(results, processId => thresholdsFor(processId).warning);
+      const silences = loadActiveSilences();
+      const silenced = markSilenced(alerts, results, silences);
+      const exitCode = generateSummary(results, { failOnSeverity, ...options.summary, silenced });
+      
+      const alertStates = await notifyFresh(alerts, results, silences);
+      recordMetrics(results);
+      recordRun(results);
+      await report(results, exitCode, startedAt, { alerts, alertStates, silenced });
+      
+      return { results, alerts, alertStates, exitCode };
+    },
+    
+    async runConsensus() {
+      const results = await checkAllConsensus(processes, settings);
+      const exitCode = consensus.generateConsensusSummary(results, {
+        failOnErrors: options.summary && options.summary.failOnErrors
+      });
+      const alerts = consensus.selectConsensusAlerts(results);
+      const silences = loadActiveSilences();
+      const silenced = markSilenced(alerts, results, silences);
+      if (silenced.length > 0) {
+        logInfo(null, `Silenced ${silenced.length} consensus alert(s)`);
+      }
+      
+      const alertStates = await notifyFresh(alerts, results, silences, 'consensus');
+      recordMetrics(null);
+      recordRun(results);
+      
+      return { results, alerts, alertStates, exitCode };
+    }
+  };
+}
+
+module.exports = {
+  DEFAULT_THRESHOLD,
+  createMonitor,
+  getConfigFromEnv,
+  isValidProcessId,
+  loadConfig,
+  loadProcessMap,
+  mapEntryToProcess,
+  resolveScheduler,
+  fetchStateNonce,
+  fetchSURouterNonce,
+  checkProcess,
+  checkAllProcesses,
+  findDueProcesses,
+  checkConsensus,
+  checkAllConsensus,
+  summarizeResults,
+  generateSummary,
+  selectAlerts,
+  suppressRepeatAlerts
+};
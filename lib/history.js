@@ -0,0 +1,427 @@
+const fs = require('fs');
+const path = require('path');
+const { getTimestamp } = require('./log');
+
+const DEFAULT_JSONL_FILE = './nonce-history.jsonl';
+const DEFAULT_SQLITE_FILE = './nonce-history.db';
+const DEFAULT_RETENTION_DAYS = 7;
+const DEFAULT_MAX_RECORDS_PER_PROCESS = 500;
+const DAY_MS = 24 * 60 * 60 * 1000;
+// Every record carries all toHistoryRecord fields, so even one with empty IDs serializes to more than this
+const MIN_RECORD_BYTES = 200;
+
+// Buckets an error message so history can be grouped without parsing free text again
+function classifyError(message) {
+  if (!message) return null;
+  if (/^All \d+ state gateways failed/.test(message)) return 'all-gateways-failed';
+  if (/timeout/i.test(message)) return 'timeout';
+  if (/HTTP 5\d\d/.test(message)) return 'http-5xx';
+  if (/HTTP 4\d\d/.test(message)) return 'http-4xx';
+  if (/Failed to discover scheduler/.test(message)) return 'discovery';
+  if (/Failed to parse|JSON/.test(message)) return 'parse';
+  if (/Invalid nonce|empty nonce|not found in|has no value|Missing |No value at|no results/.test(message)) return 'invalid-response';
+  if (/fetch failed|ECONN|ENOTFOUND|EAI_AGAIN|socket|network/i.test(message)) return 'network';
+  return 'other';
+}
+
+function toNumber(value) {
+  if (value === null || value === undefined || value === '') return null;
+  const parsed = parseInt(value, 10);
+  return Number.isNaN(parsed) ? null : parsed;
+}
+
+function toHistoryRecord(result, timestamp = getTimestamp()) {
+  return {
+    timestamp,
+    processId: result.processId,
+    gateway: result.gateway || null,
+    stateGateway: result.stateGateway || null,
+    scheduler: result.scheduler || null,
+    stateNonce: toNumber(result.stateNonce),
+    suRouterNonce: toNumber(result.suRouterNonce),
+    diff: result.error ? null : toNumber(result.diff),
+    duration: result.duration,
+    stateDuration: result.stateDuration !== undefined ? result.stateDuration : null,
+    suRouterDuration: result.suRouterDuration !== undefined ? result.suRouterDuration : null,
+    error: result.error || null,
+    errorClass: classifyError(result.error)
+  };
+}
+
+function matchesFilter(record, filter) {
+  if (filter.processId && record.processId !== filter.processId) return false;
+  if (filter.gateway && record.gateway !== filter.gateway) return false;
+  if (filter.since && record.timestamp < filter.since) return false;
+  if (filter.until && record.timestamp > filter.until) return false;
+  if (filter.errorsOnly && !record.error) return false;
+  return true;
+}
+
+// Keeps the newest `limit` records per process, in chronological order
+function keepNewestPerProcess(records, limit) {
+  if (!limit) return records;
+  const counts = {};
+  const kept = [];
+  for (let i = records.length - 1; i >= 0; i--) {
+    const id = records[i].processId;
+    counts[id] = (counts[id] || 0) + 1;
+    if (counts[id] <= limit) {
+      kept.push(records[i]);
+    }
+  }
+  return kept.reverse();
+}
+
+function createJsonlStore(file) {
+  let counts = null; // Records per process, read from the file once and then kept current by append and compact
+  
+  function readAll() {
+    if (!fs.existsSync(file)) {
+      return [];
+    }
+    
+    return fs.readFileSync(file, 'utf8')
+      .split('\n')
+      .filter(line => line.trim() !== '')
+      .map(line => {
+        try {
+          return JSON.parse(line);
+        } catch (error) {
+          return null; // A torn write from a killed run; skip it
+        }
+      })
+      .filter(Boolean);
+  }
+  
+  function readOldestTimestamp() {
+    if (!fs.existsSync(file)) {
+      return null;
+    }
+    
+    const fd = fs.openSync(file, 'r');
+    try {
+      const buffer = Buffer.alloc(4096);
+      const bytes = fs.readSync(fd, buffer, 0, buffer.length, 0);
+      const firstLine = buffer.toString('utf8', 0, bytes).split('\n')[0];
+      return JSON.parse(firstLine).timestamp;
+    } catch (error) {
+      return null;
+    } finally {
+      fs.closeSync(fd);
+    }
+  }
+  
+  function countRecords(records) {
+    const next = {};
+    records.forEach(r => {
+      next[r.processId] = (next[r.processId] || 0) + 1;
+    });
+    return next;
+  }
+  
+  return {
+    backend: 'jsonl',
+    file,
+    
+    append(records) {
+      if (records.length === 0) return;
+      fs.appendFileSync(file, records.map(r => JSON.stringify(r)).join('\n') + '\n', 'utf8');
+      if (counts) {
+        records.forEach(r => {
+          counts[r.processId] = (counts[r.processId] || 0) + 1;
+        });
+      }
+    },
+    
+    query(filter = {}) {
+      const records = readAll().filter(r => matchesFilter(r, filter));
+      return filter.limit ? records.slice(-filter.limit) : records;
+    },
+    
+    oldestTimestamp: readOldestTimestamp,
+    
+    exceedsRecordLimit(limit) {
+      if (!counts) {
+        // A file too small to hold more than `limit` records in total is not worth parsing
+        if (!fs.existsSync(file) || fs.statSync(file).size <= (limit + 1) * MIN_RECORD_BYTES) {
+          return false;
+        }
+        counts = countRecords(readAll());
+      }
+      return Object.values(counts).some(count => count > limit);
+    },
+    
+    compact({ cutoff, maxRecordsPerProcess }) {
+      const records = readAll();
+      const kept = keepNewestPerProcess(records.filter(r => r.timestamp >= cutoff), maxRecordsPerProcess);
+      
+      // Write next to the file and rename so a crash never leaves a half-written history
+      const tmpFile = `${file}.tmp`;
+      fs.writeFileSync(tmpFile, kept.map(r => JSON.stringify(r)).join('\n') + (kept.length > 0 ? '\n' : ''), 'utf8');
+      fs.renameSync(tmpFile, file);
+      counts = countRecords(kept);
+      return records.length - kept.length;
+    },
+    
+    close() {}
+  };
+}
+
+const SQLITE_COLUMNS = [
+  ['timestamp', 'timestamp'],
+  ['processId', 'process_id'],
+  ['gateway', 'gateway'],
+  ['stateGateway', 'state_gateway'],
+  ['scheduler', 'scheduler'],
+  ['stateNonce', 'state_nonce'],
+  ['suRouterNonce', 'su_router_nonce'],
+  ['diff', 'diff'],
+  ['duration', 'duration'],
+  ['stateDuration', 'state_duration'],
+  ['suRouterDuration', 'su_router_duration'],
+  ['error', 'error'],
+  ['errorClass', 'error_class']
+];
+
+function createSqliteStore(file) {
+  let sqlite;
+  try {
+    sqlite = require('node:sqlite');
+  } catch (error) {
+    throw new Error(`SQLite history needs Node.js 22.5+ with node:sqlite (running ${process.version}): ${error.message}`);
+  }
+  
+  const db = new sqlite.DatabaseSync(file);
+  db.exec(`
+    CREATE TABLE IF NOT EXISTS checks (
+      id INTEGER PRIMARY KEY AUTOINCREMENT,
+      timestamp TEXT NOT NULL,
+      process_id TEXT NOT NULL,
+      gateway TEXT,
+      state_gateway TEXT,
+      scheduler TEXT,
+      state_nonce INTEGER,
+      su_router_nonce INTEGER,
+      diff INTEGER,
+      duration INTEGER,
+      state_duration INTEGER,
+      su_router_duration INTEGER,
+      error TEXT,
+      error_class TEXT
+    );
+    CREATE INDEX IF NOT EXISTS checks_process_time ON checks (process_id, timestamp);
+    CREATE INDEX IF NOT EXISTS checks_time ON checks (timestamp);
+  `);
+  
+  const insert = db.prepare(`INSERT INTO checks (${SQLITE_COLUMNS.map(c => c[1]).join(', ')}) VALUES (${SQLITE_COLUMNS.map(() => '?').join(', ')})`);
+  
+  function fromRow(row) {
+    const record = {};
+    SQLITE_COLUMNS.forEach(([key, column]) => {
+      record[key] = row[column];
+    });
+    return record;
+  }
+  
+  return {
+    backend: 'sqlite',
+    file,
+    
+    append(records) {
+      db.exec('BEGIN');
+      try {
+        records.forEach(r => insert.run(...SQLITE_COLUMNS.map(([key]) => (r[key] === undefined ? null : r[key]))));
+        db.exec('COMMIT');
+      } catch (error) {
+        db.exec('ROLLBACK');
+        throw error;
+      }
+    },
+    
+    query(filter = {}) {
+      const conditions = [
+        ['processId', 'process_id = ?'],
+        ['gateway', 'gateway = ?'],
+        ['since', 'timestamp >= ?'],
+        ['until', 'timestamp <= ?']
+      ].filter(([key]) => filter[key]);
+      const clauses = conditions.map(([, clause]) => clause);
+      const params = conditions.map(([key]) => filter[key]);
+      if (filter.errorsOnly) {
+        clauses.push('error IS NOT NULL');
+      }
+      
+      const where = clauses.length > 0 ? `WHERE ${clauses.join(' AND ')}` : '';
+      const sql = filter.limit
+        ? `SELECT * FROM (SELECT * FROM checks ${where} ORDER BY timestamp DESC, id DESC LIMIT ?) ORDER BY timestamp, id`
+        : `SELECT * FROM checks ${where} ORDER BY timestamp, id`;
+      if (filter.limit) params.push(filter.limit);
+      
+      return db.prepare(sql).all(...params).map(fromRow);
+    },
+    
+    oldestTimestamp() {
+      const row = db.prepare('SELECT MIN(timestamp) AS oldest FROM checks').get();
+      return row ? row.oldest : null;
+    },
+    
+    exceedsRecordLimit(limit) {
+      return Boolean(db.prepare('SELECT 1 FROM checks GROUP BY process_id HAVING COUNT(*) > ? LIMIT 1').get(limit));
+    },
+    
+    compact({ cutoff, maxRecordsPerProcess }) {
+      let removed = Number(db.prepare('DELETE FROM checks WHERE timestamp < ?').run(cutoff).changes);
+      if (maxRecordsPerProcess) {
+        removed += Number(db.prepare(`
+          DELETE FROM checks WHERE id IN (
+            SELECT id FROM (
+              SELECT id, ROW_NUMBER() OVER (PARTITION BY process_id ORDER BY timestamp DESC, id DESC) AS rank FROM checks
+            ) WHERE rank > ?
+          )
+        `).run(maxRecordsPerProcess).changes);
+      }
+      return removed;
+    },
+    
+    close() {
+      db.close();
+    }
+  };
+}
+
+function getHistoryConfigFromEnv() {
+  const backend = process.env.HISTORY_BACKEND || 'jsonl';
+  return {
+    backend,
+    file: process.env.HISTORY_FILE || (backend === 'sqlite' ? DEFAULT_SQLITE_FILE : DEFAULT_JSONL_FILE),
+    retentionDays: parseFloat(process.env.HISTORY_RETENTION_DAYS || String(DEFAULT_RETENTION_DAYS)),
+    maxRecordsPerProcess: parseInt(process.env.HISTORY_MAX_RECORDS_PER_PROCESS || String(DEFAULT_MAX_RECORDS_PER_PROCESS), 10)
+  };
+}
+
+function createHistoryStore(options = {}) {
+  const backend = options.backend || 'jsonl';
+  if (backend === 'none') {
+    return null;
+  }
+  
+  const file = options.file || (backend === 'sqlite' ? DEFAULT_SQLITE_FILE : DEFAULT_JSONL_FILE);
+  const dir = path.dirname(file);
+  if (!fs.existsSync(dir)) {
+    fs.mkdirSync(dir, { recursive: true });
+  }
+  
+  let store;
+  if (backend === 'jsonl') {
+    store = createJsonlStore(file);
+  } else if (backend === 'sqlite') {
+    store = createSqliteStore(file);
+  } else {
+    throw new Error(`Unknown history backend: ${backend} (available: jsonl, sqlite, none)`);
+  }
+  
+  const retentionMs = (options.retentionDays !== undefined ? options.retentionDays : DEFAULT_RETENTION_DAYS) * DAY_MS;
+  const maxRecordsPerProcess = options.maxRecordsPerProcess !== undefined
+    ? options.maxRecordsPerProcess
+    : DEFAULT_MAX_RECORDS_PER_PROCESS;
+  // Compaction rewrites the whole JSONL file, so let records age a little past retention
+  // and processes run a little over their cap first
+  const compactSlackMs = Math.max(60 * 60 * 1000, retentionMs * 0.1);
+  const compactSlackRecords = Math.max(10, Math.ceil((maxRecordsPerProcess || 0) * 0.1));
+  
+  return {
+    backend: store.backend,
+    file,
+    
+    record(results, timestamp = getTimestamp()) {
+      const records = results.map(r => toHistoryRecord(r, timestamp));
+      store.append(records);
+      return records;
+    },
+    
+    query(filter = {}) {
+      return store.query(filter);
+    },
+    
+    // Most recent `count` checks for one process, oldest first
+    latest(processId, count = 1) {
+      return store.query({ processId, limit: count });
+    },
+    
+    // Most recent `count` checks for every process in one pass, keyed by process ID
+    recentByProcess(count, filter = {}) {
+      const grouped = {};
+      keepNewestPerProcess(store.query(filter), count).forEach(r => {
+        (grouped[r.processId] = grouped[r.processId] || []).push(r);
+      });
+      return grouped;
+    },
+    
+    // Per-process aggregates over a window, for trends and reports
+    stats(filter = {}) {
+      const byProcess = {};
+      store.query(filter).forEach(r => {
+        if (!byProcess[r.processId]) {
+          byProcess[r.processId] = { processId: r.processId, checks: 0, errors: 0, mismatches: 0, maxDiff: 0, totalDiff: 0, totalDuration: 0, first: null, last: null };
+        }
+        const s = byProcess[r.processId];
+        s.checks++;
+        s.totalDuration += r.duration || 0;
+        if (r.error) {
+          s.errors++;
+        } else {
+          if (r.diff > 0) s.mismatches++;
+          s.maxDiff = Math.max(s.maxDiff, r.diff || 0);
+          s.totalDiff += r.diff || 0;
+          if (!s.first) s.first = r;
+          s.last = r;
+        }
+      });
+      
+      return Object.values(byProcess).map(s => {
+        const successful = s.checks - s.errors;
+        const minutes = s.first && s.last ? (Date.parse(s.last.timestamp) - Date.parse(s.first.timestamp)) / 60000 : 0;
+        return {
+          processId: s.processId,
+          checks: s.checks,
+          errors: s.errors,
+          errorRate: s.checks > 0 ? s.errors / s.checks : 0,
+          mismatches: s.mismatches,
+          avgDiff: successful > 0 ? s.totalDiff / successful : null,
+          maxDiff: s.maxDiff,
+          avgDuration: s.checks > 0 ? s.totalDuration / s.checks : 0,
+          firstSlot: s.first ? s.first.stateNonce : null,
+          lastSlot: s.last ? s.last.stateNonce : null,
+          slotsPerMinute: minutes > 0 ? (s.last.stateNonce - s.first.stateNonce) / minutes : null
+        };
+      });
+    },
+    
+    // Compacts when the oldest record has aged past retention, when a process has more records
+    // than the per-process cap (each plus slack), or when forced
+    maintain(options = {}) {
+      const now = options.now || Date.now();
+      const oldest = store.oldestTimestamp();
+      const due = options.force ||
+        (oldest && now - Date.parse(oldest) > retentionMs + compactSlackMs) ||
+        (maxRecordsPerProcess > 0 && store.exceedsRecordLimit(maxRecordsPerProcess + compactSlackRecords));
+      if (!due) {
+        return 0;
+      }
+      return store.compact({ cutoff: new Date(now - retentionMs).toISOString(), maxRecordsPerProcess });
+    },
+    
+    close() {
+      store.close();
+    }
+  };
+}
+
+module.exports = {
+  DEFAULT_RETENTION_DAYS,
+  DEFAULT_MAX_RECORDS_PER_PROCESS,
+  classifyError,
+  toHistoryRecord,
+  createHistoryStore,
+  getHistoryConfigFromEnv
+};
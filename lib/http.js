@@ -0,0 +1,97 @@
+const { getTimestamp } = require('./log');
+
+const DEFAULT_RETRY = {
+  maxRetries: 5,
+  baseDelay: 1000,
+  maxDelay: 30000
+};
+
+function isRetryableError(error) {
+  if (!error || !error.message) {
+    return false;
+  }
+  
+  const errorMessage = error.message.toLowerCase();
+  const retryablePatterns = [
+    'timeout',
+    'network',
+    'econnrefused',
+    'etimedout',
+    'enotfound',
+    'http 5',
+    'http 429',
+    'aborterror',
+    'fetch failed',
+    'request timeout'
+  ];
+  
+  return retryablePatterns.some(pattern => errorMessage.includes(pattern.toLowerCase()));
+}
+
+function calculateBackoffDelay(attempt, baseDelay, maxDelay) {
+  const exponentialDelay = baseDelay * Math.pow(2, attempt);
+  const jitteredDelay = exponentialDelay * (0.5 + Math.random() * 0.5);
+  return Math.min(jitteredDelay, maxDelay);
+}
+
+function sleep(ms) {
+  return new Promise(resolve => setTimeout(resolve, ms));
+}
+
+async function fetchWithTimeout(url, timeout) {
+  const controller = new AbortController();
+  const timeoutId = setTimeout(() => controller.abort(), timeout);
+  
+  try {
+    const response = await fetch(url, { signal: controller.signal });
+    clearTimeout(timeoutId);
+    
+    if (!response.ok) {
+      throw new Error(`HTTP ${response.status}: ${response.statusText}`);
+    }
+    
+    return response;
+  } catch (error) {
+    clearTimeout(timeoutId);
+    if (error.name === 'AbortError') {
+      throw new Error(`Request timeout after ${timeout}ms`);
+    }
+    throw error;
+  }
+}
+
+async function fetchWithRetry(url, timeout, retryOptions = {}) {
+  const { maxRetries, baseDelay, maxDelay } = { ...DEFAULT_RETRY, ...retryOptions };
+  const label = retryOptions.label || 'Retry';
+  
+  for (let attempt = 0; attempt <= maxRetries; attempt++) {
+    try {
+      return await fetchWithTimeout(url, timeout);
+    } catch (error) {
+      if (!isRetryableError(error)) {
+        throw error;
+      }
+      
+      if (attempt === maxRetries) {
+        throw new Error(`Failed after ${maxRetries + 1} attempts: ${error.message}`);
+      }
+      
+      const delay = calculateBackoffDelay(attempt, baseDelay, maxDelay);
+      console.log(`[${getTimestamp()}] [${label}] Attempt ${attempt + 1}/${maxRetries} for ${url} after ${Math.round(delay)}ms delay: ${error.message}`);
+      if (retryOptions.onRetry) {
+        retryOptions.onRetry(attempt + 1, error);
+      }
+      
+      await sleep(delay);
+    }
+  }
+}
+
+module.exports = {
+  DEFAULT_RETRY,
+  isRetryableError,
+  calculateBackoffDelay,
+  sleep,
+  fetchWithTimeout,
+  fetchWithRetry
+};
@@ -0,0 +1,139 @@
+const fs = require('fs');
+const { getGatewayName, getSchedulerName } = require('./log');
+const { classifyError } = require('./history');
+
+function getJUnitConfigFromEnv() {
+  return {
+    file: process.env.JUNIT_FILE || null
+  };
+}
+
+// Control characters other than tab and newlines are not allowed anywhere in XML 1.0
+function escapeXml(value) {
+  return String(value === null || value === undefined ? '' : value)
+    .replace(/[\x00-\x08\x0b\x0c\x0e-\x1f]/g, '')
+    .replace(/&/g, '&amp;')
+    .replace(/</g, '&lt;')
+    .replace(/>/g, '&gt;')
+    .replace(/"/g, '&quot;')
+    .replace(/'/g, '&apos;');
+}
+
+function toSeconds(ms) {
+  return ((ms || 0) / 1000).toFixed(3);
+}
+
+function describeCheck(result) {
+  const lines = [
+    `State nonce: ${result.stateNonce}`,
+    `SU router nonce: ${result.suRouterNonce}`,
+    `Difference: ${result.diff} slots${result.severity ? ` (${result.severity})` : ''}`,
+    `Gateway: ${getGatewayName(result.gateway)}`
+  ];
+  if (result.scheduler) {
+    lines.push(`Scheduler: ${getSchedulerName(result.scheduler)}`);
+  }
+  if (result.boundary !== undefined && result.boundary !== null) {
+    lines.push(`Slot boundary: ${result.boundary}`);
+  }
+  return lines.join('\n');
+}
+
+// In sync and below-threshold lag pass, lag at or past the warning threshold fails,
+// a check that could not run is an error and a silenced process is skipped
+function classifyCase(result, silence) {
+  if (silence) {
+    return { outcome: 'skipped', message: `Silenced: ${silence.reason || silence.id}` };
+  }
+  if (result.error) {
+    return { outcome: 'error', type: classifyError(result.error), message: result.error };
+  }
+  if (!result.match && result.severity) {
+    return {
+      outcome: 'failure',
+      type: result.severity,
+      message: `State nonce ${result.stateNonce} and SU router nonce ${result.suRouterNonce} differ by ${result.diff} slots (${result.severity})`
+    };
+  }
+  return { outcome: 'passed' };
+}
+
+function renderCase(result, silence) {
+  const name = getGatewayName(result.gateway);
+  const verdict = classifyCase(result, silence);
+  const open = `    <testcase classname="${escapeXml(name)}" name="${escapeXml(result.processId)}" time="${toSeconds(result.duration)}"`;
+  
+  if (verdict.outcome === 'skipped') {
+    return `${open}>\n      <skipped message="${escapeXml(verdict.message)}"/>\n    </testcase>`;
+  }
+  if (verdict.outcome === 'error') {
+    return `${open}>\n      <error message="${escapeXml(verdict.message)}" type="${escapeXml(verdict.type)}">${escapeXml(verdict.message)}</error>\n    </testcase>`;
+  }
+  if (verdict.outcome === 'failure') {
+    return `${open}>\n      <failure message="${escapeXml(verdict.message)}" type="${escapeXml(verdict.type)}">${escapeXml(describeCheck(result))}</failure>\n    </testcase>`;
+  }
+  if (!result.match) {
+    return `${open}>\n      <system-out>${escapeXml(describeCheck(result))}</system-out>\n    </testcase>`;
+  }
+  return `${open}/>`;
+}
+
+// One test suite per gateway and one test case per checked process
+function renderJUnit(run) {
+  const silences = new Map(run.silenced.map(s => [s.processId, s.silence]));
+  const counts = results => {
+    const verdicts = results.map(r => classifyCase(r, silences.get(r.processId)).outcome);
+    return {
+      tests: results.length,
+      failures: verdicts.filter(v => v === 'failure').length,
+      errors: verdicts.filter(v => v === 'error').length,
+      skipped: verdicts.filter(v => v === 'skipped').length,
+      time: toSeconds(results.reduce((sum, r) => sum + (r.duration || 0), 0))
+    };
+  };
+  const attributes = stats => `tests="${stats.tests}" failures="${stats.failures}" errors="${stats.errors}" skipped="${stats.skipped}" time="${stats.time}"`;
+  
+  const byGateway = new Map();
+  run.results.forEach(r => {
+    const name = getGatewayName(r.gateway);
+    byGateway.set(name, [...(byGateway.get(name) || []), r]);
+  });
+  
+  const suites = [...byGateway.keys()].sort().map(name => {
+    const results = byGateway.get(name);
+    return [
+      `  <testsuite name="${escapeXml(name)}" ${attributes(counts(results))} timestamp="${escapeXml(run.startedAt)}">`,
+      `    <properties>\n      <property name="gateway" value="${escapeXml(results[0].gateway || '')}"/>\n    </properties>`,
+      ...results.map(r => renderCase(r, silences.get(r.processId))),
+      '  </testsuite>'
+    ].join('\n');
+  });
+  
+  return [
+    '<?xml version="1.0" encoding="UTF-8"?>',
+    `<testsuites name="${escapeXml(run.context.label || 'Nonce Monitor')}" ${attributes(counts(run.results))}>`,
+    ...suites,
+    '</testsuites>',
+    ''
+  ].join('\n');
+}
+
+function createJUnitReporter(options = {}) {
+  return {
+    name: 'junit',
+    report(run) {
+      if (!options.file) {
+        return;
+      }
+      const tempFile = `${options.file}.${process.pid}.tmp`;
+      fs.writeFileSync(tempFile, renderJUnit(run), 'utf8');
+      fs.renameSync(tempFile, options.file);
+    }
+  };
+}
+
+module.exports = {
+  getJUnitConfigFromEnv,
+  renderJUnit,
+  createJUnitReporter
+};
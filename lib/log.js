@@ -0,0 +1,65 @@
+function getTimestamp() {
+  return new Date().toISOString();
+}
+
+function truncateProcessId(processId) {
+  if (processId.length <= 19) {
+    return processId;
+  }
+  return `${processId.slice(0, 8)}...${processId.slice(-8)}`;
+}
+
+function getGatewayName(gatewayUrl) {
+  if (!gatewayUrl) {
+    return 'unknown';
+  }
+  return gatewayUrl.replace('https://', '').replace('http://', '').replace('.forward.computer', '').replace(/\/+$/, '');
+}
+
+function formatGatewayLabel(gateway, stateGateway) {
+  const name = getGatewayName(gateway);
+  if (stateGateway && stateGateway !== gateway) {
+    return `${name} via ${getGatewayName(stateGateway)}`;
+  }
+  return name;
+}
+
+function getSchedulerName(schedulerUrl) {
+  if (!schedulerUrl) {
+    return 'unknown';
+  }
+  return schedulerUrl.replace('https://', '').replace('http://', '').replace('.ao-testnet.xyz', '').replace(/\/+$/, '');
+}
+
+function logError(processId, message) {
+  const processStr = processId ? `[${truncateProcessId(processId)}]` : '[system]';
+  console.error(`[${getTimestamp()}] ${processStr} ERROR: ${message}`);
+}
+
+function logInfo(processId, message) {
+  const processStr = processId ? `[${truncateProcessId(processId)}]` : '[system]';
+  console.log(`[${getTimestamp()}] ${processStr} INFO: ${message}`);
+}
+
+function logResult(processId, stateNonce, suRouterNonce, gateway = 'unknown', scheduler = null, severity = null) {
+  const processStr = processId ? `[${truncateProcessId(processId)}]` : '[unknown]';
+  const match = String(stateNonce) === String(suRouterNonce);
+  const status = match ? '✓' : '✗';
+  const diff = match ? '0' : Math.abs(parseInt(stateNonce) - parseInt(suRouterNonce));
+  
+  const schedulerStr = scheduler ? ` (${scheduler})` : '';
+  const severityStr = severity ? ` [${severity.toUpperCase()}]` : '';
+  
+  console.log(`[${getTimestamp()}] ${processStr} ${status} [${gateway}] State: ${stateNonce}, SU Router: ${suRouterNonce}${schedulerStr}, Diff: ${diff}${severityStr}`);
+}
+
+module.exports = {
+  getTimestamp,
+  truncateProcessId,
+  getGatewayName,
+  formatGatewayLabel,
+  getSchedulerName,
+  logError,
+  logInfo,
+  logResult
+};
@@ -0,0 +1,168 @@
+const fs = require('fs');
+const { getGatewayName } = require('./log');
+const { classifyError } = require('./history');
+
+// Job summaries are capped at 1MiB, so long tables end in a count instead
+const MAX_ROWS = 50;
+
+function getMarkdownConfigFromEnv() {
+  return {
+    file: process.env.MARKDOWN_REPORT_FILE || null,
+    append: process.env.MARKDOWN_REPORT_APPEND === 'true'
+  };
+}
+
+// Pipes would end a table cell and newlines the row
+function escapeCell(value) {
+  return String(value === null || value === undefined ? '' : value)
+    .replace(/\\/g, '\\\\')
+    .replace(/\|/g, '\\|')
+    .replace(/\r?\n/g, ' ');
+}
+
+function table(headers, rows, align = []) {
+  return [
+    `| ${headers.join(' | ')} |`,
+    `|${headers.map((header, i) => (align[i] === 'right' ? '---:' : '---')).join('|')}|`,
+    ...rows.map(row => `| ${row.map(escapeCell).join(' | ')} |`)
+  ].join('\n');
+}
+
+function moreRows(total) {
+  return total > MAX_ROWS ? [`\n_... and ${total - MAX_ROWS} more_`] : [];
+}
+
+function renderSummary(run) {
+  const summary = run.summary;
+  const severities = ['critical', 'error', 'warning']
+    .filter(severity => summary.bySeverity[severity] > 0)
+    .map(severity => `${summary.bySeverity[severity]} ${severity}`);
+  
+  return table(['', 'Count'], [
+    ['Processes checked', summary.total],
+    ['In sync ✓', summary.matches],
+    ['Behind ✗', severities.length > 0 ? `${summary.mismatches} (${severities.join(', ')})` : summary.mismatches],
+    ['Check errors ⚠', summary.errors],
+    ['Silenced', summary.silenced],
+    ['Success rate', `${summary.successRate.toFixed(1)}%`],
+    ['Average response', `${summary.averageDuration}ms`]
+  ], ['left', 'right']);
+}
+
+function renderMismatches(results) {
+  const behind = results
+    .filter(r => !r.error && !r.match)
+    .sort((a, b) => b.diff - a.diff);
+  if (behind.length === 0) {
+    return [];
+  }
+  
+  const rows = behind.slice(0, MAX_ROWS).map(r => [
+    `\`${r.processId}\``,
+    getGatewayName(r.gateway),
+    r.stateNonce,
+    r.suRouterNonce,
+    r.diff,
+    `${r.severity || 'below threshold'}${r.silenced ? ' (silenced)' : ''}`
+  ]);
+  return [
+    `### Mismatches (${behind.length})`,
+    '',
+    table(['Process', 'Gateway', 'State nonce', 'SU nonce', 'Lag', 'Severity'], rows, ['left', 'left', 'right', 'right', 'right']),
+    ...moreRows(behind.length)
+  ];
+}
+
+function renderErrors(results) {
+  const failed = results.filter(r => r.error);
+  if (failed.length === 0) {
+    return [];
+  }
+  
+  const byClass = new Map();
+  failed.forEach(r => {
+    const errorClass = classifyError(r.error);
+    byClass.set(errorClass, [...(byClass.get(errorClass) || []), r]);
+  });
+  
+  const sections = [...byClass.entries()]
+    .sort((a, b) => b[1].length - a[1].length)
+    .map(([errorClass, group]) => [
+      `#### ${errorClass} (${group.length})`,
+      '',
+      table(['Process', 'Gateway', 'Error'], group.slice(0, MAX_ROWS).map(r => [`\`${r.processId}\``, getGatewayName(r.gateway), r.error])),
+      ...moreRows(group.length)
+    ].join('\n'));
+  return [`### Errors (${failed.length})`, '', sections.join('\n\n')];
+}
+
+function renderGateways(run) {
+  const names = Object.keys(run.summary.gateways).sort();
+  if (names.length === 0) {
+    return [];
+  }
+  
+  const rows = names.map(name => {
+    const stats = run.summary.gateways[name];
+    const results = run.results.filter(r => getGatewayName(r.gateway) === name);
+    return [
+      name,
+      stats.total,
+      results.filter(r => !r.error && r.match).length,
+      results.filter(r => !r.error && !r.match).length,
+      stats.errors,
+      `${stats.successRate.toFixed(1)}%`,
+      `${stats.averageDuration}ms`
+    ];
+  });
+  return [
+    '### Gateway Performance',
+    '',
+    table(['Gateway', 'Processes', 'In sync', 'Behind', 'Errors', 'Success rate', 'Avg response'], rows, ['left', 'right', 'right', 'right', 'right', 'right', 'right'])
+  ];
+}
+
+function renderMarkdownReport(run) {
+  const summary = run.summary;
+  const icon = run.exitCode !== 0 ? '❌' : summary.mismatches + summary.errors > 0 ? '⚠️' : '✅';
+  const title = `## ${icon} ${run.context.label || 'Nonce Monitor'}`;
+  const meta = `Run finished ${run.generatedAt} with exit code ${run.exitCode}`;
+  
+  if (run.results.length === 0) {
+    return [title, '', meta, '', 'No processes were checked in this run.', ''].join('\n');
+  }
+  
+  const sections = [
+    [renderSummary(run)],
+    renderMismatches(run.results),
+    renderErrors(run.results),
+    renderGateways(run)
+  ].filter(section => section.length > 0);
+  return [title, '', meta, '', sections.map(section => section.join('\n')).join('\n\n'), ''].join('\n');
+}
+
+// Appending suits GITHUB_STEP_SUMMARY, which the rest of the step writes to as well; otherwise the file is replaced
+function createMarkdownReporter(options = {}) {
+  return {
+    name: 'markdown',
+    report(run) {
+      if (!options.file) {
+        return;
+      }
+      const markdown = renderMarkdownReport(run);
+      if (options.append) {
+        fs.appendFileSync(options.file, `${markdown}\n`, 'utf8');
+        return;
+      }
+      const tempFile = `${options.file}.${process.pid}.tmp`;
+      fs.writeFileSync(tempFile, markdown, 'utf8');
+      fs.renameSync(tempFile, options.file);
+    }
+  };
+}
+
+module.exports = {
+  getMarkdownConfigFromEnv,
+  renderMarkdownReport,
+  createMarkdownReporter
+};
@@ -0,0 +1,192 @@
+const fs = require('fs');
+const http = require('http');
+const { getGatewayName, logError, logInfo } = require('./log');
+
+const METRIC_PREFIX = 'nonce_monitor_';
+const DEFAULT_HOST = '0.0.0.0';
+// Seconds; a fetch includes its retries, so the top buckets cover the SU router backoff
+const DEFAULT_BUCKETS = [0.1, 0.25, 0.5, 1, 2.5, 5, 10, 30, 60];
+
+function getMetricsConfigFromEnv() {
+  const port = parseInt(process.env.METRICS_PORT || '', 10);
+  return {
+    port: Number.isNaN(port) ? null : port,
+    host: process.env.METRICS_HOST || DEFAULT_HOST,
+    textfile: process.env.METRICS_TEXTFILE || null
+  };
+}
+
+function escapeLabelValue(value) {
+  return String(value).replace(/\\/g, '\\\\').replace(/"/g, '\\"').replace(/\n/g, '\\n');
+}
+
+function formatLabels(labels) {
+  const pairs = Object.entries(labels).map(([name, value]) => `${name}="${escapeLabelValue(value)}"`);
+  return pairs.length > 0 ? `{${pairs.join(',')}}` : '';
+}
+
+function formatValue(value) {
+  if (value === Infinity) {
+    return '+Inf';
+  }
+  return Number.isFinite(value) ? String(value) : 'NaN';
+}
+
+// One metric family in the Prometheus text exposition format
+function formatFamily(name, type, help, samples) {
+  if (samples.length === 0) {
+    return [];
+  }
+  return [
+    `# HELP ${METRIC_PREFIX}${name} ${help}`,
+    `# TYPE ${METRIC_PREFIX}${name} ${type}`,
+    ...samples.map(([suffix, labels, value]) => `${METRIC_PREFIX}${name}${suffix}${formatLabels(labels)} ${formatValue(value)}`)
+  ];
+}
+
+// Keeps the latest check of every process and running request totals per gateway and source;
+// the engine feeds it through observeRequest() and recordRun()
+function createMetrics(options = {}) {
+  const buckets = options.buckets || DEFAULT_BUCKETS;
+  const textfile = options.textfile || null;
+  const processes = new Map();
+  const requests = new Map();
+  const runs = { total: 0, lastRunAt: null, counts: { match: 0, mismatch: 0, error: 0 } };
+  
+  function requestSeries(source, url) {
+    const gateway = getGatewayName(url);
+    const key = `${gateway}|${source}`;
+    if (!requests.has(key)) {
+      requests.set(key, {
+        labels: { gateway, source },
+        requests: 0,
+        errors: 0,
+        retries: 0,
+        buckets: buckets.map(() => 0),
+        sum: 0
+      });
+    }
+    return requests.get(key);
+  }
+  
+  function observeRequest({ source, url, duration, retries = 0, error = null }) {
+    const series = requestSeries(source, url);
+    const seconds = duration / 1000;
+    series.requests++;
+    series.retries += retries;
+    series.sum += seconds;
+    if (error) {
+      series.errors++;
+    }
+    buckets.forEach((bound, i) => {
+      if (seconds <= bound) {
+        series.buckets[i]++;
+      }
+    });
+  }
+  
+  function recordRun(results, now = Date.now()) {
+    runs.total++;
+    runs.lastRunAt = now;
+    runs.counts = {
+      match: results.filter(r => r.match && !r.error).length,
+      mismatch: results.filter(r => !r.match && !r.error).length,
+      error: results.filter(r => r.error).length
+    };
+    results.forEach(r => processes.set(r.processId, { ...r, checkedAt: now }));
+  }
+  
+  function render() {
+    const processSamples = key => [...processes.values()]
+      .filter(r => !r.error)
+      .map(r => ['', { process_id: r.processId, gateway: getGatewayName(r.gateway) }, Number(r[key])]);
+    const requestSamples = key => [...requests.values()].map(s => ['', s.labels, s[key]]);
+    const histogram = [];
+    requests.forEach(s => {
+      buckets.forEach((bound, i) => histogram.push(['_bucket', { ...s.labels, le: formatValue(bound) }, s.buckets[i]]));
+      histogram.push(['_bucket', { ...s.labels, le: '+Inf' }, s.requests]);
+      histogram.push(['_sum', s.labels, s.sum]);
+      histogram.push(['_count', s.labels, s.requests]);
+    });
+    
+    const lines = [
+      ...formatFamily('state_nonce', 'gauge', 'Latest state slot reported by the process gateway', processSamples('stateNonce')),
+      ...formatFamily('su_nonce', 'gauge', 'Latest nonce reported by the scheduler (SU router)', processSamples('suRouterNonce')),
+      ...formatFamily('nonce_diff', 'gauge', 'Slots the state is behind the scheduler', processSamples('diff')),
+      ...formatFamily('check_success', 'gauge', 'Whether the last check of the process succeeded (1) or errored (0)',
+        [...processes.values()].map(r => ['', { process_id: r.processId, gateway: getGatewayName(r.gateway) }, r.error ? 0 : 1])),
+      ...formatFamily('last_check_timestamp_seconds', 'gauge', 'Unix time of the last check of the process',
+        [...processes.values()].map(r => ['', { process_id: r.processId, gateway: getGatewayName(r.gateway) }, Math.floor(r.checkedAt / 1000)])),
+      ...formatFamily('processes', 'gauge', 'Processes by outcome in the last run',
+        Object.entries(runs.counts).map(([status, count]) => ['', { status }, count])),
+      ...formatFamily('runs_total', 'counter', 'Check runs completed', [['', {}, runs.total]]),
+      ...formatFamily('last_run_timestamp_seconds', 'gauge', 'Unix time the last run finished',
+        runs.lastRunAt ? [['', {}, Math.floor(runs.lastRunAt / 1000)]] : []),
+      ...formatFamily('requests_total', 'counter', 'Nonce fetches by gateway and source', requestSamples('requests')),
+      ...formatFamily('request_errors_total', 'counter', 'Nonce fetches that failed after any retries', requestSamples('errors')),
+      ...formatFamily('request_retries_total', 'counter', 'Retries made by nonce fetches', requestSamples('retries')),
+      ...formatFamily('request_duration_seconds', 'histogram', 'Nonce fetch duration including retries', histogram)
+    ];
+    
+    return `${lines.join('\n')}\n`;
+  }
+  
+  // For the node_exporter textfile collector: written to a temp file and renamed so a scrape never reads half a file
+  function save() {
+    if (!textfile) {
+      return;
+    }
+    const tempFile = `${textfile}.${process.pid}.tmp`;
+    fs.writeFileSync(tempFile, render(), 'utf8');
+    fs.renameSync(tempFile, textfile);
+  }
+  
+  return {
+    textfile,
+    observeRequest,
+    recordRun,
+    render,
+    save
+  };
+}
+
+function createMetricsServer(metrics) {
+  return http.createServer((req, res) => {
+    const { pathname } = new URL(req.url, 'http://localhost');
+    if (req.method !== 'GET' || pathname !== '/metrics') {
+      res.writeHead(404, { 'Content-Type': 'text/plain' });
+      res.end('Not found\n');
+      return;
+    }
+    res.writeHead(200, { 'Content-Type': 'text/plain; version=0.0.4; charset=utf-8' });
+    res.end(metrics.render());
+  });
+}
+
+// Resolves with the listening server, or null when no port is configured
+function startMetricsServer(metrics, options = {}) {
+  if (options.port === null || options.port === undefined) {
+    return Promise.resolve(null);
+  }
+  
+  const server = createMetricsServer(metrics);
+  const host = options.host || DEFAULT_HOST;
+  return new Promise((resolve, reject) => {
+    server.once('error', error => reject(new Error(`Failed to start metrics server on ${host}:${options.port}: ${error.message}`)));
+    server.listen(options.port, host, () => {
+      server.removeAllListeners('error');
+      server.on('error', error => logError(null, `Metrics server error: ${error.message}`));
+      logInfo(null, `Serving Prometheus metrics on http://${host}:${server.address().port}/metrics`);
+      resolve(server);
+    });
+  });
+}
+
+module.exports = {
+  METRIC_PREFIX,
+  DEFAULT_BUCKETS,
+  getMetricsConfigFromEnv,
+  createMetrics,
+  createMetricsServer,
+  startMetricsServer
+};
@@ -1,21 +1,61 @@
-const fs = require('fs');
 const https = require('https');
+const { loadState, saveState } = require('./state');
+const { getGatewayName } = require('./log');
+const { SEVERITIES, getThresholdConfigFromEnv, resolveThresholds, classifyLag, compareSeverity, maxSeverity } = require('./thresholds');
+
+const DEFAULT_STATE_FILE = './.pagerduty-state.json';
+const DEFAULT_AGGREGATION = 'process';
+const DEFAULT_MIN_SEVERITY = 'error';
+const AGGREGATIONS = ['process', 'gateway', 'run'];
+const INCIDENT_TYPES = {
+  mismatches: 'mismatch',
+  stalls: 'stalled',
+  errors: 'error',
+  divergences: 'divergence'
+};
 
 function getTimestamp() {
   return new Date().toISOString();
 }
 
-function getConfigFromEnv() {
+// PAGERDUTY_SEVERITY_THRESHOLD used to be a slot count. A number still works but is deprecated: it
+// becomes the highest level whose global threshold it reaches, so nothing that paged before stops paging
+function parseMinSeverity(value, thresholds) {
+  if (!value || SEVERITIES.includes(value)) {
+    return value || DEFAULT_MIN_SEVERITY;
+  }
+  if (!/^\d+$/.test(value.trim())) {
+    console.warn(`[${getTimestamp()}] WARNING: PAGERDUTY_SEVERITY_THRESHOLD="${value}" is not one of ${SEVERITIES.join(', ')}; paging from ${DEFAULT_MIN_SEVERITY}`);
+    return DEFAULT_MIN_SEVERITY;
+  }
+  
+  const slots = parseInt(value, 10);
+  const levels = resolveThresholds({}, { global: thresholds });
+  const minSeverity = classifyLag(slots, levels) || SEVERITIES[0];
+  console.warn(`[${getTimestamp()}] WARNING: PAGERDUTY_SEVERITY_THRESHOLD=${slots} is a slot count, which is deprecated; ` +
+    `paging from ${minSeverity} (${levels[minSeverity]}+ slots by the global thresholds). Set it to ${SEVERITIES.join(', ')} instead`);
+  return minSeverity;
+}
+
+// defaults.thresholds are the global alert levels a legacy slot count is converted through;
+// defaults.stateFile lets each CLI keep its own file when PAGERDUTY_STATE_FILE is not set
+function getConfigFromEnv(defaults = {}) {
   const enabled = process.env.PAGERDUTY_ENABLED === 'true';
   const routingKey = process.env.PAGERDUTY_ROUTING_KEY || '';
-  const threshold = parseInt(process.env.PAGERDUTY_SEVERITY_THRESHOLD || '50', 10);
+  const minSeverity = parseMinSeverity(process.env.PAGERDUTY_SEVERITY_THRESHOLD, defaults.thresholds || getThresholdConfigFromEnv().thresholds);
   const autoResolve = process.env.PAGERDUTY_AUTO_RESOLVE !== 'false';
+  const autoAcknowledge = process.env.PAGERDUTY_AUTO_ACKNOWLEDGE === 'true';
+  const stateFile = process.env.PAGERDUTY_STATE_FILE || defaults.stateFile || DEFAULT_STATE_FILE;
+  const aggregation = process.env.PAGERDUTY_AGGREGATION;
   
   return {
     routingKey,
     enabled,
-    threshold,
-    autoResolve
+    minSeverity,
+    autoResolve,
+    autoAcknowledge,
+    stateFile,
+    aggregation: AGGREGATIONS.includes(aggregation) ? aggregation : DEFAULT_AGGREGATION
   };
 }
 
@@ -29,7 +69,18 @@ function generateDedupKey(processId, type) {
   return `nonce-monitor-${type}-${processId}-${dateStr}`;
 }
 
-function buildEventPayload(incident, eventAction, config) {
+// Mismatches and stalls carry their own severity; anything else falls back to the default thresholds
+function getIncidentSeverity(incident) {
+  if (incident.severity) {
+    return incident.severity;
+  }
+  if (incident.error) {
+    return 'warning';
+  }
+  return classifyLag(Math.abs(parseInt(incident.stateNonce) - parseInt(incident.suRouterNonce))) || 'warning';
+}
+
+function buildEventPayload(incident, eventAction, config, options = {}) {
   const payload = {
     routing_key: config.routingKey,
     event_action: eventAction
@@ -37,13 +88,25 @@ function buildEventPayload(incident, eventAction, config) {
   
   if (eventAction === 'trigger') {
     const diff = Math.abs(parseInt(incident.stateNonce) - parseInt(incident.suRouterNonce));
-    const severity = diff >= 100 ? 'critical' : diff >= 50 ? 'error' : 'warning';
+    const severity = getIncidentSeverity(incident);
+    
+    let summary;
+    if (incident.error) {
+      summary = `Process check error: ${incident.processId}`;
+    } else if (incident.stalled) {
+      summary = `Process ${incident.processId} stalled: ${incident.description}`;
+    } else if (incident.description) {
+      summary = `Process ${incident.processId}: ${incident.description}`;
+    } else {
+      summary = `Process ${incident.processId} is ${diff} slots behind scheduler`;
+    }
+    if (options.context) {
+      summary += ` (${options.context})`;
+    }
     
     payload.dedup_key = incident.dedupKey || generateDedupKey(incident.processId, incident.type || 'mismatch');
     payload.payload = {
-      summary: incident.error 
-        ? `Process check error: ${incident.processId}` 
-        : `Process ${incident.processId} is ${diff} slots behind scheduler`,
+      summary: summary,
       severity: severity,
       source: 'nonce-monitor',
       timestamp: new Date().toISOString(),
@@ -52,7 +115,13 @@ function buildEventPayload(incident, eventAction, config) {
         stateNonce: incident.stateNonce,
         suRouterNonce: incident.suRouterNonce,
         slotsBehind: incident.error ? null : diff,
-        error: incident.error || null
+        gateway: incident.gateway || null,
+        scheduler: incident.scheduler || null,
+        slotBoundary: incident.boundary !== undefined ? incident.boundary : null,
+        progress: incident.progress || null,
+        error: incident.error || null,
+        description: incident.description || null,
+        context: options.context || null
       }
     };
   } else if (eventAction === 'resolve' || eventAction === 'acknowledge') {
@@ -71,23 +140,11 @@ function buildAggregatedEventPayload(incidents, eventAction, config, options = {
   if (eventAction === 'trigger') {
     const totalIncidents = incidents.length;
     const errors = incidents.filter(i => i.error).length;
-    const mismatches = totalIncidents - errors;
+    const stalled = incidents.filter(i => i.stalled).length;
+    const mismatches = totalIncidents - errors - stalled;
     
     // Determine overall severity based on worst case
-    let overallSeverity = 'warning';
-    if (incidents.some(i => {
-      if (i.error) return false;
-      const diff = Math.abs(parseInt(i.stateNonce) - parseInt(i.suRouterNonce));
-      return diff >= 100;
-    })) {
-      overallSeverity = 'critical';
-    } else if (incidents.some(i => {
-      if (i.error) return false;
-      const diff = Math.abs(parseInt(i.stateNonce) - parseInt(i.suRouterNonce));
-      return diff >= 50;
-    })) {
-      overallSeverity = 'error';
-    }
+    const overallSeverity = maxSeverity(incidents.map(getIncidentSeverity));
     
     // Generate summary based on incident types
     let summary;
@@ -99,6 +156,16 @@ function buildAggregatedEventPayload(incidents, eventAction, config, options = {
       summary = `${mismatches} AO processes behind scheduler`;
     }
     
+    if (stalled > 0) {
+      summary = mismatches > 0 || errors > 0
+        ? `${summary}, ${stalled} stalled`
+        : `${stalled} AO processes stalled`;
+    }
+    
+    if (options.summary) {
+      summary = options.summary;
+    }
+    
     // Add context info if provided
     if (options.context) {
       summary += ` (${options.context})`;
@@ -114,12 +181,25 @@ function buildAggregatedEventPayload(incidents, eventAction, config, options = {
         totalAffected: totalIncidents,
         mismatches: mismatches,
         errors: errors,
-        affectedProcesses: incidents.slice(0, 10).map(i => ({
+        stalled: stalled,
+        affectedProcesses: incidents.map(i => ({
           processId: i.processId,
           stateNonce: i.stateNonce,
           suRouterNonce: i.suRouterNonce,
           slotsBehind: i.error ? null : Math.abs(parseInt(i.stateNonce) - parseInt(i.suRouterNonce)),
-          error: i.error || null
+          gateway: i.gateway || null,
+          scheduler: i.scheduler || null,
+          slotBoundary: i.boundary !== undefined ? i.boundary : null,
+          progress: i.progress
+            ? {
+              stateRate: i.progress.stateRate,
+              suRouterRate: i.progress.suRouterRate,
+              status: i.progress.status,
+              etaMinutes: i.progress.etaMinutes
+            }
+            : null,
+          error: i.error || null,
+          description: i.description || null
         })),
         context: options.context || null,
         monitorType: options.monitorType || 'nonce'
@@ -178,7 +258,7 @@ function postToPagerDuty(payload) {
   });
 }
 
-async function sendPagerDutyEvent(incidents, eventAction, config) {
+async function sendPagerDutyEvent(incidents, eventAction, config, options = {}) {
   if (!config.enabled) {
     return [];
   }
@@ -196,7 +276,7 @@ async function sendPagerDutyEvent(incidents, eventAction, config) {
   
   for (const incident of incidents) {
     try {
-      const payload = buildEventPayload(incident, eventAction, config);
+      const payload = buildEventPayload(incident, eventAction, config, options);
       await postToPagerDuty(payload);
       
       console.log(`[${getTimestamp()}] PagerDuty event sent: ${eventAction} for ${incident.processId}`);
@@ -236,34 +316,282 @@ async function sendAggregatedPagerDutyEvent(incidents, eventAction, config, opti
   }
 }
 
-function loadState(stateFile) {
-  try {
-    if (!fs.existsSync(stateFile)) {
-      return {};
+function getIncidentLag(alert) {
+  if (alert.spread !== undefined) {
+    return alert.spread;
+  }
+  return alert.error ? null : Math.abs(parseInt(alert.stateNonce) - parseInt(alert.suRouterNonce));
+}
+
+// Maps each open dedup key to the processes whose incidents point at it
+function groupByDedupKey(state) {
+  const groups = new Map();
+  Object.entries(state).forEach(([processId, incidents]) => {
+    Object.entries(incidents).forEach(([type, incident]) => {
+      if (!groups.has(incident.dedupKey)) {
+        groups.set(incident.dedupKey, []);
+      }
+      groups.get(incident.dedupKey).push({ processId, type, incident });
+    });
+  });
+  return groups;
+}
+
+// Open incidents are kept per process and per incident type:
+// { [processId]: { [type]: { dedupKey, openedAt, updatedAt, lastLag, acknowledgedAt } } }
+function createIncidentTracker(config, options = {}) {
+  const stateFile = options.stateFile || config.stateFile || DEFAULT_STATE_FILE;
+  
+  // A dedup key is resolved once no open incident refers to it any more
+  async function settle(state, previous) {
+    const before = groupByDedupKey(previous);
+    const after = groupByDedupKey(state);
+    
+    for (const [dedupKey, entries] of before) {
+      if (after.has(dedupKey)) {
+        continue;
+      }
+      
+      const processIds = [...new Set(entries.map(e => e.processId))];
+      if (!config.autoResolve) {
+        console.log(`[${getTimestamp()}] PagerDuty incident ${dedupKey} cleared without resolving (PAGERDUTY_AUTO_RESOLVE=false)`);
+        continue;
+      }
+      
+      const [result] = await sendPagerDutyEvent([{ processId: processIds.join(', '), dedupKey }], 'resolve', config);
+      if (result && !result.success) {
+        // Keep the incidents open so the next run retries the resolve
+        entries.forEach(({ processId, type, incident }) => {
+          state[processId] = state[processId] || {};
+          state[processId][type] = state[processId][type] || incident;
+        });
+      }
     }
+  }
+  
+  return {
+    stateFile,
     
-    const content = fs.readFileSync(stateFile, 'utf8');
-    return JSON.parse(content);
-  } catch (error) {
-    if (error instanceof SyntaxError) {
-      console.warn(`[${getTimestamp()}] WARNING: Corrupted state file, starting fresh: ${error.message}`);
-      return {};
+    load() {
+      return loadState(stateFile);
+    },
+    
+    async open(incidents, now = getTimestamp()) {
+      const state = loadState(stateFile);
+      const previous = JSON.parse(JSON.stringify(state));
+      
+      incidents.forEach(incident => {
+        const open = state[incident.processId] || {};
+        const existing = open[incident.type];
+        const same = existing && existing.dedupKey === incident.dedupKey;
+        open[incident.type] = {
+          dedupKey: incident.dedupKey,
+          openedAt: same ? existing.openedAt : now,
+          updatedAt: now,
+          lastLag: getIncidentLag(incident),
+          acknowledgedAt: same ? existing.acknowledgedAt : null
+        };
+        state[incident.processId] = open;
+      });
+      
+      await settle(state, previous);
+      saveState(stateFile, state);
+    },
+    
+    // Closes incidents for processes that were checked and no longer alert, and acknowledges
+    // the ones whose lag is shrinking. Only the types the run evaluated are touched, so a
+    // consensus run leaves mismatch and stall incidents alone
+    async reconcile(results, alerts, now = getTimestamp()) {
+      const state = loadState(stateFile);
+      const previous = JSON.parse(JSON.stringify(state));
+      const evaluated = new Set(Object.keys(alerts).map(kind => INCIDENT_TYPES[kind]));
+      const active = new Map();
+      Object.entries(alerts).forEach(([kind, list]) => {
+        (list || []).forEach(alert => active.set(`${alert.processId}:${INCIDENT_TYPES[kind]}`, alert));
+      });
+      
+      const shrinking = new Set();
+      results.forEach(result => {
+        const open = state[result.processId];
+        if (!open) {
+          return;
+        }
+        
+        Object.keys(open).filter(type => evaluated.has(type)).forEach(type => {
+          const alert = active.get(`${result.processId}:${type}`);
+          if (alert) {
+            const lag = getIncidentLag(alert);
+            if (lag !== null && open[type].lastLag !== null && lag < open[type].lastLag) {
+              shrinking.add(`${result.processId}:${type}`);
+            }
+            open[type].lastLag = lag;
+            open[type].updatedAt = now;
+            return;
+          }
+          
+          // A failed check says nothing about whether the lag is gone
+          if (result.error && type !== 'error') {
+            return;
+          }
+          
+          console.log(`[${getTimestamp()}] PagerDuty ${type} incident for ${result.processId} recovered`);
+          delete open[type];
+        });
+        
+        if (Object.keys(open).length === 0) {
+          delete state[result.processId];
+        }
+      });
+      
+      await settle(state, previous);
+      
+      if (config.autoAcknowledge) {
+        for (const [dedupKey, entries] of groupByDedupKey(state)) {
+          const pending = entries.filter(e => !e.incident.acknowledgedAt);
+          if (pending.length === 0 || !entries.every(e => shrinking.has(`${e.processId}:${e.type}`))) {
+            continue;
+          }
+          
+          const processIds = [...new Set(entries.map(e => e.processId))];
+          const [result] = await sendPagerDutyEvent([{ processId: processIds.join(', '), dedupKey }], 'acknowledge', config);
+          if (result && result.success) {
+            entries.forEach(e => {
+              e.incident.acknowledgedAt = now;
+            });
+          }
+        }
+      }
+      
+      saveState(stateFile, state);
     }
-    console.warn(`[${getTimestamp()}] WARNING: Failed to load state file: ${error.message}`);
-    return {};
+  };
+}
+
+// Stable keys let a later run resolve exactly the incident it opened; only per-run keys change between runs
+function getAggregationKey(incident, aggregation, prefix, runId) {
+  if (aggregation === 'gateway') {
+    return `${prefix}-gateway-${getGatewayName(incident.gateway)}`;
+  }
+  if (aggregation === 'run') {
+    return `${prefix}-run-${runId}`;
   }
+  return `${prefix}-${incident.type}-${incident.processId}`;
 }
 
-function saveState(stateFile, state) {
-  try {
-    const data = JSON.stringify(state, null, 2);
-    fs.writeFileSync(stateFile, data, 'utf8');
-  } catch (error) {
-    console.error(`[${getTimestamp()}] ERROR: Failed to save state file: ${error.message}`);
+function groupIncidents(incidents, aggregation, prefix, runId = getTimestamp()) {
+  const groups = new Map();
+  incidents.forEach(incident => {
+    const dedupKey = getAggregationKey(incident, aggregation, prefix, runId);
+    if (!groups.has(dedupKey)) {
+      groups.set(dedupKey, []);
+    }
+    groups.get(dedupKey).push({ ...incident, dedupKey });
+  });
+  return groups;
+}
+
+function createPagerDutyNotifier(options = {}) {
+  const config = options.config || getConfigFromEnv();
+  const dedupPrefix = options.dedupPrefix || 'nonce-monitor';
+  const aggregation = options.aggregation || config.aggregation || DEFAULT_AGGREGATION;
+  const tracker = createIncidentTracker(config, options);
+  
+  // Divergences are reported against the peer median so severity reflects the gap between gateways
+  function toConsensusIncidents(alerts) {
+    const divergences = alerts.divergences.map(d => {
+      const worst = d.outliers.reduce((a, b) => (Math.abs(b.delta) > Math.abs(a.delta) ? b : a));
+      return {
+        processId: d.processId,
+        type: INCIDENT_TYPES.divergences,
+        stateNonce: worst.nonce,
+        suRouterNonce: String(worst.peerMedian),
+        gateway: worst.gateway,
+        spread: d.spread,
+        description: d.descriptions.join('; ')
+      };
+    });
+    
+    return [...divergences, ...(alerts.errors || []).map(e => ({ ...e, type: INCIDENT_TYPES.errors }))];
   }
+  
+  // Mismatches below PAGERDUTY_SEVERITY_THRESHOLD go to Slack only; their severity comes
+  // from the process's own thresholds, so the cut-off moves with them
+  function isPageable(mismatch) {
+    return compareSeverity(getIncidentSeverity(mismatch), config.minSeverity || DEFAULT_MIN_SEVERITY) >= 0;
+  }
+  
+  function toIncidents(alerts) {
+    return [
+      ...(alerts.mismatches || []).filter(isPageable).map(m => ({ ...m, type: INCIDENT_TYPES.mismatches })),
+      ...(alerts.stalls || []).map(s => ({ ...s, type: INCIDENT_TYPES.stalls, stalled: true })),
+      ...(alerts.errors || []).map(e => ({ ...e, type: INCIDENT_TYPES.errors }))
+    ];
+  }
+  
+  async function trigger(incidents, context, type) {
+    const sent = [];
+    
+    for (const [dedupKey, group] of groupIncidents(incidents, aggregation, dedupPrefix)) {
+      if (aggregation === 'process') {
+        const [result] = await sendPagerDutyEvent(group, 'trigger', config, { context: context.label });
+        if (result && result.success) {
+          sent.push(...group);
+        }
+        continue;
+      }
+      
+      const label = aggregation === 'gateway' ? getGatewayName(group[0].gateway) : null;
+      const result = await sendAggregatedPagerDutyEvent(group, 'trigger', config, {
+        context: [context.label, label].filter(Boolean).join(', ') || undefined,
+        type,
+        summary: type === 'consensus'
+          ? `${group.filter(i => !i.error).length} AO processes with diverging gateways, ${group.filter(i => i.error).length} check errors`
+          : undefined,
+        dedupKey
+      });
+      if (result.success) {
+        sent.push(...group);
+      }
+    }
+    
+    if (sent.length > 0) {
+      await tracker.open(sent);
+    }
+  }
+  
+  return {
+    name: 'pagerduty',
+    tracker,
+    
+    async notify(alerts, context = {}) {
+      if (!config.enabled) {
+        return;
+      }
+      
+      if (alerts.divergences) {
+        await trigger(toConsensusIncidents(alerts), context, 'consensus');
+        return;
+      }
+      
+      await trigger(toIncidents(alerts), context, options.type || 'nonce-monitor');
+    },
+    
+    // Runs after every check, including the ones where nothing was sent
+    async reconcile(results, alerts) {
+      if (!config.enabled || !config.routingKey) {
+        return;
+      }
+      
+      await tracker.reconcile(results, alerts);
+    }
+  };
 }
 
 module.exports = {
+  DEFAULT_STATE_FILE,
+  DEFAULT_AGGREGATION,
+  DEFAULT_MIN_SEVERITY,
+  AGGREGATIONS,
   sendPagerDutyEvent,
   sendAggregatedPagerDutyEvent,
   buildEventPayload,
@@ -271,5 +599,8 @@ module.exports = {
   generateDedupKey,
   loadState,
   saveState,
-  getConfigFromEnv
+  getConfigFromEnv,
+  createIncidentTracker,
+  groupIncidents,
+  createPagerDutyNotifier
 };
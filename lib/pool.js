@@ -0,0 +1,67 @@
+// Runs worker(item, index) over items with at most `concurrency` tasks in
+// flight overall and at most `keyConcurrency` in flight per key (keyOf(item)).
+// Results are returned in input order regardless of completion order.
+function mapWithConcurrency(items, worker, options = {}) {
+  const concurrency = Math.max(1, options.concurrency || 1);
+  const keyConcurrency = Math.max(1, options.keyConcurrency || Infinity);
+  const keyOf = options.keyOf || (() => 'default');
+  const onResult = options.onResult || (() => {});
+  
+  const results = new Array(items.length);
+  const queue = items.map((item, index) => index);
+  const activeByKey = new Map();
+  let active = 0;
+  let completed = 0;
+  
+  if (items.length === 0) {
+    return Promise.resolve(results);
+  }
+  
+  return new Promise((resolve, reject) => {
+    let failed = false;
+    
+    function hasCapacity(key) {
+      return (activeByKey.get(key) || 0) < keyConcurrency;
+    }
+    
+    function launchNext() {
+      while (!failed && active < concurrency) {
+        const position = queue.findIndex(index => hasCapacity(keyOf(items[index])));
+        if (position === -1) {
+          return;
+        }
+        
+        const [index] = queue.splice(position, 1);
+        const key = keyOf(items[index]);
+        active++;
+        activeByKey.set(key, (activeByKey.get(key) || 0) + 1);
+        
+        Promise.resolve()
+          .then(() => worker(items[index], index))
+          .then(result => {
+            results[index] = result;
+            active--;
+            activeByKey.set(key, activeByKey.get(key) - 1);
+            completed++;
+            onResult(result, completed, items.length);
+            
+            if (completed === items.length) {
+              resolve(results);
+            } else {
+              launchNext();
+            }
+          })
+          .catch(error => {
+            failed = true;
+            reject(error);
+          });
+      }
+    }
+    
+    launchNext();
+  });
+}
+
+module.exports = {
+  mapWithConcurrency
+};
@@ -0,0 +1,90 @@
+function toSlot(value) {
+  const parsed = parseInt(value, 10);
+  return Number.isNaN(parsed) ? null : parsed;
+}
+
+function round(value) {
+  return Math.round(value * 100) / 100;
+}
+
+// Slots-per-minute rates between two observations ({ timestamp, stateNonce, suRouterNonce }) and an ETA for the gap
+function computeProgress(previous, current) {
+  if (!previous || !current || !previous.timestamp || !current.timestamp) {
+    return null;
+  }
+  
+  const minutes = (Date.parse(current.timestamp) - Date.parse(previous.timestamp)) / 60000;
+  const slots = [previous.stateNonce, previous.suRouterNonce, current.stateNonce, current.suRouterNonce].map(toSlot);
+  if (!(minutes > 0) || slots.includes(null)) {
+    return null;
+  }
+  
+  const [prevState, prevScheduler, state, scheduler] = slots;
+  const stateRate = (state - prevState) / minutes;
+  const suRouterRate = (scheduler - prevScheduler) / minutes;
+  const gap = scheduler - state;
+  const closingRate = stateRate - suRouterRate;
+  
+  let status;
+  let etaMinutes = null;
+  if (gap <= 0) {
+    status = 'in-sync';
+    etaMinutes = 0;
+  } else if (closingRate > 0) {
+    status = 'catching-up';
+    etaMinutes = gap / closingRate;
+  } else if (closingRate < 0) {
+    status = 'diverging';
+  } else {
+    status = 'not-closing';
+  }
+  
+  return {
+    minutes: round(minutes),
+    stateRate: round(stateRate),
+    suRouterRate: round(suRouterRate),
+    closingRate: round(closingRate),
+    gap,
+    status,
+    etaMinutes: etaMinutes === null ? null : round(etaMinutes)
+  };
+}
+
+function formatEta(minutes) {
+  if (minutes < 1) {
+    return '<1m';
+  }
+  if (minutes < 60) {
+    return `~${Math.round(minutes)}m`;
+  }
+  if (minutes < 24 * 60) {
+    const hours = Math.floor(minutes / 60);
+    const rest = Math.round(minutes % 60);
+    return rest > 0 ? `~${hours}h ${rest}m` : `~${hours}h`;
+  }
+  return `~${Math.round(minutes / (24 * 60))}d`;
+}
+
+function formatProgress(progress) {
+  if (!progress) {
+    return 'no previous observation';
+  }
+  
+  const rates = `state ${progress.stateRate.toFixed(1)}/min, SU ${progress.suRouterRate.toFixed(1)}/min`;
+  switch (progress.status) {
+    case 'in-sync':
+      return `in sync (${rates})`;
+    case 'catching-up':
+      return `catching up at ${progress.closingRate.toFixed(1)} slots/min, ETA ${formatEta(progress.etaMinutes)} (${rates})`;
+    case 'diverging':
+      return `diverging, falling ${Math.abs(progress.closingRate).toFixed(1)} slots/min further behind (${rates})`;
+    default:
+      return `gap not closing (${rates})`;
+  }
+}
+
+module.exports = {
+  computeProgress,
+  formatEta,
+  formatProgress
+};
@@ -0,0 +1,147 @@
+const fs = require('fs');
+const { getGatewayName, getSchedulerName } = require('./log');
+const { classifyError } = require('./history');
+
+// Bumped only when a field is removed or changes meaning; new fields may appear within a version
+const REPORT_SCHEMA_VERSION = 1;
+const FORMATS = ['text', 'json'];
+
+function getFormatArg(argv) {
+  const index = argv.indexOf('--format');
+  if (index !== -1) {
+    return argv[index + 1];
+  }
+  const inline = argv.find(arg => arg.startsWith('--format='));
+  return inline ? inline.slice('--format='.length) : undefined;
+}
+
+function getReportConfigFromEnv(argv = process.argv) {
+  const format = getFormatArg(argv) || process.env.REPORT_FORMAT;
+  return {
+    file: process.env.REPORT_FILE || null,
+    format: FORMATS.includes(format) ? format : 'text'
+  };
+}
+
+// In JSON mode stdout carries only the report, so the human log lines move to stderr
+function redirectLogsToStderr() {
+  console.log = (...args) => console.error(...args);
+}
+
+function toNumber(value) {
+  if (value === null || value === undefined || value === '') return null;
+  const parsed = parseInt(value, 10);
+  return Number.isNaN(parsed) ? null : parsed;
+}
+
+function describeResult(result) {
+  return {
+    processId: result.processId,
+    status: result.error ? 'error' : result.match ? 'in-sync' : 'behind',
+    match: !result.error && result.match,
+    stateNonce: toNumber(result.stateNonce),
+    suRouterNonce: toNumber(result.suRouterNonce),
+    diff: result.error ? null : toNumber(result.diff),
+    severity: result.severity || null,
+    gateway: result.gateway || null,
+    gatewayName: getGatewayName(result.gateway),
+    stateGateway: result.stateGateway || null,
+    scheduler: result.scheduler || null,
+    schedulerName: result.scheduler ? getSchedulerName(result.scheduler) : null,
+    duration: result.duration,
+    stateDuration: result.stateDuration !== undefined ? result.stateDuration : null,
+    suRouterDuration: result.suRouterDuration !== undefined ? result.suRouterDuration : null,
+    retries: result.retries || 0,
+    error: result.error || null,
+    errorClass: classifyError(result.error),
+    silenced: Boolean(result.silenced),
+    stall: result.stall ? result.stall.reason : null,
+    boundary: result.boundary !== undefined ? result.boundary : null
+  };
+}
+
+function describeAlerts(run) {
+  const alerts = run.alerts;
+  const states = run.alertStates;
+  const list = (items, fields) => (items || []).map(item => Object.fromEntries(fields.map(field => [field, item[field] !== undefined ? item[field] : null])));
+  const byKind = lists => Object.fromEntries(['mismatches', 'errors', 'stalls'].map(kind => [kind, ((lists && lists[kind]) || []).map(alert => alert.processId)]));
+  
+  return {
+    detected: byKind(alerts),
+    notified: byKind(states && states.notified),
+    pending: list(states && states.pending, ['processId', 'type', 'count', 'runs']),
+    flapping: list(states && states.flapping, ['processId', 'type', 'transitions']),
+    fired: list(states && states.fired, ['processId', 'type', 'since', 'peakLag']),
+    resolved: list(states && states.resolved, ['processId', 'type', 'since', 'resolvedAt', 'peakLag']),
+    recovered: list(states && states.recovered, ['processId', 'type']),
+    silenced: run.silenced.map(s => ({ processId: s.processId, type: s.type, silenceId: s.silence.id || null, reason: s.silence.reason || null })),
+    suppressedRepeats: states ? states.suppressed || 0 : 0
+  };
+}
+
+function buildReport(run) {
+  const summary = run.summary;
+  return {
+    schemaVersion: REPORT_SCHEMA_VERSION,
+    run: {
+      monitor: run.context.label || null,
+      number: run.runNumber,
+      startedAt: run.startedAt,
+      finishedAt: run.generatedAt,
+      durationMs: new Date(run.generatedAt) - new Date(run.startedAt),
+      exitCode: run.exitCode,
+      configuredProcesses: run.processes.length,
+      checkedProcesses: run.results.length
+    },
+    summary: {
+      total: summary.total,
+      matches: summary.matches,
+      mismatches: summary.mismatches,
+      errors: summary.errors,
+      bySeverity: summary.bySeverity,
+      silenced: summary.silenced,
+      successRate: summary.successRate,
+      averageDuration: summary.averageDuration,
+      retries: run.results.reduce((sum, r) => sum + (r.retries || 0), 0)
+    },
+    processes: run.results.map(describeResult),
+    gateways: Object.entries(summary.gateways).map(([name, stats]) => ({
+      name,
+      total: stats.total,
+      errors: stats.errors,
+      mismatches: run.results.filter(r => !r.error && !r.match && getGatewayName(r.gateway) === name).length,
+      successRate: stats.successRate,
+      averageDuration: stats.averageDuration
+    })),
+    alerts: describeAlerts(run)
+  };
+}
+
+// The file is rewritten after every run; stdout gets one compact document per run, so watch mode emits JSON Lines
+function createReportReporter(options = {}) {
+  return {
+    name: 'json-report',
+    report(run) {
+      if (!options.file && options.format !== 'json') {
+        return;
+      }
+      const report = buildReport(run);
+      if (options.file) {
+        const tempFile = `${options.file}.${process.pid}.tmp`;
+        fs.writeFileSync(tempFile, `${JSON.stringify(report, null, 2)}\n`, 'utf8');
+        fs.renameSync(tempFile, options.file);
+      }
+      if (options.format === 'json') {
+        process.stdout.write(`${JSON.stringify(report)}\n`);
+      }
+    }
+  };
+}
+
+module.exports = {
+  REPORT_SCHEMA_VERSION,
+  getReportConfigFromEnv,
+  redirectLogsToStderr,
+  buildReport,
+  createReportReporter
+};
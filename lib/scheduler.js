@@ -0,0 +1,97 @@
+const { getSchedulerName, logInfo } = require('./log');
+const { fetchWithRetry } = require('./http');
+const { loadState, saveState } = require('./state');
+
+const DEFAULT_ROUTER_URL = 'https://su-router.ao-testnet.xyz';
+const DEFAULT_CACHE_TTL = 3600000; // 1 hour
+
+// The router answers `/?process-id=<id>` with the location of the scheduler that owns the process
+function buildLocateUrl(routerUrl, processId) {
+  return `${routerUrl.replace(/\/+$/, '')}/?process-id=${encodeURIComponent(processId)}`;
+}
+
+function parseSchedulerLocation(data) {
+  if (!data || typeof data !== 'object') {
+    throw new Error('Invalid scheduler location: expected JSON object');
+  }
+  
+  const url = data.url || data.location;
+  if (typeof url !== 'string' || !/^https?:\/\//.test(url)) {
+    throw new Error(`Invalid scheduler location: missing url in ${JSON.stringify(data).substring(0, 100)}`);
+  }
+  
+  return url.replace(/\/+$/, '');
+}
+
+function createSchedulerResolver(options = {}) {
+  const routerUrl = options.routerUrl || DEFAULT_ROUTER_URL;
+  const ttl = options.ttl !== undefined ? options.ttl : DEFAULT_CACHE_TTL;
+  const cacheFile = options.cacheFile || null;
+  const cache = cacheFile ? loadState(cacheFile) : {};
+  const pending = new Map();
+  
+  async function locate(processId) {
+    try {
+      const response = await fetchWithRetry(buildLocateUrl(routerUrl, processId), options.timeout || 10000, {
+        ...options.retry,
+        label: 'Scheduler Discovery Retry'
+      });
+      
+      let data;
+      try {
+        data = await response.json();
+      } catch (error) {
+        throw new Error(`Failed to parse JSON from router: ${error.message}`);
+      }
+      
+      const url = parseSchedulerLocation(data);
+      cache[processId] = { url, resolvedAt: Date.now() };
+      if (cacheFile) {
+        saveState(cacheFile, cache);
+      }
+      
+      logInfo(processId, `Discovered scheduler ${getSchedulerName(url)}`);
+      return url;
+    } catch (error) {
+      // A stale location is a better guess than the router itself
+      if (cache[processId]) {
+        logInfo(processId, `Scheduler discovery failed, using cached ${getSchedulerName(cache[processId].url)}: ${error.message}`);
+        return cache[processId].url;
+      }
+      throw new Error(`Failed to discover scheduler: ${error.message}`);
+    }
+  }
+  
+  return {
+    routerUrl,
+    cache,
+    
+    async resolve(processId) {
+      const cached = cache[processId];
+      if (cached && Date.now() - cached.resolvedAt < ttl) {
+        return cached.url;
+      }
+      
+      // Concurrent checks of the same process share one router lookup
+      if (!pending.has(processId)) {
+        pending.set(processId, locate(processId).finally(() => pending.delete(processId)));
+      }
+      return pending.get(processId);
+    },
+    
+    invalidate(processId) {
+      delete cache[processId];
+      if (cacheFile) {
+        saveState(cacheFile, cache);
+      }
+    }
+  };
+}
+
+module.exports = {
+  DEFAULT_ROUTER_URL,
+  DEFAULT_CACHE_TTL,
+  buildLocateUrl,
+  parseSchedulerLocation,
+  createSchedulerResolver
+};
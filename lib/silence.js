@@ -0,0 +1,146 @@
+const crypto = require('crypto');
+const fs = require('fs');
+const { getGatewayName } = require('./log');
+const { ALERT_TYPES } = require('./alert-state');
+
+const DEFAULT_SILENCES_FILE = './silences.json';
+const MATCHERS = ['processId', 'gateway', 'label', 'alertType'];
+const DURATION_UNITS = { s: 1000, m: 60000, h: 3600000, d: 86400000 };
+
+function parseDuration(value) {
+  const match = /^(\d+)([smhd])$/.exec(String(value).trim());
+  if (!match) {
+    throw new Error(`Invalid duration: ${value} (expected e.g. 30m, 2h or 1d)`);
+  }
+  return parseInt(match[1], 10) * DURATION_UNITS[match[2]];
+}
+
+function toDate(value, name) {
+  const date = new Date(value);
+  if (Number.isNaN(date.getTime())) {
+    throw new Error(`Invalid ${name} time: ${value}`);
+  }
+  return date;
+}
+
+// Accepts a bare array or `{ silences: [...] }`, so the list can live inside a larger config file
+function loadSilences(file = DEFAULT_SILENCES_FILE) {
+  if (!fs.existsSync(file)) {
+    return [];
+  }
+  
+  try {
+    const data = JSON.parse(fs.readFileSync(file, 'utf8'));
+    const silences = Array.isArray(data) ? data : data.silences;
+    if (!Array.isArray(silences)) {
+      throw new Error('expected an array of silences');
+    }
+    return silences;
+  } catch (error) {
+    throw new Error(`Failed to load silences from ${file}: ${error.message}`);
+  }
+}
+
+function saveSilences(file, silences) {
+  try {
+    fs.writeFileSync(file, JSON.stringify(silences, null, 2) + '\n', 'utf8');
+  } catch (error) {
+    throw new Error(`Failed to save silences to ${file}: ${error.message}`);
+  }
+}
+
+function createSilence(options = {}, now = new Date()) {
+  const matchers = MATCHERS.filter(key => options[key]);
+  if (matchers.length === 0) {
+    throw new Error('A silence needs at least one of: process ID, gateway, label or alert type');
+  }
+  if (!options.reason) {
+    throw new Error('A silence needs a reason');
+  }
+  if (options.alertType && !Object.values(ALERT_TYPES).includes(options.alertType)) {
+    throw new Error(`Invalid alert type: ${options.alertType} (expected ${Object.values(ALERT_TYPES).join(', ')})`);
+  }
+  if (!options.end && !options.duration) {
+    throw new Error('A silence needs an end time or a duration');
+  }
+  
+  const start = options.start ? toDate(options.start, 'start') : now;
+  const end = options.end ? toDate(options.end, 'end') : new Date(start.getTime() + parseDuration(options.duration));
+  if (end <= start) {
+    throw new Error('A silence must end after it starts');
+  }
+  
+  const silence = { id: crypto.randomBytes(4).toString('hex') };
+  matchers.forEach(key => {
+    silence[key] = options[key];
+  });
+  
+  return {
+    ...silence,
+    start: start.toISOString(),
+    end: end.toISOString(),
+    reason: options.reason,
+    createdBy: options.createdBy || null,
+    createdAt: now.toISOString()
+  };
+}
+
+function isActive(silence, now = new Date()) {
+  const time = new Date(now).getTime();
+  const start = silence.start ? new Date(silence.start).getTime() : -Infinity;
+  return start <= time && time < new Date(silence.end).getTime();
+}
+
+// Every matcher a silence sets must match; gateways compare by short name so `push-5` matches the full URL
+function matchesSilence(silence, target, type) {
+  if (silence.processId && silence.processId !== target.processId) {
+    return false;
+  }
+  if (silence.gateway && (!target.gateway || getGatewayName(silence.gateway) !== getGatewayName(target.gateway))) {
+    return false;
+  }
+  if (silence.label && !(target.labels || []).includes(silence.label)) {
+    return false;
+  }
+  if (silence.alertType && silence.alertType !== type) {
+    return false;
+  }
+  return true;
+}
+
+function findSilence(silences, target, type, now = new Date()) {
+  return silences.find(silence => isActive(silence, now) && matchesSilence(silence, target, type)) || null;
+}
+
+// Splits alerts into the ones still to notify and the silenced ones; `lookup` supplies each process's configured entry (labels)
+function applySilences(alerts, silences, lookup = () => ({}), now = new Date()) {
+  const audible = {};
+  const silenced = [];
+  
+  Object.entries(alerts).forEach(([kind, list]) => {
+    audible[kind] = list.filter(alert => {
+      const entry = lookup(alert.processId) || {};
+      const target = { processId: alert.processId, gateway: alert.gateway || entry.gateway, labels: entry.labels };
+      const silence = silences.length > 0 ? findSilence(silences, target, ALERT_TYPES[kind], now) : null;
+      if (silence) {
+        silenced.push({ processId: alert.processId, type: ALERT_TYPES[kind], silence });
+        return false;
+      }
+      return true;
+    });
+  });
+  
+  return { alerts: audible, silenced };
+}
+
+module.exports = {
+  DEFAULT_SILENCES_FILE,
+  parseDuration,
+  loadSilences,
+  saveSilences,
+  createSilence,
+  isActive,
+  matchesSilence,
+  findSilence,
+  applySilences
+};
@@ -0,0 +1,323 @@
+const https = require('https');
+const { getTimestamp, truncateProcessId, formatGatewayLabel, getSchedulerName } = require('./log');
+const { buildConsensusSlackMessage } = require('./consensus');
+const { formatProgress, formatEta } = require('./progress');
+const { classifyLag } = require('./thresholds');
+
+const DEFAULT_TITLE = '🚨 AO Network Process Status Alert';
+const DEFAULT_FOOTER = 'AO Network Nonce Monitor';
+const DEFAULT_RECOVERED_TITLE = '✅ AO Network Processes Recovered';
+const STALL_REASONS = {
+  'state-frozen': 'State frozen',
+  'falling-behind': 'Falling behind',
+  'both-frozen': 'State and scheduler frozen'
+};
+const SEVERITY_COLORS = {
+  warning: 'warning',
+  error: 'warning',
+  critical: 'danger'
+};
+const RECOVERED_LABELS = {
+  mismatch: 'Behind scheduler',
+  stalled: 'Stalled',
+  error: 'Check errors',
+  divergence: 'Gateway divergence'
+};
+
+// One entry per process, however many of its alert types resolved in the same run
+function groupRecoveries(recovered) {
+  const byProcess = new Map();
+  recovered.forEach(r => {
+    const existing = byProcess.get(r.processId);
+    if (!existing) {
+      byProcess.set(r.processId, { processId: r.processId, types: [r.type], since: r.since, resolvedAt: r.resolvedAt, peakLag: r.peakLag });
+      return;
+    }
+    existing.types.push(r.type);
+    existing.since = r.since < existing.since ? r.since : existing.since;
+    if (r.peakLag !== null && (existing.peakLag === null || r.peakLag > existing.peakLag)) {
+      existing.peakLag = r.peakLag;
+    }
+  });
+  return [...byProcess.values()];
+}
+
+function buildConsolidatedSlackMessage(mismatches, errors, options = {}) {
+  const totalMismatches = mismatches.length;
+  const totalErrors = errors.length;
+  const stalls = options.stalls || [];
+  const recovered = groupRecoveries(options.recovered || []);
+  const footer = options.footer || DEFAULT_FOOTER;
+  const recoveryOnly = totalMismatches + totalErrors + stalls.length === 0 && recovered.length > 0;
+  
+  let text = recoveryOnly ? options.recoveredTitle || DEFAULT_RECOVERED_TITLE : options.title || DEFAULT_TITLE;
+  if (options.context) {
+    text += ` - ${options.context}`;
+  }
+  
+  // Build summary line
+  const summaryParts = [];
+  if (totalMismatches > 0) {
+    summaryParts.push(`${totalMismatches} behind scheduler`);
+  }
+  if (stalls.length > 0) {
+    summaryParts.push(`${stalls.length} stalled`);
+  }
+  if (totalErrors > 0) {
+    summaryParts.push(`${totalErrors} check errors`);
+  }
+  if (recovered.length > 0) {
+    summaryParts.push(`${recovered.length} recovered`);
+  }
+  
+  if (summaryParts.length > 0) {
+    text += `\n${summaryParts.join(', ')}`;
+  }
+  
+  const attachments = [];
+  
+  // Add mismatch attachments (limited to first 8 to make room for errors)
+  if (totalMismatches > 0) {
+    const mismatchAttachments = mismatches.slice(0, 8).map(mismatch => {
+      const diff = Math.abs(parseInt(mismatch.stateNonce) - parseInt(mismatch.suRouterNonce));
+      // Mismatches from the engine carry the severity their process thresholds gave them
+      const severity = mismatch.severity || classifyLag(diff);
+      const color = SEVERITY_COLORS[severity] || 'good';
+      
+      const fields = [
+        { title: 'Process ID', value: truncateProcessId(mismatch.processId), short: true }
+      ];
+      if (mismatch.gateway) {
+        fields.push({ title: 'Gateway', value: formatGatewayLabel(mismatch.gateway, mismatch.stateGateway), short: true });
+      }
+      if (mismatch.scheduler) {
+        fields.push({ title: 'Scheduler', value: getSchedulerName(mismatch.scheduler), short: true });
+      }
+      if (mismatch.boundary !== undefined && mismatch.boundary !== null) {
+        fields.push({ title: 'Slot Boundary', value: String(mismatch.boundary), short: true });
+      }
+      fields.push(
+        { title: 'State Nonce', value: String(mismatch.stateNonce), short: true },
+        { title: 'SU Router Nonce', value: String(mismatch.suRouterNonce), short: true },
+        { title: 'Difference', value: severity ? `${diff} slots (${severity})` : `${diff} slots`, short: true }
+      );
+      if (mismatch.progress) {
+        fields.push({ title: 'Progress', value: formatProgress(mismatch.progress), short: false });
+      }
+      
+      return { color, fields };
+    });
+    
+    attachments.push(...mismatchAttachments);
+    
+    if (totalMismatches > 8) {
+      attachments.push({
+        color: 'good',
+        text: `... and ${totalMismatches - 8} more mismatches`
+      });
+    }
+  }
+  
+  // Stalls get their own color by severity, independent of the diff
+  if (stalls.length > 0) {
+    attachments.push(...stalls.slice(0, 5).map(stall => ({
+      color: stall.severity === 'warning' ? 'warning' : 'danger',
+      fields: [
+        { title: 'Process ID', value: truncateProcessId(stall.processId), short: true },
+        { title: 'Stalled', value: `${STALL_REASONS[stall.reason] || stall.reason} (${stall.severity})`, short: true },
+        ...(stall.gateway ? [{ title: 'Gateway', value: formatGatewayLabel(stall.gateway, stall.stateGateway), short: true }] : []),
+        { title: 'Details', value: stall.description, short: false }
+      ]
+    })));
+    
+    if (stalls.length > 5) {
+      attachments.push({
+        color: 'danger',
+        text: `... and ${stalls.length - 5} more stalled processes`
+      });
+    }
+  }
+  
+  // Add error attachments (limited to avoid message size limits)
+  if (totalErrors > 0) {
+    const errorAttachments = errors.slice(0, 3).map(err => ({
+      color: 'warning',
+      fields: [
+        { title: 'Process ID', value: truncateProcessId(err.processId), short: true },
+        ...(err.scheduler ? [{ title: 'Scheduler', value: getSchedulerName(err.scheduler), short: true }] : []),
+        { title: 'Error', value: err.error.substring(0, 100) + (err.error.length > 100 ? '...' : ''), short: false }
+      ]
+    }));
+    
+    attachments.push(...errorAttachments);
+    
+    if (totalErrors > 3) {
+      attachments.push({
+        color: 'warning',
+        text: `... and ${totalErrors - 3} more errors`
+      });
+    }
+  }
+  
+  // Recoveries close the loop on earlier alerts: how long the process was out and how far behind it got
+  if (recovered.length > 0) {
+    attachments.push(...recovered.slice(0, 5).map(r => {
+      const fields = [
+        { title: 'Process ID', value: truncateProcessId(r.processId), short: true },
+        { title: 'Recovered', value: r.types.map(type => RECOVERED_LABELS[type] || type).join(', '), short: true },
+        { title: 'Out of Sync', value: formatEta((new Date(r.resolvedAt) - new Date(r.since)) / 60000), short: true }
+      ];
+      if (r.peakLag !== null && r.peakLag !== undefined) {
+        fields.push({ title: 'Peak Lag', value: `${r.peakLag} slots`, short: true });
+      }
+      
+      return { color: 'good', fields };
+    }));
+    
+    if (recovered.length > 5) {
+      attachments.push({
+        color: 'good',
+        text: `... and ${recovered.length - 5} more recovered processes`
+      });
+    }
+  }
+  
+  // Add footer with timestamp and any caller-supplied context fields
+  attachments.push({
+    color: 'good',
+    fields: [
+      { title: 'Timestamp', value: getTimestamp(), short: false },
+      ...(options.footerFields || [])
+    ],
+    footer,
+    ts: Math.floor(Date.now() / 1000)
+  });
+  
+  return {
+    text,
+    attachments,
+    footer,
+    ts: Math.floor(Date.now() / 1000)
+  };
+}
+
+function postToSlack(webhookUrl, message) {
+  return new Promise((resolve, reject) => {
+    const url = new URL(webhookUrl);
+    const payload = JSON.stringify(message);
+    
+    const options = {
+      hostname: url.hostname,
+      path: url.pathname + url.search,
+      method: 'POST',
+      headers: {
+        'Content-Type': 'application/json',
+        'Content-Length': Buffer.byteLength(payload)
+      },
+      timeout: 5000
+    };
+    
+    const req = https.request(options, (res) => {
+      let data = '';
+      
+      res.on('data', (chunk) => {
+        data += chunk;
+      });
+      
+      res.on('end', () => {
+        if (res.statusCode === 200) {
+          resolve();
+        } else {
+          reject(new Error(`HTTP ${res.statusCode}: ${data}`));
+        }
+      });
+    });
+    
+    req.on('error', (error) => {
+      reject(error);
+    });
+    
+    req.on('timeout', () => {
+      req.destroy();
+      reject(new Error('Request timeout after 5000ms'));
+    });
+    
+    req.write(payload);
+    req.end();
+  });
+}
+
+async function sendConsolidatedSlackAlert(webhookUrl, mismatches, errors, options = {}) {
+  const totalIssues = (mismatches?.length || 0) + (errors?.length || 0) + (options.stalls?.length || 0);
+  const totalRecovered = options.recovered?.length || 0;
+  
+  if (!webhookUrl || totalIssues + totalRecovered === 0) {
+    return;
+  }
+  
+  try {
+    const message = buildConsolidatedSlackMessage(mismatches || [], errors || [], options);
+    await postToSlack(webhookUrl, message);
+    console.log(`[${getTimestamp()}] Consolidated Slack alert sent for ${totalIssues} total issues${totalRecovered > 0 ? `, ${totalRecovered} recovered` : ''}`);
+  } catch (error) {
+    console.error(`[${getTimestamp()}] Failed to send consolidated Slack alert: ${error.message}`);
+  }
+}
+
+async function sendConsensusSlackAlert(webhookUrl, divergences, errors, options = {}) {
+  const totalIssues = (divergences?.length || 0) + (errors?.length || 0);
+  
+  if (!webhookUrl || totalIssues === 0) {
+    return;
+  }
+  
+  try {
+    const message = buildConsensusSlackMessage(divergences || [], errors || [], options);
+    await postToSlack(webhookUrl, message);
+    console.log(`[${getTimestamp()}] Consensus Slack alert sent for ${totalIssues} total issues`);
+  } catch (error) {
+    console.error(`[${getTimestamp()}] Failed to send consensus Slack alert: ${error.message}`);
+  }
+}
+
+function createSlackNotifier(options = {}) {
+  const webhookUrl = options.webhookUrl !== undefined ? options.webhookUrl : process.env.SLACK_WEBHOOK_URL;
+  
+  return {
+    name: 'slack',
+    async notify(alerts, context = {}) {
+      if (alerts.divergences) {
+        await sendConsensusSlackAlert(webhookUrl, alerts.divergences, alerts.errors, {
+          footer: options.footer,
+          context: context.label
+        });
+        await sendConsolidatedSlackAlert(webhookUrl, [], [], {
+          recoveredTitle: options.recoveredTitle,
+          footer: options.footer,
+          context: context.label,
+          recovered: alerts.recovered
+        });
+        return;
+      }
+      
+      await sendConsolidatedSlackAlert(webhookUrl, alerts.mismatches, alerts.errors, {
+        title: options.title,
+        recoveredTitle: options.recoveredTitle,
+        footer: options.footer,
+        context: context.label,
+        footerFields: context.slackFields,
+        stalls: alerts.stalls,
+        recovered: alerts.recovered
+      });
+    }
+  };
+}
+
+module.exports = {
+  SEVERITY_COLORS,
+  buildConsolidatedSlackMessage,
+  postToSlack,
+  sendConsolidatedSlackAlert,
+  sendConsensusSlackAlert,
+  createSlackNotifier
+};
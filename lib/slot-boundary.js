@@ -0,0 +1,81 @@
+const { loadState, saveState } = require('./state');
+
+const DEFAULT_SLOT_INTERVAL = 500;
+const DEFAULT_SLOT_TOLERANCE = 10;
+const DEFAULT_STATE_FILE = './.slot-boundaries.json';
+
+// Decides whether a process at `slot` has a boundary that still needs verifying
+function getBoundaryStatus(slot, lastVerified, options = {}) {
+  const interval = options.interval || DEFAULT_SLOT_INTERVAL;
+  const tolerance = options.tolerance !== undefined ? options.tolerance : DEFAULT_SLOT_TOLERANCE;
+  const current = parseInt(slot, 10);
+  const remainder = current % interval;
+  const floor = current - remainder;
+  const hasHistory = lastVerified !== undefined && lastVerified !== null;
+  
+  let boundary = null;
+  let reason = 'between-boundaries';
+  
+  if (remainder < tolerance) {
+    boundary = floor;
+    reason = 'at-boundary';
+  } else if (interval - remainder < tolerance) {
+    boundary = floor + interval;
+    reason = 'approaching-boundary';
+  } else if (hasHistory && floor > lastVerified) {
+    // The tolerance window passed without a run; verify late rather than skip the boundary
+    boundary = floor;
+    reason = 'missed-window';
+  }
+  
+  if (boundary !== null && hasHistory && boundary <= lastVerified) {
+    return { slot: current, boundary, remainder, due: false, reason: 'already-verified', skipped: 0 };
+  }
+  
+  return {
+    slot: current,
+    boundary: boundary !== null ? boundary : floor + interval,
+    remainder,
+    due: boundary !== null,
+    reason,
+    // Boundaries crossed entirely between two invocations can no longer be verified
+    skipped: boundary !== null && hasHistory ? Math.max(0, (boundary - lastVerified) / interval - 1) : 0
+  };
+}
+
+function createBoundaryTracker(options = {}) {
+  const settings = {
+    interval: options.interval || DEFAULT_SLOT_INTERVAL,
+    tolerance: options.tolerance !== undefined ? options.tolerance : DEFAULT_SLOT_TOLERANCE
+  };
+  const stateFile = options.stateFile === undefined ? DEFAULT_STATE_FILE : options.stateFile;
+  const verified = stateFile ? loadState(stateFile) : {};
+  
+  return {
+    settings,
+    verified,
+    
+    evaluate(processId, slot) {
+      const last = verified[processId] ? verified[processId].boundary : undefined;
+      return getBoundaryStatus(slot, last, settings);
+    },
+    
+    markVerified(processId, boundary, slot) {
+      verified[processId] = { boundary, slot: parseInt(slot, 10), verifiedAt: new Date().toISOString() };
+    },
+    
+    save() {
+      if (stateFile) {
+        saveState(stateFile, verified);
+      }
+    }
+  };
+}
+
+module.exports = {
+  DEFAULT_SLOT_INTERVAL,
+  DEFAULT_SLOT_TOLERANCE,
+  DEFAULT_STATE_FILE,
+  getBoundaryStatus,
+  createBoundaryTracker
+};
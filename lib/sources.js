@@ -0,0 +1,262 @@
+const { fetchWithTimeout, fetchWithRetry } = require('./http');
+
+const NONCE_PATTERN = '^[0-9]+$';
+
+const registry = new Map();
+
+// Resolves a dotted path such as "assignment.tags[name=Nonce].value" or "edges[0].cursor"
+function getPath(data, path) {
+  return path.split('.').reduce((value, segment) => {
+    if (value === undefined || value === null) {
+      return undefined;
+    }
+    
+    const match = segment.match(/^([^[\]]*)(?:\[([^\]]+)\])?$/);
+    if (!match) {
+      return undefined;
+    }
+    
+    const [, key, selector] = match;
+    let next = key ? value[key] : value;
+    
+    if (selector !== undefined) {
+      if (!Array.isArray(next)) {
+        return undefined;
+      }
+      if (/^\d+$/.test(selector)) {
+        next = next[parseInt(selector, 10)];
+      } else {
+        const [field, expected] = selector.split('=');
+        next = next.find(item => item && String(item[field]) === expected);
+      }
+    }
+    
+    return next;
+  }, data);
+}
+
+function buildParser(parse) {
+  if (typeof parse === 'function') {
+    return parse;
+  }
+  
+  if (parse === 'text') {
+    return body => body.trim();
+  }
+  
+  if (typeof parse === 'string' && parse.startsWith('json:')) {
+    const path = parse.slice('json:'.length);
+    return body => {
+      const value = getPath(body, path);
+      if (value === undefined || value === null) {
+        throw new Error(`No value at ${path} in response`);
+      }
+      return String(value);
+    };
+  }
+  
+  throw new Error(`Unsupported parser: ${parse}`);
+}
+
+function buildValidator(validate) {
+  if (typeof validate === 'function') {
+    return validate;
+  }
+  
+  const pattern = new RegExp(validate || NONCE_PATTERN);
+  return nonce => pattern.test(String(nonce));
+}
+
+// A source is a named URL template plus a parser and validation rule. `parse` is a
+// function(body) or a declarative "text" / "json:<path>" spec so sources can be
+// defined in configuration; `validate` is a function or a regular expression string.
+function defineSource(spec) {
+  if (!spec || !spec.name) {
+    throw new Error('Source definition requires a name');
+  }
+  if (!spec.urlTemplate) {
+    throw new Error(`Source ${spec.name} requires a urlTemplate`);
+  }
+  
+  const responseType = spec.responseType ||
+    (typeof spec.parse === 'string' && spec.parse.startsWith('json:') ? 'json' : 'text');
+  
+  return {
+    name: spec.name,
+    label: spec.label || spec.name,
+    baseUrl: spec.baseUrl || null,
+    urlTemplate: spec.urlTemplate,
+    responseType,
+    retry: spec.retry === true,
+    parse: buildParser(spec.parse || 'text'),
+    validate: buildValidator(spec.validate)
+  };
+}
+
+function registerSource(spec) {
+  const source = defineSource(spec);
+  registry.set(source.name, source);
+  return source;
+}
+
+// Accepts a registered name, a full definition, or { adapter, ...overrides } on top of a registered source
+function getSource(nameOrSpec) {
+  if (typeof nameOrSpec === 'string') {
+    const source = registry.get(nameOrSpec);
+    if (!source) {
+      throw new Error(`Unknown nonce source: ${nameOrSpec} (available: ${listSources().join(', ')})`);
+    }
+    return source;
+  }
+  
+  if (nameOrSpec && nameOrSpec.adapter) {
+    const base = getSource(nameOrSpec.adapter);
+    const { adapter, ...overrides } = nameOrSpec;
+    return {
+      ...base,
+      ...overrides,
+      name: overrides.name || base.name,
+      parse: overrides.parse ? buildParser(overrides.parse) : base.parse,
+      validate: overrides.validate ? buildValidator(overrides.validate) : base.validate
+    };
+  }
+  
+  return defineSource(nameOrSpec);
+}
+
+function listSources() {
+  return [...registry.keys()];
+}
+
+function buildSourceUrl(source, processId, baseUrl) {
+  return source.urlTemplate
+    .replace('{baseUrl}', (baseUrl || source.baseUrl || '').replace(/\/+$/, ''))
+    .replace('{processId}', processId);
+}
+
+// options.onRequest, if given, is told about every fetch once it has finished, for metrics
+async function fetchNonce(source, processId, options = {}) {
+  const url = buildSourceUrl(source, processId, options.url);
+  const timeout = options.timeout || 10000;
+  const startTime = Date.now();
+  let retries = 0;
+  const report = error => {
+    if (options.onRequest) {
+      options.onRequest({ source: source.name, url: options.url || source.baseUrl, duration: Date.now() - startTime, retries, error });
+    }
+  };
+  
+  try {
+    const response = source.retry
+      ? await fetchWithRetry(url, timeout, { ...options.retry, label: `${source.label} Retry`, onRetry: () => retries++ })
+      : await fetchWithTimeout(url, timeout);
+    const body = source.responseType === 'json' ? await response.json() : await response.text();
+    const nonce = source.parse(body);
+    
+    if (nonce === undefined || nonce === null || String(nonce).trim() === '') {
+      throw new Error(`${source.label} endpoint returned empty nonce`);
+    }
+    
+    if (!source.validate(nonce)) {
+      throw new Error(`Invalid nonce format: ${nonce}`);
+    }
+    
+    report(null);
+    return String(nonce);
+  } catch (error) {
+    const failure = error instanceof SyntaxError
+      ? new Error(`Failed to parse JSON from ${source.label}: ${error.message}`)
+      : new Error(`Failed to fetch ${source.label} nonce: ${error.message}`);
+    report(failure.message);
+    throw failure;
+  }
+}
+
+function parseSURouterAssignment(data) {
+  if (!data || typeof data !== 'object') {
+    throw new Error('Invalid JSON response structure');
+  }
+  
+  if (!data.assignment || typeof data.assignment !== 'object') {
+    throw new Error('Missing assignment object in response');
+  }
+  
+  if (!Array.isArray(data.assignment.tags)) {
+    throw new Error('Missing or invalid assignment.tags array');
+  }
+  
+  const nonceTag = data.assignment.tags.find(tag => tag.name === 'Nonce');
+  
+  if (!nonceTag) {
+    throw new Error('Nonce tag not found in assignment.tags');
+  }
+  
+  if (nonceTag.value === undefined || nonceTag.value === null) {
+    throw new Error('Nonce tag has no value');
+  }
+  
+  return String(nonceTag.value);
+}
+
+// Legacy CU cursors are base64url-encoded JSON carrying the message ordinate (its nonce)
+function parseLegacyCuResults(data) {
+  if (!data || !Array.isArray(data.edges)) {
+    throw new Error('Missing edges array in CU results response');
+  }
+  
+  if (data.edges.length === 0) {
+    throw new Error('CU returned no results for process');
+  }
+  
+  const cursor = data.edges[0].cursor;
+  if (!cursor) {
+    throw new Error('Missing cursor on latest CU result');
+  }
+  
+  const decoded = JSON.parse(Buffer.from(cursor, 'base64url').toString('utf8'));
+  const ordinate = Array.isArray(decoded) ? decoded[1] : decoded.ordinate;
+  
+  if (ordinate === undefined || ordinate === null) {
+    throw new Error('Missing ordinate in CU result cursor');
+  }
+  
+  return String(ordinate);
+}
+
+registerSource({
+  name: 'hyperbeam-state',
+  label: 'state',
+  baseUrl: 'https://state.forward.computer',
+  urlTemplate: '{baseUrl}/{processId}~process@1.0/compute/at-slot',
+  parse: 'text'
+});
+
+registerSource({
+  name: 'su-router',
+  label: 'SU Router',
+  baseUrl: 'https://su-router.ao-testnet.xyz',
+  urlTemplate: '{baseUrl}/{processId}/latest',
+  responseType: 'json',
+  retry: true,
+  parse: parseSURouterAssignment
+});
+
+registerSource({
+  name: 'legacy-cu',
+  label: 'CU',
+  baseUrl: 'https://cu.ao-testnet.xyz',
+  urlTemplate: '{baseUrl}/results/{processId}?sort=DESC&limit=1',
+  responseType: 'json',
+  retry: true,
+  parse: parseLegacyCuResults
+});
+
+module.exports = {
+  getPath,
+  defineSource,
+  registerSource,
+  getSource,
+  listSources,
+  buildSourceUrl,
+  fetchNonce
+};
@@ -0,0 +1,80 @@
+const DEFAULT_STALL_RUNS = 3;
+// Slots the diff must grow by over the window; a diff creeping 0 -> 1 -> 2 is scheduling noise
+const DEFAULT_STALL_MIN_GROWTH = 10;
+const DEFAULT_STALL_SEVERITY = 'error';
+const SEVERITIES = ['warning', 'error', 'critical'];
+
+function getStallConfigFromEnv() {
+  const severity = process.env.STALL_SEVERITY || DEFAULT_STALL_SEVERITY;
+  return {
+    enabled: process.env.STALL_DETECTION !== 'false',
+    runs: parseInt(process.env.STALL_RUNS || String(DEFAULT_STALL_RUNS), 10),
+    // Idle processes legitimately sit still on both sides, so this one is opt-in
+    frozenRuns: parseInt(process.env.STALL_FROZEN_RUNS || '0', 10),
+    minGrowth: parseInt(process.env.STALL_MIN_GROWTH || String(DEFAULT_STALL_MIN_GROWTH), 10),
+    severity: SEVERITIES.includes(severity) ? severity : DEFAULT_STALL_SEVERITY
+  };
+}
+
+function toSlot(value) {
+  const parsed = parseInt(value, 10);
+  return Number.isNaN(parsed) ? null : parsed;
+}
+
+// `observations` are successful checks for one process, oldest first, ending with the current one
+function detectStall(observations, options = {}) {
+  const runs = options.runs || DEFAULT_STALL_RUNS;
+  const minGrowth = options.minGrowth !== undefined && !Number.isNaN(options.minGrowth) ? options.minGrowth : DEFAULT_STALL_MIN_GROWTH;
+  const checks = observations
+    .map(o => ({ timestamp: o.timestamp, state: toSlot(o.stateNonce), suRouter: toSlot(o.suRouterNonce) }))
+    .filter(o => o.state !== null && o.suRouter !== null);
+  
+  const stall = (reason, window, description) => ({
+    reason,
+    runs: window.length,
+    stateNonce: window[window.length - 1].state,
+    suRouterNonce: window[window.length - 1].suRouter,
+    since: window[0].timestamp || null,
+    severity: options.severity || DEFAULT_STALL_SEVERITY,
+    description
+  });
+  
+  if (checks.length >= runs) {
+    const window = checks.slice(-runs);
+    const first = window[0];
+    const last = window[window.length - 1];
+    const stateFrozen = window.every(o => o.state === first.state);
+    const schedulerAdvance = last.suRouter - first.suRouter;
+    
+    if (stateFrozen && schedulerAdvance > 0) {
+      return stall('state-frozen', window, `State stuck at slot ${first.state} for ${runs} runs while the scheduler advanced ${schedulerAdvance} slots`);
+    }
+    
+    // Catches a gateway sliding behind while the diff is still under the alert threshold
+    const diffs = window.map(o => o.suRouter - o.state);
+    const growth = diffs[diffs.length - 1] - diffs[0];
+    if (diffs[diffs.length - 1] > 0 && growth >= minGrowth && diffs.every((diff, i) => i === 0 || diff > diffs[i - 1])) {
+      return stall('falling-behind', window, `Falling behind: diff grew from ${diffs[0]} to ${diffs[diffs.length - 1]} slots over ${runs} runs`);
+    }
+  }
+  
+  const frozenRuns = options.frozenRuns || 0;
+  if (frozenRuns > 0 && checks.length >= frozenRuns) {
+    const window = checks.slice(-frozenRuns);
+    const first = window[0];
+    if (window.every(o => o.state === first.state && o.suRouter === first.suRouter)) {
+      return stall('both-frozen', window, `State and scheduler both stuck at slot ${first.state} for ${frozenRuns} runs`);
+    }
+  }
+  
+  return null;
+}
+
+module.exports = {
+  DEFAULT_STALL_RUNS,
+  DEFAULT_STALL_MIN_GROWTH,
+  DEFAULT_STALL_SEVERITY,
+  SEVERITIES,
+  detectStall,
+  getStallConfigFromEnv
+};
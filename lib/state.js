@@ -0,0 +1,34 @@
+const fs = require('fs');
+const { getTimestamp } = require('./log');
+
+function loadState(stateFile) {
+  try {
+    if (!fs.existsSync(stateFile)) {
+      return {};
+    }
+    
+    const content = fs.readFileSync(stateFile, 'utf8');
+    return JSON.parse(content);
+  } catch (error) {
+    if (error instanceof SyntaxError) {
+      console.warn(`[${getTimestamp()}] WARNING: Corrupted state file, starting fresh: ${error.message}`);
+      return {};
+    }
+    console.warn(`[${getTimestamp()}] WARNING: Failed to load state file: ${error.message}`);
+    return {};
+  }
+}
+
+function saveState(stateFile, state) {
+  try {
+    const data = JSON.stringify(state, null, 2);
+    fs.writeFileSync(stateFile, data, 'utf8');
+  } catch (error) {
+    console.error(`[${getTimestamp()}] ERROR: Failed to save state file: ${error.message}`);
+  }
+}
+
+module.exports = {
+  loadState,
+  saveState
+};
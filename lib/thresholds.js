@@ -0,0 +1,81 @@
+const { getGatewayName } = require('./log');
+
+const SEVERITIES = ['warning', 'error', 'critical'];
+// The levels the monitors used before they were configurable: alert and page as error at 50, critical at 100
+const DEFAULT_THRESHOLDS = { warning: 50, error: 50, critical: 100 };
+
+function parseLevel(value) {
+  const parsed = parseInt(value, 10);
+  return Number.isNaN(parsed) || parsed < 0 ? undefined : parsed;
+}
+
+function getThresholdConfigFromEnv() {
+  const levels = {
+    warning: parseLevel(process.env.THRESHOLD_WARNING),
+    error: parseLevel(process.env.THRESHOLD_ERROR),
+    critical: parseLevel(process.env.THRESHOLD_CRITICAL)
+  };
+  const failOnSeverity = process.env.FAIL_ON_SEVERITY;
+  
+  return {
+    thresholds: Object.fromEntries(Object.entries(levels).filter(([, value]) => value !== undefined)),
+    failOnSeverity: SEVERITIES.includes(failOnSeverity) ? failOnSeverity : null
+  };
+}
+
+// A bare number is the warning level: the slots behind at which a process starts alerting
+function toThresholds(value) {
+  if (value === undefined || value === null) {
+    return {};
+  }
+  return typeof value === 'number' ? { warning: value } : value;
+}
+
+// Keeps warning <= error <= critical: raising only warning raises the others with it,
+// and lowering only critical pulls error down to it
+function normalizeThresholds(thresholds) {
+  const critical = Math.max(thresholds.critical, thresholds.warning);
+  const error = Math.min(Math.max(thresholds.error, thresholds.warning), critical);
+  return { warning: thresholds.warning, error, critical };
+}
+
+// Most specific wins: defaults, then global, then the process's gateway (URL or short name), then the process
+function resolveThresholds(entry, settings = {}) {
+  const gateways = settings.gateways || {};
+  const gateway = entry.gateway ? gateways[entry.gateway] || gateways[getGatewayName(entry.gateway)] : undefined;
+  
+  return normalizeThresholds({
+    ...DEFAULT_THRESHOLDS,
+    ...toThresholds(settings.global),
+    ...toThresholds(gateway),
+    ...toThresholds(entry.threshold),
+    ...toThresholds(entry.thresholds)
+  });
+}
+
+// Highest level the lag reaches, or null below warning
+function classifyLag(lag, thresholds = DEFAULT_THRESHOLDS) {
+  if (lag === null || lag === undefined || Number.isNaN(lag)) {
+    return null;
+  }
+  return [...SEVERITIES].reverse().find(severity => lag >= thresholds[severity]) || null;
+}
+
+function compareSeverity(a, b) {
+  return SEVERITIES.indexOf(a) - SEVERITIES.indexOf(b);
+}
+
+function maxSeverity(severities) {
+  return severities.filter(Boolean).reduce((worst, severity) => (!worst || compareSeverity(severity, worst) > 0 ? severity : worst), null);
+}
+
+module.exports = {
+  SEVERITIES,
+  DEFAULT_THRESHOLDS,
+  getThresholdConfigFromEnv,
+  toThresholds,
+  resolveThresholds,
+  classifyLag,
+  compareSeverity,
+  maxSeverity
+};
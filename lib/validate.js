@@ -0,0 +1,260 @@
+const fs = require('fs');
+const path = require('path');
+const { getGatewayName } = require('./log');
+const { findLegacyFiles, gatewayFromFileName, loadConfigFile } = require('./config');
+
+// Arweave transaction and process IDs: 32 bytes, base64url without padding
+const ARWEAVE_ID_PATTERN = /^[A-Za-z0-9_-]{43}$/;
+const MAPPED_PROCESSES_FILE = 'mapped-processes.txt';
+const LIST_LIMIT = 10;
+
+function isArweaveId(id) {
+  return ARWEAVE_ID_PATTERN.test(id);
+}
+
+function describeIdProblem(id) {
+  if (id.length !== 43) {
+    return `is ${id.length} characters, expected 43`;
+  }
+  const invalid = [...new Set(id.replace(/[A-Za-z0-9_-]/g, ''))].join('');
+  return `contains characters outside base64url: ${JSON.stringify(invalid)}`;
+}
+
+// Every non-comment line with its line number, so malformed ones can be reported where they are
+function readIdLines(file) {
+  return fs.readFileSync(file, 'utf8')
+    .split('\n')
+    .map((text, i) => ({ id: text.trim(), line: i + 1 }))
+    .filter(entry => entry.id !== '' && !entry.id.startsWith('#'));
+}
+
+// JSON.parse keeps the last of two equal keys without a word, so scan the top-level keys ourselves
+function findTopLevelKeys(text) {
+  const keys = [];
+  let depth = 0;
+  let line = 1;
+  
+  for (let i = 0; i < text.length; i++) {
+    const char = text[i];
+    if (char === '\n') {
+      line++;
+    } else if (char === '{' || char === '[') {
+      depth++;
+    } else if (char === '}' || char === ']') {
+      depth--;
+    } else if (char === '"') {
+      let end = i + 1;
+      while (end < text.length && text[end] !== '"') {
+        end += text[end] === '\\' ? 2 : 1;
+      }
+      const rest = text.slice(end + 1).match(/^\s*:/);
+      if (depth === 1 && rest) {
+        keys.push({ key: JSON.parse(text.slice(i, end + 1)), line });
+      }
+      i = end;
+    }
+  }
+  
+  return keys;
+}
+
+function checkUrl(value) {
+  try {
+    const url = new URL(value);
+    if (url.protocol !== 'https:' && url.protocol !== 'http:') {
+      return `uses ${url.protocol.replace(':', '')}, expected http or https`;
+    }
+    return null;
+  } catch (error) {
+    return 'is not a valid URL';
+  }
+}
+
+function createReport() {
+  const report = { files: [], processes: 0, errors: [], warnings: [] };
+  const add = list => (check, message, location = {}) => list.push({ check, message, ...location });
+  return { report, error: add(report.errors), warning: add(report.warnings) };
+}
+
+// Lints process-ids*.txt, mapped-processes.txt, process-map.json and a structured config file if there is one
+function validateProcessSetup(options = {}) {
+  const dir = options.dir || '.';
+  const processMapFile = options.processMapFile || path.join(dir, 'process-map.json');
+  const mappedFile = path.join(dir, MAPPED_PROCESSES_FILE);
+  const listFiles = (options.processIdFiles || findLegacyFiles(dir)).filter(file => path.basename(file) !== MAPPED_PROCESSES_FILE);
+  const { report, error, warning } = createReport();
+  const seen = new Set();
+  
+  const checkId = (id, location) => {
+    seen.add(id);
+    if (!isArweaveId(id)) {
+      error('format', `${id} ${describeIdProblem(id)}`, location);
+      return false;
+    }
+    return true;
+  };
+  
+  // process-map.json: keys, duplicate keys and gateway URLs
+  let processMap = {};
+  if (fs.existsSync(processMapFile)) {
+    report.files.push(processMapFile);
+    const text = fs.readFileSync(processMapFile, 'utf8');
+    try {
+      processMap = JSON.parse(text);
+    } catch (parseError) {
+      error('syntax', `Invalid JSON: ${parseError.message}`, { file: processMapFile });
+    }
+    
+    const keyLines = new Map();
+    findTopLevelKeys(text).forEach(({ key, line }) => {
+      const location = { file: processMapFile, line, processId: key };
+      if (keyLines.has(key)) {
+        error('duplicate', `${key} is mapped twice (lines ${keyLines.get(key)} and ${line}); only the last mapping is used`, location);
+        return;
+      }
+      keyLines.set(key, line);
+      checkId(key, location);
+      
+      const value = processMap[key];
+      const gateway = value && typeof value === 'object' ? value.gateway : value;
+      const gatewayProblem = typeof gateway === 'string' ? checkUrl(gateway) : 'is missing';
+      if (gatewayProblem) {
+        error('gateway', `Gateway ${gateway === undefined ? '' : `${JSON.stringify(gateway)} `}${gatewayProblem}`, location);
+      }
+      const schedulerProblem = value && typeof value === 'object' && value.scheduler ? checkUrl(value.scheduler) : null;
+      if (schedulerProblem) {
+        error('gateway', `Scheduler ${JSON.stringify(value.scheduler)} ${schedulerProblem}`, location);
+      }
+    });
+  }
+  
+  // process-ids*.txt: format, duplicates within and across lists, and their gateway mapping
+  const listedIn = new Map();
+  listFiles.forEach(file => {
+    report.files.push(file);
+    const impliedGateway = gatewayFromFileName(file);
+    const lines = new Map();
+    
+    readIdLines(file).forEach(({ id, line }) => {
+      const location = { file, line, processId: id };
+      if (lines.has(id)) {
+        warning('duplicate', `${id} is listed twice (lines ${lines.get(id)} and ${line})`, location);
+        return;
+      }
+      lines.set(id, line);
+      if (!checkId(id, location)) {
+        return;
+      }
+      
+      listedIn.set(id, [...(listedIn.get(id) || []), file]);
+      const mapped = processMap[id];
+      const mappedGateway = mapped && typeof mapped === 'object' ? mapped.gateway : mapped;
+      if (!mapped) {
+        warning('mapping', `${id} has no gateway mapping in ${path.basename(processMapFile)}; ${impliedGateway ? `assuming ${getGatewayName(impliedGateway)} from the file name` : 'the default state gateway is used and slot verification skips it'}`, location);
+      } else if (impliedGateway && typeof mappedGateway === 'string' && !checkUrl(mappedGateway) && getGatewayName(mappedGateway) !== getGatewayName(impliedGateway)) {
+        error('mapping', `${id} is listed for ${getGatewayName(impliedGateway)} but mapped to ${getGatewayName(mappedGateway)}`, location);
+      }
+    });
+  });
+  
+  listedIn.forEach((files, id) => {
+    if (files.length > 1) {
+      warning('duplicate', `${id} is in ${files.length} lists (${files.map(f => path.basename(f)).join(', ')}) and is checked more than once`, { processId: id });
+    }
+  });
+  
+  // Every ID in mapped-processes.txt needs an entry in process-map.json
+  if (fs.existsSync(mappedFile)) {
+    report.files.push(mappedFile);
+    const mappedIds = new Set();
+    readIdLines(mappedFile).forEach(({ id, line }) => {
+      const location = { file: mappedFile, line, processId: id };
+      if (mappedIds.has(id)) {
+        warning('duplicate', `${id} is listed twice`, location);
+        return;
+      }
+      mappedIds.add(id);
+      if (checkId(id, location) && !processMap[id]) {
+        error('reconcile', `${id} is listed as mapped but has no entry in ${path.basename(processMapFile)}`, location);
+      }
+    });
+    // It is usually a subset, so the other direction is one line rather than one per process
+    const unlisted = Object.keys(processMap).filter(id => !mappedIds.has(id));
+    if (unlisted.length > 0) {
+      warning('reconcile', `${unlisted.length} of ${Object.keys(processMap).length} processes in ${path.basename(processMapFile)} are not listed here`, { file: mappedFile });
+    }
+  }
+  
+  // Structured config: the schema covers gateway URLs, so only IDs are left to check
+  if (options.configFile) {
+    report.files.push(options.configFile);
+    try {
+      (loadConfigFile(options.configFile).processes || []).forEach((p, i) => {
+        checkId(p.id, { file: options.configFile, processId: p.id, index: i });
+      });
+    } catch (configError) {
+      error('config', configError.message, { file: options.configFile });
+    }
+  }
+  
+  report.processes = seen.size;
+  return report;
+}
+
+const CHECK_TITLES = {
+  syntax: 'Invalid files',
+  config: 'Invalid config',
+  format: 'Malformed process IDs',
+  duplicate: 'Duplicates',
+  mapping: 'Gateway mappings',
+  gateway: 'Invalid gateway URLs',
+  reconcile: 'mapped-processes.txt vs process-map.json'
+};
+
+function formatFinding(finding) {
+  const where = finding.file ? `${finding.file}${finding.line ? `:${finding.line}` : ''}: ` : '';
+  return `${where}${finding.message}`;
+}
+
+function formatSection(label, findings, verbose) {
+  const lines = [];
+  Object.keys(CHECK_TITLES).forEach(check => {
+    const matching = findings.filter(f => f.check === check);
+    if (matching.length === 0) {
+      return;
+    }
+    lines.push(`${label} - ${CHECK_TITLES[check]} (${matching.length}):`);
+    const shown = verbose ? matching : matching.slice(0, LIST_LIMIT);
+    shown.forEach(f => lines.push(`  ${formatFinding(f)}`));
+    if (shown.length < matching.length) {
+      lines.push(`  ... and ${matching.length - shown.length} more (use --verbose to list all)`);
+    }
+  });
+  return lines;
+}
+
+function formatValidationReport(report, options = {}) {
+  const lines = [
+    '=== PROCESS CONFIG VALIDATION ===',
+    `Files: ${report.files.length > 0 ? report.files.join(', ') : 'none found'}`,
+    `Unique process IDs: ${report.processes}`,
+    `Errors: ${report.errors.length} ✗`,
+    `Warnings: ${report.warnings.length} ⚠`
+  ];
+  
+  const details = [...formatSection('ERROR', report.errors, options.verbose), ...formatSection('WARNING', report.warnings, options.verbose)];
+  if (details.length > 0) {
+    lines.push('', ...details);
+  }
+  
+  lines.push('', report.errors.length > 0 ? 'Validation failed' : 'Validation passed');
+  return lines.join('\n');
+}
+
+module.exports = {
+  ARWEAVE_ID_PATTERN,
+  isArweaveId,
+  findTopLevelKeys,
+  validateProcessSetup,
+  formatValidationReport
+};
@@ -0,0 +1,264 @@
+// A YAML subset parser and writer for config files: block mappings and sequences, plain and
+// quoted scalars, flow collections and comments. Anchors, tags and block scalars are rejected.
+
+const KEY_PATTERN = /^("(?:[^"\\]|\\.)*"|'(?:[^']|'')*'|[^\s"'#\[\]{},][^:]*?)\s*:(?:\s+(.*))?$/;
+
+function stripComment(line) {
+  let quote = null;
+  for (let i = 0; i < line.length; i++) {
+    const char = line[i];
+    if (quote) {
+      if (char === '\\' && quote === '"') {
+        i++;
+      } else if (char === quote) {
+        quote = null;
+      }
+    } else if (char === '"' || char === '\'') {
+      quote = char;
+    } else if (char === '#' && (i === 0 || /\s/.test(line[i - 1]))) {
+      return line.slice(0, i);
+    }
+  }
+  return line;
+}
+
+function tokenize(text) {
+  return text.split(/\r?\n/)
+    .map((raw, i) => {
+      const line = stripComment(raw).replace(/\s+$/, '');
+      if (/^\t/.test(raw)) {
+        throw new Error(`Tabs are not allowed for indentation (line ${i + 1})`);
+      }
+      return { indent: line.length - line.trimStart().length, content: line.trim(), lineNo: i + 1 };
+    })
+    .filter(line => line.content !== '' && line.content !== '---' && line.content !== '...');
+}
+
+// Splits flow collection content on top-level commas
+function splitFlow(content, lineNo) {
+  const parts = [];
+  let depth = 0;
+  let quote = null;
+  let current = '';
+  for (let i = 0; i < content.length; i++) {
+    const char = content[i];
+    if (quote) {
+      if (char === '\\' && quote === '"') {
+        current += char + content[++i];
+        continue;
+      }
+      if (char === quote) {
+        quote = null;
+      }
+    } else if (char === '"' || char === '\'') {
+      quote = char;
+    } else if (char === '[' || char === '{') {
+      depth++;
+    } else if (char === ']' || char === '}') {
+      depth--;
+    } else if (char === ',' && depth === 0) {
+      parts.push(current.trim());
+      current = '';
+      continue;
+    }
+    current += char;
+  }
+  if (quote || depth !== 0) {
+    throw new Error(`Unterminated flow collection (line ${lineNo})`);
+  }
+  if (current.trim() !== '') {
+    parts.push(current.trim());
+  }
+  return parts;
+}
+
+function parseKey(key) {
+  return /^["']/.test(key) ? parseScalar(key) : key;
+}
+
+function parseScalar(value, lineNo) {
+  if (value.startsWith('"')) {
+    if (!/^"(?:[^"\\]|\\.)*"$/.test(value)) {
+      throw new Error(`Unterminated string (line ${lineNo})`);
+    }
+    return JSON.parse(value);
+  }
+  if (value.startsWith('\'')) {
+    if (!/^'(?:[^']|'')*'$/.test(value)) {
+      throw new Error(`Unterminated string (line ${lineNo})`);
+    }
+    return value.slice(1, -1).replace(/''/g, '\'');
+  }
+  if (value.startsWith('[')) {
+    if (!value.endsWith(']')) {
+      throw new Error(`Unterminated flow sequence (line ${lineNo})`);
+    }
+    return splitFlow(value.slice(1, -1), lineNo).map(item => parseScalar(item, lineNo));
+  }
+  if (value.startsWith('{')) {
+    if (!value.endsWith('}')) {
+      throw new Error(`Unterminated flow mapping (line ${lineNo})`);
+    }
+    return splitFlow(value.slice(1, -1), lineNo).reduce((map, item) => {
+      const match = KEY_PATTERN.exec(item);
+      if (!match) {
+        throw new Error(`Invalid flow mapping entry "${item}" (line ${lineNo})`);
+      }
+      map[parseKey(match[1])] = match[2] === undefined ? null : parseScalar(match[2], lineNo);
+      return map;
+    }, {});
+  }
+  if (/^[|>&*!]/.test(value)) {
+    throw new Error(`Unsupported YAML syntax "${value}" (line ${lineNo})`);
+  }
+  if (value === 'true' || value === 'false') {
+    return value === 'true';
+  }
+  if (value === 'null' || value === '~') {
+    return null;
+  }
+  if (/^-?\d+(\.\d+)?([eE][+-]?\d+)?$/.test(value)) {
+    return Number(value);
+  }
+  return value;
+}
+
+function parseBlock(lines, index, indent) {
+  const line = lines[index];
+  if (line.indent !== indent) {
+    throw new Error(`Unexpected indentation (line ${line.lineNo})`);
+  }
+  return /^-(\s|$)/.test(line.content) ? parseSequence(lines, index, indent) : parseMapping(lines, index, indent);
+}
+
+function parseSequence(lines, index, indent) {
+  const items = [];
+  let i = index;
+  
+  while (i < lines.length && lines[i].indent === indent && /^-(\s|$)/.test(lines[i].content)) {
+    const line = lines[i];
+    const item = line.content.slice(1).trim();
+    
+    if (item === '') {
+      if (i + 1 < lines.length && lines[i + 1].indent > indent) {
+        const [value, next] = parseBlock(lines, i + 1, lines[i + 1].indent);
+        items.push(value);
+        i = next;
+      } else {
+        items.push(null);
+        i++;
+      }
+    } else if (/^-(\s|$)/.test(item) || (KEY_PATTERN.test(item) && !/^[\[{]/.test(item))) {
+      // "- key: value" starts a mapping whose keys line up with the first one
+      lines[i] = { indent: indent + line.content.length - item.length, content: item, lineNo: line.lineNo };
+      const [value, next] = parseBlock(lines, i, lines[i].indent);
+      items.push(value);
+      i = next;
+    } else {
+      items.push(parseScalar(item, line.lineNo));
+      i++;
+    }
+  }
+  
+  return [items, i];
+}
+
+function parseMapping(lines, index, indent) {
+  const map = {};
+  let i = index;
+  
+  while (i < lines.length && lines[i].indent === indent) {
+    const line = lines[i];
+    const match = KEY_PATTERN.exec(line.content);
+    if (!match || /^-(\s|$)/.test(line.content)) {
+      throw new Error(`Expected "key: value" (line ${line.lineNo})`);
+    }
+    
+    const key = parseKey(match[1]);
+    if (Object.prototype.hasOwnProperty.call(map, key)) {
+      throw new Error(`Duplicate key "${key}" (line ${line.lineNo})`);
+    }
+    
+    i++;
+    if (match[2] !== undefined) {
+      map[key] = parseScalar(match[2], line.lineNo);
+    } else if (i < lines.length && (lines[i].indent > indent || (lines[i].indent === indent && /^-(\s|$)/.test(lines[i].content)))) {
+      const [value, next] = parseBlock(lines, i, lines[i].indent);
+      map[key] = value;
+      i = next;
+    } else {
+      map[key] = null;
+    }
+  }
+  
+  if (i < lines.length && lines[i].indent > indent) {
+    throw new Error(`Unexpected indentation (line ${lines[i].lineNo})`);
+  }
+  
+  return [map, i];
+}
+
+function parseYaml(text) {
+  const lines = tokenize(text);
+  if (lines.length === 0) {
+    return null;
+  }
+  
+  if (lines.length === 1 && !KEY_PATTERN.test(lines[0].content) && !/^-(\s|$)/.test(lines[0].content)) {
+    return parseScalar(lines[0].content, lines[0].lineNo);
+  }
+  
+  const [value, next] = parseBlock(lines, 0, lines[0].indent);
+  if (next < lines.length) {
+    throw new Error(`Unexpected content (line ${lines[next].lineNo})`);
+  }
+  return value;
+}
+
+function formatScalar(value) {
+  if (value === null || value === undefined) {
+    return 'null';
+  }
+  if (typeof value !== 'string') {
+    return String(value);
+  }
+  // Quote anything a plain scalar would read back differently
+  const plain = value !== '' && value.trim() === value && !/^[-?:,\[\]{}#&*!|>'"%@`]/.test(value) &&
+    !/: |\s#/.test(value) && !value.endsWith(':') && typeof parseScalar(value) === 'string';
+  return plain ? value : JSON.stringify(value);
+}
+
+function isEmptyCollection(value) {
+  return Array.isArray(value) ? value.length === 0 : Object.keys(value).length === 0;
+}
+
+function stringifyYaml(value, indent = 0) {
+  const pad = ' '.repeat(indent);
+  
+  if (Array.isArray(value)) {
+    return value.map(item => {
+      if (item && typeof item === 'object' && !isEmptyCollection(item)) {
+        return `${pad}- ${stringifyYaml(item, indent + 2).trimStart()}`;
+      }
+      return `${pad}- ${item && typeof item === 'object' ? JSON.stringify(item) : formatScalar(item)}\n`;
+    }).join('');
+  }
+  
+  return Object.entries(value)
+    .filter(([, v]) => v !== undefined)
+    .map(([key, v]) => {
+      const name = formatScalar(key);
+      if (v && typeof v === 'object') {
+        if (isEmptyCollection(v)) {
+          return `${pad}${name}: ${JSON.stringify(v)}\n`;
+        }
+        return `${pad}${name}:\n${stringifyYaml(v, Array.isArray(v) ? indent : indent + 2)}`;
+      }
+      return `${pad}${name}: ${formatScalar(v)}\n`;
+    }).join('');
+}
+
+module.exports = {
+  parseYaml,
+  stringifyYaml
+};
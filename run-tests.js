@@ -0,0 +1,36 @@
+#!/usr/bin/env node
+
+// Runs every test-*.js suite in its own process, so a failing suite cannot stop the ones after it
+const fs = require('fs');
+const path = require('path');
+const { spawnSync } = require('child_process');
+
+const SHARED_MODULES = ['test-helpers.js'];
+
+function findSuites(dir) {
+  return fs.readdirSync(dir)
+    .filter(file => /^test-.+\.js$/.test(file) && !SHARED_MODULES.includes(file))
+    .sort();
+}
+
+function runSuites(suites, dir) {
+  return suites.map(suite => {
+    console.log(`\n##### ${suite} #####\n`);
+    const result = spawnSync(process.execPath, [path.join(dir, suite)], { cwd: dir, stdio: 'inherit' });
+    return { suite, code: result.status === null ? 1 : result.status };
+  });
+}
+
+function main() {
+  const suites = findSuites(__dirname);
+  const results = runSuites(suites, __dirname);
+  const failed = results.filter(r => r.code !== 0);
+
+  console.log('\n=== Suites ===');
+  results.forEach(r => console.log(`${r.code === 0 ? '✓' : '✗'} ${r.suite}${r.code === 0 ? '' : ` (exit ${r.code})`}`));
+  console.log(`\nSuites Passed: ${results.length - failed.length}/${results.length}`);
+
+  process.exit(failed.length > 0 ? 1 : 0);
+}
+
+main();
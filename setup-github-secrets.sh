@@ -99,17 +99,17 @@ if [ -n "$pagerduty_key" ]; then
     echo "$pagerduty_key" | gh secret set PAGERDUTY_ROUTING_KEY
     echo "✓ PAGERDUTY_ROUTING_KEY set successfully"
     
-    read -p "Enter PAGERDUTY_SEVERITY_THRESHOLD in slots (optional, press Enter for default 50): " pagerduty_threshold
+    read -p "Enter PAGERDUTY_SEVERITY_THRESHOLD: warning, error or critical (optional, press Enter for default error): " pagerduty_threshold
     if [ -n "$pagerduty_threshold" ]; then
-        if ! [[ "$pagerduty_threshold" =~ ^[0-9]+$ ]]; then
-            echo "Error: PAGERDUTY_SEVERITY_THRESHOLD must be a number."
+        if ! [[ "$pagerduty_threshold" =~ ^(warning|error|critical)$ ]]; then
+            echo "Error: PAGERDUTY_SEVERITY_THRESHOLD must be warning, error or critical."
             exit 1
         fi
         echo "Setting PAGERDUTY_SEVERITY_THRESHOLD..."
         echo "$pagerduty_threshold" | gh secret set PAGERDUTY_SEVERITY_THRESHOLD
-        echo "✓ PAGERDUTY_SEVERITY_THRESHOLD set to ${pagerduty_threshold} slots"
+        echo "✓ PAGERDUTY_SEVERITY_THRESHOLD set to ${pagerduty_threshold}"
     else
-        echo "⊘ PAGERDUTY_SEVERITY_THRESHOLD skipped (will use default 50 slots)"
+        echo "⊘ PAGERDUTY_SEVERITY_THRESHOLD skipped (will use default error)"
     fi
 else
     echo "⊘ PagerDuty integration skipped (PagerDuty alerts will be disabled)"
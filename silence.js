@@ -0,0 +1,122 @@
+#!/usr/bin/env node
+
+const {
+  DEFAULT_SILENCES_FILE,
+  loadSilences,
+  saveSilences,
+  createSilence,
+  isActive
+} = require('./lib/silence');
+
+const USAGE = `Usage:
+  node silence.js add [--process ID] [--gateway NAME|URL] [--label LABEL] [--type TYPE]
+                      (--duration 2h | --end TIME) [--start TIME] --reason TEXT
+  node silence.js list [--all]
+  node silence.js remove ID
+  node silence.js prune
+
+Alert types: mismatch, error, stalled, divergence
+Silences are stored in SILENCES_FILE (default ${DEFAULT_SILENCES_FILE}) or --file PATH.`;
+
+const FLAGS = {
+  '--process': 'processId',
+  '--gateway': 'gateway',
+  '--label': 'label',
+  '--type': 'alertType',
+  '--start': 'start',
+  '--end': 'end',
+  '--duration': 'duration',
+  '--reason': 'reason',
+  '--by': 'createdBy',
+  '--file': 'file'
+};
+
+function parseArgs(argv) {
+  const [command, ...rest] = argv;
+  const options = { command, positional: [], all: false };
+  
+  for (let i = 0; i < rest.length; i++) {
+    if (rest[i] === '--all') {
+      options.all = true;
+    } else if (FLAGS[rest[i]]) {
+      if (rest[i + 1] === undefined) {
+        throw new Error(`Missing value for ${rest[i]}`);
+      }
+      options[FLAGS[rest[i]]] = rest[++i];
+    } else if (rest[i].startsWith('--')) {
+      throw new Error(`Unknown option: ${rest[i]}`);
+    } else {
+      options.positional.push(rest[i]);
+    }
+  }
+  
+  return options;
+}
+
+function describeSilence(silence, now) {
+  const matchers = ['processId', 'gateway', 'label', 'alertType']
+    .filter(key => silence[key])
+    .map(key => `${key}=${silence[key]}`)
+    .join(' ');
+  const status = isActive(silence, now) ? 'active' : new Date(silence.start) > now ? 'scheduled' : 'expired';
+  return `${silence.id}  [${status}]  ${matchers}  ${silence.start} → ${silence.end}  ${silence.reason}`;
+}
+
+function run(argv = process.argv.slice(2)) {
+  const options = parseArgs(argv);
+  const file = options.file || process.env.SILENCES_FILE || DEFAULT_SILENCES_FILE;
+  const now = new Date();
+  
+  switch (options.command) {
+    case 'add': {
+      const silences = loadSilences(file);
+      const silence = createSilence({ ...options, createdBy: options.createdBy || process.env.USER }, now);
+      saveSilences(file, [...silences, silence]);
+      console.log(`Added silence ${silence.id} until ${silence.end}`);
+      return 0;
+    }
+    case 'list': {
+      const silences = loadSilences(file).filter(s => options.all || new Date(s.end) > now);
+      if (silences.length === 0) {
+        console.log('No silences');
+      }
+      silences.forEach(silence => console.log(describeSilence(silence, now)));
+      return 0;
+    }
+    case 'remove': {
+      const [id] = options.positional;
+      const silences = loadSilences(file);
+      const remaining = silences.filter(s => s.id !== id);
+      if (!id || remaining.length === silences.length) {
+        throw new Error(`No silence with id ${id || '(missing)'}`);
+      }
+      saveSilences(file, remaining);
+      console.log(`Removed silence ${id}`);
+      return 0;
+    }
+    case 'prune': {
+      const silences = loadSilences(file);
+      const remaining = silences.filter(s => new Date(s.end) > now);
+      saveSilences(file, remaining);
+      console.log(`Removed ${silences.length - remaining.length} expired silence(s)`);
+      return 0;
+    }
+    default:
+      console.log(USAGE);
+      return options.command ? 1 : 0;
+  }
+}
+
+if (require.main === module) {
+  try {
+    process.exit(run());
+  } catch (error) {
+    console.error(`Error: ${error.message}`);
+    process.exit(1);
+  }
+}
+
+module.exports = {
+  parseArgs,
+  run
+};
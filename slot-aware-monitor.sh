@@ -1,7 +1,9 @@
 #!/bin/bash
 #
 # Slot-aware wrapper for AO Network Nonce Monitor
-# Runs only at 500-slot boundaries for precise synchronization
+# Checks each process only when it reaches an unverified 500-slot boundary.
+# The boundary logic lives in the monitor itself (--slot-boundary); this script
+# only loads the environment. Verified boundaries are kept in SLOT_STATE_FILE.
 #
 
 # Get the directory where this script is located
@@ -12,27 +14,9 @@ if [ -f "$SCRIPT_DIR/.env" ]; then
     export $(grep -v '^#' "$SCRIPT_DIR/.env" | xargs)
 fi
 
-# Get process ID from environment or config
-PROCESS_ID=${PROCESS_ID:-"0syT13r0s0tgPmIed95bJnuSqaD29HQNN8D3ElLSrsc"}
+export SLOT_INTERVAL=${SLOT_INTERVAL:-500}
+export SLOT_TOLERANCE=${SLOT_TOLERANCE:-5}  # Allow 5 slots tolerance
+export SLOT_STATE_FILE=${SLOT_STATE_FILE:-"$SCRIPT_DIR/.slot-boundaries.json"}
 
-# Get current slot from state endpoint
-CURRENT_SLOT=$(curl -s "https://state.forward.computer/$PROCESS_ID/compute/at-slot" 2>/dev/null)
-
-# Verify we got a valid slot number
-if ! [[ "$CURRENT_SLOT" =~ ^[0-9]+$ ]]; then
-    echo "[$(date -u +%Y-%m-%dT%H:%M:%S.%3NZ)] ERROR: Failed to get current slot (got: $CURRENT_SLOT)"
-    exit 1
-fi
-
-# Calculate if we're at a 500-slot boundary
-SLOT_INTERVAL=500
-REMAINDER=$((CURRENT_SLOT % SLOT_INTERVAL))
-TOLERANCE=5  # Allow ±5 slots tolerance
-
-# Run monitor if we're close to a 500-slot boundary
-if [ $REMAINDER -lt $TOLERANCE ]; then
-    echo "[$(date -u +%Y-%m-%dT%H:%M:%S.%3NZ)] Running at slot $CURRENT_SLOT (boundary: $((CURRENT_SLOT - REMAINDER)))"
-    /Users/rakis/.nvm/versions/node/v22.2.0/bin/node "$SCRIPT_DIR/nonce-monitor.js"
-else
-    echo "[$(date -u +%Y-%m-%dT%H:%M:%S.%3NZ)] Skipping - not at $SLOT_INTERVAL-slot boundary (current: $CURRENT_SLOT, remainder: $REMAINDER)"
-fi
+# Use node from PATH unless NODE_BIN points elsewhere (cron often has a minimal PATH)
+exec "${NODE_BIN:-node}" "$SCRIPT_DIR/nonce-monitor.js" --slot-boundary
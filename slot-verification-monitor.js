@@ -1,655 +1,201 @@
 #!/usr/bin/env node
 
 const fs = require('fs');
-const https = require('https');
-const pagerduty = require('./lib/pagerduty');
+const engine = require('./lib/engine');
+const { createSlackNotifier } = require('./lib/slack');
+const { createPagerDutyNotifier } = require('./lib/pagerduty');
+const { runDaemon } = require('./lib/daemon');
+const { createHistoryStore } = require('./lib/history');
+const { createAlertTracker } = require('./lib/alert-state');
+const { createMetrics, startMetricsServer } = require('./lib/metrics');
+const { startApiServer } = require('./lib/api');
+const { createDashboardReporter } = require('./lib/dashboard');
+const { createReportReporter, redirectLogsToStderr } = require('./lib/report');
+const { createJUnitReporter } = require('./lib/junit');
+const { createMarkdownReporter } = require('./lib/markdown');
+const { loadMonitorConfig, toProcessMap } = require('./lib/config');
+const { getTimestamp, logError, logInfo } = require('./lib/log');
 
-const REQUEST_TIMEOUT = parseInt(process.env.REQUEST_TIMEOUT || '15000', 10);
 const SLOT_VERIFICATION_MODE = process.env.SLOT_VERIFICATION_MODE === 'true';
 const CURRENT_SLOT = process.env.CURRENT_SLOT;
 const SLOT_BOUNDARY = process.env.SLOT_BOUNDARY;
-
-function getTimestamp() {
-  return new Date().toISOString();
-}
-
-function truncateProcessId(processId) {
-  if (processId.length <= 19) {
-    return processId;
-  }
-  return `${processId.slice(0, 8)}...${processId.slice(-8)}`;
-}
-
-function isValidProcessId(id) {
-  return typeof id === 'string' && id.trim().length > 0;
-}
-
-function isRetryableError(error) {
-  if (!error || !error.message) {
-    return false;
-  }
-  
-  const errorMessage = error.message.toLowerCase();
-  const retryablePatterns = [
-    'timeout',
-    'network',
-    'econnrefused',
-    'etimedout',
-    'enotfound',
-    'http 5',
-    'http 429',
-    'aborterror',
-    'fetch failed',
-    'request timeout'
-  ];
-  
-  return retryablePatterns.some(pattern => errorMessage.includes(pattern.toLowerCase()));
-}
-
-function calculateBackoffDelay(attempt, baseDelay, maxDelay) {
-  const exponentialDelay = baseDelay * Math.pow(2, attempt);
-  const jitteredDelay = exponentialDelay * (0.5 + Math.random() * 0.5);
-  return Math.min(jitteredDelay, maxDelay);
-}
-
-function sleep(ms) {
-  return new Promise(resolve => setTimeout(resolve, ms));
-}
-
-function logError(processId, message) {
-  const timestamp = getTimestamp();
-  const processStr = processId ? `[${truncateProcessId(processId)}]` : '[unknown]';
-  console.error(`[${timestamp}] ${processStr} ERROR: ${message}`);
-}
-
-function logInfo(processId, message) {
-  const timestamp = getTimestamp();
-  const processStr = processId ? `[${truncateProcessId(processId)}]` : '[system]';
-  console.log(`[${timestamp}] ${processStr} INFO: ${message}`);
-}
-
-function logResult(processId, stateNonce, suRouterNonce, gateway = 'unknown') {
-  const timestamp = getTimestamp();
-  const processStr = processId ? `[${truncateProcessId(processId)}]` : '[unknown]';
-  const match = String(stateNonce) === String(suRouterNonce);
-  const status = match ? '✓' : '✗';
-  const diff = match ? '0' : Math.abs(parseInt(stateNonce) - parseInt(suRouterNonce));
-  
-  console.log(`[${timestamp}] ${processStr} ${status} [${gateway}] State: ${stateNonce}, SU Router: ${suRouterNonce}, Diff: ${diff}`);
-}
-
-async function fetchWithTimeout(url, timeout) {
-  const controller = new AbortController();
-  const timeoutId = setTimeout(() => controller.abort(), timeout);
-  
-  try {
-    const response = await fetch(url, { signal: controller.signal });
-    clearTimeout(timeoutId);
-    
-    if (!response.ok) {
-      throw new Error(`HTTP ${response.status}: ${response.statusText}`);
-    }
-    
-    return response;
-  } catch (error) {
-    clearTimeout(timeoutId);
-    if (error.name === 'AbortError') {
-      throw new Error(`Request timeout after ${timeout}ms`);
-    }
-    throw error;
-  }
-}
-
-async function fetchWithRetry(url, options = {}, maxRetries = 3, baseDelay = 1000, maxDelay = 30000) {
-  for (let attempt = 0; attempt <= maxRetries; attempt++) {
-    try {
-      const response = await fetchWithTimeout(url, REQUEST_TIMEOUT);
-      return response;
-      
-    } catch (error) {
-      if (attempt === maxRetries) {
-        throw error;
-      }
-      
-      if (isRetryableError(error)) {
-        const delay = calculateBackoffDelay(attempt, baseDelay, maxDelay);
-        console.log(`[${getTimestamp()}] Retry ${attempt + 1}/${maxRetries} after ${Math.round(delay)}ms for ${url}`);
-        await sleep(delay);
-      } else {
-        throw error;
-      }
-    }
-  }
-}
-
-async function fetchStateNonce(processId, gatewayUrl) {
-  // Use the standard state endpoint format from the original monitor
-  const url = `https://state.forward.computer/${processId}~process@1.0/compute/at-slot`;
-  
-  try {
-    const response = await fetchWithTimeout(url, REQUEST_TIMEOUT);
-    const text = await response.text();
-    const nonce = text.trim();
-    
-    if (!nonce) {
-      throw new Error('State endpoint returned empty nonce');
-    }
-    
-    if (!/^[0-9]+$/.test(nonce)) {
-      throw new Error(`Invalid nonce format: ${nonce}`);
-    }
-    
-    return nonce;
-  } catch (error) {
-    throw new Error(`State fetch failed: ${error.message}`);
-  }
-}
-
-async function fetchSURouterNonce(processId) {
-  const url = `https://su-router.ao-testnet.xyz/${processId}/latest`;
-  
-  try {
-    const response = await fetchWithRetry(url, {}, 
-      parseInt(process.env.SU_ROUTER_MAX_RETRIES || '5', 10),
-      parseInt(process.env.SU_ROUTER_BASE_DELAY || '1000', 10),
-      parseInt(process.env.SU_ROUTER_MAX_DELAY || '30000', 10)
-    );
-    
-    const data = await response.json();
-    
-    if (!data || typeof data !== 'object') {
-      throw new Error('Invalid JSON response structure');
-    }
-    
-    // Extract nonce from assignment.tags
-    if (data.assignment && data.assignment.tags) {
-      const nonceTag = data.assignment.tags.find(tag => tag.name === 'Nonce');
-      if (nonceTag && nonceTag.value && /^[0-9]+$/.test(nonceTag.value)) {
-        return nonceTag.value;
+const HAS_SLOT_CONTEXT = SLOT_VERIFICATION_MODE && CURRENT_SLOT && SLOT_BOUNDARY;
+const CONSENSUS_MODE = process.env.CONSENSUS_MODE === 'true' || process.argv.includes('--consensus');
+const SLOT_BOUNDARY_MODE = engine.getConfigFromEnv().slotBoundary.enabled;
+
+const SLOT_THRESHOLDS = { warning: 25, error: 50, critical: 100 };
+// Kept apart from the nonce monitor's files and dedup keys, so neither monitor resolves the other's incidents
+const STATE_DEFAULTS = {
+  alerting: { stateFile: './.alert-state.slot-verification.json' },
+  pagerduty: { stateFile: './.pagerduty-state.slot-verification.json' }
+};
+const DEDUP_PREFIX = 'slot-monitor';
+
+const loadProcessMap = engine.loadProcessMap;
+
+// The consensus gateway set defaults to every gateway that appears in the process map
+function getConsensusGateways(processMap) {
+  const configured = (process.env.CONSENSUS_GATEWAYS || '')
+    .split(',')
+    .map(url => url.trim())
+    .filter(Boolean);
+  
+  const mapped = Object.keys(processMap).map(id => engine.mapEntryToProcess(id, processMap[id]).gateway);
+  return configured.length > 0 ? configured : [...new Set(mapped.filter(Boolean))].sort();
+}
+
+function createSlotMonitor(processIds, processMap, options = {}) {
+  const settings = options.settings || {};
+  return engine.createMonitor({
+    processes: processIds.map(processId => engine.mapEntryToProcess(processId, processMap[processId])),
+    history: options.history,
+    alertState: options.alertState,
+    metrics: options.metrics,
+    reporters: options.reporters,
+    consensus: {
+      gateways: getConsensusGateways(processMap),
+      tolerance: parseInt(process.env.CONSENSUS_TOLERANCE || '25', 10)
+    },
+    requestTimeout: engine.getConfigFromEnv({ requestTimeout: 15000 }).requestTimeout,
+    ...settings.monitor,
+    // Slot verification alerts earlier; config levels replace these one by one
+    thresholds: { ...SLOT_THRESHOLDS, ...(settings.monitor && settings.monitor.thresholds) },
+    notifiers: [
+      createSlackNotifier({
+        title: '🚨 AO Network Slot Verification Alert',
+        recoveredTitle: '✅ AO Network Slot Verification Recovered',
+        footer: 'AO Network Slot Verification Monitor',
+        ...settings.slack
+      }),
+      createPagerDutyNotifier({
+        type: SLOT_VERIFICATION_MODE || SLOT_BOUNDARY_MODE ? 'slot-verification' : 'nonce-monitor',
+        dedupPrefix: DEDUP_PREFIX,
+        config: settings.pagerduty
+      })
+    ],
+    context: HAS_SLOT_CONTEXT
+      ? {
+        label: `Slot ${CURRENT_SLOT} (Boundary ${SLOT_BOUNDARY})`,
+        slackFields: [{ title: 'Slot Context', value: `Current: ${CURRENT_SLOT}, Boundary: ${SLOT_BOUNDARY}`, short: false }]
       }
+      : { label: SLOT_BOUNDARY_MODE ? 'Slot Boundary Verification' : SLOT_VERIFICATION_MODE ? 'Slot Verification' : 'Process Check' },
+    summary: {
+      title: 'SLOT VERIFICATION SUMMARY',
+      failOnErrors: false,
+      contextLines: HAS_SLOT_CONTEXT ? [`Slot Context: Current ${CURRENT_SLOT}, Boundary ${SLOT_BOUNDARY}`] : []
     }
-    
-    throw new Error(`Could not find valid nonce in assignment.tags`);
-    
-  } catch (error) {
-    throw new Error(`SU Router fetch failed: ${error.message}`);
-  }
-}
-
-function loadProcessMap() {
-  try {
-    const processMapContent = fs.readFileSync('process-map.json', 'utf8');
-    return JSON.parse(processMapContent);
-  } catch (error) {
-    throw new Error(`Failed to load process-map.json: ${error.message}`);
-  }
-}
-
-function loadConfig(configFile) {
-  try {
-    const content = fs.readFileSync(configFile, 'utf8');
-    return content
-      .split('\n')
-      .map(line => line.trim())
-      .filter(line => line && !line.startsWith('#'))
-      .filter(isValidProcessId);
-  } catch (error) {
-    throw new Error(`Failed to load config file ${configFile}: ${error.message}`);
-  }
+  });
 }
 
 async function checkProcess(processId, processMap) {
-  const startTime = Date.now();
-  
-  try {
-    // Get the appropriate gateway for this process
-    const gatewayUrl = processMap[processId];
-    if (!gatewayUrl) {
-      throw new Error(`No gateway mapping found for process ${processId}`);
-    }
-    
-    // Extract gateway name for logging
-    const gatewayName = gatewayUrl.replace('https://', '').replace('.forward.computer', '');
-    
-    logInfo(processId, `Checking via ${gatewayName} gateway`);
-    
-    // Fetch nonces from both sources
-    const [stateNonce, suRouterNonce] = await Promise.all([
-      fetchStateNonce(processId, gatewayUrl),
-      fetchSURouterNonce(processId)
-    ]);
-    
-    const match = String(stateNonce) === String(suRouterNonce);
-    const diff = Math.abs(parseInt(stateNonce) - parseInt(suRouterNonce));
-    const duration = Date.now() - startTime;
-    
-    logResult(processId, stateNonce, suRouterNonce, gatewayName);
-    
-    return {
-      processId,
-      stateNonce,
-      suRouterNonce,
-      match,
-      diff,
-      gateway: gatewayUrl,
-      duration,
-      error: null
-    };
-    
-  } catch (error) {
-    const duration = Date.now() - startTime;
-    logError(processId, error.message);
-    
-    return {
-      processId,
-      stateNonce: null,
-      suRouterNonce: null,
-      match: false,
-      diff: null,
-      gateway: null,
-      duration,
-      error: error.message
-    };
-  }
+  return createSlotMonitor([processId], processMap).checkProcess(engine.mapEntryToProcess(processId, processMap[processId]));
 }
 
 async function checkAllProcesses(processIds, processMap) {
-  const results = [];
-  
-  logInfo(null, `Starting slot verification for ${processIds.length} processes`);
-  
-  if (SLOT_VERIFICATION_MODE && CURRENT_SLOT && SLOT_BOUNDARY) {
-    logInfo(null, `Slot verification mode: Current slot ${CURRENT_SLOT}, Boundary ${SLOT_BOUNDARY}`);
-  }
-  
-  // Process in batches to avoid overwhelming the gateways
-  const batchSize = 10;
-  let processedCount = 0;
-  let errorCount = 0;
-  
-  for (let i = 0; i < processIds.length; i += batchSize) {
-    const batch = processIds.slice(i, i + batchSize);
-    logInfo(null, `Processing batch ${Math.floor(i / batchSize) + 1}/${Math.ceil(processIds.length / batchSize)} (${batch.length} processes)`);
-    
-    // Process each process individually to avoid failing the entire batch on single error
-    for (const processId of batch) {
-      try {
-        const result = await checkProcess(processId, processMap);
-        results.push(result);
-        processedCount++;
-        
-        if (result.error) {
-          errorCount++;
-        }
-      } catch (error) {
-        // Log the error but continue processing other processes
-        logError(processId, `Critical error during processing: ${error.message}`);
-        results.push({
-          processId,
-          stateNonce: null,
-          suRouterNonce: null,
-          match: false,
-          diff: null,
-          gateway: null,
-          duration: 0,
-          error: `Critical processing error: ${error.message}`
-        });
-        processedCount++;
-        errorCount++;
-      }
-    }
-    
-    // Progress update
-    logInfo(null, `Batch completed: ${processedCount}/${processIds.length} processed, ${errorCount} errors so far`);
-    
-    // Small delay between batches to be respectful to the gateways
-    if (i + batchSize < processIds.length) {
-      await new Promise(resolve => setTimeout(resolve, 1000));
-    }
-  }
-  
-  return results;
+  return createSlotMonitor(processIds, processMap).checkAllProcesses();
 }
 
 function generateSummary(results) {
-  const total = results.length;
-  const matches = results.filter(r => r.match && !r.error).length;
-  const mismatches = results.filter(r => !r.match && !r.error).length;
-  const errors = results.filter(r => r.error).length;
-  
-  const avgDuration = results.reduce((sum, r) => sum + r.duration, 0) / total;
-  
-  console.log('\n=== SLOT VERIFICATION SUMMARY ===');
-  console.log(`Total Processes: ${total}`);
-  console.log(`Matches: ${matches} ✓`);
-  console.log(`Mismatches: ${mismatches} ✗`);
-  console.log(`Errors: ${errors} ⚠`);
-  console.log(`Average Response Time: ${Math.round(avgDuration)}ms`);
-  console.log(`Success Rate: ${((total - errors) / total * 100).toFixed(1)}%`);
-  
-  if (SLOT_VERIFICATION_MODE && CURRENT_SLOT && SLOT_BOUNDARY) {
-    console.log(`Slot Context: Current ${CURRENT_SLOT}, Boundary ${SLOT_BOUNDARY}`);
-  }
-  
-  // Add note about continue-on-error behavior
-  if (errors > 0) {
-    console.log('\nℹ️  Note: All processes were checked despite individual errors');
-    console.log('   Review individual process logs above for specific error details');
-  }
-  
-  // Gateway performance summary
-  const gatewayStats = {};
-  results.forEach(r => {
-    if (r.gateway) {
-      const gateway = r.gateway.replace('https://', '').replace('.forward.computer', '');
-      if (!gatewayStats[gateway]) {
-        gatewayStats[gateway] = { total: 0, errors: 0, avgDuration: 0 };
-      }
-      gatewayStats[gateway].total++;
-      if (r.error) gatewayStats[gateway].errors++;
-      gatewayStats[gateway].avgDuration += r.duration;
-    }
-  });
-  
-  console.log('\n=== GATEWAY PERFORMANCE ===');
-  Object.entries(gatewayStats).forEach(([gateway, stats]) => {
-    const successRate = ((stats.total - stats.errors) / stats.total * 100).toFixed(1);
-    const avgTime = Math.round(stats.avgDuration / stats.total);
-    console.log(`${gateway}: ${stats.total} requests, ${successRate}% success, ${avgTime}ms avg`);
-  });
-  
-  // Return 0 (success) if we completed checking all processes, even with some errors
-  // This allows the workflow to continue and generate reports
-  // Only return 1 if there was a critical failure that prevented completion
-  return 0;
-}
-
-async function sendSlackAlert(mismatches) {
-  const slackWebhookUrl = process.env.SLACK_WEBHOOK_URL;
-  if (!slackWebhookUrl || mismatches.length === 0) {
-    return;
-  }
-  
-  const message = buildSlackMessage(mismatches);
-  
-  try {
-    await postToSlack(slackWebhookUrl, message);
-    console.log(`[${getTimestamp()}] Slack alert sent for ${mismatches.length} mismatches`);
-  } catch (error) {
-    console.error(`[${getTimestamp()}] Failed to send Slack alert: ${error.message}`);
-  }
-}
-
-async function sendConsolidatedSlackAlert(mismatches, errors, options = {}) {
-  const slackWebhookUrl = process.env.SLACK_WEBHOOK_URL;
-  const totalIssues = (mismatches?.length || 0) + (errors?.length || 0);
-  
-  if (!slackWebhookUrl || totalIssues === 0) {
-    return;
-  }
-  
-  try {
-    const message = buildConsolidatedSlackMessage(mismatches || [], errors || [], options);
-    await postToSlack(slackWebhookUrl, message);
-    console.log(`[${getTimestamp()}] Consolidated Slack alert sent for ${totalIssues} total issues`);
-  } catch (error) {
-    console.error(`[${getTimestamp()}] Failed to send consolidated Slack alert: ${error.message}`);
-  }
-}
-
-function buildSlackMessage(mismatches) {
-  const text = `🚨 AO Network Slot Mismatch Alert - ${mismatches.length} processes affected`;
-  
-  const attachments = mismatches.slice(0, 10).map(mismatch => ({
-    color: mismatch.diff >= 100 ? 'danger' : mismatch.diff >= 50 ? 'warning' : 'good',
-    fields: [
-      { title: 'Process ID', value: truncateProcessId(mismatch.processId), short: true },
-      { title: 'Gateway', value: mismatch.gateway ? mismatch.gateway.replace('https://', '').replace('.forward.computer', '') : 'unknown', short: true },
-      { title: 'State Nonce', value: mismatch.stateNonce, short: true },
-      { title: 'SU Router Nonce', value: mismatch.suRouterNonce, short: true },
-      { title: 'Difference', value: `${mismatch.diff} slots`, short: true },
-      { title: 'Timestamp', value: getTimestamp(), short: true }
-    ]
-  }));
-  
-  if (mismatches.length > 10) {
-    attachments.push({
-      color: 'good',
-      text: `... and ${mismatches.length - 10} more mismatches`
-    });
-  }
-  
-  return {
-    text,
-    attachments,
-    footer: 'AO Network Slot Verification Monitor',
-    ts: Math.floor(Date.now() / 1000)
-  };
+  return createSlotMonitor([], {}).generateSummary(results);
 }
 
-function buildConsolidatedSlackMessage(mismatches, errors, options = {}) {
-  const totalMismatches = mismatches.length;
-  const totalErrors = errors.length;
-  const totalIssues = totalMismatches + totalErrors;
-  
-  let text = '🚨 AO Network Slot Verification Alert';
-  if (SLOT_VERIFICATION_MODE && CURRENT_SLOT && SLOT_BOUNDARY) {
-    text += ` - Slot ${CURRENT_SLOT} (Boundary ${SLOT_BOUNDARY})`;
-  }
+function resolveProcessIds(configFile, processMap) {
+  let processIds;
   
-  // Build summary line
-  const summaryParts = [];
-  if (totalMismatches > 0) {
-    summaryParts.push(`${totalMismatches} slot mismatches`);
-  }
-  if (totalErrors > 0) {
-    summaryParts.push(`${totalErrors} check errors`);
-  }
-  
-  if (summaryParts.length > 0) {
-    text += `\n${summaryParts.join(', ')}`;
-  }
-  
-  const attachments = [];
-  
-  // Add mismatch attachments (limited to first 8 to make room for errors)
-  if (totalMismatches > 0) {
-    const mismatchAttachments = mismatches.slice(0, 8).map(mismatch => {
-      const color = mismatch.diff >= 100 ? 'danger' : mismatch.diff >= 50 ? 'warning' : 'good';
-      const gatewayName = mismatch.gateway ? mismatch.gateway.replace('https://', '').replace('.forward.computer', '') : 'unknown';
-      
-      return {
-        color: color,
-        fields: [
-          { title: 'Process ID', value: truncateProcessId(mismatch.processId), short: true },
-          { title: 'Gateway', value: gatewayName, short: true },
-          { title: 'State Nonce', value: String(mismatch.stateNonce), short: true },
-          { title: 'SU Router Nonce', value: String(mismatch.suRouterNonce), short: true },
-          { title: 'Difference', value: `${mismatch.diff} slots`, short: true }
-        ]
-      };
-    });
-    
-    attachments.push(...mismatchAttachments);
-    
-    if (totalMismatches > 8) {
-      attachments.push({
-        color: 'good',
-        text: `... and ${totalMismatches - 8} more mismatches`
-      });
-    }
+  if (fs.existsSync(configFile)) {
+    // Use provided config file
+    processIds = engine.loadConfig(configFile);
+    logInfo(null, `Loaded ${processIds.length} process IDs from ${configFile}`);
+  } else {
+    // Use all processes from the process map
+    processIds = Object.keys(processMap);
+    logInfo(null, `Using all ${processIds.length} processes from process-map.json`);
   }
   
-  // Add error attachments (limited to avoid message size limits)
-  if (totalErrors > 0) {
-    const errorAttachments = errors.slice(0, 3).map(err => ({
-      color: 'warning',
-      fields: [
-        { title: 'Process ID', value: truncateProcessId(err.processId), short: true },
-        { title: 'Error', value: err.error.substring(0, 100) + (err.error.length > 100 ? '...' : ''), short: false }
-      ]
-    }));
-    
-    attachments.push(...errorAttachments);
-    
-    if (totalErrors > 3) {
-      attachments.push({
-        color: 'warning',
-        text: `... and ${totalErrors - 3} more errors`
-      });
-    }
+  // Verify all process IDs have gateway mappings
+  const missingGateways = processIds.filter(id => !processMap[id]);
+  if (missingGateways.length > 0) {
+    logError(null, `Missing gateway mappings for ${missingGateways.length} processes`);
+    missingGateways.forEach(id => logError(id, 'No gateway mapping found'));
   }
   
-  // Add footer with timestamp and slot context
-  const footerFields = [{ title: 'Timestamp', value: getTimestamp(), short: false }];
-  if (SLOT_VERIFICATION_MODE && CURRENT_SLOT && SLOT_BOUNDARY) {
-    footerFields.push({ title: 'Slot Context', value: `Current: ${CURRENT_SLOT}, Boundary: ${SLOT_BOUNDARY}`, short: false });
+  // Filter to only processes with gateway mappings
+  const validProcessIds = processIds.filter(id => processMap[id]);
+  if (validProcessIds.length === 0) {
+    throw new Error('No valid processes with gateway mappings found');
   }
   
-  attachments.push({
-    color: 'good',
-    fields: footerFields,
-    footer: 'AO Network Slot Verification Monitor',
-    ts: Math.floor(Date.now() / 1000)
-  });
-  
-  return {
-    text,
-    attachments,
-    footer: 'AO Network Slot Verification Monitor',
-    ts: Math.floor(Date.now() / 1000)
-  };
+  return validProcessIds;
 }
 
-function postToSlack(webhookUrl, message) {
-  return new Promise((resolve, reject) => {
-    const url = new URL(webhookUrl);
-    const payload = JSON.stringify(message);
-    
-    const options = {
-      hostname: url.hostname,
-      path: url.pathname + url.search,
-      method: 'POST',
-      headers: {
-        'Content-Type': 'application/json',
-        'Content-Length': Buffer.byteLength(payload)
-      },
-      timeout: 5000
-    };
-    
-    const req = https.request(options, (res) => {
-      let data = '';
-      
-      res.on('data', (chunk) => {
-        data += chunk;
-      });
-      
-      res.on('end', () => {
-        if (res.statusCode === 200) {
-          resolve();
-        } else {
-          reject(new Error(`HTTP ${res.statusCode}: ${data}`));
-        }
-      });
-    });
-    
-    req.on('error', (error) => {
-      reject(error);
-    });
-    
-    req.on('timeout', () => {
-      req.destroy();
-      reject(new Error('Slack request timeout'));
-    });
-    
-    req.write(payload);
-    req.end();
-  });
+// The run reports describe scheduler comparisons, which a consensus run does not make; outputs
+// set for the regular monitor are skipped there with a warning rather than written empty
+function getReportOutputs(settings) {
+  return [
+    [settings.report.format === 'json', '--format json'],
+    [settings.report.file, 'REPORT_FILE'],
+    [settings.junit.file, 'JUNIT_FILE'],
+    [settings.markdown.file, 'MARKDOWN_REPORT_FILE'],
+    [settings.dashboard.file, 'DASHBOARD_FILE']
+  ].filter(([enabled]) => enabled).map(([, name]) => name);
 }
 
 async function main() {
   const configFile = process.env.CONFIG_FILE || './process-ids.txt';
   
   try {
-    // Load process map for gateway routing
-    const processMap = loadProcessMap();
-    logInfo(null, `Loaded process map with ${Object.keys(processMap).length} process-gateway mappings`);
-    
+    const settings = loadMonitorConfig(undefined, process.env, STATE_DEFAULTS);
+    const skippedOutputs = CONSENSUS_MODE ? getReportOutputs(settings) : [];
+    if (skippedOutputs.length > 0) {
+      console.warn(`[${getTimestamp()}] WARNING: Consensus mode does not write run reports; ignoring ${skippedOutputs.join(', ')}`);
+    } else if (settings.report.format === 'json') {
+      redirectLogsToStderr();
+    }
+    let processMap;
     let processIds;
     
-    if (fs.existsSync(configFile)) {
-      // Use provided config file
-      processIds = loadConfig(configFile);
-      logInfo(null, `Loaded ${processIds.length} process IDs from ${configFile}`);
-    } else {
-      // Use all processes from the process map
+    if (settings.processes) {
+      // The config file replaces both the process list and the process map
+      processMap = toProcessMap(settings.processes);
       processIds = Object.keys(processMap);
-      logInfo(null, `Using all ${processIds.length} processes from process-map.json`);
-    }
-    
-    // Verify all process IDs have gateway mappings
-    const missingGateways = processIds.filter(id => !processMap[id]);
-    if (missingGateways.length > 0) {
-      logError(null, `Missing gateway mappings for ${missingGateways.length} processes`);
-      missingGateways.forEach(id => logError(id, 'No gateway mapping found'));
-    }
-    
-    // Filter to only processes with gateway mappings
-    const validProcessIds = processIds.filter(id => processMap[id]);
-    if (validProcessIds.length === 0) {
-      throw new Error('No valid processes with gateway mappings found');
-    }
-    
-    const results = await checkAllProcesses(validProcessIds, processMap);
-    const exitCode = generateSummary(results);
-    
-    // Prepare alerts for significant mismatches
-    const mismatches = results
-      .filter(r => {
-        if (r.error || r.match) return false;
-        const diff = Math.abs(parseInt(r.stateNonce) - parseInt(r.suRouterNonce));
-        return diff >= 25; // Lower threshold for slot verification
-      })
-      .map(r => ({
-        processId: r.processId,
-        stateNonce: r.stateNonce,
-        suRouterNonce: r.suRouterNonce,
-        diff: r.diff,
-        gateway: r.gateway,
-        timestamp: getTimestamp()
-      }));
-    
-    const errors = results
-      .filter(r => r.error)
-      .map(r => ({
-        processId: r.processId,
-        error: r.error,
-        timestamp: getTimestamp()
-      }));
-    
-    // Use consolidated alerting instead of individual alerts
-    const hasIssues = mismatches.length > 0 || errors.length > 0;
+      logInfo(null, `Loaded ${processIds.length} processes from ${settings.file}`);
+    } else {
+      // Load process map for gateway routing
+      processMap = loadProcessMap();
+      logInfo(null, `Loaded process map with ${Object.keys(processMap).length} process-gateway mappings`);
+      processIds = resolveProcessIds(configFile, processMap);
+    }
+    
+    logInfo(null, `Starting slot verification for ${processIds.length} processes`);
+    if (HAS_SLOT_CONTEXT) {
+      logInfo(null, `Slot verification mode: Current slot ${CURRENT_SLOT}, Boundary ${SLOT_BOUNDARY}`);
+    }
+    
+    const monitor = createSlotMonitor(processIds, processMap, {
+      history: createHistoryStore(settings.history),
+      alertState: createAlertTracker(settings.alerting),
+      metrics: createMetrics(settings.metrics),
+      reporters: CONSENSUS_MODE ? [] : [
+        createDashboardReporter(settings.dashboard),
+        createReportReporter(settings.report),
+        createJUnitReporter(settings.junit),
+        createMarkdownReporter(settings.markdown)
+      ],
+      settings
+    });
+    const runCheck = () => (CONSENSUS_MODE ? monitor.runConsensus() : monitor.run());
+    const watch = settings.watch;
     
-    if (hasIssues) {
-      // Send consolidated Slack alert
-      await sendConsolidatedSlackAlert(mismatches, errors, {
-        context: SLOT_VERIFICATION_MODE ? 'Slot Verification' : 'Process Check'
-      });
-      
-      // Send consolidated PagerDuty event
-      const pdConfig = pagerduty.getConfigFromEnv();
-      if (pdConfig.enabled) {
-        const allIncidents = [...mismatches, ...errors];
-        await pagerduty.sendAggregatedPagerDutyEvent(allIncidents, 'trigger', pdConfig, {
-          context: SLOT_VERIFICATION_MODE ? `Slot Verification - Slot ${CURRENT_SLOT}` : 'Process Check',
-          type: SLOT_VERIFICATION_MODE ? 'slot-verification' : 'nonce-monitor',
-          dedupKey: `${SLOT_VERIFICATION_MODE ? 'slot' : 'nonce'}-monitor-${getTimestamp().split('T')[0]}` // Daily dedup key
-        });
-      }
+    if (watch.enabled) {
+      await startMetricsServer(monitor.metrics, settings.metrics);
+      const { daemon, done } = runDaemon(runCheck, { name: 'slot verification monitor', ...watch });
+      await startApiServer(monitor, { ...settings.statusApi, daemon: daemon.status, dashboard: settings.dashboard });
+      await done;
+      process.exit(0);
     }
     
+    const { exitCode } = await runCheck();
     process.exit(exitCode);
-    
   } catch (error) {
     logError(null, error.message);
     process.exit(1);
@@ -667,5 +213,9 @@ module.exports = {
   loadProcessMap,
   checkProcess,
   checkAllProcesses,
-  generateSummary
-};
\ No newline at end of file
+  generateSummary,
+  createSlotMonitor,
+  getConsensusGateways,
+  getReportOutputs,
+  STATE_DEFAULTS
+};
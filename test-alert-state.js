@@ -0,0 +1,310 @@
+#!/usr/bin/env node
+
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const engine = require('./lib/engine');
+const { createAlertTracker, getAlertConfigFromEnv, countTransitions } = require('./lib/alert-state');
+const { buildConsolidatedSlackMessage } = require('./lib/slack');
+const { PROCESS_A, pass, fail, finish, mockResponse, suRouterBody } = require('./test-helpers');
+
+const TOTAL_TESTS = 12;
+
+const originalFetch = global.fetch;
+
+// Serves the next [state, scheduler] pair on every run; a null state fails the state fetch
+function mockSlotSequence(sequence) {
+  let run = 0;
+  global.fetch = async (url) => {
+    const [state, scheduler] = sequence[Math.min(run, sequence.length - 1)];
+    if (url.includes('/latest')) {
+      run++;
+      return mockResponse(200, suRouterBody(scheduler));
+    }
+    return state === null ? mockResponse(504, 'Gateway Timeout') : mockResponse(200, String(state));
+  };
+}
+
+function mismatch(processId, diff) {
+  return { processId, stateNonce: '1000', suRouterNonce: String(1000 + diff) };
+}
+
+function alertsFor(mismatches = [], errors = []) {
+  return { mismatches, errors, stalls: [] };
+}
+
+async function runStateMachineTests() {
+  console.log('=== Alert State Machine Tests ===\n');
+  
+  try {
+    const tracker = createAlertTracker({ rules: { mismatch: { runs: 3 } } });
+    const first = tracker.evaluate(alertsFor([mismatch('p1', 60)]), ['p1']);
+    const second = tracker.evaluate(alertsFor([mismatch('p1', 70)]), ['p1']);
+    const third = tracker.evaluate(alertsFor([mismatch('p1', 65)]), ['p1']);
+    const state = tracker.states.p1.alerts.mismatch;
+    if (first.alerts.mismatches.length === 0 && first.pending[0].count === 1 &&
+        second.alerts.mismatches.length === 0 && third.alerts.mismatches.length === 1 &&
+        third.fired.length === 1 && state.status === 'firing' && state.peakLag === 70) {
+      pass('Test 1: a mismatch stays pending until it is seen on 3 consecutive runs');
+    } else {
+      fail(`Test 1: pending/firing incorrect (${JSON.stringify(tracker.states)})`);
+    }
+  } catch (error) {
+    fail(`Test 1: pending to firing (${error.message})`);
+  }
+  
+  try {
+    const tracker = createAlertTracker({ rules: { error: { runs: 2 } } });
+    const timeout = { processId: 'p1', error: 'Request timeout after 10000ms' };
+    const blip = tracker.evaluate(alertsFor([], [timeout]), ['p1']);
+    const recovered = tracker.evaluate(alertsFor(), ['p1']);
+    tracker.evaluate(alertsFor([], [timeout]), ['p1']);
+    const repeated = tracker.evaluate(alertsFor([], [timeout]), ['p1']);
+    if (blip.alerts.errors.length === 0 && recovered.resolved.length === 0 && !tracker.states.p1.alerts.error.resolvedAt &&
+        repeated.alerts.errors.length === 1) {
+      pass('Test 2: a single transient error never fires; two in a row do');
+    } else {
+      fail(`Test 2: error rule incorrect (${JSON.stringify(tracker.states)})`);
+    }
+  } catch (error) {
+    fail(`Test 2: error rule (${error.message})`);
+  }
+  
+  try {
+    const tracker = createAlertTracker({});
+    tracker.evaluate(alertsFor([mismatch('p1', 80)]), ['p1']);
+    const failedCheck = tracker.evaluate(alertsFor([], [{ processId: 'p1', error: 'HTTP 502' }]), ['p1']);
+    const caughtUp = tracker.evaluate(alertsFor(), ['p1']);
+    const after = tracker.evaluate(alertsFor(), ['p1']);
+    const recovered = caughtUp.resolved.find(r => r.type === 'mismatch');
+    if (failedCheck.resolved.length === 0 && recovered && recovered.peakLag === 80 &&
+        after.resolved.length === 0 && !tracker.states.p1.alerts.mismatch) {
+      pass('Test 3: firing resolves once the process is back in sync, not on a failed check');
+    } else {
+      fail(`Test 3: resolve incorrect (${JSON.stringify(caughtUp.resolved)})`);
+    }
+  } catch (error) {
+    fail(`Test 3: resolve (${error.message})`);
+  }
+  
+  try {
+    const tracker = createAlertTracker({ flap: { window: 10, threshold: 4 } });
+    const outcomes = [];
+    for (let i = 0; i < 6; i++) {
+      outcomes.push(tracker.evaluate(alertsFor(i % 2 === 0 ? [mismatch('p1', 60)] : []), ['p1']));
+    }
+    const last = outcomes[4];
+    if (countTransitions([0, 1, 0, 1, 1]) === 3 && outcomes[0].alerts.mismatches.length === 1 &&
+        last.alerts.mismatches.length === 0 && last.flapping.length === 1 && last.firing.mismatches.length === 1 &&
+        tracker.states.p1.flapping === true) {
+      pass('Test 4: a process oscillating between ok and mismatch is flapping and stops notifying');
+    } else {
+      fail(`Test 4: flap detection incorrect (${JSON.stringify(tracker.states.p1)})`);
+    }
+  } catch (error) {
+    fail(`Test 4: flap detection (${error.message})`);
+  }
+  
+  try {
+    const tracker = createAlertTracker({ rules: { mismatch: { runs: 2 } } });
+    tracker.evaluate(alertsFor([mismatch('p1', 60), mismatch('p2', 60)]), ['p1', 'p2']);
+    const partial = tracker.evaluate(alertsFor([mismatch('p1', 60)]), ['p1']);
+    if (partial.alerts.mismatches.length === 1 && tracker.states.p2.alerts.mismatch.count === 1) {
+      pass('Test 5: processes not checked in a run keep their alert state');
+    } else {
+      fail(`Test 5: unchecked process state changed (${JSON.stringify(tracker.states.p2)})`);
+    }
+  } catch (error) {
+    fail(`Test 5: unchecked processes (${error.message})`);
+  }
+}
+
+async function runPersistenceTests() {
+  console.log('\n=== Persistence Tests ===\n');
+  
+  const file = path.join(os.tmpdir(), `alert-state-test-${process.pid}.json`);
+  try {
+    const rules = { mismatch: { runs: 2 } };
+    const first = createAlertTracker({ rules, stateFile: file });
+    first.evaluate(alertsFor([mismatch('p1', 60)]), ['p1']);
+    first.save();
+    
+    const second = createAlertTracker({ rules, stateFile: file });
+    const evaluation = second.evaluate(alertsFor([mismatch('p1', 60)]), ['p1']);
+    if (evaluation.alerts.mismatches.length === 1 && second.states.p1.alerts.mismatch.count === 2) {
+      pass('Test 6: one-shot invocations continue the consecutive count from the state file');
+    } else {
+      fail(`Test 6: state not carried over (${JSON.stringify(second.states)})`);
+    }
+  } catch (error) {
+    fail(`Test 6: persisted state (${error.message})`);
+  } finally {
+    fs.rmSync(file, { force: true });
+  }
+  
+  const sharedFile = path.join(os.tmpdir(), `alert-state-repeat-test-${process.pid}.json`);
+  try {
+    mockSlotSequence([[1000, 1200]]);
+    const received = [];
+    for (let i = 0; i < 3; i++) {
+      const monitor = engine.createMonitor({
+        processes: [PROCESS_A],
+        sources: { state: { url: 'https://state.example' }, suRouter: { url: 'https://router.example' } },
+        stall: { enabled: false },
+        alertRepeatInterval: 3600000,
+        alertState: createAlertTracker({ stateFile: sharedFile }),
+        notifiers: [{ name: 'capture', notify: async alerts => received.push(alerts) }]
+      });
+      await monitor.run();
+    }
+    const saved = JSON.parse(fs.readFileSync(sharedFile, 'utf8'));
+    if (received.length === 1 && received[0].mismatches.length === 1 && saved[PROCESS_A].alerts.mismatch.lastNotifiedAt) {
+      pass('Test 7: one-shot runs sharing a state file send an ongoing mismatch once per repeat interval');
+    } else {
+      fail(`Test 7: repeat alerts not suppressed across runs (${received.length} notifications)`);
+    }
+  } catch (error) {
+    fail(`Test 7: repeat suppression across runs (${error.message})`);
+  } finally {
+    global.fetch = originalFetch;
+    fs.rmSync(sharedFile, { force: true });
+  }
+  
+  try {
+    const old = {
+      ALERT_MISMATCH_RUNS: process.env.ALERT_MISMATCH_RUNS,
+      ALERT_ERROR_RUNS: process.env.ALERT_ERROR_RUNS,
+      FLAP_DETECTION: process.env.FLAP_DETECTION
+    };
+    process.env.ALERT_MISMATCH_RUNS = '3';
+    process.env.ALERT_ERROR_RUNS = 'zero';
+    process.env.FLAP_DETECTION = 'false';
+    const config = getAlertConfigFromEnv();
+    Object.entries(old).forEach(([key, value]) => {
+      if (value === undefined) delete process.env[key];
+      else process.env[key] = value;
+    });
+    
+    if (config.rules.mismatch.runs === 3 && config.rules.error.runs === 1 && config.rules.stalled.runs === 1 &&
+        config.flap.enabled === false && config.stateFile === './.alert-state.json') {
+      pass('Test 8: rules and flap detection are read from the environment');
+    } else {
+      fail(`Test 8: env config incorrect (${JSON.stringify(config)})`);
+    }
+  } catch (error) {
+    fail(`Test 8: env config (${error.message})`);
+  }
+}
+
+async function runMonitorTests() {
+  console.log('\n=== Monitor Tests ===\n');
+  
+  try {
+    mockSlotSequence([[null, 1000], [1000, 1000], [null, 1000], [null, 1000]]);
+    const received = [];
+    const monitor = engine.createMonitor({
+      processes: [PROCESS_A],
+      sources: { state: { url: 'https://state.example' }, suRouter: { url: 'https://router.example' } },
+      retry: { maxRetries: 0 },
+      alerting: { rules: { error: { runs: 2 } } },
+      notifiers: [{ name: 'capture', notify: async alerts => received.push(alerts) }]
+    });
+    const runs = [];
+    for (let i = 0; i < 4; i++) {
+      runs.push(await monitor.run());
+    }
+    if (received.length === 1 && received[0].errors.length === 1 &&
+        runs[0].alerts.errors.length === 1 && runs[0].alertStates.pending.length === 1 &&
+        runs[3].alertStates.fired.length === 1) {
+      pass('Test 9: run() only notifies once the error rule fires');
+    } else {
+      fail(`Test 9: monitor notifications incorrect (${received.length} notifications)`);
+    }
+  } catch (error) {
+    fail(`Test 9: monitor rules (${error.message})`);
+  }
+}
+
+async function runRecoveryTests() {
+  console.log('\n=== Recovery Notification Tests ===\n');
+  
+  try {
+    const recovered = [
+      { processId: PROCESS_A, type: 'mismatch', since: '2025-01-01T10:00:00.000Z', resolvedAt: '2025-01-01T12:05:00.000Z', peakLag: 340 },
+      { processId: PROCESS_A, type: 'stalled', since: '2025-01-01T09:30:00.000Z', resolvedAt: '2025-01-01T12:05:00.000Z', peakLag: 120 }
+    ];
+    const message = buildConsolidatedSlackMessage([], [], { recovered, footer: 'Test' });
+    const fields = message.attachments[0].fields;
+    const value = title => (fields.find(f => f.title === title) || {}).value;
+    if (message.text.startsWith('✅') && message.text.includes('1 recovered') &&
+        value('Recovered') === 'Behind scheduler, Stalled' && value('Out of Sync') === '~2h 35m' &&
+        value('Peak Lag') === '340 slots' && message.attachments[0].color === 'good') {
+      pass('Test 10: recovery message lists the process, time out of sync and peak lag');
+    } else {
+      fail(`Test 10: recovery message incorrect (${JSON.stringify(message.attachments[0])})`);
+    }
+  } catch (error) {
+    fail(`Test 10: recovery message (${error.message})`);
+  }
+  
+  try {
+    mockSlotSequence([[1000, 1100], [1000, 1200], [1300, 1300], [1400, 1400]]);
+    const received = [];
+    const monitor = engine.createMonitor({
+      processes: [PROCESS_A],
+      sources: { state: { url: 'https://state.example' }, suRouter: { url: 'https://router.example' } },
+      stall: { enabled: false },
+      notifiers: [{ name: 'capture', notify: async alerts => received.push(alerts) }]
+    });
+    for (let i = 0; i < 4; i++) {
+      await monitor.run();
+    }
+    const recovery = received.find(alerts => alerts.recovered.length > 0);
+    if (received.length === 2 && recovery && recovery.mismatches.length === 0 &&
+        recovery.recovered[0].peakLag === 200 && recovery.recovered[0].type === 'mismatch') {
+      pass('Test 11: run() notifies once with the recovery after a firing mismatch catches up');
+    } else {
+      fail(`Test 11: recovery not notified (${JSON.stringify(received)})`);
+    }
+  } catch (error) {
+    fail(`Test 11: recovery notification (${error.message})`);
+  }
+  
+  try {
+    const tracker = createAlertTracker({ flap: { window: 10, threshold: 4 } });
+    const consensusRun = () => tracker.evaluate({ divergences: [], errors: [] }, ['p1'], new Date().toISOString(), 'consensus');
+    const regular = [];
+    const consensusRuns = [];
+    for (let i = 0; i < 3; i++) {
+      regular.push(tracker.evaluate(alertsFor([mismatch('p1', 80)]), ['p1']));
+      consensusRuns.push(consensusRun());
+    }
+    if (consensusRuns.every(run => run.resolved.length === 0) && regular[2].flapping.length === 0 &&
+        regular[2].alerts.mismatches.length === 1 && tracker.states.p1.alerts.mismatch.status === 'firing' &&
+        !tracker.states['consensus:p1']) {
+      pass('Test 12: consensus runs neither resolve nor flap the regular checks\' mismatch');
+    } else {
+      fail(`Test 12: consensus runs touched regular alert state (${JSON.stringify(tracker.states)})`);
+    }
+  } catch (error) {
+    fail(`Test 12: consensus scope (${error.message})`);
+  }
+}
+
+async function runTests() {
+  console.log('Running Alert State Tests...\n');
+  
+  await runStateMachineTests();
+  await runPersistenceTests();
+  await runMonitorTests();
+  await runRecoveryTests();
+  
+  global.fetch = originalFetch;
+  
+  finish(TOTAL_TESTS);
+}
+
+runTests().catch(error => {
+  console.error(`\nUnexpected error: ${error.message}`);
+  process.exit(1);
+});
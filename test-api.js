@@ -0,0 +1,198 @@
+#!/usr/bin/env node
+
+const http = require('http');
+const engine = require('./lib/engine');
+const { sleep } = require('./lib/http');
+const { createMetrics } = require('./lib/metrics');
+const { startApiServer } = require('./lib/api');
+const { loadMonitorConfig } = require('./lib/config');
+const { PROCESS_A, PROCESS_B, PROCESS_C, pass, fail, finish, mockResponse, suRouterBody } = require('./test-helpers');
+
+const TOTAL_TESTS = 8;
+
+const originalFetch = global.fetch;
+
+// Nonces per process: [state, SU router]; a missing state nonce makes the state gateway fail
+const nonces = {
+  [PROCESS_A]: [500, 500],
+  [PROCESS_B]: [400, 460],
+  [PROCESS_C]: [null, 10]
+};
+
+function mockFetch(options = {}) {
+  let fetches = 0;
+  global.fetch = async url => {
+    fetches++;
+    if (options.delay) {
+      await sleep(options.delay);
+    }
+    const processId = Object.keys(nonces).find(id => url.includes(id));
+    const [stateNonce, suNonce] = nonces[processId];
+    if (url.includes('/latest')) {
+      return mockResponse(200, suRouterBody(suNonce));
+    }
+    return stateNonce === null ? mockResponse(502, 'bad gateway') : mockResponse(200, String(stateNonce));
+  };
+  return () => fetches;
+}
+
+function request(server, method, path) {
+  return new Promise((resolve, reject) => {
+    const req = http.request({ host: '127.0.0.1', port: server.address().port, method, path }, res => {
+      let body = '';
+      res.on('data', chunk => {
+        body += chunk;
+      });
+      res.on('end', () => {
+        const json = res.headers['content-type'].startsWith('application/json') ? JSON.parse(body) : null;
+        resolve({ status: res.statusCode, headers: res.headers, body, json });
+      });
+    });
+    req.on('error', reject);
+    req.end();
+  });
+}
+
+async function runApiTests() {
+  console.log('=== Status API Tests ===\n');
+  
+  mockFetch();
+  const monitor = engine.createMonitor({
+    processes: [
+      { processId: PROCESS_A, gateway: 'https://push-5.forward.computer', owner: 'payments', labels: ['core'] },
+      { processId: PROCESS_B, gateway: 'https://push-5.forward.computer' },
+      { processId: PROCESS_C, gateway: 'https://state-2.forward.computer' }
+    ],
+    metrics: createMetrics(),
+    thresholds: { warning: 50 },
+    silencesFile: null,
+    notifiers: []
+  });
+  const daemonStatus = { running: false, runs: 0, failures: 0, lastError: null, nextRunAt: null };
+  let server = null;
+  
+  try {
+    server = await startApiServer(monitor, { port: 0, host: '127.0.0.1', daemon: daemonStatus });
+    
+    const before = await request(server, 'GET', `/processes/${PROCESS_A}`);
+    const empty = await request(server, 'GET', '/status');
+    if (before.status === 200 && before.json.status === 'unchecked' && before.json.lastCheckedAt === null &&
+        empty.json.checked === 0 && empty.json.lastRunAt === null && empty.json.summary.total === 0) {
+      pass('Test 1: before the first run processes are unchecked and the summary is empty');
+    } else {
+      fail(`Test 1: pre-run responses incorrect (${before.body}, ${empty.body})`);
+    }
+    
+    await monitor.run();
+    daemonStatus.runs = 1;
+    
+    const status = await request(server, 'GET', '/status');
+    const summary = status.json.summary;
+    if (status.status === 200 && status.headers['content-type'].startsWith('application/json') &&
+        status.json.processes === 3 && status.json.checked === 3 && status.json.runs === 1 && status.json.watch.runs === 1 &&
+        summary.matches === 1 && summary.mismatches === 1 && summary.errors === 1 && summary.bySeverity.error === 1 &&
+        summary.gateways['push-5'].total === 2 && summary.gateways['state-2'].successRate === 0) {
+      pass('Test 2: GET /status returns the run summary as JSON');
+    } else {
+      fail(`Test 2: /status incorrect (${status.body})`);
+    }
+    
+    const list = await request(server, 'GET', '/processes');
+    const statuses = list.json.processes.map(p => p.status);
+    if (list.status === 200 && JSON.stringify(statuses) === JSON.stringify(['in-sync', 'behind', 'error'])) {
+      pass('Test 3: GET /processes lists every process with its sync status');
+    } else {
+      fail(`Test 3: /processes incorrect (${JSON.stringify(statuses)})`);
+    }
+    
+    const behind = await request(server, 'GET', `/processes/${PROCESS_B}`);
+    const errored = await request(server, 'GET', `/processes/${PROCESS_C}/`);
+    const a = (await request(server, 'GET', `/processes/${PROCESS_A}`)).json;
+    if (behind.json.stateNonce === '400' && behind.json.suRouterNonce === '460' && behind.json.diff === 60 &&
+        behind.json.severity === 'error' && behind.json.inSync === false && behind.json.gatewayName === 'push-5' &&
+        typeof behind.json.lastCheckedAt === 'string' &&
+        errored.status === 200 && errored.json.error.includes('502') && a.inSync === true && a.owner === 'payments') {
+      pass('Test 4: GET /processes/:id returns nonces, diff, gateway, error and last-checked time');
+    } else {
+      fail(`Test 4: /processes/:id incorrect (${behind.body}, ${errored.body})`);
+    }
+    
+    nonces[PROCESS_B] = [460, 460];
+    // Slow enough that the second request arrives while the first check is in flight
+    const slowFetchCount = mockFetch({ delay: 100 });
+    const [checked, concurrent] = await Promise.all([
+      request(server, 'POST', `/check/${PROCESS_B}`),
+      request(server, 'POST', `/check/${PROCESS_B}`)
+    ]);
+    const after = await request(server, 'GET', `/processes/${PROCESS_B}`);
+    if (checked.status === 200 && checked.json.inSync === true && concurrent.json.inSync === true &&
+        slowFetchCount() === 2 && after.json.status === 'in-sync' && monitor.state.runs === 1) {
+      pass('Test 5: POST /check/:id runs one on-demand check, shared by concurrent requests, and updates the process');
+    } else {
+      fail(`Test 5: /check incorrect (${checked.body}, fetches ${slowFetchCount()})`);
+    }
+    
+    const failing = await request(server, 'POST', `/check/${PROCESS_C}`);
+    const unknown = await request(server, 'GET', '/processes/unknown-process');
+    const unknownCheck = await request(server, 'POST', '/check/unknown-process');
+    if (failing.status === 502 && failing.json.status === 'error' && unknown.status === 404 &&
+        unknown.json.error === 'Unknown process: unknown-process' && unknownCheck.status === 404) {
+      pass('Test 6: failed checks return 502 and unknown processes 404');
+    } else {
+      fail(`Test 6: error statuses incorrect (${failing.status}, ${unknown.status}, ${unknownCheck.status})`);
+    }
+    
+    const wrongMethod = await request(server, 'GET', `/check/${PROCESS_A}`);
+    const noRoute = await request(server, 'GET', '/nope');
+    const metrics = await request(server, 'GET', '/metrics');
+    if (wrongMethod.status === 405 && wrongMethod.headers.allow === 'POST' && noRoute.status === 404 &&
+        metrics.status === 200 && metrics.body.includes(`nonce_monitor_nonce_diff{process_id="${PROCESS_A}",gateway="push-5"} 0`)) {
+      pass('Test 7: wrong methods get 405 with Allow, unknown paths 404, and /metrics is served alongside');
+    } else {
+      fail(`Test 7: routing incorrect (${wrongMethod.status}, ${noRoute.status}, ${metrics.status})`);
+    }
+  } catch (error) {
+    fail(`Test 1-7: status API (${error.message})`);
+  } finally {
+    if (server) {
+      server.close();
+    }
+  }
+}
+
+async function runSettingsTests() {
+  console.log('\n=== Settings Tests ===\n');
+  
+  const originalEnv = { ...process.env };
+  try {
+    process.env.STATUS_API_PORT = '8080';
+    delete process.env.STATUS_API_HOST;
+    const fromEnv = loadMonitorConfig(null).statusApi;
+    delete process.env.STATUS_API_PORT;
+    const disabled = loadMonitorConfig(null).statusApi;
+    const server = await startApiServer({}, disabled);
+    if (fromEnv.port === 8080 && fromEnv.host === '127.0.0.1' && disabled.port === null && server === null) {
+      pass('Test 8: STATUS_API_PORT enables the API on localhost by default, and no port means no server');
+    } else {
+      fail(`Test 8: settings incorrect (${JSON.stringify(fromEnv)}, ${JSON.stringify(disabled)})`);
+    }
+  } finally {
+    process.env = originalEnv;
+  }
+}
+
+async function runTests() {
+  console.log('Running Status API Tests...\n');
+  
+  await runApiTests();
+  await runSettingsTests();
+  
+  global.fetch = originalFetch;
+  
+  finish(TOTAL_TESTS);
+}
+
+runTests().catch(error => {
+  console.error(`\nUnexpected error: ${error.message}`);
+  process.exit(1);
+});
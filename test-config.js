@@ -0,0 +1,247 @@
+#!/usr/bin/env node
+
+const fs = require('fs');
+const path = require('path');
+const { parseYaml, stringifyYaml } = require('./lib/yaml');
+const {
+  validateConfig,
+  loadConfigFile,
+  applyEnvOverrides,
+  loadMonitorConfig,
+  importLegacy
+} = require('./lib/config');
+const { createNonceMonitor } = require('./nonce-monitor');
+const { PROCESS_A, PROCESS_B, pass, fail, finish, mockResponse, suRouterBody, tempDir } = require('./test-helpers');
+
+const TOTAL_TESTS = 8;
+
+const originalFetch = global.fetch;
+
+const YAML_CONFIG = `# Monitor configuration
+version: 1
+threshold: 40
+processes:
+  - id: ${PROCESS_A}
+    gateway: https://push-5.forward.computer
+    labels: [payments, core]
+    owner: "team #payments"
+    threshold: 10
+  - id: ${PROCESS_B}
+alerting:
+  rules:
+    error:
+      runs: 2
+notifiers:
+  pagerduty:
+    enabled: true
+    aggregation: gateway
+`;
+
+async function runParsingTests() {
+  console.log('=== Parsing Tests ===\n');
+  
+  try {
+    const config = parseYaml(YAML_CONFIG);
+    const roundTrip = parseYaml(stringifyYaml(config));
+    if (config.processes[0].labels.join(',') === 'payments,core' && config.processes[0].owner === 'team #payments' &&
+        config.processes[1].id === PROCESS_B && config.alerting.rules.error.runs === 2 &&
+        JSON.stringify(roundTrip) === JSON.stringify(config)) {
+      pass('Test 1: parseYaml() reads nested mappings, sequences, flow lists and comments, and round-trips');
+    } else {
+      fail(`Test 1: parseYaml() incorrect (${JSON.stringify(config)})`);
+    }
+  } catch (error) {
+    fail(`Test 1: parseYaml() (${error.message})`);
+  }
+  
+  try {
+    const messages = ['a: 1\n   b: 2', 'a: |\n  text', 'a: 1\na: 2'].map(text => {
+      try {
+        parseYaml(text);
+        return null;
+      } catch (error) {
+        return error.message;
+      }
+    });
+    const errors = validateConfig({
+      version: 1,
+      processes: [{ id: PROCESS_A, gateway: 'push-5', labels: 'payments' }, { gateway: 'https://push-5.forward.computer' }],
+      notifiers: { pagerduty: { aggregation: 'daily' } },
+      thresold: 5
+    });
+    const expected = [
+      'config.processes[0].gateway: must match ^https?://',
+      'config.processes[0].labels: must be an array, got string',
+      'config.processes[1].id: is required',
+      'config.notifiers.pagerduty.aggregation: must be one of process, gateway, run',
+      'config.thresold: unknown key'
+    ];
+    if (messages.every(m => m && /line \d/.test(m)) && expected.every(e => errors.includes(e)) && errors.length === expected.length) {
+      pass('Test 2: YAML errors carry line numbers and schema errors name the offending key');
+    } else {
+      fail(`Test 2: errors incorrect (${JSON.stringify(messages)}, ${JSON.stringify(errors)})`);
+    }
+  } catch (error) {
+    fail(`Test 2: errors (${error.message})`);
+  }
+  
+  const dir = tempDir('config');
+  try {
+    const yamlFile = path.join(dir, 'monitor.config.yaml');
+    const jsonFile = path.join(dir, 'monitor.config.json');
+    const duplicateFile = path.join(dir, 'duplicate.yaml');
+    fs.writeFileSync(yamlFile, YAML_CONFIG);
+    fs.writeFileSync(jsonFile, JSON.stringify(parseYaml(YAML_CONFIG)));
+    fs.writeFileSync(duplicateFile, `version: 1\nprocesses:\n  - id: ${PROCESS_A}\n  - id: ${PROCESS_A}\n`);
+    let duplicate = null;
+    try {
+      loadConfigFile(duplicateFile);
+    } catch (error) {
+      duplicate = error.message;
+    }
+    if (JSON.stringify(loadConfigFile(yamlFile)) === JSON.stringify(loadConfigFile(jsonFile)) &&
+        duplicate && duplicate.includes('duplicate process IDs')) {
+      pass('Test 3: loadConfigFile() reads YAML and JSON alike and rejects duplicate process IDs');
+    } else {
+      fail(`Test 3: loadConfigFile() incorrect (${duplicate})`);
+    }
+  } catch (error) {
+    fail(`Test 3: loadConfigFile() (${error.message})`);
+  } finally {
+    fs.rmSync(dir, { recursive: true, force: true });
+  }
+}
+
+async function runSettingsTests() {
+  console.log('\n=== Settings Tests ===\n');
+  
+  try {
+    const { config, applied } = applyEnvOverrides(parseYaml(YAML_CONFIG), {
+      ALERT_ERROR_RUNS: '3',
+      PAGERDUTY_AGGREGATION: 'hourly',
+      STATE_FALLBACK_URLS: 'https://a.example, https://b.example',
+      STALL_DETECTION: 'false'
+    });
+    if (config.alerting.rules.error.runs === 3 && config.notifiers.pagerduty.aggregation === 'gateway' &&
+        config.sources.state.fallbacks.length === 2 && config.stall.enabled === false &&
+        applied.join(',') === 'STATE_FALLBACK_URLS,STALL_DETECTION,ALERT_ERROR_RUNS') {
+      pass('Test 4: env vars override config keys and invalid values are ignored');
+    } else {
+      fail(`Test 4: env overrides incorrect (${JSON.stringify(config)}, ${applied})`);
+    }
+  } catch (error) {
+    fail(`Test 4: env overrides (${error.message})`);
+  }
+  
+  const dir = tempDir('config');
+  try {
+    const file = path.join(dir, 'monitor.config.yaml');
+    fs.writeFileSync(file, YAML_CONFIG);
+    const settings = loadMonitorConfig(file, {});
+    const [a, b] = settings.processes;
+    if (a.processId === PROCESS_A && a.threshold === 10 && a.owner === 'team #payments' && b.gateway === undefined &&
+        settings.monitor.threshold === 40 && settings.alerting.rules.error.runs === 2 && settings.alerting.rules.mismatch.runs === 1 &&
+        settings.pagerduty.enabled === true && settings.pagerduty.aggregation === 'gateway') {
+      pass('Test 5: loadMonitorConfig() resolves processes, monitor options, alert rules and notifiers');
+    } else {
+      fail(`Test 5: loadMonitorConfig() incorrect (${JSON.stringify(settings)})`);
+    }
+  } catch (error) {
+    fail(`Test 5: loadMonitorConfig() (${error.message})`);
+  } finally {
+    fs.rmSync(dir, { recursive: true, force: true });
+  }
+  
+  try {
+    const settings = loadMonitorConfig(null, {});
+    if (settings.file === null && settings.processes === null && Object.keys(settings.monitor).length === 0) {
+      pass('Test 6: without a config file the monitors keep their legacy process lists');
+    } else {
+      fail(`Test 6: legacy fallback incorrect (${JSON.stringify(settings.monitor)})`);
+    }
+  } catch (error) {
+    fail(`Test 6: legacy fallback (${error.message})`);
+  }
+}
+
+async function runImportTests() {
+  console.log('\n=== Import Tests ===\n');
+  
+  const dir = tempDir('config');
+  try {
+    fs.writeFileSync(path.join(dir, 'process-map.json'), JSON.stringify({
+      [PROCESS_A]: { gateway: 'https://state-2.forward.computer', scheduler: 'https://su52.ao-testnet.xyz' }
+    }));
+    fs.writeFileSync(path.join(dir, 'process-ids.txt'), `# Production\n${PROCESS_A}\n`);
+    fs.writeFileSync(path.join(dir, 'process-ids.push-5.txt'), `${PROCESS_B}\n`);
+    fs.writeFileSync(path.join(dir, 'process-ids.example.txt'), 'example-process-id\n');
+    const config = importLegacy({
+      dir,
+      env: { ALERT_MISMATCH_RUNS: '3', SLACK_WEBHOOK_URL: 'https://hooks.slack.com/services/x', REQUEST_TIMEOUT: '15000' }
+    });
+    const [a, b] = config.processes;
+    if (config.processes.length === 2 && a.gateway === 'https://state-2.forward.computer' && a.scheduler === 'https://su52.ao-testnet.xyz' &&
+        b.gateway === 'https://push-5.forward.computer' && config.alerting.rules.mismatch.runs === 3 &&
+        config.requestTimeout === 15000 && !config.notifiers && validateConfig(config).length === 0) {
+      pass('Test 7: importLegacy() merges process lists, the process map and env vars without secrets');
+    } else {
+      fail(`Test 7: importLegacy() incorrect (${JSON.stringify(config)})`);
+    }
+  } catch (error) {
+    fail(`Test 7: importLegacy() (${error.message})`);
+  } finally {
+    fs.rmSync(dir, { recursive: true, force: true });
+  }
+}
+
+async function runMonitorTests() {
+  console.log('\n=== Monitor Tests ===\n');
+  
+  const dir = tempDir('config');
+  try {
+    const file = path.join(dir, 'monitor.config.yaml');
+    fs.writeFileSync(file, YAML_CONFIG);
+    const settings = loadMonitorConfig(file, {});
+    global.fetch = async (url) => (url.includes('/latest') ? mockResponse(200, suRouterBody(120)) : mockResponse(200, '100'));
+    
+    const monitor = createNonceMonitor(settings.processes, {
+      settings: { ...settings, monitor: { ...settings.monitor, silencesFile: null } }
+    });
+    const originalLog = console.log;
+    console.log = () => {};
+    let result;
+    try {
+      result = await monitor.run();
+    } finally {
+      console.log = originalLog;
+    }
+    const alerted = result.alerts.mismatches.map(m => m.processId);
+    if (alerted.length === 1 && alerted[0] === PROCESS_A) {
+      pass('Test 8: a per-process threshold from the config overrides the global threshold');
+    } else {
+      fail(`Test 8: thresholds incorrect (${alerted})`);
+    }
+  } catch (error) {
+    fail(`Test 8: config-driven monitor (${error.message})`);
+  } finally {
+    fs.rmSync(dir, { recursive: true, force: true });
+  }
+}
+
+async function runTests() {
+  console.log('Running Config Tests...\n');
+  
+  await runParsingTests();
+  await runSettingsTests();
+  await runImportTests();
+  await runMonitorTests();
+  
+  global.fetch = originalFetch;
+  
+  finish(TOTAL_TESTS);
+}
+
+runTests().catch(error => {
+  console.error(`\nUnexpected error: ${error.message}`);
+  process.exit(1);
+});
@@ -0,0 +1,186 @@
+#!/usr/bin/env node
+
+const engine = require('./lib/engine');
+const { createDaemon, runDaemon, getWatchConfigFromEnv } = require('./lib/daemon');
+const { sleep } = require('./lib/http');
+const { PROCESS_A, pass, fail, finish, mockResponse, suRouterBody } = require('./test-helpers');
+
+const TOTAL_TESTS = 8;
+
+const originalFetch = global.fetch;
+
+function deferred() {
+  let resolve;
+  const promise = new Promise(r => {
+    resolve = r;
+  });
+  return { promise, resolve };
+}
+
+async function runDaemonTests() {
+  console.log('=== Daemon Tests ===\n');
+  
+  try {
+    let runs = 0;
+    const daemon = createDaemon(async () => {
+      runs++;
+    }, { interval: 20 });
+    daemon.start();
+    await sleep(75);
+    await daemon.stop();
+    if (runs >= 3 && daemon.status.runs === runs) {
+      pass('Test 1: daemon runs immediately and then on every interval');
+    } else {
+      fail(`Test 1: expected at least 3 runs, got ${runs}`);
+    }
+  } catch (error) {
+    fail(`Test 1: interval scheduling (${error.message})`);
+  }
+  
+  try {
+    const gate = deferred();
+    let started = 0;
+    const daemon = createDaemon(async () => {
+      started++;
+      await gate.promise;
+    }, { interval: 1000 });
+    const first = daemon.runOnce();
+    const second = await daemon.runOnce();
+    gate.resolve();
+    await first;
+    if (started === 1 && second === null && daemon.status.skipped === 1) {
+      pass('Test 2: a run is skipped while the previous one is in flight');
+    } else {
+      fail(`Test 2: overlapping runs (started ${started}, skipped ${daemon.status.skipped})`);
+    }
+  } catch (error) {
+    fail(`Test 2: overlap prevention (${error.message})`);
+  }
+  
+  try {
+    const gate = deferred();
+    let finished = false;
+    const daemon = createDaemon(async () => {
+      await gate.promise;
+      finished = true;
+    }, { interval: 1000 });
+    daemon.start();
+    await sleep(5);
+    const stopping = daemon.stop();
+    setTimeout(gate.resolve, 20);
+    await stopping;
+    await sleep(30);
+    if (finished && daemon.status.runs === 1 && daemon.status.nextRunAt === null) {
+      pass('Test 3: stop() waits for the in-flight run and schedules no more');
+    } else {
+      fail(`Test 3: stop() incorrect (finished ${finished}, runs ${daemon.status.runs})`);
+    }
+  } catch (error) {
+    fail(`Test 3: graceful stop (${error.message})`);
+  }
+  
+  try {
+    let runs = 0;
+    const daemon = createDaemon(async () => {
+      runs++;
+      if (runs === 1) {
+        throw new Error('gateway down');
+      }
+    }, { interval: 10 });
+    daemon.start();
+    await sleep(40);
+    await daemon.stop();
+    if (runs >= 2 && daemon.status.failures === 1 && daemon.status.lastError === null) {
+      pass('Test 4: a failed run is logged and the daemon keeps going');
+    } else {
+      fail(`Test 4: failure handling incorrect (${JSON.stringify(daemon.status)})`);
+    }
+  } catch (error) {
+    fail(`Test 4: failure handling (${error.message})`);
+  }
+  
+  try {
+    const { done } = runDaemon(async () => {}, { interval: 1000 });
+    await sleep(5);
+    process.emit('SIGTERM', 'SIGTERM');
+    const status = await done;
+    if (status.stopping && status.runs === 1 && process.listenerCount('SIGTERM') === 0) {
+      pass('Test 5: SIGTERM stops the daemon and removes the signal handlers');
+    } else {
+      fail(`Test 5: SIGTERM handling incorrect (${JSON.stringify(status)})`);
+    }
+  } catch (error) {
+    fail(`Test 5: signal handling (${error.message})`);
+  }
+  
+  try {
+    const config = getWatchConfigFromEnv(['node', 'nonce-monitor.js', '--watch']);
+    if (config.enabled === true && config.interval === 300000) {
+      pass('Test 6: --watch enables watch mode with the default interval');
+    } else {
+      fail(`Test 6: watch config incorrect (${JSON.stringify(config)})`);
+    }
+  } catch (error) {
+    fail(`Test 6: watch config (${error.message})`);
+  }
+}
+
+async function runStateTests() {
+  console.log('\n=== Run State Tests ===\n');
+  
+  try {
+    const alerted = {};
+    const alerts = { mismatches: [{ processId: 'a' }, { processId: 'b' }], errors: [] };
+    const first = engine.suppressRepeatAlerts(alerts, alerted, 60000, 1000);
+    const repeat = engine.suppressRepeatAlerts(alerts, alerted, 60000, 2000);
+    engine.suppressRepeatAlerts({ mismatches: [{ processId: 'a' }], errors: [] }, alerted, 60000, 3000);
+    const regressed = engine.suppressRepeatAlerts(alerts, alerted, 60000, 4000);
+    if (first.alerts.mismatches.length === 2 && repeat.suppressed === 2 &&
+        regressed.alerts.mismatches.length === 1 && regressed.alerts.mismatches[0].processId === 'b') {
+      pass('Test 7: repeat alerts are suppressed until a process recovers');
+    } else {
+      fail('Test 7: repeat suppression incorrect');
+    }
+  } catch (error) {
+    fail(`Test 7: repeat suppression (${error.message})`);
+  }
+  
+  try {
+    global.fetch = async (url) => (url.includes('/latest')
+      ? mockResponse(200, suRouterBody(1100))
+      : mockResponse(200, '1000'));
+    const received = [];
+    const monitor = engine.createMonitor({
+      processes: [PROCESS_A],
+      sources: { state: { url: 'https://state.example' }, suRouter: { url: 'https://router.example' } },
+      alertRepeatInterval: 60000,
+      notifiers: [{ name: 'capture', notify: async (alerts, context) => received.push({ alerts, context }) }]
+    });
+    await monitor.run();
+    await monitor.run();
+    if (received.length === 1 && monitor.state.runs === 2 &&
+        monitor.state.lastResults[PROCESS_A].diff === 100) {
+      pass('Test 8: monitor state carries alert history between runs');
+    } else {
+      fail(`Test 8: state between runs incorrect (${received.length} notifications, ${monitor.state.runs} runs)`);
+    }
+  } catch (error) {
+    fail(`Test 8: state between runs (${error.message})`);
+  }
+}
+
+async function runTests() {
+  console.log('Running Daemon Mode Tests...\n');
+  
+  await runDaemonTests();
+  await runStateTests();
+  
+  global.fetch = originalFetch;
+  
+  finish(TOTAL_TESTS);
+}
+
+runTests().catch(error => {
+  console.error(`\nUnexpected error: ${error.message}`);
+  process.exit(1);
+});
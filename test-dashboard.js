@@ -0,0 +1,167 @@
+#!/usr/bin/env node
+
+const fs = require('fs');
+const path = require('path');
+const http = require('http');
+const engine = require('./lib/engine');
+const { createHistoryStore } = require('./lib/history');
+const { renderDashboard, createDashboardReporter } = require('./lib/dashboard');
+const { startApiServer } = require('./lib/api');
+const { loadMonitorConfig } = require('./lib/config');
+const { PROCESS_A, PROCESS_B, PROCESS_C, PROCESS_D, pass, fail, finish, mockResponse, suRouterBody, tempDir } = require('./test-helpers');
+
+const TOTAL_TESTS = 7;
+
+const originalFetch = global.fetch;
+
+function rowFor(html, processId) {
+  return html.split('\n').find(line => line.startsWith('<tr>') && line.includes(`data-value="${processId}"`)) || '';
+}
+
+const PROCESSES = [
+  { processId: PROCESS_A, gateway: 'https://push-5.forward.computer' },
+  { processId: PROCESS_B, gateway: 'https://push-5.forward.computer' },
+  { processId: PROCESS_C, gateway: 'https://state-2.forward.computer' },
+  { processId: PROCESS_D, gateway: 'https://state-2.forward.computer' }
+];
+
+const LAST_RESULTS = {
+  [PROCESS_A]: { processId: PROCESS_A, gateway: PROCESSES[0].gateway, stateNonce: '100', suRouterNonce: '100', match: true, diff: 0, severity: null, duration: 100, error: null, checkedAt: '2025-01-01T10:00:00.000Z' },
+  [PROCESS_B]: { processId: PROCESS_B, gateway: PROCESSES[1].gateway, stateNonce: '100', suRouterNonce: '250', match: false, diff: 150, severity: 'critical', duration: 300, error: null, checkedAt: '2025-01-01T10:00:00.000Z' },
+  [PROCESS_C]: { processId: PROCESS_C, gateway: PROCESSES[2].gateway, stateNonce: null, suRouterNonce: null, match: false, diff: null, severity: null, duration: 50, error: 'HTTP 502: <Bad Gateway>', checkedAt: '2025-01-01T10:00:00.000Z' }
+};
+
+async function runRenderTests() {
+  console.log('=== Render Tests ===\n');
+  
+  const html = renderDashboard({ title: 'Ops <fleet>', processes: PROCESSES, lastResults: LAST_RESULTS, generatedAt: '2025-01-01T10:00:05.000Z' });
+  const colors = [PROCESS_A, PROCESS_B, PROCESS_C, PROCESS_D].map(id => (rowFor(html, id).match(/border-left-color:(#[0-9a-f]+)/) || [])[1]);
+  const warning = renderDashboard({ processes: [PROCESSES[1]], lastResults: { [PROCESS_B]: { ...LAST_RESULTS[PROCESS_B], diff: 60, severity: 'warning' } } });
+  if (JSON.stringify(colors) === JSON.stringify(['#2eb886', '#a30200', '#daa038', '#9e9e9e']) &&
+      rowFor(warning, PROCESS_B).includes('border-left-color:#daa038') && rowFor(html, PROCESS_D).includes('Unchecked')) {
+    pass('Test 1: rows are colored by severity like Slack attachments, with unchecked processes in grey');
+  } else {
+    fail(`Test 1: row colors incorrect (${JSON.stringify(colors)})`);
+  }
+  
+  const b = rowFor(html, PROCESS_B);
+  if (b.includes('>push-5<') && b.includes('data-value="250">250<') && b.includes('data-value="150">150<') &&
+      html.includes('<title>Ops &lt;fleet&gt;</title>') && html.includes('HTTP 502: &lt;Bad Gateway&gt;') && !html.includes('<Bad Gateway>') &&
+      html.includes('<th data-type="number">Diff</th>') && html.includes('table.sortable th')) {
+    pass('Test 2: the sortable table shows gateway, nonces and diff per process and escapes HTML');
+  } else {
+    fail(`Test 2: process table incorrect (${b})`);
+  }
+  
+  const gatewayRows = html.split('\n').filter(line => /^<tr><td class="status"[^>]*data-value="(push-5|state-2)">/.test(line));
+  if (gatewayRows.length === 2 && gatewayRows[0].includes('data-value="100">100.0%<') && gatewayRows[0].includes('data-value="200">200ms<') &&
+      gatewayRows[1].includes('data-value="0">0.0%<') && gatewayRows[1].includes('border-left-color:#a30200')) {
+    pass('Test 3: the gateway table shows success rate and latency from the summary');
+  } else {
+    fail(`Test 3: gateway table incorrect (${JSON.stringify(gatewayRows)})`);
+  }
+  
+  const history = {
+    recentByProcess: () => ({
+      [PROCESS_B]: [{ diff: 10, error: null }, { diff: null, error: 'timeout' }, { diff: 80, error: null }, { diff: 150, error: null }],
+      [PROCESS_A]: [{ diff: 0, error: null }]
+    })
+  };
+  const withHistory = renderDashboard({ processes: PROCESSES, lastResults: LAST_RESULTS, history });
+  const sparkline = rowFor(withHistory, PROCESS_B).match(/<polyline[^>]*points="([^"]+)"/);
+  if (sparkline && sparkline[1].split(' ').length === 3 && rowFor(withHistory, PROCESS_B).includes('10 to 150 slots') &&
+      !rowFor(withHistory, PROCESS_A).includes('<svg') && withHistory.includes('Lag (last 30)') && !html.includes('Lag (last')) {
+    pass('Test 4: lag sparklines come from history, skip errored checks and need two points; no history, no column');
+  } else {
+    fail(`Test 4: sparklines incorrect (${rowFor(withHistory, PROCESS_B)})`);
+  }
+}
+
+async function runReporterTests() {
+  console.log('\n=== Reporter Tests ===\n');
+  
+  global.fetch = async url => {
+    if (url.includes('/latest')) {
+      return mockResponse(200, suRouterBody(url.includes(PROCESS_B) ? 180 : 100));
+    }
+    return mockResponse(200, '100');
+  };
+  
+  const dir = tempDir('dashboard');
+  const file = path.join(dir, 'dashboard.html');
+  let server = null;
+  try {
+    const history = createHistoryStore({ file: path.join(dir, 'history.jsonl') });
+    const broken = { name: 'broken', report: () => { throw new Error('disk full'); } };
+    const monitor = engine.createMonitor({
+      processes: PROCESSES.slice(0, 2),
+      history,
+      reporters: [broken, createDashboardReporter({ file, title: 'Nonce fleet' })],
+      silencesFile: null,
+      notifiers: []
+    });
+    await monitor.run();
+    await monitor.run();
+    const html = fs.readFileSync(file, 'utf8');
+    if (html.includes('<title>Nonce fleet</title>') && rowFor(html, PROCESS_B).includes('data-value="80">80<') &&
+        rowFor(html, PROCESS_B).includes('<svg') && fs.readdirSync(dir).sort().join(',') === 'dashboard.html,history.jsonl') {
+      pass('Test 5: the dashboard file is rewritten after every run, with sparklines from history, past a failing reporter');
+    } else {
+      fail('Test 5: dashboard file incorrect');
+    }
+    
+    server = await startApiServer(monitor, { port: 0, host: '127.0.0.1', dashboard: { title: 'Served fleet' } });
+    const page = await new Promise((resolve, reject) => {
+      http.get(`http://127.0.0.1:${server.address().port}/dashboard`, res => {
+        let body = '';
+        res.on('data', chunk => {
+          body += chunk;
+        });
+        res.on('end', () => resolve({ status: res.statusCode, type: res.headers['content-type'], body }));
+      }).on('error', reject);
+    });
+    if (page.status === 200 && page.type.startsWith('text/html') && page.body.includes('<title>Served fleet</title>') &&
+        page.body.includes('http-equiv="refresh"') && rowFor(page.body, PROCESS_B).includes('data-value="80">80<')) {
+      pass('Test 6: the status API serves the dashboard at /dashboard, refreshing itself');
+    } else {
+      fail(`Test 6: served dashboard incorrect (${page.status}, ${page.type})`);
+    }
+  } catch (error) {
+    fail(`Test 5-6: reporter (${error.message})`);
+  } finally {
+    if (server) {
+      server.close();
+    }
+    fs.rmSync(dir, { recursive: true, force: true });
+  }
+  
+  const originalEnv = { ...process.env };
+  try {
+    process.env.DASHBOARD_FILE = './public/index.html';
+    delete process.env.DASHBOARD_TITLE;
+    const settings = loadMonitorConfig(null);
+    if (settings.dashboard.file === './public/index.html' && settings.dashboard.title === 'AO Network Nonce Monitor') {
+      pass('Test 7: DASHBOARD_FILE reaches the settings with the default title');
+    } else {
+      fail(`Test 7: settings incorrect (${JSON.stringify(settings.dashboard)})`);
+    }
+  } finally {
+    process.env = originalEnv;
+  }
+}
+
+async function runTests() {
+  console.log('Running Dashboard Tests...\n');
+  
+  await runRenderTests();
+  await runReporterTests();
+  
+  global.fetch = originalFetch;
+  
+  finish(TOTAL_TESTS);
+}
+
+runTests().catch(error => {
+  console.error(`\nUnexpected error: ${error.message}`);
+  process.exit(1);
+});
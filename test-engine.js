@@ -0,0 +1,687 @@
+#!/usr/bin/env node
+
+const https = require('https');
+const { EventEmitter } = require('events');
+const engine = require('./lib/engine');
+const http = require('./lib/http');
+const { buildConsolidatedSlackMessage, createSlackNotifier } = require('./lib/slack');
+const { mapWithConcurrency } = require('./lib/pool');
+const consensus = require('./lib/consensus');
+const { buildAggregatedEventPayload } = require('./lib/pagerduty');
+const { PROCESS_A, pass, fail, finish, mockResponse, suRouterBody, mockFetch } = require('./test-helpers');
+
+const OTHER_PROCESS_ID = 'xU9zFkq3X2ZQ6olwNVvr1vUWIjc3kXTWr7xKQD6dh10';
+const TOTAL_TESTS = 32;
+
+const originalFetch = global.fetch;
+
+async function runEngineTests() {
+  console.log('=== Engine Tests ===\n');
+  
+  try {
+    const monitor = engine.createMonitor({ processes: [PROCESS_A] });
+    if (typeof monitor.run === 'function' &&
+        typeof monitor.checkProcess === 'function' &&
+        typeof monitor.checkAllProcesses === 'function' &&
+        typeof monitor.generateSummary === 'function') {
+      pass('Test 1: createMonitor() exposes the monitor API');
+    } else {
+      fail('Test 1: createMonitor() missing API methods');
+    }
+  } catch (error) {
+    fail(`Test 1: createMonitor() (${error.message})`);
+  }
+  
+  try {
+    const monitor = engine.createMonitor({
+      processes: [PROCESS_A, { processId: OTHER_PROCESS_ID, gateway: 'https://push-1.forward.computer' }],
+      sources: { state: { url: 'https://state.example' } }
+    });
+    if (monitor.processes[0].gateway === 'https://state.example' &&
+        monitor.processes[1].gateway === 'https://push-1.forward.computer') {
+      pass('Test 2: createMonitor() normalizes process entries');
+    } else {
+      fail(`Test 2: createMonitor() gateways incorrect (${monitor.processes.map(p => p.gateway).join(', ')})`);
+    }
+  } catch (error) {
+    fail(`Test 2: createMonitor() normalization (${error.message})`);
+  }
+  
+  try {
+    mockFetch({
+      'compute/at-slot': () => mockResponse(200, '1234\n'),
+      '/latest': () => mockResponse(200, suRouterBody(1234))
+    });
+    const monitor = engine.createMonitor({ processes: [PROCESS_A] });
+    const result = await monitor.checkProcess(PROCESS_A);
+    if (result.match === true && result.diff === 0 && result.stateNonce === '1234' && result.error === null) {
+      pass('Test 3: checkProcess() reports matching nonces');
+    } else {
+      fail(`Test 3: checkProcess() match incorrect (${JSON.stringify(result)})`);
+    }
+  } catch (error) {
+    fail(`Test 3: checkProcess() match (${error.message})`);
+  }
+  
+  try {
+    mockFetch({
+      'compute/at-slot': () => mockResponse(200, '1000'),
+      '/latest': () => mockResponse(200, suRouterBody(1075))
+    });
+    const monitor = engine.createMonitor({ processes: [PROCESS_A] });
+    const result = await monitor.checkProcess(PROCESS_A);
+    if (result.match === false && result.diff === 75 && result.suRouterNonce === '1075') {
+      pass('Test 4: checkProcess() reports mismatch difference');
+    } else {
+      fail(`Test 4: checkProcess() mismatch incorrect (${JSON.stringify(result)})`);
+    }
+  } catch (error) {
+    fail(`Test 4: checkProcess() mismatch (${error.message})`);
+  }
+  
+  try {
+    mockFetch({
+      'compute/at-slot': () => mockResponse(200, '<html>oops</html>'),
+      '/latest': () => mockResponse(200, suRouterBody(10))
+    });
+    const result = await engine.createMonitor().checkProcess(PROCESS_A);
+    if (result.error && result.error.includes('Invalid nonce format')) {
+      pass('Test 5: checkProcess() rejects non-numeric state nonce');
+    } else {
+      fail(`Test 5: checkProcess() accepted invalid nonce (${JSON.stringify(result)})`);
+    }
+  } catch (error) {
+    fail(`Test 5: checkProcess() invalid nonce (${error.message})`);
+  }
+  
+  try {
+    mockFetch({
+      'compute/at-slot': () => mockResponse(200, '10'),
+      '/latest': () => mockResponse(200, { assignment: { tags: [] } })
+    });
+    const result = await engine.createMonitor().checkProcess(PROCESS_A);
+    if (result.error && result.error.includes('Nonce tag not found')) {
+      pass('Test 6: checkProcess() reports missing SU Router nonce tag');
+    } else {
+      fail(`Test 6: checkProcess() missing tag not reported (${JSON.stringify(result)})`);
+    }
+  } catch (error) {
+    fail(`Test 6: checkProcess() missing tag (${error.message})`);
+  }
+  
+  try {
+    const results = [
+      { processId: 'a', stateNonce: '100', suRouterNonce: '100', match: true, diff: 0, error: null },
+      { processId: 'b', stateNonce: '100', suRouterNonce: '130', match: false, diff: 30, error: null },
+      { processId: 'c', stateNonce: '100', suRouterNonce: '200', match: false, diff: 100, error: null },
+      { processId: 'd', stateNonce: null, suRouterNonce: null, match: false, diff: null, error: 'boom' }
+    ];
+    const strict = engine.selectAlerts(results, 25);
+    const loose = engine.selectAlerts(results, 50);
+    if (strict.mismatches.length === 2 && loose.mismatches.length === 1 &&
+        strict.errors.length === 1 && strict.errors[0].processId === 'd') {
+      pass('Test 7: selectAlerts() applies the mismatch threshold');
+    } else {
+      fail(`Test 7: selectAlerts() incorrect (${strict.mismatches.length}/${loose.mismatches.length}/${strict.errors.length})`);
+    }
+  } catch (error) {
+    fail(`Test 7: selectAlerts() (${error.message})`);
+  }
+  
+  try {
+    const results = [
+      { processId: 'a', match: true, duration: 10, error: null, gateway: 'https://push-1.forward.computer' },
+      { processId: 'b', match: false, duration: 20, error: 'boom', gateway: 'https://push-1.forward.computer' }
+    ];
+    const strictExit = engine.generateSummary(results, { failOnErrors: true });
+    const lenientExit = engine.generateSummary(results, { failOnErrors: false });
+    if (strictExit === 1 && lenientExit === 0) {
+      pass('Test 8: generateSummary() exit code honours failOnErrors');
+    } else {
+      fail(`Test 8: generateSummary() exit codes incorrect (${strictExit}/${lenientExit})`);
+    }
+  } catch (error) {
+    fail(`Test 8: generateSummary() (${error.message})`);
+  }
+  
+  try {
+    mockFetch({
+      [`${PROCESS_A}~process@1.0`]: () => mockResponse(200, '100'),
+      [`${PROCESS_A}/latest`]: () => mockResponse(200, suRouterBody(100)),
+      [`${OTHER_PROCESS_ID}~process@1.0`]: () => mockResponse(200, '100'),
+      [`${OTHER_PROCESS_ID}/latest`]: () => mockResponse(200, suRouterBody(400))
+    });
+    const received = [];
+    const monitor = engine.createMonitor({
+      processes: [PROCESS_A, OTHER_PROCESS_ID],
+      notifiers: [{ name: 'capture', notify: async (alerts, context) => received.push({ alerts, context }) }],
+      context: { label: 'Test Run' }
+    });
+    const { results, alerts } = await monitor.run();
+    if (results.length === 2 && alerts.mismatches.length === 1 &&
+        received.length === 1 && received[0].context.label === 'Test Run' &&
+        received[0].alerts.mismatches[0].processId === OTHER_PROCESS_ID) {
+      pass('Test 9: run() checks all processes and notifies with alerts');
+    } else {
+      fail(`Test 9: run() notification incorrect (${received.length} notifications)`);
+    }
+  } catch (error) {
+    fail(`Test 9: run() (${error.message})`);
+  }
+  
+  try {
+    mockFetch({
+      'compute/at-slot': () => mockResponse(200, '100'),
+      '/latest': () => mockResponse(200, suRouterBody(100))
+    });
+    const received = [];
+    const monitor = engine.createMonitor({
+      processes: [PROCESS_A],
+      notifiers: [{ name: 'capture', notify: async (alerts) => received.push(alerts) }]
+    });
+    await monitor.run();
+    if (received.length === 0) {
+      pass('Test 10: run() skips notifiers when everything is in sync');
+    } else {
+      fail('Test 10: run() notified without issues');
+    }
+  } catch (error) {
+    fail(`Test 10: run() without issues (${error.message})`);
+  }
+  
+  try {
+    mockFetch({
+      'compute/at-slot': () => mockResponse(200, '100'),
+      '/latest': () => mockResponse(200, suRouterBody(900))
+    });
+    const received = [];
+    const monitor = engine.createMonitor({
+      processes: [PROCESS_A],
+      notifiers: [
+        { name: 'broken', notify: async () => { throw new Error('webhook down'); } },
+        { name: 'capture', notify: async (alerts) => received.push(alerts) }
+      ]
+    });
+    await monitor.run();
+    if (received.length === 1) {
+      pass('Test 11: run() continues to later notifiers after a notifier failure');
+    } else {
+      fail('Test 11: run() stopped after notifier failure');
+    }
+  } catch (error) {
+    fail(`Test 11: notifier failure (${error.message})`);
+  }
+}
+
+async function runRetryTests() {
+  console.log('\n=== Retry Tests ===\n');
+  
+  try {
+    const calls = mockFetch({
+      '/latest': (url, count) => (count < 3 ? mockResponse(503, 'unavailable') : mockResponse(200, suRouterBody(42)))
+    });
+    const nonce = await engine.fetchSURouterNonce(PROCESS_A, {
+      timeout: 1000,
+      retry: { maxRetries: 3, baseDelay: 1, maxDelay: 5 }
+    });
+    if (nonce === '42' && calls.length === 3) {
+      pass('Test 12: fetchSURouterNonce() retries retryable errors');
+    } else {
+      fail(`Test 12: fetchSURouterNonce() retry incorrect (nonce ${nonce}, ${calls.length} calls)`);
+    }
+  } catch (error) {
+    fail(`Test 12: fetchSURouterNonce() retry (${error.message})`);
+  }
+  
+  try {
+    const calls = mockFetch({
+      '/latest': () => mockResponse(404, 'not found')
+    });
+    let message = '';
+    try {
+      await http.fetchWithRetry(`https://su-router.ao-testnet.xyz/${PROCESS_A}/latest`, 1000, { maxRetries: 3, baseDelay: 1, maxDelay: 5 });
+    } catch (error) {
+      message = error.message;
+    }
+    if (calls.length === 1 && message.includes('HTTP 404')) {
+      pass('Test 13: fetchWithRetry() does not retry client errors');
+    } else {
+      fail(`Test 13: fetchWithRetry() retried a 404 (${calls.length} calls)`);
+    }
+  } catch (error) {
+    fail(`Test 13: fetchWithRetry() 404 (${error.message})`);
+  }
+  
+  try {
+    const message = buildConsolidatedSlackMessage(
+      [{ processId: PROCESS_A, stateNonce: '100', suRouterNonce: '250', gateway: 'https://push-5.forward.computer' }],
+      [],
+      { title: 'Custom Title', footer: 'Custom Footer', context: 'Slot 500' }
+    );
+    const gatewayField = message.attachments[0].fields.find(f => f.title === 'Gateway');
+    if (message.text.startsWith('Custom Title - Slot 500') &&
+        message.footer === 'Custom Footer' &&
+        message.attachments[0].color === 'danger' &&
+        gatewayField && gatewayField.value === 'push-5') {
+      pass('Test 14: buildConsolidatedSlackMessage() honours title, footer and gateway');
+    } else {
+      fail('Test 14: buildConsolidatedSlackMessage() structure incorrect');
+    }
+  } catch (error) {
+    fail(`Test 14: buildConsolidatedSlackMessage() (${error.message})`);
+  }
+}
+
+async function runConcurrencyTests() {
+  console.log('\n=== Concurrency Tests ===\n');
+  
+  try {
+    const delays = [30, 5, 20, 1, 10];
+    const results = await mapWithConcurrency(delays, async (delay, index) => {
+      await new Promise(resolve => setTimeout(resolve, delay));
+      return index;
+    }, { concurrency: 3 });
+    if (results.join(',') === '0,1,2,3,4') {
+      pass('Test 15: mapWithConcurrency() keeps results in input order');
+    } else {
+      fail(`Test 15: mapWithConcurrency() order incorrect (${results.join(',')})`);
+    }
+  } catch (error) {
+    fail(`Test 15: mapWithConcurrency() ordering (${error.message})`);
+  }
+  
+  try {
+    let active = 0;
+    let peak = 0;
+    await mapWithConcurrency(new Array(12).fill(0), async () => {
+      active++;
+      peak = Math.max(peak, active);
+      await new Promise(resolve => setTimeout(resolve, 5));
+      active--;
+    }, { concurrency: 4 });
+    if (peak === 4) {
+      pass('Test 16: mapWithConcurrency() respects the global concurrency limit');
+    } else {
+      fail(`Test 16: mapWithConcurrency() peak concurrency was ${peak}`);
+    }
+  } catch (error) {
+    fail(`Test 16: mapWithConcurrency() global limit (${error.message})`);
+  }
+  
+  try {
+    const items = ['push-5', 'push-5', 'push-5', 'push-5', 'state-2', 'state-2'];
+    const activeByKey = {};
+    const peakByKey = {};
+    await mapWithConcurrency(items, async (key) => {
+      activeByKey[key] = (activeByKey[key] || 0) + 1;
+      peakByKey[key] = Math.max(peakByKey[key] || 0, activeByKey[key]);
+      await new Promise(resolve => setTimeout(resolve, 5));
+      activeByKey[key]--;
+    }, { concurrency: 6, keyConcurrency: 2, keyOf: key => key });
+    if (peakByKey['push-5'] === 2 && peakByKey['state-2'] === 2) {
+      pass('Test 17: mapWithConcurrency() respects the per-gateway limit');
+    } else {
+      fail(`Test 17: mapWithConcurrency() per-gateway peaks incorrect (${JSON.stringify(peakByKey)})`);
+    }
+  } catch (error) {
+    fail(`Test 17: mapWithConcurrency() per-gateway limit (${error.message})`);
+  }
+  
+  try {
+    mockFetch({
+      'compute/at-slot': () => mockResponse(200, '7'),
+      '/latest': () => mockResponse(200, suRouterBody(7))
+    });
+    const ids = [PROCESS_A, OTHER_PROCESS_ID, 'third-process-id'];
+    const monitor = engine.createMonitor({ processes: ids, concurrency: 3, gatewayConcurrency: 1 });
+    const results = await monitor.checkAllProcesses();
+    if (results.map(r => r.processId).join(',') === ids.join(',') && results.every(r => r.match)) {
+      pass('Test 18: checkAllProcesses() returns results in configured order');
+    } else {
+      fail('Test 18: checkAllProcesses() result order incorrect');
+    }
+  } catch (error) {
+    fail(`Test 18: checkAllProcesses() ordering (${error.message})`);
+  }
+}
+
+async function runGatewayTests() {
+  console.log('\n=== Gateway Routing Tests ===\n');
+  
+  try {
+    const calls = mockFetch({
+      'push-1.forward.computer': () => mockResponse(200, '500'),
+      '/latest': () => mockResponse(200, suRouterBody(500))
+    });
+    const monitor = engine.createMonitor({
+      processes: [{ processId: PROCESS_A, gateway: 'https://push-1.forward.computer' }]
+    });
+    const [result] = await monitor.checkAllProcesses();
+    const stateCall = calls.find(url => url.includes('compute/at-slot'));
+    if (stateCall.startsWith('https://push-1.forward.computer/') &&
+        result.stateGateway === 'https://push-1.forward.computer' && result.match) {
+      pass('Test 19: checkProcess() fetches state from the mapped gateway');
+    } else {
+      fail(`Test 19: checkProcess() used ${stateCall}`);
+    }
+  } catch (error) {
+    fail(`Test 19: mapped gateway (${error.message})`);
+  }
+  
+  try {
+    mockFetch({
+      'push-5.forward.computer': () => mockResponse(502, 'bad gateway'),
+      'state-2.forward.computer': () => mockResponse(200, '800'),
+      '/latest': () => mockResponse(200, suRouterBody(800))
+    });
+    const monitor = engine.createMonitor({
+      processes: [{ processId: PROCESS_A, gateway: 'https://push-5.forward.computer' }],
+      sources: { state: { fallbacks: ['https://state-2.forward.computer'] } }
+    });
+    const [result] = await monitor.checkAllProcesses();
+    if (result.error === null &&
+        result.gateway === 'https://push-5.forward.computer' &&
+        result.stateGateway === 'https://state-2.forward.computer') {
+      pass('Test 20: checkProcess() falls back and records the answering gateway');
+    } else {
+      fail(`Test 20: fallback incorrect (${JSON.stringify(result)})`);
+    }
+  } catch (error) {
+    fail(`Test 20: fallback gateway (${error.message})`);
+  }
+  
+  try {
+    mockFetch({
+      'push-5.forward.computer': () => mockResponse(502, 'bad gateway'),
+      'state-2.forward.computer': () => mockResponse(404, 'missing'),
+      '/latest': () => mockResponse(200, suRouterBody(800))
+    });
+    const monitor = engine.createMonitor({
+      processes: [{ processId: PROCESS_A, gateway: 'https://push-5.forward.computer' }],
+      sources: { state: { fallbacks: ['https://state-2.forward.computer'] } }
+    });
+    const [result] = await monitor.checkAllProcesses();
+    if (result.error && result.error.includes('All 2 state gateways failed') &&
+        result.error.includes('push-5') && result.error.includes('state-2')) {
+      pass('Test 21: checkProcess() reports every failed gateway');
+    } else {
+      fail(`Test 21: fallback failure incorrect (${result.error})`);
+    }
+  } catch (error) {
+    fail(`Test 21: fallback failure (${error.message})`);
+  }
+}
+
+async function runConsensusTests() {
+  console.log('\n=== Consensus Tests ===\n');
+  
+  try {
+    const analysis = consensus.analyzeConsensus([
+      { gateway: 'https://push-1.forward.computer', nonce: '1000', error: null },
+      { gateway: 'https://push-3.forward.computer', nonce: '1002', error: null },
+      { gateway: 'https://push-4.forward.computer', nonce: '700', error: null },
+      { gateway: 'https://state-2.forward.computer', nonce: '1001', error: null }
+    ], 25);
+    if (analysis.min === 700 && analysis.max === 1002 && analysis.spread === 302 &&
+        analysis.median === 1001 && analysis.outliers.length === 1 &&
+        analysis.outliers[0].gateway === 'https://push-4.forward.computer' &&
+        analysis.outliers[0].delta === -301) {
+      pass('Test 22: analyzeConsensus() computes spread and flags the outlier');
+    } else {
+      fail(`Test 22: analyzeConsensus() incorrect (${JSON.stringify(analysis)})`);
+    }
+  } catch (error) {
+    fail(`Test 22: analyzeConsensus() (${error.message})`);
+  }
+  
+  try {
+    const text = consensus.describeOutlier({ gateway: 'https://push-4.forward.computer', delta: -300 });
+    if (text === 'push-4 is 300 slots behind its peers') {
+      pass('Test 23: describeOutlier() names the lagging gateway');
+    } else {
+      fail(`Test 23: describeOutlier() text incorrect (${text})`);
+    }
+  } catch (error) {
+    fail(`Test 23: describeOutlier() (${error.message})`);
+  }
+  
+  try {
+    mockFetch({
+      'push-3.forward.computer': () => mockResponse(200, '5000'),
+      'state-2.forward.computer': () => mockResponse(200, '5001'),
+      'push-4.forward.computer': () => mockResponse(200, '4700'),
+      '/latest': () => mockResponse(200, suRouterBody(5001))
+    });
+    const monitor = engine.createMonitor({
+      processes: [PROCESS_A],
+      consensus: {
+        gateways: ['https://push-3.forward.computer', 'https://state-2.forward.computer', 'https://push-4.forward.computer'],
+        tolerance: 25
+      }
+    });
+    const result = await monitor.checkConsensus(PROCESS_A);
+    if (result.error === null && result.agreed === false && result.suRouterNonce === '5001' &&
+        result.outliers.length === 1 && result.outliers[0].gateway === 'https://push-4.forward.computer') {
+      pass('Test 24: checkConsensus() queries every gateway in the set');
+    } else {
+      fail(`Test 24: checkConsensus() incorrect (${JSON.stringify(result)})`);
+    }
+  } catch (error) {
+    fail(`Test 24: checkConsensus() (${error.message})`);
+  }
+  
+  try {
+    const { divergences } = consensus.selectConsensusAlerts([{
+      processId: PROCESS_A,
+      error: null,
+      min: 700, max: 1000, median: 1000, spread: 300,
+      outliers: [{ gateway: 'https://push-4.forward.computer', nonce: '700', peerMedian: 1000, delta: -300 }]
+    }]);
+    const message = consensus.buildConsensusSlackMessage(divergences, []);
+    const outlierField = message.attachments[0].fields.find(f => f.title === 'Outliers');
+    if (outlierField && outlierField.value === 'push-4 is 300 slots behind its peers' &&
+        message.attachments[0].color === 'danger') {
+      pass('Test 25: buildConsensusSlackMessage() reports gateways behind their peers');
+    } else {
+      fail('Test 25: buildConsensusSlackMessage() structure incorrect');
+    }
+  } catch (error) {
+    fail(`Test 25: buildConsensusSlackMessage() (${error.message})`);
+  }
+}
+
+async function runSchedulerTests() {
+  console.log('\n=== Scheduler Tests ===\n');
+  
+  try {
+    const calls = mockFetch({
+      'su-a.example': () => mockResponse(200, suRouterBody(1000)),
+      'state.example': () => mockResponse(200, '1000')
+    });
+    const monitor = engine.createMonitor({
+      sources: { state: { url: 'https://state.example' }, suRouter: { url: 'https://router.example' } }
+    });
+    const result = await monitor.checkProcess({ processId: PROCESS_A, scheduler: 'https://su-a.example' });
+    if (result.match && result.scheduler === 'https://su-a.example' &&
+        calls.some(url => url === `https://su-a.example/${PROCESS_A}/latest`) &&
+        !calls.some(url => url.includes('router.example'))) {
+      pass('Test 26: checkProcess() uses the per-process scheduler URL');
+    } else {
+      fail(`Test 26: per-process scheduler ignored (${JSON.stringify(calls)})`);
+    }
+  } catch (error) {
+    fail(`Test 26: per-process scheduler (${error.message})`);
+  }
+  
+  try {
+    const calls = mockFetch({
+      'router.example/?process-id=': () => mockResponse(200, { url: 'https://su-b.example/' }),
+      'su-b.example': () => mockResponse(200, suRouterBody(1000)),
+      'state.example': () => mockResponse(200, '1000')
+    });
+    const monitor = engine.createMonitor({
+      sources: { state: { url: 'https://state.example' }, suRouter: { url: 'https://router.example' } },
+      discovery: { enabled: true }
+    });
+    await monitor.checkProcess(PROCESS_A);
+    const result = await monitor.checkProcess(PROCESS_A);
+    const lookups = calls.filter(url => url.includes('process-id='));
+    if (result.match && result.scheduler === 'https://su-b.example' && lookups.length === 1) {
+      pass('Test 27: discovery resolves the scheduler once and caches it');
+    } else {
+      fail(`Test 27: discovery incorrect (${JSON.stringify(calls)})`);
+    }
+  } catch (error) {
+    fail(`Test 27: discovery (${error.message})`);
+  }
+  
+  try {
+    mockFetch({
+      'process-id=': () => mockResponse(404, 'not found'),
+      'router.example': () => mockResponse(200, suRouterBody(1000)),
+      'state.example': () => mockResponse(200, '1000')
+    });
+    const monitor = engine.createMonitor({
+      sources: { state: { url: 'https://state.example' }, suRouter: { url: 'https://router.example' } },
+      discovery: { enabled: true },
+      retry: { maxRetries: 0 }
+    });
+    const result = await monitor.checkProcess(PROCESS_A);
+    if (result.error === null && result.match && result.scheduler === 'https://router.example') {
+      pass('Test 28: failed discovery falls back to the router');
+    } else {
+      fail(`Test 28: discovery fallback incorrect (${JSON.stringify(result)})`);
+    }
+  } catch (error) {
+    fail(`Test 28: discovery fallback (${error.message})`);
+  }
+  
+  try {
+    const mismatch = {
+      processId: PROCESS_A,
+      stateNonce: '1000',
+      suRouterNonce: '1100',
+      scheduler: 'https://su52.ao-testnet.xyz'
+    };
+    const message = buildConsolidatedSlackMessage([mismatch], []);
+    const schedulerField = message.attachments[0].fields.find(f => f.title === 'Scheduler');
+    const payload = buildAggregatedEventPayload([mismatch], 'trigger', { routingKey: 'test' });
+    if (schedulerField && schedulerField.value === 'su52' &&
+        payload.payload.custom_details.affectedProcesses[0].scheduler === 'https://su52.ao-testnet.xyz') {
+      pass('Test 29: Slack and PagerDuty alerts carry the scheduler');
+    } else {
+      fail('Test 29: scheduler missing from alert payloads');
+    }
+  } catch (error) {
+    fail(`Test 29: scheduler in alerts (${error.message})`);
+  }
+}
+
+async function runReconcileTests() {
+  console.log('\n=== Notifier Reconcile Tests ===\n');
+  
+  try {
+    mockFetch({
+      'compute/at-slot': () => mockResponse(200, '100'),
+      '/latest': () => mockResponse(200, suRouterBody(100))
+    });
+    const reconciled = [];
+    const monitor = engine.createMonitor({
+      processes: [PROCESS_A],
+      notifiers: [{
+        name: 'tracking',
+        notify: async () => {},
+        reconcile: async (results, alerts) => reconciled.push({ results, alerts })
+      }]
+    });
+    await monitor.run();
+    if (reconciled.length === 1 && reconciled[0].results[0].processId === PROCESS_A &&
+        reconciled[0].alerts.mismatches.length === 0) {
+      pass('Test 30: run() reconciles notifiers even when nothing alerts');
+    } else {
+      fail(`Test 30: reconcile not called (${reconciled.length})`);
+    }
+  } catch (error) {
+    fail(`Test 30: reconcile (${error.message})`);
+  }
+  
+  try {
+    mockFetch({
+      'state.example': () => mockResponse(200, '1000'),
+      'push-3.forward.computer': () => mockResponse(200, '1100'),
+      'state-2.forward.computer': () => mockResponse(200, '1100'),
+      '/latest': () => mockResponse(200, suRouterBody(1100))
+    });
+    const received = [];
+    const monitor = engine.createMonitor({
+      processes: [PROCESS_A],
+      sources: { state: { url: 'https://state.example' }, suRouter: { url: 'https://router.example' } },
+      consensus: { gateways: ['https://push-3.forward.computer', 'https://state-2.forward.computer'], tolerance: 25 },
+      notifiers: [{ name: 'capture', notify: async alerts => received.push(alerts) }]
+    });
+    await monitor.run();
+    const { alertStates } = await monitor.runConsensus();
+    if (received.length === 1 && received[0].mismatches.length === 1 &&
+        alertStates.recovered.length === 0 && alertStates.resolved.length === 0) {
+      pass('Test 31: runConsensus() does not announce a firing mismatch as recovered');
+    } else {
+      fail(`Test 31: consensus run reported a recovery (${JSON.stringify(received.map(r => r.recovered))})`);
+    }
+  } catch (error) {
+    fail(`Test 31: consensus recovery (${error.message})`);
+  }
+  
+  const originalRequest = https.request;
+  try {
+    const posted = [];
+    https.request = (options, callback) => {
+      const req = new EventEmitter();
+      req.write = data => posted.push(JSON.parse(data));
+      req.end = () => {
+        const res = new EventEmitter();
+        res.statusCode = 200;
+        callback(res);
+        res.emit('data', 'ok');
+        res.emit('end');
+      };
+      req.destroy = () => {};
+      return req;
+    };
+    const notifier = createSlackNotifier({ webhookUrl: 'https://hooks.slack.example/test', recoveredTitle: '✅ Consensus Restored' });
+    await notifier.notify({
+      divergences: [],
+      errors: [],
+      recovered: [{ processId: PROCESS_A, type: 'divergence', since: '2025-01-01T10:00:00.000Z', resolvedAt: '2025-01-01T10:30:00.000Z', peakLag: 300 }]
+    });
+    if (posted.length === 1 && posted[0].text.startsWith('✅ Consensus Restored')) {
+      pass('Test 32: consensus recoveries use the configured recoveredTitle');
+    } else {
+      fail(`Test 32: consensus recovery title incorrect (${posted.map(p => p.text).join(', ')})`);
+    }
+  } catch (error) {
+    fail(`Test 32: consensus recovery title (${error.message})`);
+  } finally {
+    https.request = originalRequest;
+  }
+}
+
+async function runTests() {
+  console.log('Running Monitoring Engine Tests...\n');
+  
+  await runEngineTests();
+  await runRetryTests();
+  await runConcurrencyTests();
+  await runGatewayTests();
+  await runConsensusTests();
+  await runSchedulerTests();
+  await runReconcileTests();
+  
+  global.fetch = originalFetch;
+  
+  finish(TOTAL_TESTS);
+}
+
+runTests().catch(error => {
+  console.error(`\nUnexpected error: ${error.message}`);
+  process.exit(1);
+});
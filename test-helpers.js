@@ -0,0 +1,85 @@
+// Shared by the test-*.js suites: the pass/fail harness, fetch mocks and fixture process IDs.
+// Each suite runs in its own process, so the counters here belong to that suite.
+
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+
+const PROCESS_A = '0syT13r0s0tgPmIed95bJnuSqaD29HQNN8D3ElLSrsc';
+const PROCESS_B = 'DM3FoZUq_yebASPhgd8pEIRIzDW6muXEhxz5-JwbZwo';
+const PROCESS_C = 'qNvAoz0TgcH7DMg8BCVn8jF32QH5L6T29VjHxhHqqGE';
+const PROCESS_D = '4hXj_E-5fAKmo4E8KjgQvuDJKAFk9P2grhycVmISDLs';
+const PROCESS_E = 'zrhm4cHBR7e5d8O1-Jt6vvaCGHhD41-sOhZuKzh-Rag';
+
+let testsPassed = 0;
+let testsFailed = 0;
+
+function pass(message) {
+  console.log(`✓ ${message}`);
+  testsPassed++;
+}
+
+function fail(message) {
+  console.log(`✗ ${message}`);
+  testsFailed++;
+}
+
+// Prints the totals and exits non-zero if anything failed
+function finish(total) {
+  console.log('\n=== Results ===');
+  console.log(`Tests Passed: ${testsPassed}/${total}`);
+  console.log(`Tests Failed: ${testsFailed}/${total}`);
+  
+  if (testsFailed > 0) {
+    process.exit(1);
+  } else {
+    process.exit(0);
+  }
+}
+
+function mockResponse(status, body) {
+  return {
+    ok: status >= 200 && status < 300,
+    status,
+    statusText: status === 200 ? 'OK' : 'Error',
+    text: async () => (typeof body === 'string' ? body : JSON.stringify(body)),
+    json: async () => (typeof body === 'string' ? JSON.parse(body) : body)
+  };
+}
+
+function suRouterBody(nonce) {
+  return { assignment: { tags: [{ name: 'Nonce', value: String(nonce) }] } };
+}
+
+// Routes each request to a handler keyed by a substring of the URL; an unmatched URL fails like a network error
+function mockFetch(routes) {
+  const calls = [];
+  global.fetch = async (url) => {
+    calls.push(url);
+    const route = Object.keys(routes).find(key => url.includes(key));
+    if (!route) {
+      throw new Error(`fetch failed: no mock for ${url}`);
+    }
+    return routes[route](url, calls.length);
+  };
+  return calls;
+}
+
+function tempDir(name) {
+  return fs.mkdtempSync(path.join(os.tmpdir(), `${name}-test-`));
+}
+
+module.exports = {
+  PROCESS_A,
+  PROCESS_B,
+  PROCESS_C,
+  PROCESS_D,
+  PROCESS_E,
+  pass,
+  fail,
+  finish,
+  mockResponse,
+  suRouterBody,
+  mockFetch,
+  tempDir
+};
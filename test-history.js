@@ -0,0 +1,332 @@
+#!/usr/bin/env node
+
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const engine = require('./lib/engine');
+const { classifyError, toHistoryRecord, createHistoryStore } = require('./lib/history');
+const { PROCESS_A, pass, fail, finish, mockResponse, suRouterBody } = require('./test-helpers');
+
+const OTHER_PROCESS_ID = 'xU9zFkq3X2ZQ6olwNVvr1vUWIjc3kXTWr7xKQD6dh10';
+const TOTAL_TESTS = 12;
+const HAS_SQLITE = (() => {
+  try {
+    require('node:sqlite');
+    return true;
+  } catch (error) {
+    return false;
+  }
+})();
+
+const originalFetch = global.fetch;
+
+function tempFile(extension) {
+  return path.join(os.tmpdir(), `history-test-${process.pid}-${Math.random().toString(36).slice(2)}.${extension}`);
+}
+
+function result(processId, stateNonce, suRouterNonce, error = null) {
+  return {
+    processId,
+    stateNonce: error ? null : String(stateNonce),
+    suRouterNonce: error ? null : String(suRouterNonce),
+    diff: error ? null : Math.abs(stateNonce - suRouterNonce),
+    gateway: 'https://push-5.forward.computer',
+    duration: 120,
+    error
+  };
+}
+
+// Writes a few runs an hour apart so retention and trends have something to work with
+function seed(history, hoursAgo) {
+  hoursAgo.forEach((hours, i) => {
+    const timestamp = new Date(Date.now() - hours * 3600000).toISOString();
+    history.record([
+      result(PROCESS_A, 1000 + i * 60, 1000 + i * 60 + 5),
+      i === 1 ? result(OTHER_PROCESS_ID, 0, 0, 'Request timeout after 10000ms') : result(OTHER_PROCESS_ID, 500, 500)
+    ], timestamp);
+  });
+}
+
+async function runRecordTests() {
+  console.log('=== History Record Tests ===\n');
+  
+  try {
+    const classes = [
+      'Request timeout after 10000ms',
+      'Failed to fetch SU Router nonce: Failed after 4 attempts: HTTP 503: Service Unavailable',
+      'Failed to fetch state nonce: HTTP 404: Not Found',
+      'Failed to fetch SU Router nonce: Nonce tag not found in assignment.tags',
+      'All 2 state gateways failed (push-5: fetch failed; state-2: fetch failed)',
+      'Failed to fetch state nonce: fetch failed'
+    ].map(classifyError);
+    if (classes.join(',') === 'timeout,http-5xx,http-4xx,invalid-response,all-gateways-failed,network' &&
+        classifyError(null) === null) {
+      pass('Test 1: classifyError() buckets check errors');
+    } else {
+      fail(`Test 1: classifyError() incorrect (${classes.join(',')})`);
+    }
+  } catch (error) {
+    fail(`Test 1: classifyError() (${error.message})`);
+  }
+  
+  try {
+    const record = toHistoryRecord({ ...result(PROCESS_A, 1000, 1075), stateDuration: 80, suRouterDuration: 110, scheduler: 'https://su52.ao-testnet.xyz' });
+    if (record.stateNonce === 1000 && record.suRouterNonce === 1075 && record.diff === 75 &&
+        record.stateDuration === 80 && record.suRouterDuration === 110 &&
+        record.scheduler === 'https://su52.ao-testnet.xyz' && record.errorClass === null && record.timestamp) {
+      pass('Test 2: toHistoryRecord() keeps nonces, diff, durations and scheduler');
+    } else {
+      fail(`Test 2: toHistoryRecord() incorrect (${JSON.stringify(record)})`);
+    }
+  } catch (error) {
+    fail(`Test 2: toHistoryRecord() (${error.message})`);
+  }
+}
+
+async function runJsonlTests() {
+  console.log('\n=== JSONL Store Tests ===\n');
+  
+  const file = tempFile('jsonl');
+  
+  try {
+    const history = createHistoryStore({ backend: 'jsonl', file });
+    seed(history, [3, 2, 1]);
+    const all = history.query();
+    const one = history.query({ processId: PROCESS_A });
+    const errors = history.query({ errorsOnly: true });
+    const recent = history.query({ since: new Date(Date.now() - 90 * 60000).toISOString() });
+    if (all.length === 6 && one.length === 3 && errors.length === 1 &&
+        errors[0].errorClass === 'timeout' && recent.length === 2) {
+      pass('Test 3: JSONL store appends checks and filters queries');
+    } else {
+      fail(`Test 3: JSONL query incorrect (${all.length}, ${one.length}, ${errors.length}, ${recent.length})`);
+    }
+  } catch (error) {
+    fail(`Test 3: JSONL store (${error.message})`);
+  }
+  
+  try {
+    const history = createHistoryStore({ backend: 'jsonl', file });
+    fs.appendFileSync(file, '{"timestamp":"2026-01-0\n');
+    const latest = history.latest(PROCESS_A, 2);
+    if (latest.length === 2 && latest[0].stateNonce === 1060 && latest[1].stateNonce === 1120) {
+      pass('Test 4: latest() returns the newest checks oldest first, skipping torn lines');
+    } else {
+      fail(`Test 4: latest() incorrect (${JSON.stringify(latest.map(r => r.stateNonce))})`);
+    }
+  } catch (error) {
+    fail(`Test 4: latest() (${error.message})`);
+  }
+  
+  try {
+    const history = createHistoryStore({ backend: 'jsonl', file });
+    const [stats] = history.stats({ processId: PROCESS_A });
+    const [other] = history.stats({ processId: OTHER_PROCESS_ID });
+    if (stats.checks === 3 && stats.mismatches === 3 && stats.avgDiff === 5 &&
+        Math.round(stats.slotsPerMinute) === 1 && other.errors === 1 && Math.abs(other.errorRate - 1 / 3) < 0.001) {
+      pass('Test 5: stats() reports error rate, diff and slot rate per process');
+    } else {
+      fail(`Test 5: stats() incorrect (${JSON.stringify({ stats, other })})`);
+    }
+  } catch (error) {
+    fail(`Test 5: stats() (${error.message})`);
+  }
+  
+  try {
+    const history = createHistoryStore({ backend: 'jsonl', file, retentionDays: 7 });
+    const removed = history.maintain();
+    if (removed === 0 && history.query().length === 6) {
+      pass('Test 6: maintain() leaves history inside retention alone');
+    } else {
+      fail(`Test 6: maintain() removed ${removed} records`);
+    }
+  } catch (error) {
+    fail(`Test 6: maintain() no-op (${error.message})`);
+  }
+  
+  try {
+    const history = createHistoryStore({ backend: 'jsonl', file, retentionDays: 1 / 24 * 2.5, maxRecordsPerProcess: 1 });
+    const removed = history.maintain({ force: true });
+    const left = history.query();
+    if (removed === 4 && left.length === 2 && left.every(r => r.stateNonce === 1120 || r.stateNonce === 500) &&
+        !fs.existsSync(`${file}.tmp`)) {
+      pass('Test 7: compaction applies retention and the per-process limit');
+    } else {
+      fail(`Test 7: compaction incorrect (removed ${removed}, left ${left.length})`);
+    }
+  } catch (error) {
+    fail(`Test 7: compaction (${error.message})`);
+  } finally {
+    fs.rmSync(file, { force: true });
+  }
+  
+  try {
+    const history = createHistoryStore({ backend: 'jsonl', file, retentionDays: 7, maxRecordsPerProcess: 5 });
+    for (let i = 0; i < 12; i++) {
+      history.record([result(PROCESS_A, 1000 + i, 1000 + i)]);
+    }
+    const belowSlack = history.maintain();
+    for (let i = 12; i < 20; i++) {
+      history.record([result(PROCESS_A, 1000 + i, 1000 + i)]);
+    }
+    const removed = history.maintain();
+    const left = history.query();
+    if (belowSlack === 0 && removed === 15 && left.length === 5 && left[0].stateNonce === 1015) {
+      pass('Test 8: maintain() enforces the per-process limit while every record is inside retention');
+    } else {
+      fail(`Test 8: per-process limit not enforced (${belowSlack}, ${removed}, ${left.length})`);
+    }
+  } catch (error) {
+    fail(`Test 8: per-process limit (${error.message})`);
+  } finally {
+    fs.rmSync(file, { force: true });
+  }
+}
+
+async function runIntegrationTests() {
+  console.log('\n=== History Integration Tests ===\n');
+  
+  const file = tempFile('jsonl');
+  
+  try {
+    global.fetch = async (url) => (url.includes('/latest')
+      ? mockResponse(200, suRouterBody(1010))
+      : mockResponse(200, '1000'));
+    const history = createHistoryStore({ backend: 'jsonl', file });
+    const monitor = engine.createMonitor({
+      processes: [PROCESS_A],
+      sources: { state: { url: 'https://state.example' }, suRouter: { url: 'https://router.example' } },
+      history
+    });
+    await monitor.run();
+    await monitor.run();
+    const records = history.latest(PROCESS_A, 5);
+    if (records.length === 2 && records[1].diff === 10 && records[1].gateway === 'https://state.example' &&
+        typeof records[1].stateDuration === 'number' && typeof records[1].suRouterDuration === 'number') {
+      pass('Test 9: run() appends every check to the history store');
+    } else {
+      fail(`Test 9: run() history incorrect (${JSON.stringify(records)})`);
+    }
+  } catch (error) {
+    fail(`Test 9: run() history (${error.message})`);
+  } finally {
+    fs.rmSync(file, { force: true });
+  }
+  
+  try {
+    const history = createHistoryStore({ backend: 'none' });
+    let unknown = null;
+    try {
+      createHistoryStore({ backend: 'csv', file });
+    } catch (error) {
+      unknown = error.message;
+    }
+    if (history === null && unknown && unknown.includes('Unknown history backend: csv')) {
+      pass('Test 10: backend "none" disables history and unknown backends are rejected');
+    } else {
+      fail('Test 10: backend selection incorrect');
+    }
+  } catch (error) {
+    fail(`Test 10: backend selection (${error.message})`);
+  }
+  
+  const dbFile = tempFile('db');
+  try {
+    if (HAS_SQLITE) {
+      const history = createHistoryStore({ backend: 'sqlite', file: dbFile, retentionDays: 1 / 24 * 2.5, maxRecordsPerProcess: 1 });
+      seed(history, [3, 2, 1]);
+      const latest = history.latest(PROCESS_A, 2);
+      const errors = history.query({ errorsOnly: true });
+      const removed = history.maintain({ force: true });
+      const left = history.query();
+      history.close();
+      if (latest.length === 2 && latest[1].stateNonce === 1120 && errors.length === 1 &&
+          removed === 4 && left.length === 2) {
+        pass('Test 11: SQLite store matches the JSONL query and compaction behaviour');
+      } else {
+        fail(`Test 11: SQLite store incorrect (${latest.length}, ${errors.length}, ${removed}, ${left.length})`);
+      }
+    } else {
+      try {
+        createHistoryStore({ backend: 'sqlite', file: dbFile });
+        fail('Test 11: SQLite store should require node:sqlite');
+      } catch (error) {
+        if (error.message.includes('SQLite history needs Node.js 22.5+')) {
+          pass(`Test 11: SQLite backend explains it needs node:sqlite (running ${process.version})`);
+        } else {
+          fail(`Test 11: unexpected SQLite error (${error.message})`);
+        }
+      }
+    }
+  } catch (error) {
+    fail(`Test 11: SQLite store (${error.message})`);
+  } finally {
+    fs.rmSync(dbFile, { force: true });
+  }
+}
+
+async function runMaintenanceTests() {
+  console.log('\n=== History Maintenance Tests ===\n');
+  
+  const file = tempFile('jsonl');
+  const originalReadFileSync = fs.readFileSync;
+  let reads = 0;
+  try {
+    const writer = createHistoryStore({ backend: 'jsonl', file, maxRecordsPerProcess: 0 });
+    for (let i = 0; i < 20; i++) {
+      writer.record([result(PROCESS_A, 1000 + i, 1000 + i)]);
+    }
+    fs.readFileSync = (...args) => {
+      if (args[0] === file) reads++;
+      return originalReadFileSync(...args);
+    };
+    
+    // The first maintain() reads the file to count records and again to compact it; later ones use the counts kept while appending
+    const history = createHistoryStore({ backend: 'jsonl', file, maxRecordsPerProcess: 5 });
+    const removed = history.maintain();
+    const readsAfterCompaction = reads;
+    for (let i = 20; i < 30; i++) {
+      history.record([result(PROCESS_A, 1000 + i, 1000 + i)]);
+      history.maintain();
+    }
+    const readsWhileAppending = reads - readsAfterCompaction;
+    const removedAtCap = history.maintain();
+    
+    // A file too small to hold more records than the cap plus slack is never parsed
+    fs.rmSync(file, { force: true });
+    const small = createHistoryStore({ backend: 'jsonl', file, maxRecordsPerProcess: 5 });
+    small.record([result(PROCESS_A, 1000, 1000), result(OTHER_PROCESS_ID, 1000, 1000)]);
+    reads = 0;
+    const removedSmall = small.maintain();
+    
+    if (removed === 15 && readsAfterCompaction === 2 && readsWhileAppending === 0 &&
+        removedAtCap === 0 && removedSmall === 0 && reads === 0) {
+      pass('Test 12: maintain() keeps per-process counts while appending instead of re-reading the file');
+    } else {
+      fail(`Test 12: maintain() re-read the history (${removed}, ${readsAfterCompaction}, ${readsWhileAppending}, ${removedAtCap}, ${removedSmall}, ${reads})`);
+    }
+  } catch (error) {
+    fail(`Test 12: maintenance reads (${error.message})`);
+  } finally {
+    fs.readFileSync = originalReadFileSync;
+    fs.rmSync(file, { force: true });
+  }
+}
+
+async function runTests() {
+  console.log('Running Check History Tests...\n');
+  
+  await runRecordTests();
+  await runJsonlTests();
+  await runIntegrationTests();
+  await runMaintenanceTests();
+  
+  global.fetch = originalFetch;
+  
+  finish(TOTAL_TESTS);
+}
+
+runTests().catch(error => {
+  console.error(`\nUnexpected error: ${error.message}`);
+  process.exit(1);
+});
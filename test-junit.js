@@ -0,0 +1,146 @@
+#!/usr/bin/env node
+
+const fs = require('fs');
+const path = require('path');
+const engine = require('./lib/engine');
+const { renderJUnit, createJUnitReporter } = require('./lib/junit');
+const { loadMonitorConfig } = require('./lib/config');
+const { PROCESS_A, PROCESS_B, PROCESS_C, PROCESS_D, pass, fail, finish, mockResponse, suRouterBody, tempDir } = require('./test-helpers');
+
+const PUSH_5 = 'https://push-5.forward.computer';
+const STATE_2 = 'https://state-2.forward.computer';
+const TOTAL_TESTS = 6;
+
+const originalFetch = global.fetch;
+
+function testCase(xml, processId) {
+  const start = xml.indexOf(`name="${processId}"`);
+  if (start === -1) {
+    return '';
+  }
+  const open = xml.lastIndexOf('<testcase', start);
+  const tagEnd = xml.indexOf('>', start);
+  if (xml[tagEnd - 1] === '/') {
+    return xml.slice(open, tagEnd + 1);
+  }
+  return xml.slice(open, xml.indexOf('</testcase>', start) + '</testcase>'.length);
+}
+
+const RESULTS = [
+  { processId: PROCESS_A, gateway: PUSH_5, stateNonce: '100', suRouterNonce: '100', match: true, diff: 0, severity: null, duration: 120, error: null },
+  { processId: PROCESS_B, gateway: PUSH_5, scheduler: 'https://su-router.ao-testnet.xyz', stateNonce: '100', suRouterNonce: '250', match: false, diff: 150, severity: 'critical', duration: 380, error: null },
+  { processId: PROCESS_C, gateway: STATE_2, stateNonce: null, suRouterNonce: null, match: false, diff: null, severity: null, duration: 50, error: 'Failed to fetch state nonce: HTTP 502: <Bad Gateway>' },
+  { processId: PROCESS_D, gateway: STATE_2, stateNonce: '100', suRouterNonce: '130', match: false, diff: 30, severity: null, duration: 90, error: null }
+];
+
+function runFor(results, silenced = []) {
+  return { results, silenced, context: { label: 'Nonce Monitor Check' }, startedAt: '2025-01-01T10:00:00.000Z' };
+}
+
+async function runRenderTests() {
+  console.log('=== Render Tests ===\n');
+  
+  const xml = renderJUnit(runFor(RESULTS));
+  const suites = xml.split('\n').filter(line => line.trim().startsWith('<testsuite '));
+  if (xml.startsWith('<?xml version="1.0" encoding="UTF-8"?>') &&
+      xml.includes('<testsuites name="Nonce Monitor Check" tests="4" failures="1" errors="1" skipped="0" time="0.640">') &&
+      suites.length === 2 && suites[0].includes('name="push-5" tests="2" failures="1" errors="0"') &&
+      suites[1].includes('name="state-2" tests="2" failures="0" errors="1"') && suites[0].includes('timestamp="2025-01-01T10:00:00.000Z"') &&
+      xml.indexOf(`name="${PROCESS_A}"`) < xml.indexOf('name="state-2"') && xml.indexOf(`name="${PROCESS_C}"`) > xml.indexOf('name="state-2"')) {
+    pass('Test 1: test suites are grouped by gateway with totals per suite and overall');
+  } else {
+    fail(`Test 1: suites incorrect\n${xml}`);
+  }
+  
+  const a = testCase(xml, PROCESS_A);
+  const b = testCase(xml, PROCESS_B);
+  const d = testCase(xml, PROCESS_D);
+  if (a === `<testcase classname="push-5" name="${PROCESS_A}" time="0.120"/>` &&
+      b.includes('<failure message="State nonce 100 and SU router nonce 250 differ by 150 slots (critical)" type="critical">') &&
+      b.includes('Scheduler: su-router') && b.includes('time="0.380"') &&
+      !d.includes('<failure') && d.includes('<system-out>State nonce: 100') && d.includes('Difference: 30 slots')) {
+    pass('Test 2: in sync and below-threshold lag pass, lag past the threshold fails with the nonces in the message');
+  } else {
+    fail(`Test 2: test cases incorrect\n${a}\n${b}\n${d}`);
+  }
+  
+  const c = testCase(xml, PROCESS_C);
+  if (c.includes('<error message="Failed to fetch state nonce: HTTP 502: &lt;Bad Gateway&gt;" type="http-5xx">') &&
+      !xml.includes('<Bad Gateway>') && !c.includes('<failure')) {
+    pass('Test 3: a failed check is reported as an error, typed by error class and escaped');
+  } else {
+    fail(`Test 3: error case incorrect\n${c}`);
+  }
+  
+  const silenced = renderJUnit(runFor(RESULTS, [{ processId: PROCESS_B, type: 'mismatch', silence: { id: 'sil-1', reason: 'migration' } }]));
+  if (testCase(silenced, PROCESS_B).includes('<skipped message="Silenced: migration"/>') &&
+      silenced.includes('<testsuites name="Nonce Monitor Check" tests="4" failures="0" errors="1" skipped="1"')) {
+    pass('Test 4: a silenced process is skipped rather than failed');
+  } else {
+    fail(`Test 4: silenced case incorrect\n${testCase(silenced, PROCESS_B)}`);
+  }
+}
+
+async function runReporterTests() {
+  console.log('\n=== Reporter Tests ===\n');
+  
+  global.fetch = async url => {
+    if (url.includes('/latest')) {
+      return mockResponse(200, suRouterBody(url.includes(PROCESS_B) ? 250 : 100));
+    }
+    return mockResponse(200, '100');
+  };
+  
+  const dir = tempDir('junit');
+  const file = path.join(dir, 'junit.xml');
+  try {
+    const monitor = engine.createMonitor({
+      processes: [{ processId: PROCESS_A, gateway: PUSH_5 }, { processId: PROCESS_B, gateway: STATE_2 }],
+      reporters: [createJUnitReporter({ file }), createJUnitReporter({ file: null })],
+      context: { label: 'Process Check' },
+      silencesFile: null,
+      notifiers: []
+    });
+    await monitor.run();
+    const xml = fs.readFileSync(file, 'utf8');
+    if (xml.includes('<testsuites name="Process Check" tests="2" failures="1" errors="0" skipped="0"') &&
+        testCase(xml, PROCESS_B).includes('type="critical"') && fs.readdirSync(dir).join(',') === 'junit.xml') {
+      pass('Test 5: the JUnit file is written after every run');
+    } else {
+      fail(`Test 5: JUnit file incorrect\n${xml}`);
+    }
+  } catch (error) {
+    fail(`Test 5: reporter (${error.message})`);
+  } finally {
+    fs.rmSync(dir, { recursive: true, force: true });
+  }
+  
+  const originalEnv = { ...process.env };
+  try {
+    process.env.JUNIT_FILE = './junit.xml';
+    const settings = loadMonitorConfig(null);
+    if (settings.junit.file === './junit.xml') {
+      pass('Test 6: JUNIT_FILE reaches the settings');
+    } else {
+      fail(`Test 6: settings incorrect (${JSON.stringify(settings.junit)})`);
+    }
+  } finally {
+    process.env = originalEnv;
+  }
+}
+
+async function runTests() {
+  console.log('Running JUnit Tests...\n');
+  
+  await runRenderTests();
+  await runReporterTests();
+  
+  global.fetch = originalFetch;
+  
+  finish(TOTAL_TESTS);
+}
+
+runTests().catch(error => {
+  console.error(`\nUnexpected error: ${error.message}`);
+  process.exit(1);
+});
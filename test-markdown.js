@@ -0,0 +1,151 @@
+#!/usr/bin/env node
+
+const fs = require('fs');
+const path = require('path');
+const engine = require('./lib/engine');
+const { renderMarkdownReport, createMarkdownReporter } = require('./lib/markdown');
+const { loadMonitorConfig } = require('./lib/config');
+const { PROCESS_A, PROCESS_B, PROCESS_C, PROCESS_D, PROCESS_E, pass, fail, finish, mockResponse, suRouterBody, tempDir } = require('./test-helpers');
+
+const PUSH_5 = 'https://push-5.forward.computer';
+const STATE_2 = 'https://state-2.forward.computer';
+const TOTAL_TESTS = 6;
+
+const originalFetch = global.fetch;
+
+function section(markdown, heading) {
+  const start = markdown.indexOf(heading);
+  if (start === -1) {
+    return '';
+  }
+  const next = markdown.indexOf('\n### ', start + heading.length);
+  return markdown.slice(start, next === -1 ? undefined : next);
+}
+
+const RESULTS = [
+  { processId: PROCESS_A, gateway: PUSH_5, stateNonce: '100', suRouterNonce: '100', match: true, diff: 0, severity: null, duration: 100, error: null },
+  { processId: PROCESS_B, gateway: PUSH_5, stateNonce: '100', suRouterNonce: '160', match: false, diff: 60, severity: 'error', duration: 300, error: null },
+  { processId: PROCESS_D, gateway: STATE_2, stateNonce: '100', suRouterNonce: '250', match: false, diff: 150, severity: 'critical', duration: 200, error: null, silenced: true },
+  { processId: PROCESS_C, gateway: STATE_2, stateNonce: null, suRouterNonce: null, match: false, diff: null, severity: null, duration: 50, error: 'Failed to fetch state nonce: Request timeout after 10000ms' },
+  { processId: PROCESS_E, gateway: STATE_2, stateNonce: null, suRouterNonce: null, match: false, diff: null, severity: null, duration: 50, error: 'Failed to fetch state nonce: HTTP 502: Bad | Gateway' }
+];
+
+function runFor(results, exitCode = 1) {
+  return {
+    results,
+    exitCode,
+    summary: engine.summarizeResults(results),
+    context: { label: 'Nonce Monitor Check' },
+    generatedAt: '2025-01-01T10:00:05.000Z'
+  };
+}
+
+async function runRenderTests() {
+  console.log('=== Render Tests ===\n');
+  
+  const markdown = renderMarkdownReport(runFor(RESULTS));
+  if (markdown.startsWith('## ❌ Nonce Monitor Check\n\nRun finished 2025-01-01T10:00:05.000Z with exit code 1\n') &&
+      markdown.includes('| Processes checked | 5 |') && markdown.includes('| In sync ✓ | 1 |') &&
+      markdown.includes('| Behind ✗ | 2 (1 critical, 1 error) |') && markdown.includes('| Check errors ⚠ | 2 |') &&
+      markdown.includes('| Success rate | 60.0% |') && markdown.includes('|---|---:|')) {
+    pass('Test 1: the report opens with the run outcome and a summary table');
+  } else {
+    fail(`Test 1: summary incorrect\n${markdown}`);
+  }
+  
+  const mismatches = section(markdown, '### Mismatches (2)').split('\n').filter(line => line.startsWith('| `'));
+  if (mismatches.length === 2 && mismatches[0] === `| \`${PROCESS_D}\` | state-2 | 100 | 250 | 150 | critical (silenced) |` &&
+      mismatches[1] === `| \`${PROCESS_B}\` | push-5 | 100 | 160 | 60 | error |`) {
+    pass('Test 2: mismatches are listed by lag, largest first, with severity and silences');
+  } else {
+    fail(`Test 2: mismatches incorrect\n${section(markdown, '### Mismatches')}`);
+  }
+  
+  const errors = section(markdown, '### Errors (2)');
+  if (errors.includes('#### timeout (1)') && errors.includes('#### http-5xx (1)') &&
+      errors.includes(`| \`${PROCESS_E}\` | state-2 | Failed to fetch state nonce: HTTP 502: Bad \\| Gateway |`) &&
+      errors.indexOf(PROCESS_C) > errors.indexOf('#### timeout') && errors.indexOf(PROCESS_C) < errors.indexOf('#### http-5xx')) {
+    pass('Test 3: errors are grouped by error type with pipes escaped');
+  } else {
+    fail(`Test 3: errors incorrect\n${errors}`);
+  }
+  
+  const gateways = section(markdown, '### Gateway Performance');
+  const empty = renderMarkdownReport({ ...runFor([], 0), summary: engine.summarizeResults([]) });
+  if (gateways.includes('| push-5 | 2 | 1 | 1 | 0 | 100.0% | 200ms |') && gateways.includes('| state-2 | 3 | 0 | 1 | 2 | 33.3% | 100ms |') &&
+      empty.startsWith('## ✅ Nonce Monitor Check') && empty.includes('No processes were checked in this run.') && !empty.includes('###')) {
+    pass('Test 4: the gateway table shows per-gateway results and latency; an empty run says so');
+  } else {
+    fail(`Test 4: gateway table incorrect\n${gateways}\n${empty}`);
+  }
+}
+
+async function runReporterTests() {
+  console.log('\n=== Reporter Tests ===\n');
+  
+  global.fetch = async url => {
+    if (url.includes('/latest')) {
+      return mockResponse(200, suRouterBody(url.includes(PROCESS_B) ? 180 : 100));
+    }
+    return mockResponse(200, '100');
+  };
+  
+  const dir = tempDir('markdown');
+  const summaryFile = path.join(dir, 'step-summary.md');
+  const reportFile = path.join(dir, 'report.md');
+  try {
+    fs.writeFileSync(summaryFile, '### Earlier step output\n', 'utf8');
+    const monitor = engine.createMonitor({
+      processes: [{ processId: PROCESS_A, gateway: PUSH_5 }, { processId: PROCESS_B, gateway: PUSH_5 }],
+      reporters: [createMarkdownReporter({ file: summaryFile, append: true }), createMarkdownReporter({ file: reportFile })],
+      context: { label: 'Process Check' },
+      silencesFile: null,
+      notifiers: []
+    });
+    await monitor.run();
+    await monitor.run();
+    const appended = fs.readFileSync(summaryFile, 'utf8');
+    const replaced = fs.readFileSync(reportFile, 'utf8');
+    if (appended.startsWith('### Earlier step output\n## ') && appended.split('## ⚠️ Process Check').length === 3 &&
+        replaced.split('## ⚠️ Process Check').length === 2 && replaced.includes(`| \`${PROCESS_B}\` | push-5 | 100 | 180 | 80 | error |`) &&
+        fs.readdirSync(dir).sort().join(',') === 'report.md,step-summary.md') {
+      pass('Test 5: the report is appended to a step summary file, or replaces a plain file, after every run');
+    } else {
+      fail(`Test 5: written reports incorrect\n${appended}\n---\n${replaced}`);
+    }
+  } catch (error) {
+    fail(`Test 5: reporter (${error.message})`);
+  } finally {
+    fs.rmSync(dir, { recursive: true, force: true });
+  }
+  
+  const originalEnv = { ...process.env };
+  try {
+    process.env.MARKDOWN_REPORT_FILE = '/tmp/step-summary';
+    process.env.MARKDOWN_REPORT_APPEND = 'true';
+    const settings = loadMonitorConfig(null);
+    if (settings.markdown.file === '/tmp/step-summary' && settings.markdown.append === true) {
+      pass('Test 6: MARKDOWN_REPORT_FILE and MARKDOWN_REPORT_APPEND reach the settings');
+    } else {
+      fail(`Test 6: settings incorrect (${JSON.stringify(settings.markdown)})`);
+    }
+  } finally {
+    process.env = originalEnv;
+  }
+}
+
+async function runTests() {
+  console.log('Running Markdown Report Tests...\n');
+  
+  await runRenderTests();
+  await runReporterTests();
+  
+  global.fetch = originalFetch;
+  
+  finish(TOTAL_TESTS);
+}
+
+runTests().catch(error => {
+  console.error(`\nUnexpected error: ${error.message}`);
+  process.exit(1);
+});
@@ -0,0 +1,200 @@
+#!/usr/bin/env node
+
+const fs = require('fs');
+const path = require('path');
+const http = require('http');
+const engine = require('./lib/engine');
+const { createMetrics, startMetricsServer } = require('./lib/metrics');
+const { loadMonitorConfig } = require('./lib/config');
+const { PROCESS_A, PROCESS_B, pass, fail, finish, mockResponse, suRouterBody, tempDir } = require('./test-helpers');
+
+const TOTAL_TESTS = 7;
+
+const originalFetch = global.fetch;
+
+function httpGet(url) {
+  return new Promise((resolve, reject) => {
+    http.get(url, res => {
+      let body = '';
+      res.on('data', chunk => {
+        body += chunk;
+      });
+      res.on('end', () => resolve({ status: res.statusCode, headers: res.headers, body }));
+    }).on('error', reject);
+  });
+}
+
+function createTestMonitor(metrics) {
+  return engine.createMonitor({
+    processes: [
+      { processId: PROCESS_A, gateway: 'https://push-5.forward.computer' },
+      { processId: PROCESS_B, gateway: 'https://state-2.forward.computer' }
+    ],
+    metrics,
+    retry: { maxRetries: 2, baseDelay: 1, maxDelay: 2 },
+    silencesFile: null,
+    notifiers: []
+  });
+}
+
+async function runRegistryTests() {
+  console.log('=== Registry Tests ===\n');
+  
+  const metrics = createMetrics({ buckets: [0.5, 1] });
+  metrics.observeRequest({ source: 'hyperbeam-state', url: 'https://push-5.forward.computer', duration: 200, retries: 0, error: null });
+  metrics.observeRequest({ source: 'hyperbeam-state', url: 'https://push-5.forward.computer', duration: 800, retries: 0, error: 'HTTP 502' });
+  metrics.observeRequest({ source: 'su-router', url: 'https://su-router.ao-testnet.xyz', duration: 3000, retries: 2, error: null });
+  const text = metrics.render();
+  const expected = [
+    'nonce_monitor_requests_total{gateway="push-5",source="hyperbeam-state"} 2',
+    'nonce_monitor_request_errors_total{gateway="push-5",source="hyperbeam-state"} 1',
+    'nonce_monitor_request_retries_total{gateway="su-router.ao-testnet.xyz",source="su-router"} 2',
+    'nonce_monitor_request_duration_seconds_bucket{gateway="push-5",source="hyperbeam-state",le="0.5"} 1',
+    'nonce_monitor_request_duration_seconds_bucket{gateway="push-5",source="hyperbeam-state",le="1"} 2',
+    'nonce_monitor_request_duration_seconds_bucket{gateway="su-router.ao-testnet.xyz",source="su-router",le="1"} 0',
+    'nonce_monitor_request_duration_seconds_bucket{gateway="su-router.ao-testnet.xyz",source="su-router",le="+Inf"} 1',
+    'nonce_monitor_request_duration_seconds_sum{gateway="push-5",source="hyperbeam-state"} 1',
+    'nonce_monitor_request_duration_seconds_count{gateway="push-5",source="hyperbeam-state"} 2',
+    '# TYPE nonce_monitor_request_duration_seconds histogram'
+  ];
+  const missing = expected.filter(line => !text.split('\n').includes(line));
+  if (missing.length === 0) {
+    pass('Test 1: request counters and duration histograms are kept per gateway and source');
+  } else {
+    fail(`Test 1: missing lines ${JSON.stringify(missing)}`);
+  }
+  
+  metrics.recordRun([
+    { processId: 'a"b', gateway: 'https://push-5.forward.computer', stateNonce: '100', suRouterNonce: '130', match: false, diff: 30, error: null },
+    { processId: PROCESS_B, gateway: 'https://state-2.forward.computer', stateNonce: null, suRouterNonce: null, match: false, diff: null, error: 'timeout' }
+  ], 1700000000000);
+  const lines = metrics.render().split('\n');
+  if (lines.includes('nonce_monitor_nonce_diff{process_id="a\\"b",gateway="push-5"} 30') &&
+      lines.includes(`nonce_monitor_check_success{process_id="${PROCESS_B}",gateway="state-2"} 0`) &&
+      !lines.some(line => line.startsWith(`nonce_monitor_state_nonce{process_id="${PROCESS_B}"`)) &&
+      lines.includes('nonce_monitor_processes{status="mismatch"} 1') &&
+      lines.includes('nonce_monitor_processes{status="error"} 1') &&
+      lines.includes('nonce_monitor_last_run_timestamp_seconds 1700000000')) {
+    pass('Test 2: recordRun() publishes per-process gauges, escapes labels and leaves nonces out for errored checks');
+  } else {
+    fail(`Test 2: process gauges incorrect:\n${lines.join('\n')}`);
+  }
+}
+
+async function runMonitorTests() {
+  console.log('\n=== Monitor Tests ===\n');
+  
+  let suRouterCalls = 0;
+  global.fetch = async url => {
+    if (url.includes('state-2')) {
+      return mockResponse(404, 'not found');
+    }
+    if (url.includes('/latest')) {
+      suRouterCalls++;
+      return suRouterCalls === 1 ? mockResponse(503, 'busy') : mockResponse(200, suRouterBody(140));
+    }
+    return mockResponse(200, '100');
+  };
+  
+  const dir = tempDir('metrics');
+  const textfile = path.join(dir, 'nonce_monitor.prom');
+  try {
+    const metrics = createMetrics({ textfile });
+    const monitor = createTestMonitor(metrics);
+    await monitor.run();
+    const lines = fs.readFileSync(textfile, 'utf8').split('\n');
+    
+    if (lines.includes(`nonce_monitor_state_nonce{process_id="${PROCESS_A}",gateway="push-5"} 100`) &&
+        lines.includes(`nonce_monitor_su_nonce{process_id="${PROCESS_A}",gateway="push-5"} 140`) &&
+        lines.includes(`nonce_monitor_nonce_diff{process_id="${PROCESS_A}",gateway="push-5"} 40`) &&
+        lines.includes(`nonce_monitor_check_success{process_id="${PROCESS_B}",gateway="state-2"} 0`) &&
+        lines.includes('nonce_monitor_runs_total 1')) {
+      pass('Test 3: a run writes per-process gauges to the textfile');
+    } else {
+      fail(`Test 3: textfile incorrect:\n${lines.join('\n')}`);
+    }
+    
+    if (lines.includes('nonce_monitor_requests_total{gateway="state-2",source="hyperbeam-state"} 1') &&
+        lines.includes('nonce_monitor_request_errors_total{gateway="state-2",source="hyperbeam-state"} 1') &&
+        lines.includes('nonce_monitor_requests_total{gateway="su-router.ao-testnet.xyz",source="su-router"} 2') &&
+        lines.includes('nonce_monitor_request_retries_total{gateway="su-router.ao-testnet.xyz",source="su-router"} 1') &&
+        fs.readdirSync(dir).length === 1) {
+      pass('Test 4: fetches from the engine are counted with their errors and retries, and no temp file is left behind');
+    } else {
+      fail(`Test 4: request series incorrect:\n${lines.join('\n')}`);
+    }
+    
+    await monitor.run();
+    const second = fs.readFileSync(textfile, 'utf8').split('\n');
+    if (second.includes('nonce_monitor_runs_total 2') &&
+        second.includes('nonce_monitor_requests_total{gateway="push-5",source="hyperbeam-state"} 2')) {
+      pass('Test 5: counters accumulate across runs of the same monitor');
+    } else {
+      fail('Test 5: counters did not accumulate');
+    }
+  } catch (error) {
+    fail(`Test 3-5: monitor run (${error.message})`);
+  } finally {
+    fs.rmSync(dir, { recursive: true, force: true });
+  }
+}
+
+async function runServerTests() {
+  console.log('\n=== Server Tests ===\n');
+  
+  const metrics = createMetrics();
+  metrics.recordRun([{ processId: PROCESS_A, gateway: 'https://push-5.forward.computer', stateNonce: '7', suRouterNonce: '7', match: true, diff: 0, error: null }]);
+  let server = null;
+  try {
+    server = await startMetricsServer(metrics, { port: 0, host: '127.0.0.1' });
+    const base = `http://127.0.0.1:${server.address().port}`;
+    const scrape = await httpGet(`${base}/metrics`);
+    const missing = await httpGet(`${base}/status`);
+    if (scrape.status === 200 && scrape.headers['content-type'].startsWith('text/plain; version=0.0.4') &&
+        scrape.body.includes(`nonce_monitor_state_nonce{process_id="${PROCESS_A}",gateway="push-5"} 7`) && missing.status === 404) {
+      pass('Test 6: the HTTP exporter serves /metrics in the Prometheus text format and 404s anything else');
+    } else {
+      fail(`Test 6: server responses incorrect (${scrape.status}, ${missing.status})`);
+    }
+  } catch (error) {
+    fail(`Test 6: server (${error.message})`);
+  } finally {
+    if (server) {
+      server.close();
+    }
+  }
+  
+  const originalEnv = { ...process.env };
+  try {
+    process.env.METRICS_PORT = '9464';
+    process.env.METRICS_TEXTFILE = '/var/lib/node_exporter/nonce_monitor.prom';
+    delete process.env.MONITOR_CONFIG;
+    const settings = loadMonitorConfig(null);
+    const disabled = await startMetricsServer(metrics, { port: null });
+    if (settings.metrics.port === 9464 && settings.metrics.host === '0.0.0.0' &&
+        settings.metrics.textfile === '/var/lib/node_exporter/nonce_monitor.prom' && disabled === null) {
+      pass('Test 7: METRICS_PORT and METRICS_TEXTFILE reach the settings, and no port means no server');
+    } else {
+      fail(`Test 7: settings incorrect (${JSON.stringify(settings.metrics)})`);
+    }
+  } finally {
+    process.env = originalEnv;
+  }
+}
+
+async function runTests() {
+  console.log('Running Metrics Tests...\n');
+  
+  await runRegistryTests();
+  await runMonitorTests();
+  await runServerTests();
+  
+  global.fetch = originalFetch;
+  
+  finish(TOTAL_TESTS);
+}
+
+runTests().catch(error => {
+  console.error(`\nUnexpected error: ${error.message}`);
+  process.exit(1);
+});
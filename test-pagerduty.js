@@ -2,11 +2,15 @@
 
 const fs = require('fs');
 const path = require('path');
+const https = require('https');
+const { EventEmitter } = require('events');
 const pagerduty = require('./lib/pagerduty');
 
 const TEST_STATE_DIR = path.join(__dirname, 'test-pagerduty-state');
 const TEST_STATE_FILE = path.join(TEST_STATE_DIR, 'test-state.json');
 
+const TOTAL_TESTS = 39;
+
 let testsPassed = 0;
 let testsFailed = 0;
 
@@ -36,6 +40,41 @@ function cleanupTestConfigs() {
   }
 }
 
+// Captures every Events API payload instead of posting it; `statusCode` lets a test simulate an outage
+function mockPagerDuty(statusCode = 202) {
+  const originalRequest = https.request;
+  const sent = [];
+  
+  https.request = (options, callback) => {
+    const req = new EventEmitter();
+    req.write = data => sent.push(JSON.parse(data));
+    req.end = () => {
+      const res = new EventEmitter();
+      res.statusCode = statusCode;
+      callback(res);
+      res.emit('data', '{}');
+      res.emit('end');
+    };
+    req.destroy = () => {};
+    
+    return req;
+  };
+  
+  return {
+    sent,
+    restore() {
+      https.request = originalRequest;
+    }
+  };
+}
+
+function lifecycleNotifier(options = {}) {
+  return pagerduty.createPagerDutyNotifier({
+    config: { enabled: true, routingKey: 'test-key', autoResolve: true, autoAcknowledge: false, ...options },
+    stateFile: TEST_STATE_FILE
+  });
+}
+
 async function runUnitTests() {
   console.log('=== Unit Tests ===\n');
 
@@ -247,14 +286,24 @@ async function runConfigurationTests() {
   try {
     const oldThreshold = process.env.PAGERDUTY_SEVERITY_THRESHOLD;
     
-    process.env.PAGERDUTY_SEVERITY_THRESHOLD = '100';
+    const originalWarn = console.warn;
+    const warnings = [];
+    console.warn = message => warnings.push(message);
     
+    process.env.PAGERDUTY_SEVERITY_THRESHOLD = 'critical';
     const config = pagerduty.getConfigFromEnv();
-    
-    if (config.threshold === 100) {
-      pass('Test 12: Custom PAGERDUTY_SEVERITY_THRESHOLD parsed correctly');
+    process.env.PAGERDUTY_SEVERITY_THRESHOLD = '50';
+    const legacy = pagerduty.getConfigFromEnv();
+    const legacyCustom = pagerduty.getConfigFromEnv({ thresholds: { warning: 20, error: 40, critical: 60 } });
+    process.env.PAGERDUTY_SEVERITY_THRESHOLD = 'page-me';
+    const unknown = pagerduty.getConfigFromEnv();
+    console.warn = originalWarn;
+    
+    if (config.minSeverity === 'critical' && legacy.minSeverity === 'error' && legacyCustom.minSeverity === 'error' &&
+        unknown.minSeverity === pagerduty.DEFAULT_MIN_SEVERITY && warnings.length === 3 && warnings[0].includes('deprecated')) {
+      pass('Test 12: PAGERDUTY_SEVERITY_THRESHOLD takes a level; a legacy slot count converts through the thresholds with a warning');
     } else {
-      fail(`Test 12: Custom threshold incorrect (got: ${config.threshold})`);
+      fail(`Test 12: Custom threshold incorrect (got: ${config.minSeverity}/${legacy.minSeverity}/${legacyCustom.minSeverity}/${unknown.minSeverity}, ${warnings.length} warnings)`);
     }
     
     if (oldThreshold) process.env.PAGERDUTY_SEVERITY_THRESHOLD = oldThreshold;
@@ -522,6 +571,329 @@ async function runAdditionalTests() {
   }
 }
 
+async function runLifecycleTests() {
+  console.log('\n=== Incident Lifecycle Tests ===\n');
+  
+  setupTestConfigs();
+  const mismatch = { processId: 'proc-1', stateNonce: '100', suRouterNonce: '200' };
+  const inSync = { processId: 'proc-1', stateNonce: '200', suRouterNonce: '200' };
+  
+  try {
+    const mock = mockPagerDuty();
+    const notifier = lifecycleNotifier();
+    await notifier.notify({ mismatches: [mismatch], errors: [], stalls: [] }, {});
+    await notifier.reconcile([mismatch], { mismatches: [mismatch], errors: [], stalls: [] });
+    mock.restore();
+    
+    const state = pagerduty.loadState(TEST_STATE_FILE);
+    const incident = state['proc-1'] && state['proc-1'].mismatch;
+    
+    if (mock.sent.length === 1 && mock.sent[0].event_action === 'trigger' &&
+        incident && incident.dedupKey === mock.sent[0].dedup_key && incident.lastLag === 100) {
+      pass('Test 25: Trigger records the dedup key per process and incident type');
+    } else {
+      fail(`Test 25: Trigger state incorrect (${JSON.stringify(state)})`);
+    }
+  } catch (error) {
+    fail(`Test 25: Trigger records dedup key (${error.message})`);
+  }
+  
+  try {
+    const mock = mockPagerDuty();
+    const notifier = lifecycleNotifier();
+    const dedupKey = pagerduty.loadState(TEST_STATE_FILE)['proc-1'].mismatch.dedupKey;
+    await notifier.reconcile([inSync], { mismatches: [], errors: [], stalls: [] });
+    mock.restore();
+    
+    const state = pagerduty.loadState(TEST_STATE_FILE);
+    
+    if (mock.sent.length === 1 && mock.sent[0].event_action === 'resolve' &&
+        mock.sent[0].dedup_key === dedupKey && !state['proc-1']) {
+      pass('Test 26: Resolve sent and state cleared once the process is back in sync');
+    } else {
+      fail(`Test 26: Resolve incorrect (${JSON.stringify(mock.sent)})`);
+    }
+  } catch (error) {
+    fail(`Test 26: Resolve on recovery (${error.message})`);
+  }
+  
+  try {
+    const mock = mockPagerDuty();
+    const notifier = lifecycleNotifier({ aggregation: 'run' });
+    const other = { processId: 'proc-2', stateNonce: '100', suRouterNonce: '300' };
+    const checkError = { processId: 'proc-1', error: 'Request timeout after 10000ms' };
+    await notifier.notify({ mismatches: [mismatch, other], errors: [], stalls: [] }, {});
+    
+    // proc-1 fails its check and proc-2 recovers: the shared incident stays open
+    await notifier.reconcile([checkError, { processId: 'proc-2', stateNonce: '300', suRouterNonce: '300' }], {
+      mismatches: [],
+      errors: [checkError],
+      stalls: []
+    });
+    mock.restore();
+    
+    const state = pagerduty.loadState(TEST_STATE_FILE);
+    
+    if (mock.sent.length === 1 && state['proc-1'] && state['proc-1'].mismatch && !state['proc-2']) {
+      pass('Test 27: Incident kept open while another process or a failed check still refers to it');
+    } else {
+      fail(`Test 27: Shared incident handling incorrect (${mock.sent.map(p => p.event_action).join(', ')})`);
+    }
+  } catch (error) {
+    fail(`Test 27: Shared incident (${error.message})`);
+  }
+  
+  try {
+    const mock = mockPagerDuty(500);
+    const notifier = lifecycleNotifier();
+    await notifier.reconcile([inSync], { mismatches: [], errors: [], stalls: [] });
+    mock.restore();
+    
+    const state = pagerduty.loadState(TEST_STATE_FILE);
+    
+    if (mock.sent.length === 1 && mock.sent[0].event_action === 'resolve' && state['proc-1'] && state['proc-1'].mismatch) {
+      pass('Test 28: Failed resolve keeps the incident in state for the next run');
+    } else {
+      fail(`Test 28: Failed resolve dropped the incident (${JSON.stringify(state)})`);
+    }
+  } catch (error) {
+    fail(`Test 28: Failed resolve (${error.message})`);
+  }
+  
+  try {
+    const mock = mockPagerDuty();
+    const notifier = lifecycleNotifier({ autoResolve: false });
+    await notifier.reconcile([inSync], { mismatches: [], errors: [], stalls: [] });
+    mock.restore();
+    
+    if (mock.sent.length === 0 && !pagerduty.loadState(TEST_STATE_FILE)['proc-1']) {
+      pass('Test 29: PAGERDUTY_AUTO_RESOLVE=false clears state without sending resolve');
+    } else {
+      fail(`Test 29: Auto-resolve disabled still sent ${mock.sent.length} events`);
+    }
+  } catch (error) {
+    fail(`Test 29: Auto-resolve disabled (${error.message})`);
+  }
+  
+  try {
+    const mock = mockPagerDuty();
+    const notifier = lifecycleNotifier({ autoAcknowledge: true });
+    const shrinking = { processId: 'proc-1', stateNonce: '150', suRouterNonce: '200' };
+    await notifier.notify({ mismatches: [mismatch], errors: [], stalls: [] }, {});
+    await notifier.reconcile([shrinking], { mismatches: [shrinking], errors: [], stalls: [] });
+    await notifier.reconcile([shrinking], { mismatches: [{ ...shrinking, stateNonce: '160' }], errors: [], stalls: [] });
+    mock.restore();
+    
+    const actions = mock.sent.map(p => p.event_action);
+    const incident = pagerduty.loadState(TEST_STATE_FILE)['proc-1'].mismatch;
+    
+    if (actions.join(',') === 'trigger,acknowledge' && incident.acknowledgedAt && incident.lastLag === 40) {
+      pass('Test 30: Acknowledge sent once while the lag is shrinking');
+    } else {
+      fail(`Test 30: Acknowledge incorrect (${actions.join(', ')})`);
+    }
+  } catch (error) {
+    fail(`Test 30: Acknowledge on shrinking lag (${error.message})`);
+  }
+  
+  try {
+    const oldAcknowledge = process.env.PAGERDUTY_AUTO_ACKNOWLEDGE;
+    const oldStateFile = process.env.PAGERDUTY_STATE_FILE;
+    delete process.env.PAGERDUTY_AUTO_ACKNOWLEDGE;
+    delete process.env.PAGERDUTY_STATE_FILE;
+    
+    const config = pagerduty.getConfigFromEnv();
+    
+    if (config.autoAcknowledge === false && config.stateFile === pagerduty.DEFAULT_STATE_FILE) {
+      pass('Test 31: Auto-acknowledge is off and the default state file is used by default');
+    } else {
+      fail(`Test 31: Lifecycle defaults incorrect (${config.autoAcknowledge}/${config.stateFile})`);
+    }
+    
+    if (oldAcknowledge) process.env.PAGERDUTY_AUTO_ACKNOWLEDGE = oldAcknowledge;
+    if (oldStateFile) process.env.PAGERDUTY_STATE_FILE = oldStateFile;
+  } catch (error) {
+    fail(`Test 31: Lifecycle defaults (${error.message})`);
+  }
+  
+  cleanupTestConfigs();
+}
+
+async function runAggregationTests() {
+  console.log('\n=== Aggregation Tests ===\n');
+  
+  setupTestConfigs();
+  const incidents = [
+    { processId: 'proc-1', type: 'mismatch', gateway: 'https://push-5.forward.computer', stateNonce: '100', suRouterNonce: '200' },
+    { processId: 'proc-2', type: 'mismatch', gateway: 'https://push-5.forward.computer', stateNonce: '100', suRouterNonce: '300' },
+    { processId: 'proc-3', type: 'error', gateway: 'https://state-2.forward.computer', error: 'HTTP 502' }
+  ];
+  
+  try {
+    const groups = pagerduty.groupIncidents(incidents, 'process', 'nonce-monitor');
+    const again = pagerduty.groupIncidents(incidents, 'process', 'nonce-monitor');
+    
+    if (groups.size === 3 && groups.has('nonce-monitor-mismatch-proc-1') &&
+        groups.has('nonce-monitor-error-proc-3') &&
+        [...groups.keys()].join() === [...again.keys()].join()) {
+      pass('Test 32: Per-process aggregation uses one stable key per process and type');
+    } else {
+      fail(`Test 32: Per-process keys incorrect (${[...groups.keys()].join(', ')})`);
+    }
+  } catch (error) {
+    fail(`Test 32: Per-process keys (${error.message})`);
+  }
+  
+  try {
+    const groups = pagerduty.groupIncidents(incidents, 'gateway', 'slot-monitor');
+    const push5 = groups.get('slot-monitor-gateway-push-5');
+    const runGroups = pagerduty.groupIncidents(incidents, 'run', 'slot-monitor', '2025-01-01T00:00:00.000Z');
+    
+    if (groups.size === 2 && push5 && push5.length === 2 &&
+        runGroups.size === 1 && runGroups.has('slot-monitor-run-2025-01-01T00:00:00.000Z')) {
+      pass('Test 33: Gateway and run aggregation group incidents under one key');
+    } else {
+      fail(`Test 33: Grouping incorrect (${[...groups.keys()].join(', ')})`);
+    }
+  } catch (error) {
+    fail(`Test 33: Gateway and run grouping (${error.message})`);
+  }
+  
+  try {
+    const many = Array.from({ length: 25 }, (_, i) => ({ processId: `proc-${i}`, stateNonce: '100', suRouterNonce: '200' }));
+    const payload = pagerduty.buildAggregatedEventPayload(many, 'trigger', { routingKey: 'test-key' });
+    
+    if (payload.payload.custom_details.affectedProcesses.length === 25) {
+      pass('Test 34: Aggregated payload lists every affected process');
+    } else {
+      fail(`Test 34: Aggregated payload listed ${payload.payload.custom_details.affectedProcesses.length} of 25`);
+    }
+  } catch (error) {
+    fail(`Test 34: Aggregated payload process list (${error.message})`);
+  }
+  
+  try {
+    const mock = mockPagerDuty();
+    const notifier = lifecycleNotifier();
+    const first = { processId: 'proc-1', stateNonce: '100', suRouterNonce: '200' };
+    const second = { processId: 'proc-2', stateNonce: '100', suRouterNonce: '300' };
+    await notifier.notify({ mismatches: [first], errors: [], stalls: [] }, { label: 'Nonce Monitor Check' });
+    await notifier.notify({ mismatches: [second], errors: [], stalls: [] }, { label: 'Nonce Monitor Check' });
+    mock.restore();
+    
+    const keys = mock.sent.map(p => p.dedup_key);
+    const state = pagerduty.loadState(TEST_STATE_FILE);
+    
+    if (mock.sent.length === 2 && keys[0] !== keys[1] &&
+        mock.sent[1].payload.summary.includes('proc-2') &&
+        state['proc-1'] && state['proc-2']) {
+      pass('Test 35: A new problem opens its own incident instead of joining the first one');
+    } else {
+      fail(`Test 35: Second problem not paged separately (${keys.join(', ')})`);
+    }
+  } catch (error) {
+    fail(`Test 35: Separate incidents (${error.message})`);
+  }
+  
+  try {
+    const oldAggregation = process.env.PAGERDUTY_AGGREGATION;
+    process.env.PAGERDUTY_AGGREGATION = 'gateway';
+    const config1 = pagerduty.getConfigFromEnv();
+    process.env.PAGERDUTY_AGGREGATION = 'daily';
+    const config2 = pagerduty.getConfigFromEnv();
+    
+    if (config1.aggregation === 'gateway' && config2.aggregation === pagerduty.DEFAULT_AGGREGATION) {
+      pass('Test 36: PAGERDUTY_AGGREGATION parsed, unknown values fall back to per process');
+    } else {
+      fail(`Test 36: Aggregation config incorrect (${config1.aggregation}/${config2.aggregation})`);
+    }
+    
+    if (oldAggregation) process.env.PAGERDUTY_AGGREGATION = oldAggregation;
+    else delete process.env.PAGERDUTY_AGGREGATION;
+  } catch (error) {
+    fail(`Test 36: Aggregation config (${error.message})`);
+  }
+  
+  cleanupTestConfigs();
+}
+
+async function runSeverityTests() {
+  console.log('\n=== Severity Tests ===\n');
+  
+  setupTestConfigs();
+  
+  try {
+    const config = { routingKey: 'test-key' };
+    const quiet = pagerduty.buildEventPayload({ processId: 'proc-1', stateNonce: '100', suRouterNonce: '130', severity: 'critical' }, 'trigger', config);
+    const aggregated = pagerduty.buildAggregatedEventPayload([
+      { processId: 'proc-1', stateNonce: '100', suRouterNonce: '400', severity: 'warning' },
+      { processId: 'proc-2', stateNonce: '100', suRouterNonce: '130', severity: 'error' }
+    ], 'trigger', config);
+    
+    if (quiet.payload.severity === 'critical' && aggregated.payload.severity === 'error') {
+      pass('Test 37: Payload severity follows the severity the process thresholds gave the mismatch');
+    } else {
+      fail(`Test 37: Severity not taken from mismatch (${quiet.payload.severity}/${aggregated.payload.severity})`);
+    }
+  } catch (error) {
+    fail(`Test 37: Mismatch severity (${error.message})`);
+  }
+  
+  try {
+    const mock = mockPagerDuty();
+    const notifier = lifecycleNotifier({ minSeverity: 'error' });
+    await notifier.notify({
+      mismatches: [
+        { processId: 'proc-small', stateNonce: '100', suRouterNonce: '160', severity: 'warning' },
+        { processId: 'proc-large', stateNonce: '100', suRouterNonce: '130', severity: 'critical' },
+        { processId: 'proc-busy', stateNonce: '100', suRouterNonce: '500', severity: 'warning' }
+      ],
+      errors: [{ processId: 'proc-error', error: 'HTTP 502' }],
+      stalls: []
+    }, { label: 'Nonce Monitor Check' });
+    mock.restore();
+    
+    const paged = mock.sent.map(p => p.payload.custom_details.processId).sort();
+    if (paged.join() === 'proc-error,proc-large') {
+      pass('Test 38: PAGERDUTY_SEVERITY_THRESHOLD pages by each process\'s own severity, not by slots behind');
+    } else {
+      fail(`Test 38: Paged ${paged.join(', ')}`);
+    }
+  } catch (error) {
+    fail(`Test 38: Severity threshold (${error.message})`);
+  }
+  
+  cleanupTestConfigs();
+}
+
+async function runConsensusTests() {
+  console.log('\n=== Consensus Reconcile Tests ===\n');
+  
+  setupTestConfigs();
+  
+  try {
+    const mock = mockPagerDuty();
+    const notifier = lifecycleNotifier();
+    const mismatch = { processId: 'proc-1', stateNonce: '100', suRouterNonce: '200' };
+    const agreed = { processId: 'proc-1', spread: 0, nonces: [] };
+    await notifier.notify({ mismatches: [mismatch], errors: [], stalls: [] }, {});
+    await notifier.reconcile([agreed], { divergences: [], errors: [] });
+    mock.restore();
+    
+    const state = pagerduty.loadState(TEST_STATE_FILE);
+    const actions = mock.sent.map(p => p.event_action);
+    if (actions.join(',') === 'trigger' && state['proc-1'] && state['proc-1'].mismatch) {
+      pass('Test 39: A consensus run leaves the mismatch incident of a regular check open');
+    } else {
+      fail(`Test 39: Consensus reconcile touched the mismatch incident (${actions.join(', ')})`);
+    }
+  } catch (error) {
+    fail(`Test 39: Consensus reconcile (${error.message})`);
+  }
+  
+  cleanupTestConfigs();
+}
+
 async function runTests() {
   console.log('Running PagerDuty Integration Tests...\n');
 
@@ -530,10 +902,14 @@ async function runTests() {
   await runIntegrationTests();
   await runErrorHandlingTests();
   await runAdditionalTests();
+  await runLifecycleTests();
+  await runAggregationTests();
+  await runSeverityTests();
+  await runConsensusTests();
 
   console.log('\n=== Results ===');
-  console.log(`Tests Passed: ${testsPassed}/24`);
-  console.log(`Tests Failed: ${testsFailed}/24`);
+  console.log(`Tests Passed: ${testsPassed}/${TOTAL_TESTS}`);
+  console.log(`Tests Failed: ${testsFailed}/${TOTAL_TESTS}`);
 
   if (testsFailed > 0) {
     process.exit(1);
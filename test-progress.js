@@ -0,0 +1,160 @@
+#!/usr/bin/env node
+
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const engine = require('./lib/engine');
+const { computeProgress, formatEta, formatProgress } = require('./lib/progress');
+const { createHistoryStore } = require('./lib/history');
+const { buildConsolidatedSlackMessage } = require('./lib/slack');
+const { buildAggregatedEventPayload } = require('./lib/pagerduty');
+const { PROCESS_A, pass, fail, finish, mockResponse, suRouterBody } = require('./test-helpers');
+
+const TOTAL_TESTS = 6;
+
+const originalFetch = global.fetch;
+
+function observation(minutesAgo, stateNonce, suRouterNonce) {
+  return {
+    timestamp: new Date(Date.parse('2025-01-03T10:00:00.000Z') - minutesAgo * 60000).toISOString(),
+    stateNonce: String(stateNonce),
+    suRouterNonce: String(suRouterNonce)
+  };
+}
+
+async function runProgressTests() {
+  console.log('=== Progress Tests ===\n');
+  
+  try {
+    const progress = computeProgress(observation(10, 1000, 1200), observation(0, 1100, 1250));
+    if (progress.stateRate === 10 && progress.suRouterRate === 5 && progress.closingRate === 5 &&
+        progress.gap === 150 && progress.status === 'catching-up' && progress.etaMinutes === 30) {
+      pass('Test 1: computeProgress() derives rates and time to catch up');
+    } else {
+      fail(`Test 1: catching-up incorrect (${JSON.stringify(progress)})`);
+    }
+  } catch (error) {
+    fail(`Test 1: catching-up (${error.message})`);
+  }
+  
+  try {
+    const diverging = computeProgress(observation(5, 1000, 1100), observation(0, 1005, 1130));
+    const steady = computeProgress(observation(5, 1000, 1100), observation(0, 1010, 1110));
+    const synced = computeProgress(observation(5, 1000, 1000), observation(0, 1010, 1010));
+    if (diverging.status === 'diverging' && diverging.etaMinutes === null &&
+        steady.status === 'not-closing' && synced.status === 'in-sync' && synced.etaMinutes === 0 &&
+        computeProgress(null, observation(0, 1, 1)) === null) {
+      pass('Test 2: diverging, steady and in-sync gaps are told apart');
+    } else {
+      fail(`Test 2: status incorrect (${JSON.stringify({ diverging, steady, synced })})`);
+    }
+  } catch (error) {
+    fail(`Test 2: statuses (${error.message})`);
+  }
+  
+  try {
+    const catching = formatProgress(computeProgress(observation(10, 1000, 1200), observation(0, 1100, 1250)));
+    const diverging = formatProgress(computeProgress(observation(5, 1000, 1100), observation(0, 1005, 1130)));
+    if (formatEta(0.5) === '<1m' && formatEta(45) === '~45m' && formatEta(200) === '~3h 20m' && formatEta(4000) === '~3d' &&
+        catching === 'catching up at 5.0 slots/min, ETA ~30m (state 10.0/min, SU 5.0/min)' &&
+        diverging === 'diverging, falling 5.0 slots/min further behind (state 1.0/min, SU 6.0/min)') {
+      pass('Test 3: formatProgress() reads well for on-call');
+    } else {
+      fail(`Test 3: formatting incorrect (${catching} | ${diverging})`);
+    }
+  } catch (error) {
+    fail(`Test 3: formatting (${error.message})`);
+  }
+}
+
+async function runMonitorTests() {
+  console.log('\n=== Progress Monitor Tests ===\n');
+  
+  const file = path.join(os.tmpdir(), `progress-test-${process.pid}.jsonl`);
+  let alerts;
+  
+  try {
+    const history = createHistoryStore({ backend: 'jsonl', file });
+    history.record([{ processId: PROCESS_A, stateNonce: '1000', suRouterNonce: '1200', diff: 200, duration: 1, error: null }],
+      new Date(Date.now() - 10 * 60000).toISOString());
+    global.fetch = async (url) => (url.includes('/latest')
+      ? mockResponse(200, suRouterBody(1250))
+      : mockResponse(200, '1100'));
+    const monitor = engine.createMonitor({
+      processes: [PROCESS_A],
+      sources: { state: { url: 'https://state.example' }, suRouter: { url: 'https://router.example' } },
+      history
+    });
+    ({ alerts } = await monitor.run());
+    const progress = alerts.mismatches[0].progress;
+    if (progress && progress.status === 'catching-up' && Math.round(progress.etaMinutes) === 30) {
+      pass('Test 4: run() attaches progress from the previous observation to mismatches');
+    } else {
+      fail(`Test 4: progress missing (${JSON.stringify(alerts.mismatches)})`);
+    }
+  } catch (error) {
+    fail(`Test 4: run() progress (${error.message})`);
+  } finally {
+    fs.rmSync(file, { force: true });
+  }
+  
+  try {
+    const message = buildConsolidatedSlackMessage(alerts.mismatches, []);
+    const progressField = message.attachments[0].fields.find(f => f.title === 'Progress');
+    const payload = buildAggregatedEventPayload(alerts.mismatches, 'trigger', { routingKey: 'test' });
+    const details = payload.payload.custom_details.affectedProcesses[0].progress;
+    if (progressField && progressField.value.startsWith('catching up at 5.0 slots/min, ETA ~30m') &&
+        details && details.status === 'catching-up' && details.stateRate === 10 && details.suRouterRate === 5) {
+      pass('Test 5: Slack and PagerDuty show the catch-up rate and ETA');
+    } else {
+      fail('Test 5: progress missing from alert payloads');
+    }
+  } catch (error) {
+    fail(`Test 5: alert payloads (${error.message})`);
+  }
+  
+  // Each invocation opens its own store on the file, as two cron runs of the CLI would
+  const sharedFile = path.join(os.tmpdir(), `progress-invocations-test-${process.pid}.jsonl`);
+  try {
+    const invoke = async (stateNonce, suRouterNonce) => {
+      global.fetch = async (url) => (url.includes('/latest')
+        ? mockResponse(200, suRouterBody(suRouterNonce))
+        : mockResponse(200, String(stateNonce)));
+      const monitor = engine.createMonitor({
+        processes: [PROCESS_A],
+        sources: { state: { url: 'https://state.example' }, suRouter: { url: 'https://router.example' } },
+        history: createHistoryStore({ backend: 'jsonl', file: sharedFile })
+      });
+      return (await monitor.run()).alerts.mismatches[0];
+    };
+    const first = await invoke(1000, 1200);
+    await new Promise(resolve => setTimeout(resolve, 20));
+    const second = await invoke(1100, 1250);
+    if (!first.progress && second.progress && second.progress.status === 'catching-up' &&
+        second.progress.gap === 150 && second.progress.stateRate > second.progress.suRouterRate && second.progress.etaMinutes !== null) {
+      pass('Test 6: a second one-shot run reads the first from the history file for rate and ETA');
+    } else {
+      fail(`Test 6: progress not carried between runs (${JSON.stringify([first.progress, second.progress])})`);
+    }
+  } catch (error) {
+    fail(`Test 6: progress across runs (${error.message})`);
+  } finally {
+    fs.rmSync(sharedFile, { force: true });
+  }
+}
+
+async function runTests() {
+  console.log('Running Catch-up Progress Tests...\n');
+  
+  await runProgressTests();
+  await runMonitorTests();
+  
+  global.fetch = originalFetch;
+  
+  finish(TOTAL_TESTS);
+}
+
+runTests().catch(error => {
+  console.error(`\nUnexpected error: ${error.message}`);
+  process.exit(1);
+});
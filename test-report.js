@@ -0,0 +1,193 @@
+#!/usr/bin/env node
+
+const fs = require('fs');
+const path = require('path');
+const engine = require('./lib/engine');
+const { createSilence } = require('./lib/silence');
+const { REPORT_SCHEMA_VERSION, getReportConfigFromEnv, createReportReporter } = require('./lib/report');
+const { loadMonitorConfig } = require('./lib/config');
+const { PROCESS_A, PROCESS_B, PROCESS_C, PROCESS_D, pass, fail, finish, mockResponse, suRouterBody, tempDir } = require('./test-helpers');
+
+const TOTAL_TESTS = 7;
+
+const originalFetch = global.fetch;
+
+const PROCESSES = [
+  { processId: PROCESS_A, gateway: 'https://push-5.forward.computer' },
+  { processId: PROCESS_B, gateway: 'https://push-5.forward.computer' },
+  { processId: PROCESS_C, gateway: 'https://state-2.forward.computer' },
+  { processId: PROCESS_D, gateway: 'https://state-2.forward.computer' }
+];
+
+// A is in sync after one SU router retry, B and D are behind, C's gateway fails
+function installFleet() {
+  const attempts = {};
+  global.fetch = async url => {
+    attempts[url] = (attempts[url] || 0) + 1;
+    if (url.includes('/latest')) {
+      if (url.includes(PROCESS_A) && attempts[url] === 1) {
+        return mockResponse(503, 'Service Unavailable');
+      }
+      return mockResponse(200, suRouterBody(url.includes(PROCESS_B) ? 250 : url.includes(PROCESS_D) ? 180 : 100));
+    }
+    if (url.includes(PROCESS_C)) {
+      return mockResponse(502, 'Bad Gateway');
+    }
+    return mockResponse(200, '100');
+  };
+}
+
+function createFleetMonitor(reporters) {
+  return engine.createMonitor({
+    processes: PROCESSES,
+    reporters,
+    retry: { maxRetries: 2, baseDelay: 1, maxDelay: 1 },
+    alerting: { rules: { error: { runs: 2 } } },
+    alertRepeatInterval: 3600000,
+    silences: [createSilence({ processId: PROCESS_D, reason: 'migration', duration: '1h' })],
+    silencesFile: null,
+    context: { label: 'Nonce Monitor Check' },
+    notifiers: []
+  });
+}
+
+async function runReportTests() {
+  console.log('=== Report Tests ===\n');
+  
+  installFleet();
+  const dir = tempDir('report');
+  const file = path.join(dir, 'report.json');
+  try {
+    const monitor = createFleetMonitor([createReportReporter({ file })]);
+    await monitor.run();
+    const first = JSON.parse(fs.readFileSync(file, 'utf8'));
+    await monitor.run();
+    const report = JSON.parse(fs.readFileSync(file, 'utf8'));
+    
+    const run = report.run;
+    if (report.schemaVersion === REPORT_SCHEMA_VERSION && run.monitor === 'Nonce Monitor Check' && run.number === 2 && first.run.number === 1 &&
+        run.exitCode === 0 && run.configuredProcesses === 4 && run.checkedProcesses === 4 &&
+        run.startedAt <= run.finishedAt && run.durationMs >= 0 && fs.readdirSync(dir).join(',') === 'report.json') {
+      pass('Test 1: the report file is rewritten after every run with the run metadata');
+    } else {
+      fail(`Test 1: run metadata incorrect (${JSON.stringify(run)})`);
+    }
+    
+    const byId = Object.fromEntries(first.processes.map(p => [p.processId, p]));
+    const a = byId[PROCESS_A];
+    const b = byId[PROCESS_B];
+    const c = byId[PROCESS_C];
+    if (a.status === 'in-sync' && a.match === true && a.retries === 1 && a.stateNonce === 100 && a.diff === 0 &&
+        b.status === 'behind' && b.suRouterNonce === 250 && b.diff === 150 && b.severity === 'critical' && b.gatewayName === 'push-5' &&
+        c.status === 'error' && c.errorClass === 'http-5xx' && c.error.includes('HTTP 502') && c.stateNonce === null && c.diff === null &&
+        typeof a.duration === 'number' && typeof a.suRouterDuration === 'number' && byId[PROCESS_D].silenced === true &&
+        first.summary.retries === 1 && first.summary.errors === 1 && first.summary.mismatches === 2) {
+      pass('Test 2: each process carries nonces as numbers, diff, gateway, durations, retries and error class');
+    } else {
+      fail(`Test 2: process entries incorrect (${JSON.stringify(first.processes)})`);
+    }
+    
+    const gateways = Object.fromEntries(first.gateways.map(g => [g.name, g]));
+    if (first.gateways.length === 2 && gateways['push-5'].total === 2 && gateways['push-5'].mismatches === 1 && gateways['push-5'].successRate === 100 &&
+        gateways['state-2'].errors === 1 && gateways['state-2'].mismatches === 1 && gateways['state-2'].successRate === 50 &&
+        typeof gateways['state-2'].averageDuration === 'number') {
+      pass('Test 3: per-gateway aggregates include totals, errors, mismatches, success rate and latency');
+    } else {
+      fail(`Test 3: gateway aggregates incorrect (${JSON.stringify(first.gateways)})`);
+    }
+    
+    const firstAlerts = first.alerts;
+    const secondAlerts = report.alerts;
+    if (JSON.stringify(firstAlerts.detected.mismatches.sort()) === JSON.stringify([PROCESS_B, PROCESS_D].sort()) &&
+        JSON.stringify(firstAlerts.notified.mismatches) === JSON.stringify([PROCESS_B]) &&
+        firstAlerts.pending.length === 1 && firstAlerts.pending[0].processId === PROCESS_C && firstAlerts.pending[0].type === 'error' &&
+        firstAlerts.silenced.length === 1 && firstAlerts.silenced[0].reason === 'migration' && firstAlerts.silenced[0].silenceId &&
+        firstAlerts.fired.some(f => f.processId === PROCESS_B && f.type === 'mismatch') && firstAlerts.suppressedRepeats === 0 &&
+        JSON.stringify(secondAlerts.notified.errors) === JSON.stringify([PROCESS_C]) && secondAlerts.notified.mismatches.length === 0 &&
+        secondAlerts.suppressedRepeats === 1) {
+      pass('Test 4: alert decisions record what was detected, notified, pending, silenced and suppressed as a repeat');
+    } else {
+      fail(`Test 4: alert decisions incorrect (${JSON.stringify(firstAlerts)} / ${JSON.stringify(secondAlerts)})`);
+    }
+  } catch (error) {
+    fail(`Test 1-4: report file (${error.message})`);
+  } finally {
+    fs.rmSync(dir, { recursive: true, force: true });
+  }
+}
+
+async function runFormatTests() {
+  console.log('\n=== Format Tests ===\n');
+  
+  installFleet();
+  const originalWrite = process.stdout.write;
+  const written = [];
+  try {
+    const monitor = createFleetMonitor([createReportReporter({ file: null, format: 'text' }), createReportReporter({ file: null, format: 'json' })]);
+    process.stdout.write = chunk => {
+      written.push(String(chunk));
+      return true;
+    };
+    await monitor.run();
+  } catch (error) {
+    written.push(`error: ${error.message}`);
+  } finally {
+    process.stdout.write = originalWrite;
+  }
+  
+  // Log lines share stdout in this test; the wrappers move them to stderr in JSON mode
+  const lines = written.join('').split('\n').filter(line => line.startsWith('{'));
+  let parsed = null;
+  try {
+    parsed = JSON.parse(lines[0]);
+  } catch (error) {
+    parsed = null;
+  }
+  if (lines.length === 1 && parsed && parsed.schemaVersion === REPORT_SCHEMA_VERSION && parsed.processes.length === 4) {
+    pass('Test 5: --format json writes one compact report document per run to stdout');
+  } else {
+    fail(`Test 5: stdout report incorrect (${written.join('').slice(0, 200)})`);
+  }
+  
+  const originalEnv = { ...process.env };
+  try {
+    delete process.env.REPORT_FORMAT;
+    const spaced = getReportConfigFromEnv(['node', 'nonce-monitor.js', '--format', 'json']);
+    const inline = getReportConfigFromEnv(['node', 'nonce-monitor.js', '--format=json']);
+    const unknown = getReportConfigFromEnv(['node', 'nonce-monitor.js', '--format', 'xml']);
+    process.env.REPORT_FORMAT = 'json';
+    const fromEnv = getReportConfigFromEnv(['node', 'nonce-monitor.js']);
+    if (spaced.format === 'json' && inline.format === 'json' && unknown.format === 'text' && fromEnv.format === 'json') {
+      pass('Test 6: the format comes from --format or REPORT_FORMAT and falls back to text');
+    } else {
+      fail(`Test 6: format parsing incorrect (${JSON.stringify([spaced, inline, unknown, fromEnv])})`);
+    }
+    
+    delete process.env.REPORT_FORMAT;
+    process.env.REPORT_FILE = './report.json';
+    const settings = loadMonitorConfig(null);
+    if (settings.report.file === './report.json' && settings.report.format === 'text') {
+      pass('Test 7: REPORT_FILE reaches the settings');
+    } else {
+      fail(`Test 7: settings incorrect (${JSON.stringify(settings.report)})`);
+    }
+  } finally {
+    process.env = originalEnv;
+  }
+}
+
+async function runTests() {
+  console.log('Running Report Tests...\n');
+  
+  await runReportTests();
+  await runFormatTests();
+  
+  global.fetch = originalFetch;
+  
+  finish(TOTAL_TESTS);
+}
+
+runTests().catch(error => {
+  console.error(`\nUnexpected error: ${error.message}`);
+  process.exit(1);
+});
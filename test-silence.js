@@ -0,0 +1,223 @@
+#!/usr/bin/env node
+
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const engine = require('./lib/engine');
+const { parseDuration, loadSilences, createSilence, matchesSilence, applySilences } = require('./lib/silence');
+const cli = require('./silence');
+const { PROCESS_A, pass, fail, finish, mockResponse, suRouterBody } = require('./test-helpers');
+
+const PUSH_5 = 'https://push-5.forward.computer';
+const TOTAL_TESTS = 8;
+
+const originalFetch = global.fetch;
+
+function captureConsole(fn) {
+  const lines = [];
+  const originalLog = console.log;
+  console.log = (...args) => lines.push(args.join(' '));
+  return Promise.resolve()
+    .then(fn)
+    .finally(() => {
+      console.log = originalLog;
+    })
+    .then(result => ({ result, output: lines.join('\n') }));
+}
+
+async function runMatchingTests() {
+  console.log('=== Silence Matching Tests ===\n');
+  
+  try {
+    const target = { processId: PROCESS_A, gateway: PUSH_5, labels: ['payments'] };
+    const byName = matchesSilence({ gateway: 'push-5' }, target, 'mismatch');
+    const byUrl = matchesSilence({ gateway: PUSH_5 }, target, 'error');
+    const byLabel = matchesSilence({ label: 'payments', alertType: 'error' }, target, 'error');
+    const wrongType = matchesSilence({ gateway: 'push-5', alertType: 'error' }, target, 'mismatch');
+    const otherGateway = matchesSilence({ gateway: 'state-2' }, target, 'mismatch');
+    if (byName && byUrl && byLabel && !wrongType && !otherGateway) {
+      pass('Test 1: silences match by gateway name or URL, label and alert type');
+    } else {
+      fail(`Test 1: matching incorrect (${[byName, byUrl, byLabel, wrongType, otherGateway]})`);
+    }
+  } catch (error) {
+    fail(`Test 1: matching (${error.message})`);
+  }
+  
+  try {
+    const now = new Date('2025-01-01T10:00:00Z');
+    const silence = createSilence({ gateway: 'push-5', duration: '2h', reason: 'push-5 redeploy' }, now);
+    const errors = [
+      () => createSilence({ duration: '1h', reason: 'no matcher' }),
+      () => createSilence({ gateway: 'push-5', duration: '1h' }),
+      () => createSilence({ gateway: 'push-5', reason: 'no end' }),
+      () => createSilence({ gateway: 'push-5', duration: '2 hours', reason: 'bad duration' }),
+      () => createSilence({ alertType: 'outage', duration: '1h', reason: 'bad type' })
+    ].filter(fn => {
+      try {
+        fn();
+        return false;
+      } catch (error) {
+        return true;
+      }
+    });
+    if (silence.end === '2025-01-01T12:00:00.000Z' && silence.start === now.toISOString() && silence.id &&
+        errors.length === 5 && parseDuration('1d') === 86400000) {
+      pass('Test 2: createSilence() computes the window and rejects incomplete silences');
+    } else {
+      fail(`Test 2: createSilence() incorrect (${JSON.stringify(silence)}, ${errors.length} rejected)`);
+    }
+  } catch (error) {
+    fail(`Test 2: createSilence() (${error.message})`);
+  }
+  
+  try {
+    const silences = [
+      { id: 'past', gateway: 'push-5', start: '2025-01-01T00:00:00Z', end: '2025-01-01T01:00:00Z', reason: 'done' },
+      { id: 'now', processId: PROCESS_A, alertType: 'mismatch', start: '2025-01-01T09:00:00Z', end: '2025-01-01T11:00:00Z', reason: 'migration' }
+    ];
+    const alerts = {
+      mismatches: [{ processId: PROCESS_A, gateway: PUSH_5 }, { processId: 'other', gateway: PUSH_5 }],
+      errors: [{ processId: PROCESS_A, gateway: PUSH_5, error: 'HTTP 502' }]
+    };
+    const { alerts: audible, silenced } = applySilences(alerts, silences, () => ({}), new Date('2025-01-01T10:00:00Z'));
+    if (audible.mismatches.length === 1 && audible.mismatches[0].processId === 'other' && audible.errors.length === 1 &&
+        silenced.length === 1 && silenced[0].silence.id === 'now' && silenced[0].type === 'mismatch') {
+      pass('Test 3: applySilences() only drops alerts covered by an active silence');
+    } else {
+      fail(`Test 3: applySilences() incorrect (${JSON.stringify(silenced)})`);
+    }
+  } catch (error) {
+    fail(`Test 3: applySilences() (${error.message})`);
+  }
+}
+
+async function runFileTests() {
+  console.log('\n=== Silence File Tests ===\n');
+  
+  const file = path.join(os.tmpdir(), `silence-test-${process.pid}.json`);
+  try {
+    fs.writeFileSync(file, JSON.stringify({ silences: [{ id: 'a', gateway: 'push-5', end: '2030-01-01T00:00:00Z', reason: 'x' }] }));
+    const wrapped = loadSilences(file);
+    fs.writeFileSync(file, '{ not json');
+    let corrupt = null;
+    try {
+      loadSilences(file);
+    } catch (error) {
+      corrupt = error.message;
+    }
+    fs.rmSync(file, { force: true });
+    if (wrapped.length === 1 && loadSilences(file).length === 0 && corrupt && corrupt.includes('Failed to load silences')) {
+      pass('Test 4: loadSilences() reads arrays or { silences }, and a missing file is empty');
+    } else {
+      fail(`Test 4: loadSilences() incorrect (${corrupt})`);
+    }
+  } catch (error) {
+    fail(`Test 4: loadSilences() (${error.message})`);
+  }
+  
+  try {
+    const { output } = await captureConsole(() => {
+      cli.run(['add', '--gateway', 'push-5', '--duration', '30m', '--reason', 'redeploy', '--file', file]);
+      cli.run(['add', '--process', PROCESS_A, '--type', 'error', '--duration', '1h', '--reason', 'flaky', '--file', file]);
+    });
+    const [first] = loadSilences(file);
+    await captureConsole(() => cli.run(['remove', first.id, '--file', file]));
+    const remaining = loadSilences(file);
+    if (output.includes('Added silence') && remaining.length === 1 && remaining[0].alertType === 'error') {
+      pass('Test 5: the silence CLI adds and removes silences in the silences file');
+    } else {
+      fail(`Test 5: CLI incorrect (${JSON.stringify(remaining)})`);
+    }
+  } catch (error) {
+    fail(`Test 5: CLI (${error.message})`);
+  } finally {
+    fs.rmSync(file, { force: true });
+  }
+}
+
+async function runMonitorTests() {
+  console.log('\n=== Monitor Tests ===\n');
+  
+  global.fetch = async (url) => (url.includes('/latest') ? mockResponse(200, suRouterBody(900)) : mockResponse(200, '100'));
+  const silence = { id: 'deploy', gateway: 'push-5', start: '2025-01-01T00:00:00Z', end: '2099-01-01T00:00:00Z', reason: 'push-5 redeploy' };
+  
+  try {
+    const received = [];
+    const monitor = engine.createMonitor({
+      processes: [{ processId: PROCESS_A, gateway: PUSH_5 }],
+      silencesFile: null,
+      silences: [silence],
+      notifiers: [{ name: 'capture', notify: async alerts => received.push(alerts) }]
+    });
+    const { output, result } = await captureConsole(() => monitor.run());
+    if (received.length === 0 && result.alerts.mismatches.length === 1 && result.results[0].silenced === true &&
+        output.includes('Silenced: 1') && output.includes('=== SILENCED ===') && output.includes('push-5 redeploy')) {
+      pass('Test 6: silenced mismatches are shown in the summary but not notified');
+    } else {
+      fail(`Test 6: silence not applied (${received.length} notifications)`);
+    }
+  } catch (error) {
+    fail(`Test 6: silenced run (${error.message})`);
+  }
+  
+  try {
+    const received = [];
+    const options = {
+      processes: [{ processId: PROCESS_A, gateway: PUSH_5, labels: ['payments'] }],
+      silencesFile: null,
+      notifiers: [{ name: 'capture', notify: async alerts => received.push(alerts) }]
+    };
+    const monitor = engine.createMonitor({ ...options, silences: [{ ...silence, gateway: undefined, label: 'payments' }] });
+    await captureConsole(() => monitor.run());
+    const firing = monitor.alertState.states[PROCESS_A].alerts.mismatch.status;
+    if (received.length === 0 && firing === 'firing') {
+      pass('Test 7: a silence keeps the alert state firing so no recovery is announced');
+    } else {
+      fail(`Test 7: alert state changed under silence (${firing})`);
+    }
+  } catch (error) {
+    fail(`Test 7: alert state under silence (${error.message})`);
+  }
+  
+  const file = path.join(os.tmpdir(), `silence-monitor-${process.pid}.json`);
+  try {
+    const received = [];
+    const monitor = engine.createMonitor({
+      processes: [{ processId: PROCESS_A, gateway: PUSH_5 }],
+      silencesFile: file,
+      alertRepeatInterval: 0,
+      notifiers: [{ name: 'capture', notify: async alerts => received.push(alerts) }]
+    });
+    fs.writeFileSync(file, JSON.stringify([silence]));
+    await captureConsole(() => monitor.run());
+    fs.writeFileSync(file, '[]');
+    await captureConsole(() => monitor.run());
+    if (received.length === 1 && received[0].mismatches.length === 1) {
+      pass('Test 8: the silences file is re-read on every run');
+    } else {
+      fail(`Test 8: silences file not re-read (${received.length} notifications)`);
+    }
+  } catch (error) {
+    fail(`Test 8: silences file (${error.message})`);
+  } finally {
+    fs.rmSync(file, { force: true });
+  }
+}
+
+async function runTests() {
+  console.log('Running Silence Tests...\n');
+  
+  await runMatchingTests();
+  await runFileTests();
+  await runMonitorTests();
+  
+  global.fetch = originalFetch;
+  
+  finish(TOTAL_TESTS);
+}
+
+runTests().catch(error => {
+  console.error(`\nUnexpected error: ${error.message}`);
+  process.exit(1);
+});
@@ -0,0 +1,244 @@
+#!/usr/bin/env node
+
+const { spawnSync } = require('child_process');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const engine = require('./lib/engine');
+const { getBoundaryStatus, createBoundaryTracker } = require('./lib/slot-boundary');
+const { getReportOutputs, STATE_DEFAULTS } = require('./slot-verification-monitor');
+const { loadMonitorConfig } = require('./lib/config');
+const { PROCESS_A, pass, fail, finish, mockResponse, suRouterBody } = require('./test-helpers');
+
+const OTHER_PROCESS_ID = 'xU9zFkq3X2ZQ6olwNVvr1vUWIjc3kXTWr7xKQD6dh10';
+const TOTAL_TESTS = 10;
+
+const originalFetch = global.fetch;
+
+// Serves a fixed slot per process from both the state gateway and the scheduler
+function mockSlots(slots) {
+  const calls = [];
+  global.fetch = async (url) => {
+    calls.push(url);
+    const processId = Object.keys(slots).find(id => url.includes(id));
+    return url.includes('/latest')
+      ? mockResponse(200, suRouterBody(slots[processId]))
+      : mockResponse(200, String(slots[processId]));
+  };
+  return calls;
+}
+
+function tempStateFile() {
+  return path.join(os.tmpdir(), `slot-boundaries-test-${process.pid}-${Math.random().toString(36).slice(2)}.json`);
+}
+
+async function runBoundaryTests() {
+  console.log('=== Slot Boundary Tests ===\n');
+  
+  const options = { interval: 500, tolerance: 10 };
+  
+  try {
+    const status = getBoundaryStatus('1003', undefined, options);
+    if (status.due && status.boundary === 1000 && status.reason === 'at-boundary') {
+      pass('Test 1: a slot just past a boundary is due');
+    } else {
+      fail(`Test 1: at-boundary incorrect (${JSON.stringify(status)})`);
+    }
+  } catch (error) {
+    fail(`Test 1: at-boundary (${error.message})`);
+  }
+  
+  try {
+    const approaching = getBoundaryStatus('1495', undefined, options);
+    const between = getBoundaryStatus('1250', undefined, options);
+    if (approaching.due && approaching.boundary === 1500 &&
+        !between.due && between.boundary === 1500 && between.reason === 'between-boundaries') {
+      pass('Test 2: tolerance applies on both sides of the boundary');
+    } else {
+      fail(`Test 2: tolerance incorrect (${JSON.stringify({ approaching, between })})`);
+    }
+  } catch (error) {
+    fail(`Test 2: tolerance (${error.message})`);
+  }
+  
+  try {
+    const repeat = getBoundaryStatus('1008', 1000, options);
+    const early = getBoundaryStatus('1008', 1500, options);
+    if (!repeat.due && repeat.reason === 'already-verified' && !early.due) {
+      pass('Test 3: an already verified boundary is not checked again');
+    } else {
+      fail(`Test 3: double check not prevented (${JSON.stringify(repeat)})`);
+    }
+  } catch (error) {
+    fail(`Test 3: already verified (${error.message})`);
+  }
+  
+  try {
+    const missed = getBoundaryStatus('1250', 500, options);
+    const gap = getBoundaryStatus('2250', 500, options);
+    if (missed.due && missed.boundary === 1000 && missed.reason === 'missed-window' && missed.skipped === 0 &&
+        gap.due && gap.boundary === 2000 && gap.skipped === 2) {
+      pass('Test 4: a boundary whose window was missed is verified late');
+    } else {
+      fail(`Test 4: missed window incorrect (${JSON.stringify({ missed, gap })})`);
+    }
+  } catch (error) {
+    fail(`Test 4: missed window (${error.message})`);
+  }
+  
+  const stateFile = tempStateFile();
+  try {
+    const tracker = createBoundaryTracker({ ...options, stateFile });
+    tracker.markVerified(PROCESS_A, 1000, '1003');
+    tracker.save();
+    const reloaded = createBoundaryTracker({ ...options, stateFile });
+    if (reloaded.verified[PROCESS_A].boundary === 1000 && !reloaded.evaluate(PROCESS_A, '1006').due) {
+      pass('Test 5: verified boundaries persist between invocations');
+    } else {
+      fail('Test 5: tracker did not reload verified boundaries');
+    }
+  } catch (error) {
+    fail(`Test 5: tracker persistence (${error.message})`);
+  } finally {
+    fs.rmSync(stateFile, { force: true });
+  }
+}
+
+async function runMonitorTests() {
+  console.log('\n=== Slot Boundary Monitor Tests ===\n');
+  
+  const stateFile = tempStateFile();
+  const sources = { state: { url: 'https://state.example' }, suRouter: { url: 'https://router.example' } };
+  
+  try {
+    mockSlots({ [PROCESS_A]: 1002, [OTHER_PROCESS_ID]: 1250 });
+    const monitor = engine.createMonitor({
+      processes: [PROCESS_A, OTHER_PROCESS_ID],
+      sources,
+      slotBoundary: { enabled: true, interval: 500, tolerance: 10, stateFile }
+    });
+    const { results } = await monitor.run();
+    if (results.length === 1 && results[0].processId === PROCESS_A && results[0].boundary === 1000) {
+      pass('Test 6: run() checks only processes at their own boundary');
+    } else {
+      fail(`Test 6: boundary filter incorrect (${JSON.stringify(results.map(r => r.processId))})`);
+    }
+  } catch (error) {
+    fail(`Test 6: boundary filter (${error.message})`);
+  }
+  
+  try {
+    const calls = mockSlots({ [PROCESS_A]: 1004, [OTHER_PROCESS_ID]: 1250 });
+    const monitor = engine.createMonitor({
+      processes: [PROCESS_A, OTHER_PROCESS_ID],
+      sources,
+      slotBoundary: { enabled: true, interval: 500, tolerance: 10, stateFile }
+    });
+    const { results, exitCode } = await monitor.run();
+    if (results.length === 0 && exitCode === 0 && !calls.some(url => url.includes('/latest'))) {
+      pass('Test 7: a later invocation does not re-check a verified boundary');
+    } else {
+      fail(`Test 7: boundary re-checked (${results.length} results)`);
+    }
+  } catch (error) {
+    fail(`Test 7: second invocation (${error.message})`);
+  }
+  
+  try {
+    mockSlots({ [PROCESS_A]: 1004, [OTHER_PROCESS_ID]: 1250 });
+    const monitor = engine.createMonitor({
+      processes: [PROCESS_A, OTHER_PROCESS_ID],
+      sources,
+      slotBoundary: { enabled: true, interval: 500, tolerance: 10, stateFile: null, force: true }
+    });
+    const { results } = await monitor.run();
+    if (results.length === 2 && results[1].boundary === 1000) {
+      pass('Test 8: force runs every process regardless of boundaries');
+    } else {
+      fail(`Test 8: force run incorrect (${results.length} results)`);
+    }
+  } catch (error) {
+    fail(`Test 8: force run (${error.message})`);
+  } finally {
+    fs.rmSync(stateFile, { force: true });
+  }
+}
+
+async function runConsensusReportTests() {
+  console.log('\n=== Consensus Report Tests ===\n');
+  
+  const dir = fs.mkdtempSync(path.join(os.tmpdir(), 'consensus-report-test-'));
+  const junitFile = path.join(dir, 'junit.xml');
+  const configFile = path.join(dir, 'monitor.config.json');
+  try {
+    // An unreachable gateway keeps the consensus check offline; it still runs and reports the errors
+    fs.writeFileSync(configFile, JSON.stringify({ version: 1, processes: [{ id: PROCESS_A, gateway: 'http://127.0.0.1:9' }] }));
+    const none = getReportOutputs({ report: { format: 'text', file: null }, junit: {}, markdown: {}, dashboard: {} });
+    const cli = spawnSync(process.execPath, ['slot-verification-monitor.js', '--consensus', '--format', 'json'], {
+      cwd: __dirname,
+      env: {
+        ...process.env,
+        MONITOR_CONFIG: configFile,
+        JUNIT_FILE: junitFile,
+        HISTORY_FILE: path.join(dir, 'history.jsonl'),
+        ALERT_STATE_FILE: path.join(dir, 'alert-state.json'),
+        PAGERDUTY_STATE_FILE: path.join(dir, 'pagerduty-state.json')
+      },
+      encoding: 'utf8',
+      timeout: 60000
+    });
+    if (none.length === 0 && cli.stderr.includes('WARNING: Consensus mode does not write run reports; ignoring --format json, JUNIT_FILE') &&
+        cli.stdout.includes('Checking consensus for 1 processes') && !fs.existsSync(junitFile)) {
+      pass('Test 9: consensus mode skips run report outputs with a warning and still checks consensus');
+    } else {
+      fail(`Test 9: consensus report outputs not skipped (exit ${cli.status}: ${cli.stderr}${cli.stdout})`);
+    }
+  } catch (error) {
+    fail(`Test 9: consensus report outputs (${error.message})`);
+  } finally {
+    fs.rmSync(dir, { recursive: true, force: true });
+  }
+}
+
+async function runStateFileTests() {
+  console.log('\n=== State File Tests ===\n');
+  
+  try {
+    const env = { ...process.env };
+    delete env.ALERT_STATE_FILE;
+    delete env.PAGERDUTY_STATE_FILE;
+    const originalEnv = process.env;
+    process.env = env;
+    const nonce = loadMonitorConfig(null, env);
+    const slot = loadMonitorConfig(null, env, STATE_DEFAULTS);
+    const explicit = loadMonitorConfig(null, { ...env, ALERT_STATE_FILE: './shared.json' }, STATE_DEFAULTS);
+    process.env = originalEnv;
+    
+    if (slot.alerting.stateFile !== nonce.alerting.stateFile && slot.pagerduty.stateFile !== nonce.pagerduty.stateFile &&
+        slot.alerting.stateFile === './.alert-state.slot-verification.json' && explicit.alerting.stateFile === './shared.json') {
+      pass('Test 10: the slot monitor defaults to its own alert and PagerDuty state files');
+    } else {
+      fail(`Test 10: state files shared (${slot.alerting.stateFile}, ${slot.pagerduty.stateFile})`);
+    }
+  } catch (error) {
+    fail(`Test 10: state file defaults (${error.message})`);
+  }
+}
+
+async function runTests() {
+  console.log('Running Slot Verification Tests...\n');
+  
+  await runBoundaryTests();
+  await runMonitorTests();
+  await runConsensusReportTests();
+  await runStateFileTests();
+  
+  global.fetch = originalFetch;
+  
+  finish(TOTAL_TESTS);
+}
+
+runTests().catch(error => {
+  console.error(`\nUnexpected error: ${error.message}`);
+  process.exit(1);
+});
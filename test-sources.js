@@ -0,0 +1,238 @@
+#!/usr/bin/env node
+
+const fs = require('fs');
+const path = require('path');
+const sources = require('./lib/sources');
+const engine = require('./lib/engine');
+const { loadMonitorConfig } = require('./lib/config');
+const { PROCESS_A, pass, fail, finish, mockResponse, mockFetch, tempDir } = require('./test-helpers');
+
+const TOTAL_TESTS = 11;
+
+const originalFetch = global.fetch;
+
+function cuCursor(ordinate) {
+  return Buffer.from(JSON.stringify({ timestamp: 1700000000000, ordinate: String(ordinate), cron: null, sort: 'DESC' })).toString('base64url');
+}
+
+async function runAdapterTests() {
+  console.log('=== Source Adapter Tests ===\n');
+  
+  try {
+    const names = sources.listSources();
+    if (names.includes('hyperbeam-state') && names.includes('su-router') && names.includes('legacy-cu')) {
+      pass('Test 1: Built-in adapters are registered');
+    } else {
+      fail(`Test 1: Built-in adapters missing (${names.join(', ')})`);
+    }
+  } catch (error) {
+    fail(`Test 1: Built-in adapters (${error.message})`);
+  }
+  
+  try {
+    const data = { assignment: { tags: [{ name: 'Type', value: 'Message' }, { name: 'Nonce', value: '12' }] }, edges: [{ cursor: 'abc' }] };
+    const nonce = sources.getPath(data, 'assignment.tags[name=Nonce].value');
+    const cursor = sources.getPath(data, 'edges[0].cursor');
+    const missing = sources.getPath(data, 'assignment.missing.value');
+    if (nonce === '12' && cursor === 'abc' && missing === undefined) {
+      pass('Test 2: getPath() resolves filters, indexes and missing keys');
+    } else {
+      fail(`Test 2: getPath() incorrect (${nonce}/${cursor}/${missing})`);
+    }
+  } catch (error) {
+    fail(`Test 2: getPath() (${error.message})`);
+  }
+  
+  try {
+    const url = sources.buildSourceUrl(sources.getSource('hyperbeam-state'), PROCESS_A, 'https://push-5.forward.computer/');
+    if (url === `https://push-5.forward.computer/${PROCESS_A}~process@1.0/compute/at-slot`) {
+      pass('Test 3: buildSourceUrl() fills the URL template');
+    } else {
+      fail(`Test 3: buildSourceUrl() incorrect (${url})`);
+    }
+  } catch (error) {
+    fail(`Test 3: buildSourceUrl() (${error.message})`);
+  }
+  
+  try {
+    sources.getSource('no-such-source');
+    fail('Test 4: getSource() should reject unknown names');
+  } catch (error) {
+    if (error.message.includes('Unknown nonce source')) {
+      pass('Test 4: getSource() rejects unknown names');
+    } else {
+      fail(`Test 4: getSource() wrong error (${error.message})`);
+    }
+  }
+  
+  try {
+    const calls = mockFetch({
+      '/results/': () => mockResponse(200, { edges: [{ cursor: cuCursor(4321), node: {} }] })
+    });
+    const nonce = await sources.fetchNonce(sources.getSource('legacy-cu'), PROCESS_A, { timeout: 1000 });
+    if (nonce === '4321' && calls[0] === `https://cu.ao-testnet.xyz/results/${PROCESS_A}?sort=DESC&limit=1`) {
+      pass('Test 5: legacy-cu adapter decodes the latest result cursor');
+    } else {
+      fail(`Test 5: legacy-cu adapter incorrect (${nonce}, ${calls[0]})`);
+    }
+  } catch (error) {
+    fail(`Test 5: legacy-cu adapter (${error.message})`);
+  }
+  
+  try {
+    const source = sources.defineSource({
+      name: 'custom-json',
+      label: 'Custom',
+      baseUrl: 'https://custom.example',
+      urlTemplate: '{baseUrl}/slot/{processId}',
+      parse: 'json:data.slot'
+    });
+    mockFetch({ 'custom.example': () => mockResponse(200, { data: { slot: 99 } }) });
+    const nonce = await sources.fetchNonce(source, PROCESS_A, { timeout: 1000 });
+    if (source.responseType === 'json' && nonce === '99') {
+      pass('Test 6: defineSource() supports declarative json parsers');
+    } else {
+      fail(`Test 6: defineSource() json parser incorrect (${nonce})`);
+    }
+  } catch (error) {
+    fail(`Test 6: defineSource() json parser (${error.message})`);
+  }
+  
+  try {
+    const source = sources.defineSource({
+      name: 'hex-text',
+      urlTemplate: 'https://hex.example/{processId}',
+      validate: '^[0-9]+$'
+    });
+    mockFetch({ 'hex.example': () => mockResponse(200, '0x1f') });
+    let message = '';
+    try {
+      await sources.fetchNonce(source, PROCESS_A, { timeout: 1000 });
+    } catch (error) {
+      message = error.message;
+    }
+    if (message.includes('Invalid nonce format: 0x1f')) {
+      pass('Test 7: Validation rule rejects malformed nonces');
+    } else {
+      fail(`Test 7: Validation rule not applied (${message})`);
+    }
+  } catch (error) {
+    fail(`Test 7: Validation rule (${error.message})`);
+  }
+}
+
+async function runEngineIntegrationTests() {
+  console.log('\n=== Engine Integration Tests ===\n');
+  
+  try {
+    mockFetch({
+      'cu.example': () => mockResponse(200, { edges: [{ cursor: cuCursor(700) }] }),
+      'push-2.forward.computer': () => mockResponse(200, '700')
+    });
+    const monitor = engine.createMonitor({
+      processes: [PROCESS_A],
+      sources: {
+        state: { adapter: 'legacy-cu', url: 'https://cu.example' },
+        suRouter: { adapter: 'hyperbeam-state', url: 'https://push-2.forward.computer' }
+      }
+    });
+    const result = await monitor.checkProcess(PROCESS_A);
+    if (result.error === null && result.match && result.stateNonce === '700') {
+      pass('Test 8: createMonitor() compares any two configured sources');
+    } else {
+      fail(`Test 8: createMonitor() source comparison incorrect (${JSON.stringify(result)})`);
+    }
+  } catch (error) {
+    fail(`Test 8: createMonitor() source comparison (${error.message})`);
+  }
+  
+  try {
+    const monitor = engine.createMonitor({
+      processes: [PROCESS_A],
+      sources: { state: { adapter: 'legacy-cu' } }
+    });
+    if (monitor.settings.sources.state.url === 'https://cu.ao-testnet.xyz' &&
+        monitor.processes[0].gateway === 'https://cu.ao-testnet.xyz') {
+      pass('Test 9: Switching adapters uses the adapter base URL');
+    } else {
+      fail(`Test 9: Adapter base URL incorrect (${monitor.settings.sources.state.url})`);
+    }
+  } catch (error) {
+    fail(`Test 9: Adapter base URL (${error.message})`);
+  }
+}
+
+async function runConfigDefinedSourceTests() {
+  console.log('\n=== Config-defined Source Tests ===\n');
+  
+  const dir = tempDir('sources');
+  try {
+    const file = path.join(dir, 'monitor.config.yaml');
+    fs.writeFileSync(file, [
+      'version: 1',
+      'processes:',
+      `  - id: ${PROCESS_A}`,
+      'sources:',
+      '  adapters:',
+      '    indexer:',
+      '      label: Indexer',
+      '      baseUrl: https://indexer.example',
+      '      urlTemplate: "{baseUrl}/processes/{processId}/slot"',
+      '      parse: json:data.slot',
+      '      validate: "^[0-9]+$"',
+      '  state:',
+      '    adapter: indexer',
+      '  suRouter:',
+      '    adapter: hyperbeam-state',
+      '    url: https://push-2.forward.computer',
+      ''
+    ].join('\n'));
+    const calls = mockFetch({
+      'indexer.example': () => mockResponse(200, { data: { slot: 812 } }),
+      'push-2.forward.computer': () => mockResponse(200, '812')
+    });
+    const settings = loadMonitorConfig(file, {});
+    const monitor = engine.createMonitor({ ...settings.monitor, processes: [PROCESS_A] });
+    const result = await monitor.checkProcess(PROCESS_A);
+    if (result.error === null && result.match && result.stateNonce === '812' &&
+        calls.includes(`https://indexer.example/processes/${PROCESS_A}/slot`) && sources.listSources().includes('indexer')) {
+      pass('Test 10: a source defined in the config file is registered and compared without code');
+    } else {
+      fail(`Test 10: config-defined source incorrect (${JSON.stringify(result)}, ${calls.join(', ')})`);
+    }
+  } catch (error) {
+    fail(`Test 10: config-defined source (${error.message})`);
+  }
+  
+  try {
+    const file = path.join(dir, 'broken.config.yaml');
+    fs.writeFileSync(file, `version: 1\nprocesses:\n  - id: ${PROCESS_A}\nsources:\n  adapters:\n    broken:\n      urlTemplate: "https://x.example/{processId}"\n      validate: "[0-9"\n`);
+    loadMonitorConfig(file, {});
+    fail('Test 11: a definition whose validate pattern does not compile should be rejected');
+  } catch (error) {
+    if (error.message.includes('sources.adapters.broken') && !sources.listSources().includes('broken')) {
+      pass('Test 11: an invalid source definition fails the config load and is not registered');
+    } else {
+      fail(`Test 11: wrong error (${error.message})`);
+    }
+  } finally {
+    fs.rmSync(dir, { recursive: true, force: true });
+  }
+}
+
+async function runTests() {
+  console.log('Running Nonce Source Adapter Tests...\n');
+  
+  await runAdapterTests();
+  await runEngineIntegrationTests();
+  await runConfigDefinedSourceTests();
+  
+  global.fetch = originalFetch;
+  
+  finish(TOTAL_TESTS);
+}
+
+runTests().catch(error => {
+  console.error(`\nUnexpected error: ${error.message}`);
+  process.exit(1);
+});
@@ -0,0 +1,190 @@
+#!/usr/bin/env node
+
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const engine = require('./lib/engine');
+const { detectStall } = require('./lib/stall');
+const { createHistoryStore } = require('./lib/history');
+const { buildConsolidatedSlackMessage } = require('./lib/slack');
+const { buildAggregatedEventPayload } = require('./lib/pagerduty');
+const { PROCESS_A, pass, fail, finish, mockResponse, suRouterBody } = require('./test-helpers');
+
+const TOTAL_TESTS = 8;
+
+const originalFetch = global.fetch;
+
+// Serves the next [state, scheduler] pair on every run
+function mockSlotSequence(sequence) {
+  let run = 0;
+  global.fetch = async (url) => {
+    const [state, scheduler] = sequence[Math.min(run, sequence.length - 1)];
+    if (url.includes('/latest')) {
+      run++;
+      return mockResponse(200, suRouterBody(scheduler));
+    }
+    return mockResponse(200, String(state));
+  };
+}
+
+function observations(pairs) {
+  return pairs.map(([stateNonce, suRouterNonce]) => ({ stateNonce: String(stateNonce), suRouterNonce: String(suRouterNonce) }));
+}
+
+async function runDetectionTests() {
+  console.log('=== Stall Detection Tests ===\n');
+  
+  try {
+    const stall = detectStall(observations([[1000, 1000], [1000, 1004], [1000, 1009]]), { runs: 3 });
+    if (stall && stall.reason === 'state-frozen' && stall.stateNonce === 1000 &&
+        stall.description === 'State stuck at slot 1000 for 3 runs while the scheduler advanced 9 slots') {
+      pass('Test 1: frozen state with an advancing scheduler is a stall');
+    } else {
+      fail(`Test 1: state-frozen not detected (${JSON.stringify(stall)})`);
+    }
+  } catch (error) {
+    fail(`Test 1: state-frozen (${error.message})`);
+  }
+  
+  try {
+    const healthy = detectStall(observations([[1000, 1000], [1004, 1004], [1009, 1010]]), { runs: 3 });
+    const short = detectStall(observations([[1000, 1000], [1000, 1004]]), { runs: 3 });
+    const idle = detectStall(observations([[1000, 1000], [1000, 1000], [1000, 1000]]), { runs: 3 });
+    if (healthy === null && short === null && idle === null) {
+      pass('Test 2: advancing, short and idle histories are not stalls by default');
+    } else {
+      fail(`Test 2: false positive (${JSON.stringify({ healthy, short, idle })})`);
+    }
+  } catch (error) {
+    fail(`Test 2: false positives (${error.message})`);
+  }
+  
+  try {
+    const behind = detectStall(observations([[1000, 1002], [1010, 1020], [1015, 1040]]), { runs: 3 });
+    const frozen = detectStall(observations([[1000, 1000], [1000, 1000], [1000, 1000]]), { runs: 3, frozenRuns: 3 });
+    if (behind && behind.reason === 'falling-behind' && behind.description.includes('diff grew from 2 to 25') &&
+        frozen && frozen.reason === 'both-frozen') {
+      pass('Test 3: a growing diff and an opt-in frozen scheduler are detected');
+    } else {
+      fail(`Test 3: falling-behind/both-frozen incorrect (${JSON.stringify({ behind, frozen })})`);
+    }
+  } catch (error) {
+    fail(`Test 3: falling-behind/both-frozen (${error.message})`);
+  }
+  
+  try {
+    const creeping = detectStall(observations([[1000, 1000], [1010, 1011], [1020, 1022]]), { runs: 3 });
+    const catchingUp = detectStall(observations([[1000, 960], [1010, 980], [1020, 1000]]), { runs: 3 });
+    const strict = detectStall(observations([[1000, 1000], [1010, 1011], [1020, 1022]]), { runs: 3, minGrowth: 2 });
+    if (creeping === null && catchingUp === null && strict && strict.reason === 'falling-behind') {
+      pass('Test 4: falling-behind needs a positive diff growing by at least the minimum');
+    } else {
+      fail(`Test 4: falling-behind growth check incorrect (${JSON.stringify({ creeping, catchingUp, strict })})`);
+    }
+  } catch (error) {
+    fail(`Test 4: falling-behind minimum growth (${error.message})`);
+  }
+}
+
+async function runMonitorTests() {
+  console.log('\n=== Stall Monitor Tests ===\n');
+  
+  const sources = { state: { url: 'https://state.example' }, suRouter: { url: 'https://router.example' } };
+  
+  try {
+    mockSlotSequence([[1000, 1000], [1000, 1010], [1000, 1020]]);
+    const received = [];
+    const monitor = engine.createMonitor({
+      processes: [PROCESS_A],
+      sources,
+      stall: { enabled: true, runs: 3, severity: 'critical' },
+      notifiers: [{ name: 'capture', notify: async alerts => received.push(alerts) }]
+    });
+    await monitor.run();
+    await monitor.run();
+    const { results, alerts } = await monitor.run();
+    if (results[0].stall && alerts.stalls.length === 1 && alerts.mismatches.length === 0 &&
+        alerts.stalls[0].severity === 'critical' && received.length === 1 && received[0].stalls.length === 1) {
+      pass('Test 5: watch-mode runs raise a stalled alert below the mismatch threshold');
+    } else {
+      fail(`Test 5: stall alert incorrect (${JSON.stringify(alerts)})`);
+    }
+  } catch (error) {
+    fail(`Test 5: stall alert (${error.message})`);
+  }
+  
+  const file = path.join(os.tmpdir(), `stall-test-${process.pid}.jsonl`);
+  try {
+    const history = createHistoryStore({ backend: 'jsonl', file });
+    history.record([{ processId: PROCESS_A, stateNonce: '1000', suRouterNonce: '1000', diff: 0, duration: 1, error: null }]);
+    history.record([{ processId: PROCESS_A, stateNonce: '1000', suRouterNonce: '1010', diff: 10, duration: 1, error: null }]);
+    mockSlotSequence([[1000, 1020]]);
+    const monitor = engine.createMonitor({ processes: [PROCESS_A], sources, history, stall: { enabled: true, runs: 3 } });
+    const { alerts } = await monitor.run();
+    if (alerts.stalls.length === 1 && alerts.stalls[0].reason === 'state-frozen' && history.latest(PROCESS_A, 5).length === 3) {
+      pass('Test 6: a one-shot run remembers previous observations through history');
+    } else {
+      fail(`Test 6: history-seeded stall incorrect (${JSON.stringify(alerts.stalls)})`);
+    }
+  } catch (error) {
+    fail(`Test 6: history-seeded stall (${error.message})`);
+  } finally {
+    fs.rmSync(file, { force: true });
+  }
+}
+
+async function runAlertTests() {
+  console.log('\n=== Stall Alert Tests ===\n');
+  
+  const stall = {
+    processId: PROCESS_A,
+    stateNonce: '1000',
+    suRouterNonce: '1020',
+    gateway: 'https://push-5.forward.computer',
+    reason: 'state-frozen',
+    severity: 'critical',
+    description: 'State stuck at slot 1000 for 3 runs while the scheduler advanced 20 slots'
+  };
+  
+  try {
+    const message = buildConsolidatedSlackMessage([], [], { stalls: [stall] });
+    const stalledField = message.attachments[0].fields.find(f => f.title === 'Stalled');
+    if (message.text.includes('1 stalled') && message.attachments[0].color === 'danger' &&
+        stalledField && stalledField.value === 'State frozen (critical)') {
+      pass('Test 7: Slack renders stalls as their own alert type');
+    } else {
+      fail('Test 7: Slack stall attachment incorrect');
+    }
+  } catch (error) {
+    fail(`Test 7: Slack stall (${error.message})`);
+  }
+  
+  try {
+    const payload = buildAggregatedEventPayload([{ ...stall, stalled: true }], 'trigger', { routingKey: 'test' });
+    if (payload.payload.severity === 'critical' && payload.payload.summary === '1 AO processes stalled' &&
+        payload.payload.custom_details.stalled === 1 && payload.payload.custom_details.mismatches === 0) {
+      pass('Test 8: PagerDuty uses the stall severity and counts stalls separately');
+    } else {
+      fail(`Test 8: PagerDuty stall payload incorrect (${JSON.stringify(payload.payload)})`);
+    }
+  } catch (error) {
+    fail(`Test 8: PagerDuty stall (${error.message})`);
+  }
+}
+
+async function runTests() {
+  console.log('Running Stall Detection Tests...\n');
+  
+  await runDetectionTests();
+  await runMonitorTests();
+  await runAlertTests();
+  
+  global.fetch = originalFetch;
+  
+  finish(TOTAL_TESTS);
+}
+
+runTests().catch(error => {
+  console.error(`\nUnexpected error: ${error.message}`);
+  process.exit(1);
+});
@@ -0,0 +1,200 @@
+#!/usr/bin/env node
+
+const engine = require('./lib/engine');
+const { buildConsolidatedSlackMessage } = require('./lib/slack');
+const { loadMonitorConfig } = require('./lib/config');
+const {
+  DEFAULT_THRESHOLDS,
+  resolveThresholds,
+  classifyLag,
+  getThresholdConfigFromEnv
+} = require('./lib/thresholds');
+const fs = require('fs');
+const path = require('path');
+const { PROCESS_A, PROCESS_B, PROCESS_C, pass, fail, finish, mockResponse, suRouterBody, tempDir } = require('./test-helpers');
+
+const PUSH_5 = 'https://push-5.forward.computer';
+const STATE_2 = 'https://state-2.forward.computer';
+const TOTAL_TESTS = 7;
+
+const originalFetch = global.fetch;
+
+// State is always at 1000; the scheduler is ahead by the lag given for each process
+function mockLags(lags) {
+  global.fetch = async (url) => {
+    const processId = Object.keys(lags).find(id => url.includes(id));
+    return url.includes('/latest') ? mockResponse(200, suRouterBody(1000 + lags[processId])) : mockResponse(200, '1000');
+  };
+}
+
+async function quietly(fn) {
+  const originalLog = console.log;
+  console.log = () => {};
+  try {
+    return await fn();
+  } finally {
+    console.log = originalLog;
+  }
+}
+
+async function runResolutionTests() {
+  console.log('=== Threshold Resolution Tests ===\n');
+  
+  try {
+    const settings = {
+      global: { warning: 30 },
+      gateways: { 'push-5': { warning: 200, error: 400, critical: 800 }, [STATE_2]: { critical: 60 } }
+    };
+    const push = resolveThresholds({ gateway: PUSH_5 }, settings);
+    const state = resolveThresholds({ gateway: STATE_2 }, settings);
+    const custom = resolveThresholds({ gateway: PUSH_5, thresholds: { error: 250 } }, settings);
+    const legacy = resolveThresholds({ threshold: 10 }, settings);
+    if (push.warning === 200 && push.critical === 800 && state.warning === 30 && state.error === 50 && state.critical === 60 &&
+        custom.warning === 200 && custom.error === 250 && custom.critical === 800 && legacy.warning === 10 && legacy.error === 50) {
+      pass('Test 1: resolveThresholds() layers defaults, global, gateway by name or URL, then the process');
+    } else {
+      fail(`Test 1: resolveThresholds() incorrect (${JSON.stringify([push, state, custom, legacy])})`);
+    }
+  } catch (error) {
+    fail(`Test 1: resolveThresholds() (${error.message})`);
+  }
+  
+  try {
+    const raised = resolveThresholds({ thresholds: { warning: 500 } });
+    const lowered = resolveThresholds({ thresholds: { warning: 5, critical: 20 } });
+    const levels = [49, 50, 99, 100].map(lag => classifyLag(lag));
+    if (raised.error === 500 && raised.critical === 500 && lowered.error === 20 && levels.join() === ',error,error,critical' &&
+        classifyLag(null) === null && classifyLag(30, { warning: 25, error: 50, critical: 100 }) === 'warning' &&
+        DEFAULT_THRESHOLDS.warning === engine.DEFAULT_THRESHOLD) {
+      pass('Test 2: classifyLag() maps lag to the highest level reached and levels stay in order');
+    } else {
+      fail(`Test 2: classifyLag() incorrect (${levels.join()}, ${JSON.stringify(raised)})`);
+    }
+  } catch (error) {
+    fail(`Test 2: classifyLag() (${error.message})`);
+  }
+  
+  const saved = { ...process.env };
+  try {
+    process.env.THRESHOLD_WARNING = '20';
+    process.env.THRESHOLD_CRITICAL = 'lots';
+    process.env.FAIL_ON_SEVERITY = 'fatal';
+    const invalid = getThresholdConfigFromEnv();
+    process.env.FAIL_ON_SEVERITY = 'error';
+    const valid = getThresholdConfigFromEnv();
+    if (JSON.stringify(invalid.thresholds) === '{"warning":20}' && invalid.failOnSeverity === null && valid.failOnSeverity === 'error') {
+      pass('Test 3: THRESHOLD_* and FAIL_ON_SEVERITY are parsed and invalid values ignored');
+    } else {
+      fail(`Test 3: env config incorrect (${JSON.stringify([invalid, valid])})`);
+    }
+  } catch (error) {
+    fail(`Test 3: env config (${error.message})`);
+  } finally {
+    ['THRESHOLD_WARNING', 'THRESHOLD_CRITICAL', 'FAIL_ON_SEVERITY'].forEach(name => {
+      if (saved[name] === undefined) delete process.env[name];
+      else process.env[name] = saved[name];
+    });
+  }
+}
+
+async function runMonitorTests() {
+  console.log('\n=== Monitor Tests ===\n');
+  
+  const processes = [
+    { processId: PROCESS_A, gateway: PUSH_5 },
+    { processId: PROCESS_B, gateway: STATE_2 },
+    { processId: PROCESS_C, gateway: STATE_2, thresholds: { warning: 5, critical: 20 } }
+  ];
+  const gatewayThresholds = { 'push-5': { warning: 200, error: 400, critical: 800 } };
+  
+  try {
+    mockLags({ [PROCESS_A]: 150, [PROCESS_B]: 150, [PROCESS_C]: 10 });
+    const monitor = engine.createMonitor({ processes, gatewayThresholds, silencesFile: null });
+    const { results, alerts } = await quietly(() => monitor.run());
+    const severities = results.map(r => r.severity);
+    const alerted = Object.fromEntries(alerts.mismatches.map(m => [m.processId, m.severity]));
+    if (severities.join() === ',critical,warning' && !alerted[PROCESS_A] &&
+        alerted[PROCESS_B] === 'critical' && alerted[PROCESS_C] === 'warning') {
+      pass('Test 4: the same lag is fine on push-5 and critical on state-2, and quiet processes alert early');
+    } else {
+      fail(`Test 4: severities incorrect (${severities.join()}, ${JSON.stringify(alerted)})`);
+    }
+  } catch (error) {
+    fail(`Test 4: per-gateway thresholds (${error.message})`);
+  }
+  
+  try {
+    const message = buildConsolidatedSlackMessage([
+      { processId: PROCESS_B, stateNonce: '1000', suRouterNonce: '1030', severity: 'critical' },
+      { processId: PROCESS_C, stateNonce: '1000', suRouterNonce: '1300', severity: 'warning' }
+    ], []);
+    const difference = message.attachments[0].fields.find(f => f.title === 'Difference');
+    if (message.attachments[0].color === 'danger' && message.attachments[1].color === 'warning' &&
+        difference.value === '30 slots (critical)') {
+      pass('Test 5: Slack colors follow the mismatch severity rather than fixed slot counts');
+    } else {
+      fail(`Test 5: Slack colors incorrect (${message.attachments.map(a => a.color).join()})`);
+    }
+  } catch (error) {
+    fail(`Test 5: Slack colors (${error.message})`);
+  }
+  
+  try {
+    mockLags({ [PROCESS_A]: 150, [PROCESS_B]: 60, [PROCESS_C]: 10 });
+    const errorRun = await quietly(() => engine.createMonitor({ processes, gatewayThresholds, failOnSeverity: 'critical', silencesFile: null }).run());
+    mockLags({ [PROCESS_A]: 150, [PROCESS_B]: 150, [PROCESS_C]: 0 });
+    const criticalRun = await quietly(() => engine.createMonitor({ processes, gatewayThresholds, failOnSeverity: 'critical', silencesFile: null }).run());
+    const silencedRun = await quietly(() => engine.createMonitor({
+      processes,
+      gatewayThresholds,
+      failOnSeverity: 'critical',
+      silencesFile: null,
+      silences: [{ id: 'maint', gateway: 'state-2', start: '2025-01-01T00:00:00Z', end: '2099-01-01T00:00:00Z', reason: 'maintenance' }]
+    }).run());
+    if (errorRun.exitCode === 0 && criticalRun.exitCode === 1 && silencedRun.exitCode === 0) {
+      pass('Test 6: failOnSeverity fails the run only for unsilenced processes at that level or worse');
+    } else {
+      fail(`Test 6: exit codes incorrect (${errorRun.exitCode}/${criticalRun.exitCode}/${silencedRun.exitCode})`);
+    }
+  } catch (error) {
+    fail(`Test 6: exit codes (${error.message})`);
+  }
+  
+  const dir = tempDir('thresholds');
+  try {
+    const file = path.join(dir, 'monitor.config.json');
+    fs.writeFileSync(file, JSON.stringify({
+      version: 1,
+      thresholds: { warning: 40, critical: 150 },
+      gateways: { 'push-5': { thresholds: { warning: 200, error: 400, critical: 800 } } },
+      processes: [{ id: PROCESS_C, gateway: STATE_2, thresholds: { warning: 5 } }]
+    }));
+    const settings = loadMonitorConfig(file, { THRESHOLD_CRITICAL: '120' });
+    if (settings.monitor.thresholds.critical === 120 && settings.monitor.thresholds.warning === 40 &&
+        settings.monitor.gatewayThresholds['push-5'].warning === 200 && settings.processes[0].thresholds.warning === 5) {
+      pass('Test 7: config files set global, gateway and process thresholds, and env levels override them');
+    } else {
+      fail(`Test 7: config thresholds incorrect (${JSON.stringify(settings.monitor)})`);
+    }
+  } catch (error) {
+    fail(`Test 7: config thresholds (${error.message})`);
+  } finally {
+    fs.rmSync(dir, { recursive: true, force: true });
+  }
+}
+
+async function runTests() {
+  console.log('Running Threshold Tests...\n');
+  
+  await runResolutionTests();
+  await runMonitorTests();
+  
+  global.fetch = originalFetch;
+  
+  finish(TOTAL_TESTS);
+}
+
+runTests().catch(error => {
+  console.error(`\nUnexpected error: ${error.message}`);
+  process.exit(1);
+});
@@ -0,0 +1,169 @@
+#!/usr/bin/env node
+
+const fs = require('fs');
+const path = require('path');
+const {
+  isArweaveId,
+  findTopLevelKeys,
+  validateProcessSetup,
+  formatValidationReport
+} = require('./lib/validate');
+const { run } = require('./config');
+const { PROCESS_A, PROCESS_B, PROCESS_C, pass, fail, finish, tempDir } = require('./test-helpers');
+
+const TOTAL_TESTS = 7;
+
+function fixtureDir(files) {
+  const dir = tempDir('validate');
+  Object.entries(files).forEach(([name, content]) => fs.writeFileSync(path.join(dir, name), content));
+  return dir;
+}
+
+function checks(findings) {
+  return findings.map(f => `${f.check}:${f.processId || ''}`).sort();
+}
+
+function captureOutput(fn) {
+  const originalLog = console.log;
+  const lines = [];
+  console.log = (...args) => lines.push(args.join(' '));
+  try {
+    return { result: fn(), output: lines.join('\n') };
+  } finally {
+    console.log = originalLog;
+  }
+}
+
+async function runFormatTests() {
+  console.log('=== Format Tests ===\n');
+  
+  const ids = [PROCESS_A, PROCESS_B, PROCESS_A.slice(1), `${PROCESS_A}x`, `${PROCESS_A.slice(1)}=`, `${PROCESS_A.slice(1)}/`];
+  const valid = ids.map(isArweaveId);
+  if (JSON.stringify(valid) === JSON.stringify([true, true, false, false, false, false])) {
+    pass('Test 1: isArweaveId() accepts 43-character base64url IDs only');
+  } else {
+    fail(`Test 1: isArweaveId() incorrect (${JSON.stringify(valid)})`);
+  }
+  
+  const keys = findTopLevelKeys(`{\n  "${PROCESS_A}": "https://a.example",\n  "${PROCESS_B}": { "gateway": "https://b.example" },\n  "${PROCESS_A}": "https://c.example"\n}`);
+  if (JSON.stringify(keys) === JSON.stringify([{ key: PROCESS_A, line: 2 }, { key: PROCESS_B, line: 3 }, { key: PROCESS_A, line: 4 }])) {
+    pass('Test 2: findTopLevelKeys() keeps duplicate keys with their line numbers and skips nested ones');
+  } else {
+    fail(`Test 2: findTopLevelKeys() incorrect (${JSON.stringify(keys)})`);
+  }
+}
+
+async function runSetupTests() {
+  console.log('\n=== Setup Tests ===\n');
+  
+  let dir = fixtureDir({
+    'process-ids.txt': `# main list\n${PROCESS_A}\n\n${PROCESS_B}\n`,
+    'process-map.json': JSON.stringify({ [PROCESS_A]: 'https://push-5.forward.computer', [PROCESS_B]: { gateway: 'https://state-2.forward.computer' } }, null, 2),
+    'mapped-processes.txt': `${PROCESS_A}\n${PROCESS_B}\n`
+  });
+  try {
+    const report = validateProcessSetup({ dir });
+    if (report.errors.length === 0 && report.warnings.length === 0 && report.processes === 2 && report.files.length === 3) {
+      pass('Test 3: a consistent setup passes without errors or warnings');
+    } else {
+      fail(`Test 3: clean setup reported problems (${JSON.stringify(report)})`);
+    }
+  } finally {
+    fs.rmSync(dir, { recursive: true, force: true });
+  }
+  
+  dir = fixtureDir({
+    'process-ids.txt': `${PROCESS_A}\n${PROCESS_A.slice(1)}\n${PROCESS_B}\n${PROCESS_B}\n`,
+    'process-ids.push-5.txt': `${PROCESS_A}\n${PROCESS_C}\n`,
+    'process-map.json': `{\n  "${PROCESS_A}": "https://state-2.forward.computer",\n  "${PROCESS_C}": "push-5",\n  "${PROCESS_C}": "ftp://push-5.forward.computer"\n}\n`
+  });
+  try {
+    const report = validateProcessSetup({ dir });
+    const errors = checks(report.errors);
+    const warnings = checks(report.warnings);
+    const expectedErrors = [`duplicate:${PROCESS_C}`, `format:${PROCESS_A.slice(1)}`, `gateway:${PROCESS_C}`, `mapping:${PROCESS_A}`];
+    const expectedWarnings = [`duplicate:${PROCESS_A}`, `duplicate:${PROCESS_B}`, `mapping:${PROCESS_B}`];
+    const formatError = report.errors.find(e => e.check === 'format');
+    if (JSON.stringify(errors) === JSON.stringify(expectedErrors) && JSON.stringify(warnings) === JSON.stringify(expectedWarnings) &&
+        formatError.line === 2 && formatError.message.includes('42 characters')) {
+      pass('Test 4: malformed IDs, duplicate keys and IDs, bad gateways and gateway mismatches are reported with their lines');
+    } else {
+      fail(`Test 4: findings incorrect (${JSON.stringify(errors)}, ${JSON.stringify(warnings)})`);
+    }
+  } finally {
+    fs.rmSync(dir, { recursive: true, force: true });
+  }
+  
+  dir = fixtureDir({
+    'process-ids.txt': `${PROCESS_A}\n`,
+    'process-map.json': JSON.stringify({ [PROCESS_A]: 'https://push-5.forward.computer', [PROCESS_B]: 'https://push-5.forward.computer' }),
+    'mapped-processes.txt': `${PROCESS_A}\n${PROCESS_C}\n`,
+    'monitor.config.yaml': `version: 1\nprocesses:\n  - id: ${PROCESS_A}\n  - id: not-an-id\n`
+  });
+  try {
+    const report = validateProcessSetup({ dir, configFile: path.join(dir, 'monitor.config.yaml') });
+    const errors = checks(report.errors);
+    const unlisted = report.warnings.find(w => w.check === 'reconcile');
+    if (JSON.stringify(errors) === JSON.stringify(['format:not-an-id', `reconcile:${PROCESS_C}`]) &&
+        unlisted && unlisted.message.startsWith('1 of 2 processes')) {
+      pass('Test 5: mapped-processes.txt is reconciled against process-map.json and config file IDs are checked');
+    } else {
+      fail(`Test 5: reconcile incorrect (${JSON.stringify(errors)}, ${JSON.stringify(report.warnings)})`);
+    }
+  } finally {
+    fs.rmSync(dir, { recursive: true, force: true });
+  }
+}
+
+async function runReportTests() {
+  console.log('\n=== Report Tests ===\n');
+  
+  const report = {
+    files: ['process-ids.txt'],
+    processes: 14,
+    errors: [{ check: 'format', message: 'abc is 3 characters, expected 43', file: 'process-ids.txt', line: 7 }],
+    warnings: Array.from({ length: 12 }, (_, i) => ({ check: 'mapping', message: `id-${i} has no gateway mapping`, file: 'process-ids.txt', line: i + 1 }))
+  };
+  const text = formatValidationReport(report);
+  const verbose = formatValidationReport(report, { verbose: true });
+  if (text.includes('ERROR - Malformed process IDs (1):\n  process-ids.txt:7: abc is 3 characters') && text.includes('... and 2 more') &&
+      !text.includes('id-11') && verbose.includes('id-11') && text.endsWith('Validation failed')) {
+    pass('Test 6: formatValidationReport() groups findings by check and truncates long lists unless verbose');
+  } else {
+    fail(`Test 6: report incorrect:\n${text}`);
+  }
+  
+  const dir = fixtureDir({
+    'process-ids.txt': `${PROCESS_A}\n${PROCESS_B}\n`,
+    'process-map.json': JSON.stringify({ [PROCESS_A]: 'https://push-5.forward.computer' })
+  });
+  try {
+    const plain = captureOutput(() => run(['validate', '--dir', dir]));
+    const strict = captureOutput(() => run(['validate', '--dir', dir, '--strict']));
+    fs.appendFileSync(path.join(dir, 'process-ids.txt'), 'bad-id\n');
+    const broken = captureOutput(() => run(['validate', '--dir', dir]));
+    if (plain.result === 0 && plain.output.includes('Validation passed') && strict.result === 1 &&
+        broken.result === 1 && broken.output.includes('bad-id')) {
+      pass('Test 7: config.js validate exits 1 on errors, and on warnings with --strict');
+    } else {
+      fail(`Test 7: exit codes incorrect (${plain.result}, ${strict.result}, ${broken.result})`);
+    }
+  } finally {
+    fs.rmSync(dir, { recursive: true, force: true });
+  }
+}
+
+async function runTests() {
+  console.log('Running Validate Tests...\n');
+  
+  await runFormatTests();
+  await runSetupTests();
+  await runReportTests();
+  
+  finish(TOTAL_TESTS);
+}
+
+runTests().catch(error => {
+  console.error(`\nUnexpected error: ${error.message}`);
+  process.exit(1);
+});